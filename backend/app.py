@@ -10,6 +10,8 @@ from datetime import datetime, timedelta
 import asyncio
 from contextlib import asynccontextmanager
 
+from relayer import router as relayer_router
+
 # Set up logging
 logging.basicConfig(level=logging.INFO)
 logger = logging.getLogger(__name__)
@@ -26,6 +28,9 @@ app.add_middleware(
     expose_headers=["*"],
 )
 
+# Gasless meta-transactions (POST /relay)
+app.include_router(relayer_router)
+
 # In-memory storage for signaling
 class PeerData(BaseModel):
     offer: Optional[Dict] = None
@@ -19,6 +19,15 @@ contract ChatMetadata {
         bool exists;
     }
 
+    // A pending friend request; `name` is what the sender will call the recipient
+    struct FriendRequest {
+        address from;
+        address to;
+        string name;
+        uint256 createdAt;
+        bool exists;
+    }
+
     struct Group {
         bytes32 groupId;
         string name;
@@ -36,49 +45,166 @@ contract ChatMetadata {
         string ipfsHash;
     }
 
+    // Merkle root over a batch of direct messages, anchored in one transaction
+    struct MessageBatch {
+        address sender;
+        bytes32 merkleRoot;
+        uint256 messageCount;
+        uint256 timestamp;
+        string manifestCid;   // IPFS manifest listing the batch's leaves
+    }
+
+    // A short-lived key allowed to send routine chat transactions for its owner
+    struct SessionKey {
+        address owner;
+        uint256 expiresAt;
+        uint8 scope;      // bitmask of SCOPE_* flags
+    }
+
+    // Session key scopes
+    uint8 public constant SCOPE_DIRECT_MESSAGE = 1;
+    uint8 public constant SCOPE_GROUP_MESSAGE = 2;
+    uint8 public constant SCOPE_ALL = 3;
+    uint256 public constant MAX_SESSION_KEY_DURATION = 30 days;
+
+    // Block the contract was deployed in; event scans start here
+    uint256 public immutable deploymentBlock;
+
+    // Storage that has an explicit getter below is internal, which keeps the
+    // contract under the 24 KB code size limit
     mapping(uint256 => MessageMeta) public messages;
     uint256 public messageCount;
     
     // Group management
-    mapping(bytes32 => Group) public groups;
-    mapping(bytes32 => mapping(address => bool)) public groupMembers; // groupId => member => isMember
-    mapping(bytes32 => mapping(address => uint256)) public adminVotes; // groupId => admin => votes
-    bytes32[] public allGroupIds;
-    mapping(address => bytes32[]) public userGroups; // Groups a user belongs to
+    mapping(bytes32 => Group) internal groups;
+    mapping(bytes32 => mapping(address => bool)) internal groupMembers; // groupId => member => isMember
+    bytes32[] internal allGroupIds;
+    mapping(address => bytes32[]) internal userGroups; // Groups a user belongs to
+
+    // Admin election: each member has one ballot, which they can move or
+    // withdraw. A member backed by a third of the current members (and at least
+    // two of them, so nobody keeps the role on their own vote) is an admin, so
+    // a group can have up to three admins.
+    mapping(bytes32 => mapping(address => uint256)) internal adminVotes; // groupId => candidate => votes
+    mapping(bytes32 => mapping(address => address)) internal adminVoteOf; // groupId => voter => candidate
+
+    // Outsiders asking to join, pending an admin's answer
+    mapping(bytes32 => address[]) internal joinRequests;
+    mapping(bytes32 => mapping(address => bool)) internal hasJoinRequest;
     
     // Group messages
-    mapping(bytes32 => uint256[]) public groupMessages; // groupId => message IDs
-    mapping(uint256 => GroupMessage) public groupMessageData;
+    mapping(bytes32 => uint256[]) internal groupMessages; // groupId => message IDs
+    mapping(uint256 => GroupMessage) internal groupMessageData;
     uint256 public groupMessageCount;
     
     // Mapping to track messages between two users: user1 => user2 => message IDs
-    mapping(address => mapping(address => uint256[])) public userMessages;
+    mapping(address => mapping(address => uint256[])) internal userMessages;
 
     // Mapping from user address => friend address => Friend struct
-    mapping(address => mapping(address => Friend)) public friends;
+    mapping(address => mapping(address => Friend)) internal friends;
     // Mapping from user address => array of friend addresses
-    mapping(address => address[]) public userFriends;
+    mapping(address => address[]) internal userFriends;
+
+    // Pending friend requests: sender => recipient => request
+    mapping(address => mapping(address => FriendRequest)) internal friendRequests;
+    // Senders of requests awaiting a user's answer, and recipients of requests a user sent
+    mapping(address => address[]) internal incomingFriendRequests;
+    mapping(address => address[]) internal outgoingFriendRequests;
 
-    event MetadataStored(uint256 id, address sender, address receiver, uint256 timestamp, string ipfsHash);
+    // Encryption public keys anchored by their owners (base64 ECDH P-256 public key)
+    mapping(address => string) internal encryptionKeys;
+
+    // Profile registry: wallet => IPFS CID of its profile JSON (username, bio, avatar)
+    mapping(address => string) internal profileCids;
+
+    // Batched message anchoring
+    mapping(uint256 => MessageBatch) internal messageBatches;
+    uint256 public batchCount;
+    mapping(address => uint256[]) internal userBatches;
+
+    // Session keys: key address => grant, and owner => keys they ever authorized
+    mapping(address => SessionKey) internal sessionKeys;
+    mapping(address => address[]) internal userSessionKeys;
+
+    event MetadataStored(uint256 id, address indexed sender, address indexed receiver, uint256 timestamp, bytes32 messageHash, string ipfsHash);
     event FriendAdded(address indexed user, address indexed friendAddress, string name, uint256 timestamp);
     event FriendRemoved(address indexed user, address indexed friendAddress, uint256 timestamp);
+    event FriendRequestSent(address indexed from, address indexed to, uint256 timestamp);
+    event FriendRequestAccepted(address indexed from, address indexed to, uint256 timestamp);
+    event FriendRequestDeclined(address indexed from, address indexed to, uint256 timestamp);
+    event FriendRequestCancelled(address indexed from, address indexed to, uint256 timestamp);
     
     // Group events
     event GroupCreated(bytes32 indexed groupId, string name, address indexed creator, uint256 timestamp);
     event MemberAdded(bytes32 indexed groupId, address indexed member, address indexed addedBy, uint256 timestamp);
     event MemberRemoved(bytes32 indexed groupId, address indexed member, uint256 timestamp);
-    event GroupMessageSent(bytes32 indexed groupId, uint256 messageId, address indexed sender, uint256 timestamp, string ipfsHash);
+    event GroupMessageSent(bytes32 indexed groupId, uint256 messageId, address indexed sender, uint256 timestamp, bytes32 messageHash, string ipfsHash);
     event AdminVoteCast(bytes32 indexed groupId, address indexed admin, address indexed voter, uint256 totalVotes);
+    event AdminVoteWithdrawn(bytes32 indexed groupId, address indexed admin, address indexed voter, uint256 totalVotes);
+    event GroupUpdated(bytes32 indexed groupId, string name, address indexed updatedBy, uint256 timestamp);
+    event JoinRequested(bytes32 indexed groupId, address indexed user, uint256 timestamp);
+    event JoinRequestAnswered(bytes32 indexed groupId, address indexed user, address indexed admin, bool approved, uint256 timestamp);
+
+    // Key registry events
+    event EncryptionKeyPublished(address indexed user, string publicKey, uint256 timestamp);
+
+    // Profile registry events
+    event ProfileUpdated(address indexed user, string cid, uint256 timestamp);
+
+    // Batch events
+    event MessageBatchAnchored(uint256 indexed batchId, address indexed sender, bytes32 merkleRoot, uint256 messageCount, uint256 timestamp, string manifestCid);
+
+    // Session key events
+    event SessionKeyAuthorized(address indexed owner, address indexed sessionKey, uint256 expiresAt, uint8 scope);
+    event SessionKeyRevoked(address indexed owner, address indexed sessionKey, uint256 timestamp);
+
+    // EIP-2771 forwarder whose relayed calls act for the signer it appends to
+    // the calldata (address(0) when meta-transactions are disabled)
+    address public immutable trustedForwarder;
+
+    constructor(address _trustedForwarder) {
+        deploymentBlock = block.number;
+        trustedForwarder = _trustedForwarder;
+    }
+
+    function isTrustedForwarder(address _forwarder) public view returns (bool) {
+        return _forwarder != address(0) && _forwarder == trustedForwarder;
+    }
+
+    // The caller: msg.sender, or the original signer of a forwarded call
+    function _msgSender() internal view returns (address sender) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+
+    // The account a transaction acts for: the caller, or the owner when the
+    // caller is a live session key granted `_scope`
+    function _actingAccount(uint8 _scope) internal view returns (address) {
+        SessionKey storage key = sessionKeys[_msgSender()];
+        if (key.owner == address(0)) {
+            return _msgSender();
+        }
+        require(key.expiresAt > block.timestamp, "Session key expired or revoked");
+        require(key.scope & _scope == _scope, "Session key not allowed for this action");
+        return key.owner;
+    }
 
     function storeMetadata(address _receiver, bytes32 _messageHash, string memory _ipfsHash) public {
+        address sender = _actingAccount(SCOPE_DIRECT_MESSAGE);
+
         messageCount++;
-        messages[messageCount] = MessageMeta(msg.sender, _receiver, block.timestamp, _messageHash, _ipfsHash);
+        messages[messageCount] = MessageMeta(sender, _receiver, block.timestamp, _messageHash, _ipfsHash);
         
         // Track message for both sender and receiver
-        userMessages[msg.sender][_receiver].push(messageCount);
-        userMessages[_receiver][msg.sender].push(messageCount);
+        userMessages[sender][_receiver].push(messageCount);
+        userMessages[_receiver][sender].push(messageCount);
         
-        emit MetadataStored(messageCount, msg.sender, _receiver, block.timestamp, _ipfsHash);
+        emit MetadataStored(messageCount, sender, _receiver, block.timestamp, _messageHash, _ipfsHash);
     }
 
     function getMetadata(uint256 _id) public view returns (MessageMeta memory) {
@@ -95,42 +221,112 @@ contract ChatMetadata {
         return userMessages[_user1][_user2].length;
     }
 
-    // Add a friend
-    function addFriend(address _friendAddress, string memory _name) public {
-        require(_friendAddress != address(0), "Invalid friend address");
-        require(_friendAddress != msg.sender, "Cannot add yourself as friend");
-        require(!friends[msg.sender][_friendAddress].exists, "Friend already exists");
+    // Ask `_to` to be friends; `_name` is what the caller will call them.
+    // Nobody is in anyone's friend list until the request is accepted.
+    function sendFriendRequest(address _to, string memory _name) public {
+        address sender = _msgSender();
+        require(_to != address(0), "Invalid friend address");
+        require(_to != sender, "Cannot add yourself as friend");
+        require(!friends[sender][_to].exists, "Friend already exists");
         require(bytes(_name).length > 0, "Name cannot be empty");
+        require(!friendRequests[sender][_to].exists, "Friend request already sent");
+        require(!friendRequests[_to][sender].exists, "They already sent you a friend request");
 
-        friends[msg.sender][_friendAddress] = Friend({
-            friendAddress: _friendAddress,
+        friendRequests[sender][_to] = FriendRequest(sender, _to, _name, block.timestamp, true);
+        outgoingFriendRequests[sender].push(_to);
+        incomingFriendRequests[_to].push(sender);
+
+        emit FriendRequestSent(sender, _to, block.timestamp);
+    }
+
+    // Accept `_from`'s request (`_name` is what the caller will call them):
+    // each is added to the other's friend list
+    function acceptFriendRequest(address _from, string memory _name) public {
+        address recipient = _msgSender();
+        require(friendRequests[_from][recipient].exists, "No pending friend request");
+        require(bytes(_name).length > 0, "Name cannot be empty");
+
+        string memory requesterName = friendRequests[_from][recipient].name;
+        _clearFriendRequest(_from, recipient);
+        _addFriend(_from, recipient, requesterName);
+        _addFriend(recipient, _from, _name);
+
+        emit FriendRequestAccepted(_from, recipient, block.timestamp);
+    }
+
+    // Turn down a request the caller received
+    function declineFriendRequest(address _from) public {
+        require(friendRequests[_from][_msgSender()].exists, "No pending friend request");
+        _clearFriendRequest(_from, _msgSender());
+
+        emit FriendRequestDeclined(_from, _msgSender(), block.timestamp);
+    }
+
+    // Withdraw a request the caller sent
+    function cancelFriendRequest(address _to) public {
+        require(friendRequests[_msgSender()][_to].exists, "No pending friend request");
+        _clearFriendRequest(_msgSender(), _to);
+
+        emit FriendRequestCancelled(_msgSender(), _to, block.timestamp);
+    }
+
+    // Remove a friend; the friendship ends for both sides
+    function removeFriend(address _friendAddress) public {
+        require(friends[_msgSender()][_friendAddress].exists, "Friend does not exist");
+
+        _removeFriend(_msgSender(), _friendAddress);
+        _removeFriend(_friendAddress, _msgSender());
+    }
+
+    function _addFriend(address _user, address _friend, string memory _name) internal {
+        friends[_user][_friend] = Friend({
+            friendAddress: _friend,
             name: _name,
             addedAt: block.timestamp,
             exists: true
         });
+        userFriends[_user].push(_friend);
 
-        userFriends[msg.sender].push(_friendAddress);
-
-        emit FriendAdded(msg.sender, _friendAddress, _name, block.timestamp);
+        emit FriendAdded(_user, _friend, _name, block.timestamp);
     }
 
-    // Remove a friend
-    function removeFriend(address _friendAddress) public {
-        require(friends[msg.sender][_friendAddress].exists, "Friend does not exist");
+    function _removeFriend(address _user, address _friend) internal {
+        friends[_user][_friend].exists = false;
+        _removeAddress(userFriends[_user], _friend);
 
-        friends[msg.sender][_friendAddress].exists = false;
+        emit FriendRemoved(_user, _friend, block.timestamp);
+    }
+
+    function _clearFriendRequest(address _from, address _to) internal {
+        delete friendRequests[_from][_to];
+        _removeAddress(outgoingFriendRequests[_from], _to);
+        _removeAddress(incomingFriendRequests[_to], _from);
+    }
 
-        // Remove from array
-        address[] storage friendList = userFriends[msg.sender];
-        for (uint i = 0; i < friendList.length; i++) {
-            if (friendList[i] == _friendAddress) {
-                friendList[i] = friendList[friendList.length - 1];
-                friendList.pop();
+    // Remove `_item` from `_list` by moving the last entry into its slot
+    function _removeAddress(address[] storage _list, address _item) internal {
+        for (uint i = 0; i < _list.length; i++) {
+            if (_list[i] == _item) {
+                _list[i] = _list[_list.length - 1];
+                _list.pop();
                 break;
             }
         }
+    }
+
+    // Get a pending request (`exists` is false if there is none)
+    function getFriendRequest(address _from, address _to) public view returns (FriendRequest memory) {
+        return friendRequests[_from][_to];
+    }
+
+    // Senders of the requests waiting for `_user` to answer
+    function getIncomingFriendRequests(address _user) public view returns (address[] memory) {
+        return incomingFriendRequests[_user];
+    }
 
-        emit FriendRemoved(msg.sender, _friendAddress, block.timestamp);
+    // Recipients of `_user`'s unanswered requests
+    function getOutgoingFriendRequests(address _user) public view returns (address[] memory) {
+        return outgoingFriendRequests[_user];
     }
 
     // Get friend details
@@ -156,7 +352,7 @@ contract ChatMetadata {
         require(_members.length > 0, "Group must have at least one member");
         
         // Generate unique group ID
-        bytes32 groupId = keccak256(abi.encodePacked(_name, msg.sender, block.timestamp));
+        bytes32 groupId = keccak256(abi.encodePacked(_name, _msgSender(), block.timestamp));
         require(!groups[groupId].exists, "Group ID collision");
         
         Group storage newGroup = groups[groupId];
@@ -167,60 +363,169 @@ contract ChatMetadata {
         newGroup.exists = true;
         
         // Add creator as first member
-        newGroup.members.push(msg.sender);
-        groupMembers[groupId][msg.sender] = true;
-        userGroups[msg.sender].push(groupId);
+        newGroup.members.push(_msgSender());
+        groupMembers[groupId][_msgSender()] = true;
+        userGroups[_msgSender()].push(groupId);
         
         // Add other members
         for (uint i = 0; i < _members.length; i++) {
-            if (_members[i] != msg.sender && _members[i] != address(0) && !groupMembers[groupId][_members[i]]) {
+            if (_members[i] != _msgSender() && _members[i] != address(0) && !groupMembers[groupId][_members[i]]) {
                 newGroup.members.push(_members[i]);
                 groupMembers[groupId][_members[i]] = true;
                 userGroups[_members[i]].push(groupId);
-                emit MemberAdded(groupId, _members[i], msg.sender, block.timestamp);
+                emit MemberAdded(groupId, _members[i], _msgSender(), block.timestamp);
             }
         }
         
         allGroupIds.push(groupId);
-        emit GroupCreated(groupId, _name, msg.sender, block.timestamp);
+        emit GroupCreated(groupId, _name, _msgSender(), block.timestamp);
         
         return groupId;
     }
 
-    // Add member to group (any member can add)
+    // Add member to group (admins only, so members can't pack the admin election)
     function addGroupMember(bytes32 _groupId, address _member) public {
-        require(groups[_groupId].exists, "Group does not exist");
-        require(groupMembers[_groupId][msg.sender], "Only members can add new members");
+        _requireGroupAdmin(_groupId);
         require(_member != address(0), "Invalid member address");
         require(!groupMembers[_groupId][_member], "Already a member");
         
-        Group storage group = groups[_groupId];
-        group.members.push(_member);
-        groupMembers[_groupId][_member] = true;
-        userGroups[_member].push(_groupId);
-        
-        emit MemberAdded(_groupId, _member, msg.sender, block.timestamp);
+        _addGroupMember(_groupId, _member, _msgSender());
     }
 
     // Leave group
     function leaveGroup(bytes32 _groupId) public {
-        require(groups[_groupId].exists, "Group does not exist");
-        require(groupMembers[_groupId][msg.sender], "Not a member");
+        _requireGroup(_groupId);
+        require(groupMembers[_groupId][_msgSender()], "Not a member");
         
-        Group storage group = groups[_groupId];
-        groupMembers[_groupId][msg.sender] = false;
+        _removeGroupMember(_groupId, _msgSender());
+    }
+
+    // Vote for admin. Each member has one vote; voting again moves it.
+    function voteForAdmin(bytes32 _groupId, address _admin) public {
+        _requireGroup(_groupId);
+        require(groupMembers[_groupId][_msgSender()], "Only members can vote");
+        require(groupMembers[_groupId][_admin], "Admin must be a member");
+
+        address previous = adminVoteOf[_groupId][_msgSender()];
+        require(previous != _admin, "Already voted for this member");
+        if (previous != address(0)) {
+            adminVotes[_groupId][previous]--;
+        }
+        adminVoteOf[_groupId][_msgSender()] = _admin;
+        adminVotes[_groupId][_admin]++;
         
-        // Remove from members array
+        emit AdminVoteCast(_groupId, _admin, _msgSender(), adminVotes[_groupId][_admin]);
+    }
+
+    // Take back your vote, without backing anyone else (how members de-elect an admin)
+    function withdrawAdminVote(bytes32 _groupId) public {
+        _requireGroup(_groupId);
+        address previous = adminVoteOf[_groupId][_msgSender()];
+        require(previous != address(0), "No vote to withdraw");
+
+        adminVotes[_groupId][previous]--;
+        delete adminVoteOf[_groupId][_msgSender()];
+
+        emit AdminVoteWithdrawn(_groupId, previous, _msgSender(), adminVotes[_groupId][previous]);
+    }
+
+    // Remove a member (admins only; admins can't remove each other)
+    function removeGroupMember(bytes32 _groupId, address _member) public {
+        _requireGroupAdmin(_groupId);
+        require(groupMembers[_groupId][_member], "Not a member");
+        require(!isGroupAdmin(_groupId, _member), "Cannot remove an admin");
+
+        _removeGroupMember(_groupId, _member);
+    }
+
+    // Rename a group or change its description (admins only)
+    function updateGroup(bytes32 _groupId, string memory _name, string memory _description) public {
+        _requireGroupAdmin(_groupId);
+        require(bytes(_name).length > 0, "Group name cannot be empty");
+
+        groups[_groupId].name = _name;
+        groups[_groupId].description = _description;
+
+        emit GroupUpdated(_groupId, _name, _msgSender(), block.timestamp);
+    }
+
+    // Ask to join a group; an admin approves or declines
+    function requestToJoinGroup(bytes32 _groupId) public {
+        _requireGroup(_groupId);
+        require(!groupMembers[_groupId][_msgSender()], "Already a member");
+        require(!hasJoinRequest[_groupId][_msgSender()], "Join request already sent");
+
+        hasJoinRequest[_groupId][_msgSender()] = true;
+        joinRequests[_groupId].push(_msgSender());
+
+        emit JoinRequested(_groupId, _msgSender(), block.timestamp);
+    }
+
+    function approveJoinRequest(bytes32 _groupId, address _user) public {
+        require(!groupMembers[_groupId][_user], "Already a member");
+        _answerJoinRequest(_groupId, _user, true);
+        _addGroupMember(_groupId, _user, _msgSender());
+    }
+
+    function declineJoinRequest(bytes32 _groupId, address _user) public {
+        _answerJoinRequest(_groupId, _user, false);
+    }
+
+    function _answerJoinRequest(bytes32 _groupId, address _user, bool _approved) internal {
+        _requireGroupAdmin(_groupId);
+        require(hasJoinRequest[_groupId][_user], "No pending join request");
+
+        _clearJoinRequest(_groupId, _user);
+
+        emit JoinRequestAnswered(_groupId, _user, _msgSender(), _approved, block.timestamp);
+    }
+
+    // One shared revert path instead of a copy per caller keeps the code size down
+    function _requireGroup(bytes32 _groupId) internal view {
+        require(groups[_groupId].exists, "Group does not exist");
+    }
+
+    function _requireGroupAdmin(bytes32 _groupId) internal view {
+        _requireGroup(_groupId);
+        require(isGroupAdmin(_groupId, _msgSender()), "Only admins can do this");
+    }
+
+    function _clearJoinRequest(bytes32 _groupId, address _user) internal {
+        if (!hasJoinRequest[_groupId][_user]) return;
+        hasJoinRequest[_groupId][_user] = false;
+        _removeAddress(joinRequests[_groupId], _user);
+    }
+
+    // A pending join request is settled once the user is in, however they got there
+    function _addGroupMember(bytes32 _groupId, address _member, address _addedBy) internal {
+        _clearJoinRequest(_groupId, _member);
+        groups[_groupId].members.push(_member);
+        groupMembers[_groupId][_member] = true;
+        userGroups[_member].push(_groupId);
+
+        emit MemberAdded(_groupId, _member, _addedBy, block.timestamp);
+    }
+
+    // Take a member out of the group, with their ballot and the votes cast for them
+    function _removeGroupMember(bytes32 _groupId, address _member) internal {
+        Group storage group = groups[_groupId];
+        groupMembers[_groupId][_member] = false;
+        _removeAddress(group.members, _member);
+
+        address candidate = adminVoteOf[_groupId][_member];
+        if (candidate != address(0)) {
+            adminVotes[_groupId][candidate]--;
+            delete adminVoteOf[_groupId][_member];
+        }
         for (uint i = 0; i < group.members.length; i++) {
-            if (group.members[i] == msg.sender) {
-                group.members[i] = group.members[group.members.length - 1];
-                group.members.pop();
-                break;
+            if (adminVoteOf[_groupId][group.members[i]] == _member) {
+                delete adminVoteOf[_groupId][group.members[i]];
             }
         }
+        delete adminVotes[_groupId][_member];
         
         // Remove from user's groups
-        bytes32[] storage userGroupList = userGroups[msg.sender];
+        bytes32[] storage userGroupList = userGroups[_member];
         for (uint i = 0; i < userGroupList.length; i++) {
             if (userGroupList[i] == _groupId) {
                 userGroupList[i] = userGroupList[userGroupList.length - 1];
@@ -229,29 +534,19 @@ contract ChatMetadata {
             }
         }
         
-        emit MemberRemoved(_groupId, msg.sender, block.timestamp);
-    }
-
-    // Vote for admin
-    function voteForAdmin(bytes32 _groupId, address _admin) public {
-        require(groups[_groupId].exists, "Group does not exist");
-        require(groupMembers[_groupId][msg.sender], "Only members can vote");
-        require(groupMembers[_groupId][_admin], "Admin must be a member");
-        
-        adminVotes[_groupId][_admin]++;
-        
-        emit AdminVoteCast(_groupId, _admin, msg.sender, adminVotes[_groupId][_admin]);
+        emit MemberRemoved(_groupId, _member, block.timestamp);
     }
 
     // Send group message
     function sendGroupMessage(bytes32 _groupId, bytes32 _messageHash, string memory _ipfsHash) public {
-        require(groups[_groupId].exists, "Group does not exist");
-        require(groupMembers[_groupId][msg.sender], "Only members can send messages");
+        address sender = _actingAccount(SCOPE_GROUP_MESSAGE);
+        _requireGroup(_groupId);
+        require(groupMembers[_groupId][sender], "Only members can send messages");
         
         groupMessageCount++;
         groupMessageData[groupMessageCount] = GroupMessage({
             groupId: _groupId,
-            sender: msg.sender,
+            sender: sender,
             timestamp: block.timestamp,
             messageHash: _messageHash,
             ipfsHash: _ipfsHash
@@ -259,7 +554,7 @@ contract ChatMetadata {
         
         groupMessages[_groupId].push(groupMessageCount);
         
-        emit GroupMessageSent(_groupId, groupMessageCount, msg.sender, block.timestamp, _ipfsHash);
+        emit GroupMessageSent(_groupId, groupMessageCount, sender, block.timestamp, _messageHash, _ipfsHash);
     }
 
     // Get group info
@@ -269,7 +564,7 @@ contract ChatMetadata {
         address[] memory members,
         uint256 createdAt
     ) {
-        require(groups[_groupId].exists, "Group does not exist");
+        _requireGroup(_groupId);
         Group storage group = groups[_groupId];
         return (group.name, group.description, group.members, group.createdAt);
     }
@@ -281,7 +576,7 @@ contract ChatMetadata {
 
     // Get group messages
     function getGroupMessages(bytes32 _groupId) public view returns (uint256[] memory) {
-        require(groups[_groupId].exists, "Group does not exist");
+        _requireGroup(_groupId);
         return groupMessages[_groupId];
     }
 
@@ -300,8 +595,274 @@ contract ChatMetadata {
         return adminVotes[_groupId][_member];
     }
 
+    // Whether a member currently holds enough of the group's votes
+    function isGroupAdmin(bytes32 _groupId, address _member) public view returns (bool) {
+        return groupMembers[_groupId][_member] &&
+            adminVotes[_groupId][_member] >= _adminThreshold(groups[_groupId].members.length);
+    }
+
+    // Votes an admin needs: a third of the members, at least two (one in a group of one)
+    function _adminThreshold(uint256 _memberCount) internal pure returns (uint256) {
+        uint256 threshold = (_memberCount + 2) / 3;
+        if (threshold < 2) threshold = 2;
+        return threshold > _memberCount ? _memberCount : threshold;
+    }
+
+    // Who a member voted for (zero address if nobody)
+    function getAdminVote(bytes32 _groupId, address _voter) public view returns (address) {
+        return adminVoteOf[_groupId][_voter];
+    }
+
+    // Every member's vote count, and the votes needed to be an admin
+    function getAdminStandings(bytes32 _groupId) public view returns (address[] memory members, uint256[] memory votes, uint256 threshold) {
+        _requireGroup(_groupId);
+        members = groups[_groupId].members;
+        votes = new uint256[](members.length);
+        for (uint i = 0; i < members.length; i++) {
+            votes[i] = adminVotes[_groupId][members[i]];
+        }
+        threshold = _adminThreshold(members.length);
+    }
+
+    // Pending join requests for a group
+    function getJoinRequests(bytes32 _groupId) public view returns (address[] memory) {
+        return joinRequests[_groupId];
+    }
+
     // Get all groups
     function getAllGroups() public view returns (bytes32[] memory) {
         return allGroupIds;
     }
+
+    // ============ PAGINATED GETTERS ============
+
+    uint256 public constant MAX_PAGE_SIZE = 500;
+
+    // [start, end) of the page at `_offset`, clamped to the list and MAX_PAGE_SIZE
+    function _pageBounds(uint256 _total, uint256 _offset, uint256 _limit) internal pure returns (uint256 start, uint256 end) {
+        if (_limit > MAX_PAGE_SIZE) {
+            _limit = MAX_PAGE_SIZE;
+        }
+        start = _offset < _total ? _offset : _total;
+        end = _total - start < _limit ? _total : start + _limit;
+    }
+
+    function _uintPage(uint256[] storage _items, uint256 _offset, uint256 _limit) internal view returns (uint256[] memory page) {
+        (uint256 start, uint256 end) = _pageBounds(_items.length, _offset, _limit);
+        page = new uint256[](end - start);
+        for (uint256 i = start; i < end; i++) {
+            page[i - start] = _items[i];
+        }
+    }
+
+    function _bytes32Page(bytes32[] storage _items, uint256 _offset, uint256 _limit) internal view returns (bytes32[] memory page, uint256 total) {
+        (uint256 start, uint256 end) = _pageBounds(_items.length, _offset, _limit);
+        page = new bytes32[](end - start);
+        for (uint256 i = start; i < end; i++) {
+            page[i - start] = _items[i];
+        }
+        total = _items.length;
+    }
+
+    // Last `_count` items, newest first
+    function _latestUints(uint256[] storage _items, uint256 _count) internal view returns (uint256[] memory latest) {
+        (, uint256 size) = _pageBounds(_items.length, 0, _count);
+        latest = new uint256[](size);
+        for (uint256 i = 0; i < size; i++) {
+            latest[i] = _items[_items.length - 1 - i];
+        }
+    }
+
+    // Message IDs between two users, oldest first, plus the total count
+    function getMessagesBetweenUsersPage(address _user1, address _user2, uint256 _offset, uint256 _limit) public view returns (uint256[] memory ids, uint256 total) {
+        uint256[] storage all = userMessages[_user1][_user2];
+        return (_uintPage(all, _offset, _limit), all.length);
+    }
+
+    // Newest `_count` message IDs between two users, newest first
+    function getLatestMessagesBetweenUsers(address _user1, address _user2, uint256 _count) public view returns (uint256[] memory) {
+        return _latestUints(userMessages[_user1][_user2], _count);
+    }
+
+    function getGroupMessagesPage(bytes32 _groupId, uint256 _offset, uint256 _limit) public view returns (uint256[] memory ids, uint256 total) {
+        _requireGroup(_groupId);
+        uint256[] storage all = groupMessages[_groupId];
+        return (_uintPage(all, _offset, _limit), all.length);
+    }
+
+    function getLatestGroupMessages(bytes32 _groupId, uint256 _count) public view returns (uint256[] memory) {
+        _requireGroup(_groupId);
+        return _latestUints(groupMessages[_groupId], _count);
+    }
+
+    function getFriendsPage(address _user, uint256 _offset, uint256 _limit) public view returns (address[] memory page, uint256 total) {
+        address[] storage all = userFriends[_user];
+        (uint256 start, uint256 end) = _pageBounds(all.length, _offset, _limit);
+        page = new address[](end - start);
+        for (uint256 i = start; i < end; i++) {
+            page[i - start] = all[i];
+        }
+        total = all.length;
+    }
+
+    function getUserGroupsPage(address _user, uint256 _offset, uint256 _limit) public view returns (bytes32[] memory page, uint256 total) {
+        return _bytes32Page(userGroups[_user], _offset, _limit);
+    }
+
+    function getAllGroupsPage(uint256 _offset, uint256 _limit) public view returns (bytes32[] memory page, uint256 total) {
+        return _bytes32Page(allGroupIds, _offset, _limit);
+    }
+
+    // ============ KEY REGISTRY FUNCTIONS ============
+
+    // Anchor the caller's encryption public key on-chain
+    function setEncryptionKey(string memory _publicKey) public {
+        require(bytes(_publicKey).length > 0, "Public key cannot be empty");
+
+        encryptionKeys[_msgSender()] = _publicKey;
+
+        emit EncryptionKeyPublished(_msgSender(), _publicKey, block.timestamp);
+    }
+
+    // Get the anchored encryption public key for a user (empty if none)
+    function getEncryptionKey(address _user) public view returns (string memory) {
+        return encryptionKeys[_user];
+    }
+
+    // ============ PROFILE REGISTRY FUNCTIONS ============
+
+    // Point the caller's profile at a new IPFS CID (empty clears it)
+    function setProfile(string memory _cid) public {
+        profileCids[_msgSender()] = _cid;
+
+        emit ProfileUpdated(_msgSender(), _cid, block.timestamp);
+    }
+
+    // Get a user's profile CID (empty if none)
+    function getProfile(address _user) public view returns (string memory) {
+        return profileCids[_user];
+    }
+
+    // Profile CIDs for many users at once, e.g. a group's members
+    function getProfiles(address[] memory _users) public view returns (string[] memory) {
+        string[] memory cids = new string[](_users.length);
+        for (uint i = 0; i < _users.length; i++) {
+            cids[i] = profileCids[_users[i]];
+        }
+        return cids;
+    }
+
+    // ============ BATCH ANCHORING FUNCTIONS ============
+
+    // Anchor the Merkle root of a batch of direct messages sent by the caller.
+    // Leaves are keccak256(abi.encode(receiver, messageHash, ipfsHash)); pairs
+    // are hashed in sorted order.
+    function anchorMessageBatch(bytes32 _merkleRoot, uint256 _messageCount, string memory _manifestCid) public {
+        address sender = _actingAccount(SCOPE_DIRECT_MESSAGE);
+        require(_merkleRoot != bytes32(0), "Merkle root cannot be empty");
+        require(_messageCount > 0, "Batch cannot be empty");
+
+        batchCount++;
+        messageBatches[batchCount] = MessageBatch(sender, _merkleRoot, _messageCount, block.timestamp, _manifestCid);
+        userBatches[sender].push(batchCount);
+
+        emit MessageBatchAnchored(batchCount, sender, _merkleRoot, _messageCount, block.timestamp, _manifestCid);
+    }
+
+    // Leaf for a batched message
+    function batchLeaf(address _receiver, bytes32 _messageHash, string memory _ipfsHash) public pure returns (bytes32) {
+        return keccak256(abi.encode(_receiver, _messageHash, _ipfsHash));
+    }
+
+    // Check a message's inclusion proof against an anchored batch root
+    function verifyBatchInclusion(uint256 _batchId, bytes32 _leaf, bytes32[] memory _proof) public view returns (bool) {
+        MessageBatch storage batch = messageBatches[_batchId];
+        require(batch.sender != address(0), "Batch does not exist");
+
+        bytes32 node = _leaf;
+        for (uint i = 0; i < _proof.length; i++) {
+            node = node < _proof[i]
+                ? keccak256(abi.encodePacked(node, _proof[i]))
+                : keccak256(abi.encodePacked(_proof[i], node));
+        }
+        return node == batch.merkleRoot;
+    }
+
+    // Get batch details
+    function getMessageBatch(uint256 _batchId) public view returns (MessageBatch memory) {
+        return messageBatches[_batchId];
+    }
+
+    // Get all batch IDs anchored by a user
+    function getUserBatches(address _user) public view returns (uint256[] memory) {
+        return userBatches[_user];
+    }
+
+    // ============ SESSION KEY FUNCTIONS ============
+
+    // Let a locally generated key send routine chat transactions for the caller
+    // until `_expiresAt`. Any ETH sent along funds the key's gas.
+    // `_keySignature` is the key's personal_sign over
+    // keccak256(abi.encode(owner, key, expiresAt, scope, chainid, this contract)),
+    // so nobody can claim an address they don't hold the key for.
+    function authorizeSessionKey(address _key, uint256 _expiresAt, uint8 _scope, bytes memory _keySignature) public payable {
+        require(_key != address(0) && _key != _msgSender(), "Invalid session key");
+        require(sessionKeys[_msgSender()].owner == address(0), "Session keys cannot authorize keys");
+        require(sessionKeys[_key].owner == address(0) || sessionKeys[_key].owner == _msgSender(), "Session key belongs to another account");
+        require(_expiresAt > block.timestamp, "Expiry must be in the future");
+        require(_expiresAt <= block.timestamp + MAX_SESSION_KEY_DURATION, "Session key lifetime too long");
+        require(_scope != 0 && _scope & ~SCOPE_ALL == 0, "Invalid session key scope");
+        bytes32 grant = keccak256(abi.encode(_msgSender(), _key, _expiresAt, _scope, block.chainid, address(this)));
+        require(_recoverSigner(grant, _keySignature) == _key, "Session key did not sign this grant");
+
+        if (sessionKeys[_key].owner == address(0)) {
+            userSessionKeys[_msgSender()].push(_key);
+        }
+        sessionKeys[_key] = SessionKey(_msgSender(), _expiresAt, _scope);
+
+        emit SessionKeyAuthorized(_msgSender(), _key, _expiresAt, _scope);
+
+        if (msg.value > 0) {
+            (bool sent, ) = payable(_key).call{value: msg.value}("");
+            require(sent, "Funding session key failed");
+        }
+    }
+
+    // Revoke a session key (by its owner, or by the key itself)
+    function revokeSessionKey(address _key) public {
+        SessionKey storage key = sessionKeys[_key];
+        require(key.owner != address(0), "Unknown session key");
+        require(_msgSender() == key.owner || _msgSender() == _key, "Not allowed to revoke this key");
+
+        // Clearing the owner makes the address an ordinary account again
+        address owner = key.owner;
+        key.owner = address(0);
+        key.expiresAt = 0;
+
+        emit SessionKeyRevoked(owner, _key, block.timestamp);
+    }
+
+    // Signer of an eth_sign / personal_sign signature over `_hash` (zero if malformed)
+    function _recoverSigner(bytes32 _hash, bytes memory _signature) internal pure returns (address) {
+        if (_signature.length != 65) return address(0);
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(_signature, 32))
+            s := mload(add(_signature, 64))
+            v := byte(0, mload(add(_signature, 96)))
+        }
+        return ecrecover(keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", _hash)), v, r, s);
+    }
+
+    // Get a session key's grant (owner is zero for unknown or revoked keys)
+    function getSessionKey(address _key) public view returns (SessionKey memory) {
+        return sessionKeys[_key];
+    }
+
+    // Get every session key a user has authorized (including expired/revoked)
+    function getSessionKeys(address _user) public view returns (address[] memory) {
+        return userSessionKeys[_user];
+    }
 }
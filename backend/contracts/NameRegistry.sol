@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.19;
+
+
+// ENS-style names under `.chat`: each wallet can claim one name, which
+// resolves forward (namehash -> address) and in reverse (address -> name).
+// Nodes are ENS namehashes, so `alice.chat` is
+// keccak256(namehash("chat"), keccak256("alice")).
+contract NameRegistry {
+    // namehash("chat")
+    bytes32 public constant ROOT_NODE = keccak256(abi.encodePacked(bytes32(0), keccak256("chat")));
+    uint256 public constant MIN_LABEL_LENGTH = 3;
+    uint256 public constant MAX_LABEL_LENGTH = 32;
+
+    // node => owner, which is also the address the name resolves to
+    mapping(bytes32 => address) private owners;
+    // owner => label (without ".chat")
+    mapping(address => string) private reverseLabels;
+
+    event NameRegistered(bytes32 indexed node, string label, address indexed owner, uint256 timestamp);
+    event NameReleased(bytes32 indexed node, string label, address indexed owner, uint256 timestamp);
+
+    // Node of `<label>.chat`
+    function nodeOf(string memory _label) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(ROOT_NODE, keccak256(bytes(_label))));
+    }
+
+    // Labels are 3-32 characters of a-z, 0-9 and inner hyphens
+    function isValidLabel(string memory _label) public pure returns (bool) {
+        bytes memory b = bytes(_label);
+        if (b.length < MIN_LABEL_LENGTH || b.length > MAX_LABEL_LENGTH) return false;
+        if (b[0] == "-" || b[b.length - 1] == "-") return false;
+        for (uint256 i = 0; i < b.length; i++) {
+            bytes1 c = b[i];
+            bool ok = (c >= "a" && c <= "z") || (c >= "0" && c <= "9") || c == "-";
+            if (!ok) return false;
+        }
+        return true;
+    }
+
+    // Claim `<label>.chat`; a name the caller already holds is released
+    function register(string calldata _label) public {
+        require(isValidLabel(_label), "Invalid name");
+        bytes32 node = nodeOf(_label);
+        require(owners[node] == address(0), "Name already taken");
+
+        _release(msg.sender);
+        owners[node] = msg.sender;
+        reverseLabels[msg.sender] = _label;
+
+        emit NameRegistered(node, _label, msg.sender, block.timestamp);
+    }
+
+    function release() public {
+        require(bytes(reverseLabels[msg.sender]).length > 0, "No name registered");
+        _release(msg.sender);
+    }
+
+    function _release(address _owner) internal {
+        string memory label = reverseLabels[_owner];
+        if (bytes(label).length == 0) return;
+
+        bytes32 node = nodeOf(label);
+        delete owners[node];
+        delete reverseLabels[_owner];
+
+        emit NameReleased(node, label, _owner, block.timestamp);
+    }
+
+    // Forward lookup by node (address(0) if unregistered)
+    function addr(bytes32 _node) public view returns (address) {
+        return owners[_node];
+    }
+
+    // Forward lookup by label
+    function resolve(string calldata _label) public view returns (address) {
+        return owners[nodeOf(_label)];
+    }
+
+    // Reverse lookup: the label `_owner` holds, or "" if none
+    function nameOf(address _owner) public view returns (string memory) {
+        return reverseLabels[_owner];
+    }
+
+    // Reverse lookup for many addresses at once
+    function namesOf(address[] calldata _owners) public view returns (string[] memory) {
+        string[] memory labels = new string[](_owners.length);
+        for (uint256 i = 0; i < _owners.length; i++) {
+            labels[i] = reverseLabels[_owners[i]];
+        }
+        return labels;
+    }
+}
@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.19;
+
+
+// EIP-2771 trusted forwarder: a relayer submits a request the user signed
+// (EIP-712) and pays its gas; the target sees the signer as the caller
+// because the signer's address is appended to the calldata.
+contract TrustedForwarder {
+    struct ForwardRequest {
+        address from;
+        address to;
+        uint256 value;
+        uint256 gas;
+        uint256 nonce;
+        uint256 deadline;  // Unix time after which the request can't be executed
+        bytes data;
+    }
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant REQUEST_TYPEHASH =
+        keccak256("ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint256 deadline,bytes data)");
+
+    string public constant NAME = "ChatForwarder";
+    string public constant VERSION = "1";
+
+    // Next nonce per signer; every executed request uses one
+    mapping(address => uint256) private nonces;
+
+    event RequestExecuted(address indexed from, address indexed to, uint256 nonce, address relayer);
+
+    function getNonce(address _from) public view returns (uint256) {
+        return nonces[_from];
+    }
+
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes(NAME)),
+            keccak256(bytes(VERSION)),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    // Signer of `_req`, or address(0) for a malformed signature
+    function _recoverSigner(ForwardRequest calldata _req, bytes calldata _signature) internal view returns (address) {
+        if (_signature.length != 65) return address(0);
+
+        bytes32 structHash = keccak256(abi.encode(
+            REQUEST_TYPEHASH,
+            _req.from,
+            _req.to,
+            _req.value,
+            _req.gas,
+            _req.nonce,
+            _req.deadline,
+            keccak256(_req.data)
+        ));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        if (v < 27) v += 27;
+        // Reject malleable signatures (upper-half s)
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) return address(0);
+
+        return ecrecover(digest, v, r, s);
+    }
+
+    // Whether `_req` is signed by its `from`, uses the next nonce and has not expired
+    function verify(ForwardRequest calldata _req, bytes calldata _signature) public view returns (bool) {
+        address signer = _recoverSigner(_req, _signature);
+        return signer != address(0)
+            && signer == _req.from
+            && nonces[_req.from] == _req.nonce
+            && (_req.deadline == 0 || block.timestamp <= _req.deadline);
+    }
+
+    // Run a signed request; a reverting call reverts with the target's reason
+    function execute(ForwardRequest calldata _req, bytes calldata _signature) public payable returns (bytes memory) {
+        require(verify(_req, _signature), "Forwarder: invalid signature, nonce or deadline");
+        require(msg.value == _req.value, "Forwarder: value mismatch");
+        nonces[_req.from] = _req.nonce + 1;
+
+        (bool success, bytes memory result) = _req.to.call{gas: _req.gas, value: _req.value}(
+            abi.encodePacked(_req.data, _req.from)
+        );
+
+        // The relayer must not be able to make the call fail by sending too
+        // little gas (EIP-150 passes on at most 63/64 of what is left)
+        if (gasleft() <= _req.gas / 63) {
+            assembly {
+                invalid()
+            }
+        }
+
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+
+        emit RequestExecuted(_req.from, _req.to, _req.nonce, msg.sender);
+        return result;
+    }
+}
@@ -1,5 +1,62 @@
+const fs = require("fs");
+const path = require("path");
 const ChatMetadata = artifacts.require("ChatMetadata");
+const TrustedForwarder = artifacts.require("TrustedForwarder");
+const NameRegistry = artifacts.require("NameRegistry");
 
-module.exports = function(deployer) {
-  deployer.deploy(ChatMetadata);  // No constructor arguments
+// Chains the frontend treats as local development chains (see frontend/src/utils/chains.js)
+const LOCAL_CHAIN_IDS = [1337, 31337];
+
+const FRONTEND_DIR = path.join(__dirname, "..", "..", "frontend");
+const FRONTEND_ABIS = path.join(FRONTEND_DIR, "src", "abis");
+const FRONTEND_LOCAL_ENV = path.join(FRONTEND_DIR, ".env.development.local");
+
+// Set (or replace) KEY=value lines in an env file, keeping everything else
+const upsertEnv = (file, values) => {
+  const lines = fs.existsSync(file) ? fs.readFileSync(file, "utf8").split("\n") : [];
+  const kept = lines.filter(line => line.trim() && !Object.keys(values).some(key => line.startsWith(`${key}=`)));
+  const added = Object.entries(values).map(([key, value]) => `${key}=${value}`);
+  fs.writeFileSync(file, [...kept, ...added].join("\n") + "\n");
+};
+
+// Copy a deployed contract's artifact, with this network's address, into the frontend
+const writeFrontendArtifact = (contract, instance, networkId) => {
+  const artifact = JSON.parse(JSON.stringify(contract._json));
+  artifact.networks = {
+    ...(artifact.networks || {}),
+    [networkId]: { address: instance.address, transactionHash: instance.transactionHash }
+  };
+  fs.writeFileSync(path.join(FRONTEND_ABIS, `${artifact.contractName}.json`), JSON.stringify(artifact, null, 2));
+};
+
+module.exports = async function(deployer, network) {
+  // Meta-transactions (gasless sends through the relayer) go through this forwarder
+  await deployer.deploy(TrustedForwarder);
+  const forwarder = await TrustedForwarder.deployed();
+  await deployer.deploy(ChatMetadata, forwarder.address);
+  // `.chat` names (forward and reverse lookup)
+  await deployer.deploy(NameRegistry);
+  const registry = await NameRegistry.deployed();
+
+  const chainId = Number(await web3.eth.getChainId());
+  // Test runs deploy their own instances; keep `npm start` on the dev deployment
+  if (!LOCAL_CHAIN_IDS.includes(chainId) || network === "test") return;
+
+  // Point `npm start` at this deployment: fresh ABIs plus the addresses for this chain
+  const instance = await ChatMetadata.deployed();
+  const networkId = await web3.eth.net.getId();
+  writeFrontendArtifact(ChatMetadata, instance, networkId);
+  writeFrontendArtifact(TrustedForwarder, forwarder, networkId);
+  writeFrontendArtifact(NameRegistry, registry, networkId);
+
+  upsertEnv(FRONTEND_LOCAL_ENV, {
+    REACT_APP_CHAIN_ID: chainId,
+    [`REACT_APP_CONTRACT_ADDRESS_${chainId}`]: instance.address,
+    [`REACT_APP_FORWARDER_ADDRESS_${chainId}`]: forwarder.address,
+    [`REACT_APP_NAME_REGISTRY_ADDRESS_${chainId}`]: registry.address
+  });
+
+  console.log(`   > Frontend configured for chain ${chainId} (${network}) at ${instance.address}`);
+  console.log(`   > Trusted forwarder for gasless sends at ${forwarder.address}`);
+  console.log(`   > Name registry at ${registry.address}`);
 };
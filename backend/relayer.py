@@ -0,0 +1,228 @@
+"""
+Meta-transaction relayer (EIP-2771).
+
+Takes a ForwardRequest the user signed in the browser (EIP-712) and submits it
+through the TrustedForwarder, paying the gas from the relayer's own account.
+ChatMetadata sees the signer as msg.sender, so messages, friends and groups
+work from a wallet with no ETH.
+
+Configuration (environment):
+  RELAYER_PRIVATE_KEY    key of the funded account that pays for relayed calls
+  RELAYER_RPC_URL        node to submit through (default http://127.0.0.1:8545)
+  FORWARDER_ADDRESS      TrustedForwarder address   } default: the deployment recorded for the
+  CHAT_CONTRACT_ADDRESS  ChatMetadata address       } node's network in frontend/src/abis
+  RELAYER_MAX_GAS        largest per-request gas accepted (default 1,000,000)
+  RELAYER_RATE_LIMIT     requests per signer per minute (default 20)
+  RELAYER_IP_RATE_LIMIT  requests per client IP per minute (default 60)
+  RELAYER_DAILY_BUDGET_ETH  most the relayer spends on gas in any 24h (default 0.5)
+
+Requests are counted per client IP before anything else, then per signer once
+the forwarder has verified the signature, so a forged `from` can't use up
+someone else's allowance.
+"""
+
+import json
+import logging
+import os
+import threading
+import time
+from collections import deque
+from pathlib import Path
+from typing import Dict, Deque, Tuple
+
+from fastapi import APIRouter, HTTPException, Request
+from pydantic import BaseModel
+from web3 import Web3
+from web3.exceptions import ContractLogicError
+
+logger = logging.getLogger(__name__)
+
+router = APIRouter()
+
+# The ABIs the frontend ships with (Truffle's build/ output isn't committed)
+ABI_DIR = Path(__file__).resolve().parent.parent / "frontend" / "src" / "abis"
+RPC_URL = os.getenv("RELAYER_RPC_URL", "http://127.0.0.1:8545")
+MAX_GAS = int(os.getenv("RELAYER_MAX_GAS", "1000000"))
+RATE_LIMIT = int(os.getenv("RELAYER_RATE_LIMIT", "20"))
+IP_RATE_LIMIT = int(os.getenv("RELAYER_IP_RATE_LIMIT", "60"))
+RATE_WINDOW_S = 60
+DAILY_BUDGET_WEI = Web3.to_wei(os.getenv("RELAYER_DAILY_BUDGET_ETH", "0.5"), "ether")
+BUDGET_WINDOW_S = 24 * 60 * 60
+
+
+class RelayRequest(BaseModel):
+    # ForwardRequest as signed in the browser (uint256 fields as decimal strings)
+    request: Dict
+    signature: str
+
+
+def load_artifact(name: str) -> Dict:
+    with open(ABI_DIR / f"{name}.json") as f:
+        return json.load(f)
+
+
+def artifact_address(artifact: Dict, network_id: str) -> str:
+    """Address Truffle recorded for a deployment on the given network."""
+    return (artifact.get("networks") or {}).get(network_id, {}).get("address", "")
+
+
+class Relayer:
+    def __init__(self):
+        private_key = os.getenv("RELAYER_PRIVATE_KEY")
+        if not private_key:
+            raise RuntimeError("RELAYER_PRIVATE_KEY is not set")
+
+        self.w3 = Web3(Web3.HTTPProvider(RPC_URL))
+        network_id = str(self.w3.net.version)
+
+        forwarder_artifact = load_artifact("TrustedForwarder")
+        chat_artifact = load_artifact("ChatMetadata")
+        forwarder_address = os.getenv("FORWARDER_ADDRESS") or artifact_address(forwarder_artifact, network_id)
+        chat_address = os.getenv("CHAT_CONTRACT_ADDRESS") or artifact_address(chat_artifact, network_id)
+        if not forwarder_address or not chat_address:
+            raise RuntimeError(f"FORWARDER_ADDRESS / CHAT_CONTRACT_ADDRESS not set and no deployment for network {network_id} in frontend/src/abis")
+
+        self.account = self.w3.eth.account.from_key(private_key)
+        self.forwarder = self.w3.eth.contract(
+            address=Web3.to_checksum_address(forwarder_address),
+            abi=forwarder_artifact["abi"],
+        )
+        self.chat_address = Web3.to_checksum_address(chat_address)
+        # One submission at a time so relayer nonces don't collide
+        self.lock = threading.Lock()
+
+        logger.info(f"⛽ Relayer {self.account.address} forwarding to {self.chat_address} via {self.forwarder.address}")
+
+    def verify(self, request: Dict, signature: str) -> Tuple[tuple, bytes]:
+        """Check a request against the relay policy and its signature; the
+        returned request's `from` is then the proven signer."""
+        req = (
+            Web3.to_checksum_address(request["from"]),
+            Web3.to_checksum_address(request["to"]),
+            int(request["value"]),
+            int(request["gas"]),
+            int(request["nonce"]),
+            int(request["deadline"]),
+            Web3.to_bytes(hexstr=request["data"]),
+        )
+        sig = Web3.to_bytes(hexstr=signature)
+
+        if req[1] != self.chat_address:
+            raise HTTPException(status_code=400, detail="Only ChatMetadata calls are relayed")
+        if req[2] != 0:
+            raise HTTPException(status_code=400, detail="Relayed calls can't send ETH")
+        if req[3] > MAX_GAS:
+            raise HTTPException(status_code=400, detail=f"Request gas {req[3]} is over the relayer limit of {MAX_GAS}")
+        if not self.forwarder.functions.verify(req, sig).call():
+            raise HTTPException(status_code=400, detail="Invalid signature, nonce or deadline")
+        return req, sig
+
+    def submit(self, req: tuple, sig: bytes) -> str:
+        """Send a verified request, within the gas budget."""
+        with self.lock:
+            call = self.forwarder.functions.execute(req, sig)
+            try:
+                # Runs the target too, so a reverting call is refused without paying for it
+                gas = call.estimate_gas({"from": self.account.address})
+            except ContractLogicError as e:
+                # "execution reverted: <reason>", which the app shows as the failure reason
+                raise HTTPException(status_code=400, detail=getattr(e, "message", None) or str(e))
+
+            tx = call.build_transaction({
+                "from": self.account.address,
+                "nonce": self.w3.eth.get_transaction_count(self.account.address, "pending"),
+                "gas": int(gas * 1.2),
+                "chainId": self.w3.eth.chain_id,
+            })
+            # Charged at the most the transaction can cost
+            charge_budget(tx["gas"] * tx.get("maxFeePerGas", tx.get("gasPrice", 0)))
+            signed = self.account.sign_transaction(tx)
+            raw = getattr(signed, "raw_transaction", None) or signed.rawTransaction
+            tx_hash = self.w3.eth.send_raw_transaction(raw)
+
+        return Web3.to_hex(tx_hash)
+
+
+relayer = None
+relayer_lock = threading.Lock()
+signer_requests: Dict[str, Deque[float]] = {}
+ip_requests: Dict[str, Deque[float]] = {}
+# (time, wei) of every relayed transaction in the last BUDGET_WINDOW_S
+spending: Deque[Tuple[float, int]] = deque()
+last_sweep = 0.0
+
+
+def get_relayer() -> Relayer:
+    global relayer
+    with relayer_lock:
+        if relayer is None:
+            try:
+                relayer = Relayer()
+            except Exception as e:
+                logger.error(f"❌ Relayer unavailable: {e}")
+                raise HTTPException(status_code=503, detail=f"Relayer unavailable: {e}")
+        return relayer
+
+
+def sweep_windows(now: float):
+    """Drop windows with no request in the last minute, so one-off signers and
+    clients don't pile up. Called with relayer_lock held."""
+    global last_sweep
+    if now - last_sweep < RATE_WINDOW_S:
+        return
+    last_sweep = now
+    for windows in (signer_requests, ip_requests):
+        for key in [k for k, window in windows.items() if not window or window[-1] < now - RATE_WINDOW_S]:
+            del windows[key]
+
+
+def check_rate_limit(windows: Dict[str, Deque[float]], key: str, limit: int):
+    now = time.time()
+    with relayer_lock:
+        sweep_windows(now)
+        window = windows.setdefault(key, deque())
+        while window and window[0] < now - RATE_WINDOW_S:
+            window.popleft()
+        if len(window) >= limit:
+            raise HTTPException(status_code=429, detail="Too many relayed requests, try again in a minute")
+        window.append(now)
+
+
+def charge_budget(cost_wei: int):
+    """Record a transaction's cost, refusing it if the 24h budget would be exceeded."""
+    now = time.time()
+    with relayer_lock:
+        while spending and spending[0][0] < now - BUDGET_WINDOW_S:
+            spending.popleft()
+        spent = sum(cost for _, cost in spending)
+        if spent + cost_wei > DAILY_BUDGET_WEI:
+            logger.warning(f"⚠️ Relayer gas budget reached ({Web3.from_wei(spent, 'ether')} ETH in 24h)")
+            raise HTTPException(status_code=503, detail="Relayer has reached its gas budget, try again later")
+        spending.append((now, cost_wei))
+
+
+@router.post("/relay")
+def relay_transaction(req: RelayRequest, http_request: Request):
+    """Submit a signed ForwardRequest through the TrustedForwarder."""
+    client_ip = http_request.client.host if http_request.client else "unknown"
+    check_rate_limit(ip_requests, client_ip, IP_RATE_LIMIT)
+
+    missing = [k for k in ("from", "to", "value", "gas", "nonce", "deadline", "data") if k not in req.request]
+    if missing:
+        raise HTTPException(status_code=400, detail=f"Missing request fields: {', '.join(missing)}")
+
+    signer = str(req.request["from"]).lower()
+    try:
+        active = get_relayer()
+        verified, sig = active.verify(req.request, req.signature)
+        # Only now is `from` known to be the signer
+        check_rate_limit(signer_requests, signer, RATE_LIMIT)
+        tx_hash = active.submit(verified, sig)
+    except HTTPException:
+        raise
+    except Exception as e:
+        logger.error(f"❌ Relay failed for {signer}: {e}")
+        raise HTTPException(status_code=502, detail=f"Relay failed: {e}")
+
+    logger.info(f"⛽ Relayed request from {signer}: {tx_hash}")
+    return {"txHash": tx_hash}
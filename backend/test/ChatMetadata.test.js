@@ -0,0 +1,1090 @@
+const ChatMetadata = artifacts.require("ChatMetadata");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const ZERO_BYTES32 = "0x" + "00".repeat(32);
+const DAY = 24 * 60 * 60;
+
+const hashOf = (text) => web3.utils.keccak256(text);
+
+// Fails unless `promise` reverts with `reason`
+const expectRevert = async (promise, reason) => {
+  try {
+    await promise;
+  } catch (error) {
+    assert.include(error.message, reason, `Expected revert "${reason}", got: ${error.message}`);
+    return;
+  }
+  assert.fail(`Expected revert "${reason}"`);
+};
+
+// The named event emitted by a transaction (asserts there is exactly one)
+const eventOf = (tx, name) => {
+  const logs = tx.logs.filter(log => log.event === name);
+  assert.lengthOf(logs, 1, `Expected one ${name} event`);
+  return logs[0].args;
+};
+
+const strings = (values) => values.map(String);
+
+const latestTimestamp = async () => Number((await web3.eth.getBlock("latest")).timestamp);
+
+const rpc = (method, params = []) => new Promise((resolve, reject) =>
+  web3.currentProvider.send({ jsonrpc: "2.0", id: Date.now(), method, params },
+    (error, response) => (error ? reject(error) : resolve(response.result))));
+
+// groupId returned by createGroup, read from its GroupCreated event
+const createGroup = async (chat, from, name, members, description = "") => {
+  const tx = await chat.createGroup(name, description, members, { from });
+  return eventOf(tx, "GroupCreated").groupId;
+};
+
+// Friend request from `user`, accepted by `friend`
+const befriend = async (chat, user, friend, name = "Friend", reply = "Friend") => {
+  await chat.sendFriendRequest(friend, name, { from: user });
+  return chat.acceptFriendRequest(user, reply, { from: friend });
+};
+
+// A session key's consent to a grant, as authorizeSessionKey checks it
+// (`key` is an unlocked address, or a web3 account with its private key)
+const grantSignature = async (chat, owner, key, expiresAt, scope) => {
+  const grant = web3.utils.keccak256(web3.eth.abi.encodeParameters(
+    ["address", "address", "uint256", "uint8", "uint256", "address"],
+    [owner, key.address || key, expiresAt, scope, await web3.eth.getChainId(), chat.address]
+  ));
+  return key.sign ? key.sign(grant).signature : web3.eth.sign(grant, key);
+};
+
+// Sort-pair Merkle root and proofs, as ChatMetadata.verifyBatchInclusion expects
+const hashPair = (a, b) => web3.utils.soliditySha3(
+  { t: "bytes32", v: a < b ? a : b },
+  { t: "bytes32", v: a < b ? b : a }
+);
+
+contract("ChatMetadata", (accounts) => {
+  const [alice, bob, carol, dave, eve, frank, grace] = accounts;
+  // Stands in for the EIP-2771 forwarder: its calls carry the signer in the last 20 bytes
+  const forwarder = accounts[9];
+  let chat;
+
+  beforeEach(async () => {
+    chat = await ChatMetadata.new(forwarder);
+  });
+
+  describe("deployment", () => {
+    it("records the deployment block and trusted forwarder", async () => {
+      const receipt = await web3.eth.getTransactionReceipt(chat.transactionHash);
+      assert.equal(String(await chat.deploymentBlock()), String(receipt.blockNumber));
+      assert.equal(await chat.trustedForwarder(), forwarder);
+    });
+
+    it("trusts only the configured forwarder", async () => {
+      assert.isTrue(await chat.isTrustedForwarder(forwarder));
+      assert.isFalse(await chat.isTrustedForwarder(alice));
+      assert.isFalse(await chat.isTrustedForwarder(ZERO_ADDRESS));
+
+      const withoutForwarder = await ChatMetadata.new(ZERO_ADDRESS);
+      assert.isFalse(await withoutForwarder.isTrustedForwarder(ZERO_ADDRESS));
+    });
+
+    it("treats the appended address as the caller of forwarded calls", async () => {
+      const data = chat.contract.methods.sendFriendRequest(carol, "Carol").encodeABI();
+      await web3.eth.sendTransaction({ from: forwarder, to: chat.address, data: data + bob.slice(2), gas: 500000 });
+
+      assert.deepEqual(await chat.getOutgoingFriendRequests(bob), [carol]);
+      assert.deepEqual(await chat.getOutgoingFriendRequests(forwarder), []);
+    });
+
+    it("ignores appended addresses from anyone else", async () => {
+      const data = chat.contract.methods.sendFriendRequest(carol, "Carol").encodeABI();
+      await web3.eth.sendTransaction({ from: alice, to: chat.address, data: data + bob.slice(2), gas: 500000 });
+
+      assert.deepEqual(await chat.getOutgoingFriendRequests(alice), [carol]);
+      assert.deepEqual(await chat.getOutgoingFriendRequests(bob), []);
+    });
+  });
+
+  describe("direct messages", () => {
+    it("stores metadata and indexes it for both parties", async () => {
+      const tx = await chat.storeMetadata(bob, hashOf("hi"), "QmHi", { from: alice });
+
+      const event = eventOf(tx, "MetadataStored");
+      assert.equal(String(event.id), "1");
+      assert.equal(event.sender, alice);
+      assert.equal(event.receiver, bob);
+      assert.equal(event.messageHash, hashOf("hi"));
+      assert.equal(event.ipfsHash, "QmHi");
+
+      const meta = await chat.getMetadata(1);
+      assert.equal(meta.sender, alice);
+      assert.equal(meta.receiver, bob);
+      assert.equal(meta.messageHash, hashOf("hi"));
+      assert.equal(meta.ipfsHash, "QmHi");
+      assert.equal(String(meta.timestamp), String(await latestTimestamp()));
+
+      assert.equal(String(await chat.messageCount()), "1");
+      assert.deepEqual(strings(await chat.getMessagesBetweenUsers(alice, bob)), ["1"]);
+      assert.deepEqual(strings(await chat.getMessagesBetweenUsers(bob, alice)), ["1"]);
+      assert.equal(String(await chat.getMessageCount(bob, alice)), "1");
+    });
+
+    it("keeps each conversation's IDs in order and separate", async () => {
+      await chat.storeMetadata(bob, hashOf("1"), "Qm1", { from: alice });
+      await chat.storeMetadata(carol, hashOf("2"), "Qm2", { from: alice });
+      await chat.storeMetadata(alice, hashOf("3"), "Qm3", { from: bob });
+
+      assert.deepEqual(strings(await chat.getMessagesBetweenUsers(alice, bob)), ["1", "3"]);
+      assert.deepEqual(strings(await chat.getMessagesBetweenUsers(bob, alice)), ["1", "3"]);
+      assert.deepEqual(strings(await chat.getMessagesBetweenUsers(carol, alice)), ["2"]);
+      assert.deepEqual(strings(await chat.getMessagesBetweenUsers(bob, carol)), []);
+      assert.equal(String(await chat.getMessageCount(alice, carol)), "1");
+    });
+
+    it("returns an empty record for unknown message IDs", async () => {
+      const meta = await chat.getMetadata(42);
+      assert.equal(meta.sender, ZERO_ADDRESS);
+      assert.equal(meta.ipfsHash, "");
+    });
+  });
+
+  describe("friend requests", () => {
+    it("records a pending request for both sides without befriending anyone", async () => {
+      const tx = await chat.sendFriendRequest(bob, "Bob", { from: alice });
+
+      const event = eventOf(tx, "FriendRequestSent");
+      assert.equal(event.from, alice);
+      assert.equal(event.to, bob);
+
+      const request = await chat.getFriendRequest(alice, bob);
+      assert.equal(request.from, alice);
+      assert.equal(request.to, bob);
+      assert.equal(request.name, "Bob");
+      assert.isTrue(request.exists);
+      assert.equal(String(request.createdAt), String(await latestTimestamp()));
+
+      assert.deepEqual(await chat.getOutgoingFriendRequests(alice), [bob]);
+      assert.deepEqual(await chat.getIncomingFriendRequests(bob), [alice]);
+      assert.deepEqual(await chat.getFriends(alice), []);
+      assert.deepEqual(await chat.getFriends(bob), []);
+      assert.isFalse((await chat.getFriend(alice, bob)).exists);
+    });
+
+    it("befriends both sides on acceptance, each with their own name for the other", async () => {
+      await chat.sendFriendRequest(bob, "Bob", { from: alice });
+      const tx = await chat.acceptFriendRequest(alice, "Alice", { from: bob });
+
+      const accepted = eventOf(tx, "FriendRequestAccepted");
+      assert.equal(accepted.from, alice);
+      assert.equal(accepted.to, bob);
+      const added = tx.logs.filter(log => log.event === "FriendAdded").map(log => [log.args.user, log.args.friendAddress, log.args.name]);
+      assert.deepEqual(added, [[alice, bob, "Bob"], [bob, alice, "Alice"]]);
+
+      assert.deepEqual(await chat.getFriends(alice), [bob]);
+      assert.deepEqual(await chat.getFriends(bob), [alice]);
+      assert.equal((await chat.getFriend(alice, bob)).name, "Bob");
+      assert.equal((await chat.getFriend(bob, alice)).name, "Alice");
+      assert.equal(String((await chat.getFriend(bob, alice)).addedAt), String(await latestTimestamp()));
+
+      assert.isFalse((await chat.getFriendRequest(alice, bob)).exists);
+      assert.deepEqual(await chat.getOutgoingFriendRequests(alice), []);
+      assert.deepEqual(await chat.getIncomingFriendRequests(bob), []);
+    });
+
+    it("clears a declined request and lets it be sent again", async () => {
+      await chat.sendFriendRequest(bob, "Bob", { from: alice });
+      const tx = await chat.declineFriendRequest(alice, { from: bob });
+
+      const event = eventOf(tx, "FriendRequestDeclined");
+      assert.equal(event.from, alice);
+      assert.equal(event.to, bob);
+      assert.isFalse((await chat.getFriendRequest(alice, bob)).exists);
+      assert.deepEqual(await chat.getIncomingFriendRequests(bob), []);
+      assert.deepEqual(await chat.getFriends(bob), []);
+
+      await chat.sendFriendRequest(bob, "Bob", { from: alice });
+      assert.deepEqual(await chat.getIncomingFriendRequests(bob), [alice]);
+    });
+
+    it("clears a cancelled request", async () => {
+      await chat.sendFriendRequest(bob, "Bob", { from: alice });
+      const tx = await chat.cancelFriendRequest(bob, { from: alice });
+
+      const event = eventOf(tx, "FriendRequestCancelled");
+      assert.equal(event.from, alice);
+      assert.equal(event.to, bob);
+      assert.deepEqual(await chat.getOutgoingFriendRequests(alice), []);
+      assert.deepEqual(await chat.getIncomingFriendRequests(bob), []);
+      await expectRevert(chat.acceptFriendRequest(alice, "Alice", { from: bob }), "No pending friend request");
+    });
+
+    it("keeps the other pending requests when one is answered", async () => {
+      await chat.sendFriendRequest(dave, "Dave", { from: alice });
+      await chat.sendFriendRequest(dave, "Dave", { from: bob });
+      await chat.sendFriendRequest(dave, "Dave", { from: carol });
+      await chat.sendFriendRequest(carol, "Carol", { from: alice });
+
+      await chat.acceptFriendRequest(alice, "Alice", { from: dave });
+      assert.deepEqual(await chat.getIncomingFriendRequests(dave), [carol, bob]);
+      assert.deepEqual(await chat.getOutgoingFriendRequests(alice), [carol]);
+
+      await chat.declineFriendRequest(bob, { from: dave });
+      assert.deepEqual(await chat.getIncomingFriendRequests(dave), [carol]);
+    });
+
+    it("rejects invalid requests", async () => {
+      await expectRevert(chat.sendFriendRequest(ZERO_ADDRESS, "Nobody", { from: alice }), "Invalid friend address");
+      await expectRevert(chat.sendFriendRequest(alice, "Me", { from: alice }), "Cannot add yourself as friend");
+      await expectRevert(chat.sendFriendRequest(bob, "", { from: alice }), "Name cannot be empty");
+
+      await chat.sendFriendRequest(bob, "Bob", { from: alice });
+      await expectRevert(chat.sendFriendRequest(bob, "Bob again", { from: alice }), "Friend request already sent");
+      await expectRevert(chat.sendFriendRequest(alice, "Alice", { from: bob }), "They already sent you a friend request");
+
+      await chat.acceptFriendRequest(alice, "Alice", { from: bob });
+      await expectRevert(chat.sendFriendRequest(bob, "Bob", { from: alice }), "Friend already exists");
+      await expectRevert(chat.sendFriendRequest(alice, "Alice", { from: bob }), "Friend already exists");
+    });
+
+    it("only lets the recipient answer and the sender cancel", async () => {
+      await chat.sendFriendRequest(bob, "Bob", { from: alice });
+
+      await expectRevert(chat.acceptFriendRequest(alice, "Alice", { from: carol }), "No pending friend request");
+      await expectRevert(chat.acceptFriendRequest(bob, "Bob", { from: alice }), "No pending friend request");
+      await expectRevert(chat.acceptFriendRequest(alice, "", { from: bob }), "Name cannot be empty");
+      await expectRevert(chat.declineFriendRequest(alice, { from: carol }), "No pending friend request");
+      await expectRevert(chat.declineFriendRequest(bob, { from: alice }), "No pending friend request");
+      await expectRevert(chat.cancelFriendRequest(alice, { from: bob }), "No pending friend request");
+      await expectRevert(chat.cancelFriendRequest(carol, { from: alice }), "No pending friend request");
+    });
+  });
+
+  describe("friends", () => {
+    it("keeps friends in the order they were accepted", async () => {
+      await befriend(chat, alice, bob);
+      await befriend(chat, carol, alice);
+      await befriend(chat, alice, dave);
+
+      assert.deepEqual(await chat.getFriends(alice), [bob, carol, dave]);
+      assert.equal(String(await chat.getFriendCount(alice)), "3");
+    });
+
+    it("ends the friendship for both sides", async () => {
+      await befriend(chat, alice, bob);
+
+      const tx = await chat.removeFriend(alice, { from: bob });
+      const removed = tx.logs.filter(log => log.event === "FriendRemoved").map(log => [log.args.user, log.args.friendAddress]);
+      assert.deepEqual(removed, [[bob, alice], [alice, bob]]);
+
+      assert.deepEqual(await chat.getFriends(alice), []);
+      assert.deepEqual(await chat.getFriends(bob), []);
+      assert.isFalse((await chat.getFriend(alice, bob)).exists);
+      assert.isFalse((await chat.getFriend(bob, alice)).exists);
+    });
+
+    it("removes a friend by moving the last one into its slot", async () => {
+      await befriend(chat, alice, bob);
+      await befriend(chat, alice, carol);
+      await befriend(chat, alice, dave);
+
+      await chat.removeFriend(bob, { from: alice });
+      assert.deepEqual(await chat.getFriends(alice), [dave, carol]);
+      assert.equal(String(await chat.getFriendCount(alice)), "2");
+
+      await chat.removeFriend(carol, { from: alice });
+      assert.deepEqual(await chat.getFriends(alice), [dave]);
+      assert.deepEqual(await chat.getFriends(carol), []);
+      assert.deepEqual(await chat.getFriends(dave), [alice]);
+    });
+
+    it("removes the last friend without disturbing the others", async () => {
+      await befriend(chat, alice, bob);
+      await befriend(chat, alice, carol);
+
+      await chat.removeFriend(carol, { from: alice });
+      assert.deepEqual(await chat.getFriends(alice), [bob]);
+    });
+
+    it("needs a new request to befriend someone again", async () => {
+      await befriend(chat, alice, bob);
+      await befriend(chat, alice, carol);
+      await chat.removeFriend(bob, { from: alice });
+
+      await chat.sendFriendRequest(alice, "Alice again", { from: bob });
+      assert.deepEqual(await chat.getFriends(alice), [carol]);
+
+      await chat.acceptFriendRequest(bob, "Bobby", { from: alice });
+      assert.deepEqual(await chat.getFriends(alice), [carol, bob]);
+      assert.equal((await chat.getFriend(alice, bob)).name, "Bobby");
+      assert.equal((await chat.getFriend(bob, alice)).name, "Alice again");
+    });
+
+    it("rejects removing someone who isn't a friend", async () => {
+      await expectRevert(chat.removeFriend(bob, { from: alice }), "Friend does not exist");
+
+      await chat.sendFriendRequest(bob, "Bob", { from: alice });
+      await expectRevert(chat.removeFriend(bob, { from: alice }), "Friend does not exist");
+
+      await chat.acceptFriendRequest(alice, "Alice", { from: bob });
+      await chat.removeFriend(bob, { from: alice });
+      await expectRevert(chat.removeFriend(bob, { from: alice }), "Friend does not exist");
+      await expectRevert(chat.removeFriend(alice, { from: bob }), "Friend does not exist");
+    });
+  });
+
+  describe("groups", () => {
+    it("creates a group with the creator first and emits events", async () => {
+      const tx = await chat.createGroup("Team", "Our team", [bob, carol], { from: alice });
+
+      const created = eventOf(tx, "GroupCreated");
+      assert.equal(created.name, "Team");
+      assert.equal(created.creator, alice);
+      const added = tx.logs.filter(log => log.event === "MemberAdded").map(log => log.args.member);
+      assert.deepEqual(added, [bob, carol]);
+
+      const group = await chat.getGroup(created.groupId);
+      assert.equal(group.name, "Team");
+      assert.equal(group.description, "Our team");
+      assert.deepEqual(group.members, [alice, bob, carol]);
+      assert.equal(String(group.createdAt), String(await latestTimestamp()));
+
+      assert.deepEqual(await chat.getAllGroups(), [created.groupId]);
+      for (const member of [alice, bob, carol]) {
+        assert.isTrue(await chat.isGroupMember(created.groupId, member));
+        assert.deepEqual(await chat.getUserGroups(member), [created.groupId]);
+      }
+      assert.isFalse(await chat.isGroupMember(created.groupId, dave));
+    });
+
+    it("drops duplicate, zero and creator entries from the member list", async () => {
+      const groupId = await createGroup(chat, alice, "Dupes", [bob, alice, bob, ZERO_ADDRESS, carol, carol]);
+
+      const group = await chat.getGroup(groupId);
+      assert.deepEqual(group.members, [alice, bob, carol]);
+      assert.deepEqual(await chat.getUserGroups(bob), [groupId]);
+      assert.deepEqual(await chat.getUserGroups(alice), [groupId]);
+    });
+
+    it("gives every group its own ID", async () => {
+      const first = await createGroup(chat, alice, "Team", [bob]);
+      const second = await createGroup(chat, alice, "Other", [bob]);
+
+      assert.notEqual(first, second);
+      assert.deepEqual(await chat.getAllGroups(), [first, second]);
+      assert.deepEqual(await chat.getUserGroups(bob), [first, second]);
+    });
+
+    it("rejects invalid groups", async () => {
+      await expectRevert(chat.createGroup("", "", [bob], { from: alice }), "Group name cannot be empty");
+      await expectRevert(chat.createGroup("Empty", "", [], { from: alice }), "Group must have at least one member");
+    });
+
+    it("rejects a second group with the same name, creator and timestamp", async () => {
+      const call = { from: alice, to: chat.address, data: chat.contract.methods.createGroup("Twin", "", [bob]).encodeABI() };
+      const send = () => web3.eth.sendTransaction({ ...call, gas: 1000000 });
+
+      // Mine both in one block so they share block.timestamp
+      await rpc("miner_stop");
+      const first = send();
+      const second = send().then(() => "mined", error => error);
+      await new Promise(resolve => setTimeout(resolve, 500));
+      await rpc("miner_start");
+
+      await first;
+      const outcome = await second;
+      assert.instanceOf(outcome, Error, "Second group should have reverted");
+      const receipt = await web3.eth.getTransactionReceipt(outcome.receipt.transactionHash);
+      assert.isFalse(receipt.status);
+      assert.lengthOf(await chat.getAllGroups(), 1);
+
+      // The reason: the same call in that block, now that the first group exists
+      await expectRevert(web3.eth.call(call, receipt.blockNumber), "Group ID collision");
+    });
+
+    it("lets admins add members", async () => {
+      const groupId = await createGroup(chat, alice, "Team", [bob]);
+      await chat.voteForAdmin(groupId, bob, { from: alice });
+      await chat.voteForAdmin(groupId, bob, { from: bob });
+
+      const tx = await chat.addGroupMember(groupId, carol, { from: bob });
+      const event = eventOf(tx, "MemberAdded");
+      assert.equal(event.member, carol);
+      assert.equal(event.addedBy, bob);
+
+      assert.deepEqual((await chat.getGroup(groupId)).members, [alice, bob, carol]);
+      assert.isTrue(await chat.isGroupMember(groupId, carol));
+      assert.deepEqual(await chat.getUserGroups(carol), [groupId]);
+    });
+
+    it("rejects invalid member additions", async () => {
+      const groupId = await createGroup(chat, alice, "Team", [bob]);
+
+      await expectRevert(chat.addGroupMember(hashOf("missing"), carol, { from: alice }), "Group does not exist");
+      await expectRevert(chat.addGroupMember(groupId, dave, { from: carol }), "Only admins can do this");
+      // Being a member isn't enough
+      await expectRevert(chat.addGroupMember(groupId, dave, { from: alice }), "Only admins can do this");
+
+      await chat.voteForAdmin(groupId, alice, { from: alice });
+      await chat.voteForAdmin(groupId, alice, { from: bob });
+      await expectRevert(chat.addGroupMember(groupId, ZERO_ADDRESS, { from: alice }), "Invalid member address");
+      await expectRevert(chat.addGroupMember(groupId, bob, { from: alice }), "Already a member");
+    });
+
+    it("compacts the member and group lists when someone leaves", async () => {
+      const groupId = await createGroup(chat, alice, "Team", [bob, carol, dave]);
+      const otherId = await createGroup(chat, carol, "Other", [bob]);
+      const thirdId = await createGroup(chat, dave, "Third", [bob]);
+
+      const tx = await chat.leaveGroup(groupId, { from: bob });
+      const event = eventOf(tx, "MemberRemoved");
+      assert.equal(event.groupId, groupId);
+      assert.equal(event.member, bob);
+
+      // The last member moves into bob's slot
+      assert.deepEqual((await chat.getGroup(groupId)).members, [alice, dave, carol]);
+      assert.isFalse(await chat.isGroupMember(groupId, bob));
+      assert.deepEqual(await chat.getUserGroups(bob), [thirdId, otherId]);
+
+      await chat.leaveGroup(groupId, { from: carol });
+      assert.deepEqual((await chat.getGroup(groupId)).members, [alice, dave]);
+      assert.deepEqual(await chat.getUserGroups(carol), [otherId]);
+    });
+
+    it("keeps an emptied group readable, with nobody left to add members", async () => {
+      const groupId = await createGroup(chat, alice, "Team", [bob]);
+      await chat.leaveGroup(groupId, { from: alice });
+      await chat.leaveGroup(groupId, { from: bob });
+
+      assert.deepEqual((await chat.getGroup(groupId)).members, []);
+      assert.deepEqual(await chat.getAllGroups(), [groupId]);
+
+      await expectRevert(chat.addGroupMember(groupId, alice, { from: bob }), "Only admins can do this");
+    });
+
+    it("rejects leaving a group you aren't in", async () => {
+      const groupId = await createGroup(chat, alice, "Team", [bob]);
+
+      await expectRevert(chat.leaveGroup(hashOf("missing"), { from: alice }), "Group does not exist");
+      await expectRevert(chat.leaveGroup(groupId, { from: carol }), "Not a member");
+
+      await chat.leaveGroup(groupId, { from: bob });
+      await expectRevert(chat.leaveGroup(groupId, { from: bob }), "Not a member");
+    });
+
+    it("rejects reading groups that don't exist", async () => {
+      const missing = hashOf("missing");
+      await expectRevert(chat.getGroup(missing), "Group does not exist");
+      await expectRevert(chat.getGroupMessages(missing), "Group does not exist");
+      await expectRevert(chat.getGroupMessagesPage(missing, 0, 10), "Group does not exist");
+      await expectRevert(chat.getLatestGroupMessages(missing, 10), "Group does not exist");
+    });
+  });
+
+  describe("admin votes", () => {
+    let groupId;
+
+    beforeEach(async () => {
+      groupId = await createGroup(chat, alice, "Team", [bob, carol]);
+    });
+
+    it("tallies votes per candidate", async () => {
+      const tx = await chat.voteForAdmin(groupId, bob, { from: alice });
+      const event = eventOf(tx, "AdminVoteCast");
+      assert.equal(event.admin, bob);
+      assert.equal(event.voter, alice);
+      assert.equal(String(event.totalVotes), "1");
+
+      await chat.voteForAdmin(groupId, bob, { from: carol });
+      await chat.voteForAdmin(groupId, carol, { from: bob });
+
+      assert.equal(String(await chat.getAdminVotes(groupId, bob)), "2");
+      assert.equal(String(await chat.getAdminVotes(groupId, carol)), "1");
+      assert.equal(String(await chat.getAdminVotes(groupId, alice)), "0");
+    });
+
+    it("rejects votes from or for non-members", async () => {
+      await expectRevert(chat.voteForAdmin(hashOf("missing"), bob, { from: alice }), "Group does not exist");
+      await expectRevert(chat.voteForAdmin(groupId, bob, { from: dave }), "Only members can vote");
+      await expectRevert(chat.voteForAdmin(groupId, dave, { from: alice }), "Admin must be a member");
+
+      await chat.leaveGroup(groupId, { from: carol });
+      await expectRevert(chat.voteForAdmin(groupId, carol, { from: alice }), "Admin must be a member");
+    });
+
+    it("gives each member one vote, which moves when they vote again", async () => {
+      await chat.voteForAdmin(groupId, bob, { from: alice });
+      await expectRevert(chat.voteForAdmin(groupId, bob, { from: alice }), "Already voted for this member");
+
+      const tx = await chat.voteForAdmin(groupId, carol, { from: alice });
+      assert.equal(String(eventOf(tx, "AdminVoteCast").totalVotes), "1");
+
+      assert.equal(String(await chat.getAdminVotes(groupId, bob)), "0");
+      assert.equal(String(await chat.getAdminVotes(groupId, carol)), "1");
+      assert.equal(await chat.getAdminVote(groupId, alice), carol);
+      assert.equal(await chat.getAdminVote(groupId, bob), ZERO_ADDRESS);
+    });
+
+    it("makes every member backed by a third of the group, and at least two votes, an admin", async () => {
+      await chat.voteForAdmin(groupId, bob, { from: alice });
+      assert.isFalse(await chat.isGroupAdmin(groupId, bob));
+
+      await chat.voteForAdmin(groupId, bob, { from: bob });
+      assert.isTrue(await chat.isGroupAdmin(groupId, bob));
+      assert.isFalse(await chat.isGroupAdmin(groupId, alice));
+
+      const standings = await chat.getAdminStandings(groupId);
+      assert.deepEqual(standings.members, [alice, bob, carol]);
+      assert.deepEqual(strings(standings.votes), ["0", "2", "0"]);
+      assert.equal(String(standings.threshold), "2");
+
+      // A second admin alongside the first
+      await chat.addGroupMember(groupId, dave, { from: bob });
+      await chat.voteForAdmin(groupId, carol, { from: carol });
+      await chat.voteForAdmin(groupId, carol, { from: dave });
+      assert.isTrue(await chat.isGroupAdmin(groupId, bob));
+      assert.isTrue(await chat.isGroupAdmin(groupId, carol));
+
+      // Seven members raise the bar to three votes
+      for (const member of [eve, frank, grace]) {
+        await chat.addGroupMember(groupId, member, { from: bob });
+      }
+      assert.equal(String((await chat.getAdminStandings(groupId)).threshold), "3");
+      assert.isFalse(await chat.isGroupAdmin(groupId, bob));
+
+      // Moving a vote away unseats an admin
+      await chat.voteForAdmin(groupId, bob, { from: eve });
+      assert.isTrue(await chat.isGroupAdmin(groupId, bob));
+      await chat.voteForAdmin(groupId, carol, { from: eve });
+      assert.isFalse(await chat.isGroupAdmin(groupId, bob));
+    });
+
+    it("lets a lone member run their group", async () => {
+      const soloId = await createGroup(chat, alice, "Solo", [alice]);
+      assert.equal(String((await chat.getAdminStandings(soloId)).threshold), "1");
+
+      await chat.voteForAdmin(soloId, alice, { from: alice });
+      assert.isTrue(await chat.isGroupAdmin(soloId, alice));
+      await chat.addGroupMember(soloId, bob, { from: alice });
+
+      // Nobody keeps the role on their own vote
+      assert.isFalse(await chat.isGroupAdmin(soloId, alice));
+    });
+
+    it("lets members withdraw their vote to de-elect an admin", async () => {
+      await chat.voteForAdmin(groupId, bob, { from: alice });
+      await chat.voteForAdmin(groupId, bob, { from: bob });
+      assert.isTrue(await chat.isGroupAdmin(groupId, bob));
+
+      const tx = await chat.withdrawAdminVote(groupId, { from: alice });
+      const event = eventOf(tx, "AdminVoteWithdrawn");
+      assert.equal(event.admin, bob);
+      assert.equal(event.voter, alice);
+      assert.equal(String(event.totalVotes), "1");
+
+      assert.isFalse(await chat.isGroupAdmin(groupId, bob));
+      assert.equal(await chat.getAdminVote(groupId, alice), ZERO_ADDRESS);
+      assert.equal(String(await chat.getAdminVotes(groupId, bob)), "1");
+
+      await expectRevert(chat.withdrawAdminVote(groupId, { from: alice }), "No vote to withdraw");
+      await expectRevert(chat.withdrawAdminVote(groupId, { from: dave }), "No vote to withdraw");
+      await expectRevert(chat.withdrawAdminVote(hashOf("missing"), { from: alice }), "Group does not exist");
+
+      // and can vote again
+      await chat.voteForAdmin(groupId, bob, { from: alice });
+      assert.isTrue(await chat.isGroupAdmin(groupId, bob));
+    });
+
+    it("withdraws the ballots of and for members who leave", async () => {
+      await chat.voteForAdmin(groupId, bob, { from: carol });
+      await chat.voteForAdmin(groupId, carol, { from: alice });
+      await chat.leaveGroup(groupId, { from: carol });
+
+      assert.equal(String(await chat.getAdminVotes(groupId, bob)), "0");
+      assert.equal(String(await chat.getAdminVotes(groupId, carol)), "0");
+      assert.equal(await chat.getAdminVote(groupId, alice), ZERO_ADDRESS);
+      assert.equal(await chat.getAdminVote(groupId, carol), ZERO_ADDRESS);
+
+      // alice's ballot is free again
+      await chat.voteForAdmin(groupId, bob, { from: alice });
+      assert.equal(String(await chat.getAdminVotes(groupId, bob)), "1");
+    });
+
+    it("rejects standings for groups that don't exist", async () => {
+      await expectRevert(chat.getAdminStandings(hashOf("missing")), "Group does not exist");
+    });
+  });
+
+  describe("admin powers", () => {
+    let groupId;
+
+    // bob is elected by alice's and bob's votes, out of three members
+    beforeEach(async () => {
+      groupId = await createGroup(chat, alice, "Team", [bob, carol]);
+      await chat.voteForAdmin(groupId, bob, { from: alice });
+      await chat.voteForAdmin(groupId, bob, { from: bob });
+    });
+
+    it("lets admins remove members", async () => {
+      const tx = await chat.removeGroupMember(groupId, carol, { from: bob });
+      const event = eventOf(tx, "MemberRemoved");
+      assert.equal(event.groupId, groupId);
+      assert.equal(event.member, carol);
+
+      assert.deepEqual((await chat.getGroup(groupId)).members, [alice, bob]);
+      assert.isFalse(await chat.isGroupMember(groupId, carol));
+      assert.deepEqual(await chat.getUserGroups(carol), []);
+    });
+
+    it("rejects removals by non-admins and of admins", async () => {
+      await expectRevert(chat.removeGroupMember(hashOf("missing"), carol, { from: bob }), "Group does not exist");
+      await expectRevert(chat.removeGroupMember(groupId, bob, { from: alice }), "Only admins can do this");
+      await expectRevert(chat.removeGroupMember(groupId, dave, { from: bob }), "Not a member");
+      await expectRevert(chat.removeGroupMember(groupId, bob, { from: bob }), "Cannot remove an admin");
+    });
+
+    it("lets admins edit the group", async () => {
+      const tx = await chat.updateGroup(groupId, "Renamed", "New description", { from: bob });
+      const event = eventOf(tx, "GroupUpdated");
+      assert.equal(event.groupId, groupId);
+      assert.equal(event.name, "Renamed");
+      assert.equal(event.updatedBy, bob);
+
+      const group = await chat.getGroup(groupId);
+      assert.equal(group.name, "Renamed");
+      assert.equal(group.description, "New description");
+
+      await expectRevert(chat.updateGroup(groupId, "", "x", { from: bob }), "Group name cannot be empty");
+      await expectRevert(chat.updateGroup(groupId, "Mine", "x", { from: carol }), "Only admins can do this");
+    });
+
+    it("lets admins approve join requests", async () => {
+      const requested = await chat.requestToJoinGroup(groupId, { from: dave });
+      assert.equal(eventOf(requested, "JoinRequested").user, dave);
+      assert.deepEqual(await chat.getJoinRequests(groupId), [dave]);
+
+      await expectRevert(chat.approveJoinRequest(groupId, dave, { from: carol }), "Only admins can do this");
+
+      const tx = await chat.approveJoinRequest(groupId, dave, { from: bob });
+      const answered = eventOf(tx, "JoinRequestAnswered");
+      assert.equal(answered.user, dave);
+      assert.equal(answered.admin, bob);
+      assert.isTrue(answered.approved);
+      assert.equal(eventOf(tx, "MemberAdded").addedBy, bob);
+
+      assert.isTrue(await chat.isGroupMember(groupId, dave));
+      assert.deepEqual(await chat.getJoinRequests(groupId), []);
+    });
+
+    it("lets admins decline join requests", async () => {
+      await chat.requestToJoinGroup(groupId, { from: dave });
+      await chat.requestToJoinGroup(groupId, { from: eve });
+
+      const tx = await chat.declineJoinRequest(groupId, dave, { from: bob });
+      assert.isFalse(eventOf(tx, "JoinRequestAnswered").approved);
+      assert.isFalse(await chat.isGroupMember(groupId, dave));
+      assert.deepEqual(await chat.getJoinRequests(groupId), [eve]);
+
+      // Declined users may ask again
+      await chat.requestToJoinGroup(groupId, { from: dave });
+      assert.deepEqual(await chat.getJoinRequests(groupId), [eve, dave]);
+    });
+
+    it("doesn't let plain members pack the election with new members", async () => {
+      // carol can't bring in accounts to vote for them, so can't take over and remove alice
+      await expectRevert(chat.addGroupMember(groupId, dave, { from: carol }), "Only admins can do this");
+      await expectRevert(chat.addGroupMember(groupId, eve, { from: carol }), "Only admins can do this");
+      await chat.voteForAdmin(groupId, carol, { from: carol });
+      assert.isFalse(await chat.isGroupAdmin(groupId, carol));
+      await expectRevert(chat.removeGroupMember(groupId, alice, { from: carol }), "Only admins can do this");
+
+      const tx = await chat.addGroupMember(groupId, dave, { from: bob });
+      assert.equal(eventOf(tx, "MemberAdded").addedBy, bob);
+    });
+
+    it("settles a join request when the user is added directly", async () => {
+      await chat.requestToJoinGroup(groupId, { from: dave });
+      await chat.addGroupMember(groupId, dave, { from: bob });
+      assert.deepEqual(await chat.getJoinRequests(groupId), []);
+
+      // Nothing left to approve, so dave can't be listed twice
+      await expectRevert(chat.approveJoinRequest(groupId, dave, { from: bob }), "Already a member");
+      assert.deepEqual((await chat.getGroup(groupId)).members, [alice, bob, carol, dave]);
+
+      await chat.leaveGroup(groupId, { from: dave });
+      assert.deepEqual((await chat.getGroup(groupId)).members, [alice, bob, carol]);
+      assert.equal(String((await chat.getAdminStandings(groupId)).threshold), "2");
+
+      // and can ask again after leaving
+      await chat.requestToJoinGroup(groupId, { from: dave });
+      assert.deepEqual(await chat.getJoinRequests(groupId), [dave]);
+    });
+
+    it("rejects invalid join requests and answers", async () => {
+      await expectRevert(chat.requestToJoinGroup(hashOf("missing"), { from: dave }), "Group does not exist");
+      await expectRevert(chat.requestToJoinGroup(groupId, { from: carol }), "Already a member");
+
+      await chat.requestToJoinGroup(groupId, { from: dave });
+      await expectRevert(chat.requestToJoinGroup(groupId, { from: dave }), "Join request already sent");
+
+      await expectRevert(chat.approveJoinRequest(groupId, eve, { from: bob }), "No pending join request");
+      await expectRevert(chat.declineJoinRequest(groupId, eve, { from: bob }), "No pending join request");
+    });
+  });
+
+  describe("group messages", () => {
+    let groupId;
+
+    beforeEach(async () => {
+      groupId = await createGroup(chat, alice, "Team", [bob]);
+    });
+
+    it("stores messages from members", async () => {
+      const tx = await chat.sendGroupMessage(groupId, hashOf("hello"), "QmHello", { from: bob });
+
+      const event = eventOf(tx, "GroupMessageSent");
+      assert.equal(event.groupId, groupId);
+      assert.equal(String(event.messageId), "1");
+      assert.equal(event.sender, bob);
+
+      const message = await chat.getGroupMessage(1);
+      assert.equal(message.groupId, groupId);
+      assert.equal(message.sender, bob);
+      assert.equal(message.messageHash, hashOf("hello"));
+      assert.equal(message.ipfsHash, "QmHello");
+
+      await chat.sendGroupMessage(groupId, hashOf("again"), "QmAgain", { from: alice });
+      assert.deepEqual(strings(await chat.getGroupMessages(groupId)), ["1", "2"]);
+      assert.equal(String(await chat.groupMessageCount()), "2");
+    });
+
+    it("only lets current members send", async () => {
+      await expectRevert(chat.sendGroupMessage(hashOf("missing"), hashOf("x"), "Qm", { from: alice }), "Group does not exist");
+      await expectRevert(chat.sendGroupMessage(groupId, hashOf("x"), "Qm", { from: carol }), "Only members can send messages");
+
+      await chat.leaveGroup(groupId, { from: bob });
+      await expectRevert(chat.sendGroupMessage(groupId, hashOf("x"), "Qm", { from: bob }), "Only members can send messages");
+    });
+  });
+
+  describe("pagination", () => {
+    it("pages direct messages oldest first and the latest newest first", async () => {
+      for (let i = 0; i < 5; i++) {
+        const [from, to] = i % 2 ? [bob, alice] : [alice, bob];
+        await chat.storeMetadata(to, hashOf(`m${i}`), `Qm${i}`, { from });
+      }
+      await chat.storeMetadata(carol, hashOf("elsewhere"), "QmX", { from: alice });
+
+      const page = await chat.getMessagesBetweenUsersPage(alice, bob, 1, 2);
+      assert.deepEqual(strings(page.ids), ["2", "3"]);
+      assert.equal(String(page.total), "5");
+
+      const beyond = await chat.getMessagesBetweenUsersPage(bob, alice, 10, 5);
+      assert.deepEqual(strings(beyond.ids), []);
+      assert.equal(String(beyond.total), "5");
+
+      assert.deepEqual(strings(await chat.getLatestMessagesBetweenUsers(bob, alice, 2)), ["5", "4"]);
+      assert.deepEqual(strings(await chat.getLatestMessagesBetweenUsers(alice, bob, 50)), ["5", "4", "3", "2", "1"]);
+    });
+
+    it("pages group messages", async () => {
+      const groupId = await createGroup(chat, alice, "Team", [bob]);
+      for (let i = 0; i < 4; i++) {
+        await chat.sendGroupMessage(groupId, hashOf(`g${i}`), `Qm${i}`, { from: alice });
+      }
+
+      const page = await chat.getGroupMessagesPage(groupId, 2, 10);
+      assert.deepEqual(strings(page.ids), ["3", "4"]);
+      assert.equal(String(page.total), "4");
+      assert.deepEqual(strings(await chat.getLatestGroupMessages(groupId, 3)), ["4", "3", "2"]);
+    });
+
+    it("pages friends and groups", async () => {
+      await befriend(chat, alice, bob);
+      await befriend(chat, alice, carol);
+      await befriend(chat, alice, dave);
+
+      const friends = await chat.getFriendsPage(alice, 1, 5);
+      assert.deepEqual(friends.page, [carol, dave]);
+      assert.equal(String(friends.total), "3");
+
+      const first = await createGroup(chat, alice, "One", [bob]);
+      const second = await createGroup(chat, carol, "Two", [bob]);
+
+      const userGroups = await chat.getUserGroupsPage(bob, 1, 1);
+      assert.deepEqual(userGroups.page, [second]);
+      assert.equal(String(userGroups.total), "2");
+
+      const allGroups = await chat.getAllGroupsPage(0, 1);
+      assert.deepEqual(allGroups.page, [first]);
+      assert.equal(String(allGroups.total), "2");
+    });
+
+    it("caps pages at MAX_PAGE_SIZE", async () => {
+      assert.equal(String(await chat.MAX_PAGE_SIZE()), "500");
+
+      await befriend(chat, alice, bob);
+      const page = await chat.getFriendsPage(alice, 0, web3.utils.toTwosComplement(-1));
+      assert.deepEqual(page.page, [bob]);
+    });
+  });
+
+  describe("encryption keys", () => {
+    it("publishes and replaces the caller's key", async () => {
+      const tx = await chat.setEncryptionKey("key-1", { from: alice });
+      const event = eventOf(tx, "EncryptionKeyPublished");
+      assert.equal(event.user, alice);
+      assert.equal(event.publicKey, "key-1");
+
+      await chat.setEncryptionKey("key-2", { from: alice });
+      assert.equal(await chat.getEncryptionKey(alice), "key-2");
+      assert.equal(await chat.getEncryptionKey(bob), "");
+    });
+
+    it("rejects an empty key", async () => {
+      await expectRevert(chat.setEncryptionKey("", { from: alice }), "Public key cannot be empty");
+    });
+  });
+
+  describe("profiles", () => {
+    it("records the caller's profile CID", async () => {
+      const tx = await chat.setProfile("QmProfile", { from: alice });
+      const event = eventOf(tx, "ProfileUpdated");
+      assert.equal(event.user, alice);
+      assert.equal(event.cid, "QmProfile");
+
+      assert.equal(await chat.getProfile(alice), "QmProfile");
+      assert.equal(await chat.getProfile(bob), "");
+    });
+
+    it("replaces and clears a profile", async () => {
+      await chat.setProfile("QmOld", { from: alice });
+      await chat.setProfile("QmNew", { from: alice });
+      assert.equal(await chat.getProfile(alice), "QmNew");
+
+      await chat.setProfile("", { from: alice });
+      assert.equal(await chat.getProfile(alice), "");
+    });
+
+    it("reads many profiles in the order asked", async () => {
+      await chat.setProfile("QmAlice", { from: alice });
+      await chat.setProfile("QmCarol", { from: carol });
+
+      assert.deepEqual(await chat.getProfiles([carol, bob, alice]), ["QmCarol", "", "QmAlice"]);
+      assert.deepEqual(await chat.getProfiles([]), []);
+    });
+  });
+
+  describe("message batches", () => {
+    const leaves = async (count) => {
+      const result = [];
+      for (let i = 0; i < count; i++) {
+        result.push(await chat.batchLeaf(bob, hashOf(`batched ${i}`), `QmB${i}`));
+      }
+      return result;
+    };
+
+    it("computes leaves as keccak256(abi.encode(receiver, hash, cid))", async () => {
+      const expected = web3.utils.keccak256(web3.eth.abi.encodeParameters(
+        ["address", "bytes32", "string"],
+        [bob, hashOf("batched 0"), "QmB0"]
+      ));
+      assert.equal(await chat.batchLeaf(bob, hashOf("batched 0"), "QmB0"), expected);
+    });
+
+    it("anchors a root and verifies inclusion proofs against it", async () => {
+      const [a, b, c] = await leaves(3);
+      const ab = hashPair(a, b);
+      const root = hashPair(ab, c);
+
+      const tx = await chat.anchorMessageBatch(root, 3, "QmManifest", { from: alice });
+      const event = eventOf(tx, "MessageBatchAnchored");
+      assert.equal(String(event.batchId), "1");
+      assert.equal(event.sender, alice);
+      assert.equal(event.merkleRoot, root);
+
+      const batch = await chat.getMessageBatch(1);
+      assert.equal(batch.sender, alice);
+      assert.equal(String(batch.messageCount), "3");
+      assert.equal(batch.manifestCid, "QmManifest");
+      assert.deepEqual(strings(await chat.getUserBatches(alice)), ["1"]);
+      assert.equal(String(await chat.batchCount()), "1");
+
+      assert.isTrue(await chat.verifyBatchInclusion(1, a, [b, c]));
+      assert.isTrue(await chat.verifyBatchInclusion(1, b, [a, c]));
+      assert.isTrue(await chat.verifyBatchInclusion(1, c, [ab]));
+      assert.isFalse(await chat.verifyBatchInclusion(1, a, [c, b]));
+      assert.isFalse(await chat.verifyBatchInclusion(1, hashOf("forged"), [b, c]));
+    });
+
+    it("accepts a single-message batch whose root is the leaf", async () => {
+      const [leaf] = await leaves(1);
+      await chat.anchorMessageBatch(leaf, 1, "", { from: alice });
+      assert.isTrue(await chat.verifyBatchInclusion(1, leaf, []));
+    });
+
+    it("rejects empty batches and unknown batch IDs", async () => {
+      await expectRevert(chat.anchorMessageBatch(ZERO_BYTES32, 1, "", { from: alice }), "Merkle root cannot be empty");
+      await expectRevert(chat.anchorMessageBatch(hashOf("root"), 0, "", { from: alice }), "Batch cannot be empty");
+      await expectRevert(chat.verifyBatchInclusion(7, hashOf("leaf"), []), "Batch does not exist");
+    });
+  });
+
+  describe("session keys", () => {
+    const key = eve;
+
+    // Authorize `sessionKey` (an unlocked address, or a web3 account) with its consent
+    const authorize = async (owner, sessionKey, expiresAt, scope, options = {}) => {
+      const address = sessionKey.address || sessionKey;
+      const signature = await grantSignature(chat, owner, sessionKey, expiresAt, scope);
+      return chat.authorizeSessionKey(address, expiresAt, scope, signature, { from: owner, ...options });
+    };
+
+    it("authorizes a key and funds it with the ETH sent along", async () => {
+      // A new account with no ETH of its own
+      const fresh = web3.eth.accounts.create();
+      const expiresAt = (await latestTimestamp()) + DAY;
+      const value = web3.utils.toWei("0.01", "ether");
+
+      const tx = await authorize(alice, fresh, expiresAt, 3, { value });
+      const event = eventOf(tx, "SessionKeyAuthorized");
+      assert.equal(event.owner, alice);
+      assert.equal(event.sessionKey, fresh.address);
+      assert.equal(String(event.expiresAt), String(expiresAt));
+      assert.equal(String(event.scope), "3");
+
+      assert.equal(await web3.eth.getBalance(fresh.address), value);
+      assert.equal(await web3.eth.getBalance(chat.address), "0");
+
+      const grant = await chat.getSessionKey(fresh.address);
+      assert.equal(grant.owner, alice);
+      assert.equal(String(grant.expiresAt), String(expiresAt));
+      assert.equal(String(grant.scope), "3");
+      assert.deepEqual(await chat.getSessionKeys(alice), [fresh.address]);
+    });
+
+    it("sends messages for its owner within its scope", async () => {
+      const groupId = await createGroup(chat, alice, "Team", [bob]);
+      await authorize(alice, key, (await latestTimestamp()) + DAY, 1);
+
+      await chat.storeMetadata(bob, hashOf("via key"), "QmKey", { from: key });
+      assert.equal((await chat.getMetadata(1)).sender, alice);
+      assert.deepEqual(strings(await chat.getMessagesBetweenUsers(alice, bob)), ["1"]);
+      assert.deepEqual(strings(await chat.getMessagesBetweenUsers(key, bob)), []);
+
+      await chat.anchorMessageBatch(hashOf("root"), 2, "", { from: key });
+      assert.equal((await chat.getMessageBatch(1)).sender, alice);
+
+      await expectRevert(
+        chat.sendGroupMessage(groupId, hashOf("x"), "Qm", { from: key }),
+        "Session key not allowed for this action"
+      );
+
+      await authorize(alice, key, (await latestTimestamp()) + DAY, 2);
+      await chat.sendGroupMessage(groupId, hashOf("group via key"), "QmG", { from: key });
+      assert.equal((await chat.getGroupMessage(1)).sender, alice);
+      await expectRevert(
+        chat.storeMetadata(bob, hashOf("x"), "Qm", { from: key }),
+        "Session key not allowed for this action"
+      );
+
+      // Re-authorizing doesn't list the key twice
+      assert.deepEqual(await chat.getSessionKeys(alice), [key]);
+    });
+
+    it("releases the address once revoked, by the owner or the key itself", async () => {
+      await authorize(alice, key, (await latestTimestamp()) + DAY, 3);
+
+      const tx = await chat.revokeSessionKey(key, { from: key });
+      const event = eventOf(tx, "SessionKeyRevoked");
+      assert.equal(event.owner, alice);
+      assert.equal(event.sessionKey, key);
+
+      const grant = await chat.getSessionKey(key);
+      assert.equal(grant.owner, ZERO_ADDRESS);
+      assert.equal(String(grant.expiresAt), "0");
+
+      // An ordinary account again: it sends as itself
+      await chat.storeMetadata(bob, hashOf("own"), "QmOwn", { from: key });
+      assert.equal((await chat.getMetadata(1)).sender, key);
+
+      await authorize(alice, key, (await latestTimestamp()) + DAY, 3);
+      await chat.revokeSessionKey(key, { from: alice });
+      assert.equal((await chat.getSessionKey(key)).owner, ZERO_ADDRESS);
+    });
+
+    it("stops working once expired", async () => {
+      await authorize(alice, key, (await latestTimestamp()) + 60, 3);
+
+      await rpc("evm_increaseTime", [120]);
+      await rpc("evm_mine");
+
+      await expectRevert(chat.storeMetadata(bob, hashOf("x"), "Qm", { from: key }), "Session key expired or revoked");
+    });
+
+    it("rejects invalid grants", async () => {
+      const now = await latestTimestamp();
+      const maxDuration = Number(await chat.MAX_SESSION_KEY_DURATION());
+
+      await expectRevert(chat.authorizeSessionKey(ZERO_ADDRESS, now + DAY, 3, "0x", { from: alice }), "Invalid session key");
+      await expectRevert(authorize(alice, alice, now + DAY, 3), "Invalid session key");
+      await expectRevert(authorize(alice, key, now, 3), "Expiry must be in the future");
+      await expectRevert(authorize(alice, key, now + maxDuration + DAY, 3), "Session key lifetime too long");
+      await expectRevert(authorize(alice, key, now + DAY, 0), "Invalid session key scope");
+      await expectRevert(authorize(alice, key, now + DAY, 4), "Invalid session key scope");
+
+      await authorize(alice, key, now + DAY, 3);
+      await expectRevert(authorize(key, dave, now + DAY, 3), "Session keys cannot authorize keys");
+    });
+
+    it("needs the key's signature over this exact grant", async () => {
+      const expiresAt = (await latestTimestamp()) + DAY;
+      const consent = await grantSignature(chat, alice, key, expiresAt, 3);
+
+      await expectRevert(chat.authorizeSessionKey(key, expiresAt, 3, "0x", { from: alice }), "Session key did not sign this grant");
+      // Signed by someone else, or by the key for a different grant
+      await expectRevert(
+        chat.authorizeSessionKey(key, expiresAt, 3, await grantSignature(chat, alice, dave, expiresAt, 3), { from: alice }),
+        "Session key did not sign this grant"
+      );
+      await expectRevert(chat.authorizeSessionKey(key, expiresAt + 1, 3, consent, { from: alice }), "Session key did not sign this grant");
+      await expectRevert(chat.authorizeSessionKey(key, expiresAt, 1, consent, { from: alice }), "Session key did not sign this grant");
+      await expectRevert(chat.authorizeSessionKey(key, expiresAt, 3, consent, { from: bob }), "Session key did not sign this grant");
+
+      // Nor for another deployment
+      const other = await ChatMetadata.new(forwarder);
+      await expectRevert(other.authorizeSessionKey(key, expiresAt, 3, consent, { from: alice }), "Session key did not sign this grant");
+
+      // Contracts can't sign, so they can't be session keys
+      await expectRevert(
+        chat.authorizeSessionKey(other.address, expiresAt, 3, "0x", { from: alice, value: 1 }),
+        "Session key did not sign this grant"
+      );
+
+      await chat.authorizeSessionKey(key, expiresAt, 3, consent, { from: alice });
+    });
+
+    it("doesn't let anyone claim another user's wallet", async () => {
+      const expiresAt = (await latestTimestamp()) + DAY;
+      // bob tries to register carol's wallet as their own key, with whatever consent they can produce
+      await expectRevert(chat.authorizeSessionKey(carol, expiresAt, 3, "0x", { from: bob }), "Session key did not sign this grant");
+      await expectRevert(
+        chat.authorizeSessionKey(carol, expiresAt, 3, await grantSignature(chat, bob, bob, expiresAt, 3), { from: bob }),
+        "Session key did not sign this grant"
+      );
+
+      // carol still sends as themself
+      await chat.storeMetadata(alice, hashOf("mine"), "QmMine", { from: carol });
+      assert.equal((await chat.getMetadata(1)).sender, carol);
+      assert.equal((await chat.getSessionKey(carol)).owner, ZERO_ADDRESS);
+
+      // A key in use can't be taken over even with its consent
+      await authorize(alice, key, expiresAt, 3);
+      await expectRevert(authorize(bob, key, expiresAt, 3), "Session key belongs to another account");
+    });
+
+    it("rejects revoking unknown keys or someone else's", async () => {
+      await expectRevert(chat.revokeSessionKey(key, { from: alice }), "Unknown session key");
+
+      await authorize(alice, key, (await latestTimestamp()) + DAY, 3);
+      await expectRevert(chat.revokeSessionKey(key, { from: bob }), "Not allowed to revoke this key");
+    });
+  });
+});
@@ -8,6 +8,12 @@ module.exports = {
       port: 8545,        // Ganache default
       network_id: "*"    // Match any network
     },
+    // `npm test`: same local node, but the migration leaves the frontend config alone
+    test: {
+      host: "127.0.0.1",
+      port: 8545,
+      network_id: "*"
+    },
     sepolia: {
       provider: () => new HDWalletProvider({
         privateKeys: [process.env.PRIVATE_KEY],
@@ -1,16 +1,20 @@
 const fs = require('fs');
 const path = require('path');
 
-const sourcePath = path.join(__dirname, 'backend', 'build', 'contracts', 'ChatMetadata.json');
+const sourceDir = path.join(__dirname, 'backend', 'build', 'contracts');
 const destDir = path.join(__dirname, 'frontend', 'src', 'abis');
-const destPath = path.join(destDir, 'ChatMetadata.json');
+// Contracts the frontend (and the relayer) read ABIs and deployed addresses from
+const contracts = ['ChatMetadata', 'TrustedForwarder', 'NameRegistry'];
 
 // Ensure destination directory exists
 if (!fs.existsSync(destDir)) {
   fs.mkdirSync(destDir, { recursive: true });
 }
 
-// Copy the file
-fs.copyFileSync(sourcePath, destPath);
-
-console.log(`Copied ${sourcePath} to ${destPath}`);
+// Copy the files
+contracts.forEach((name) => {
+  const sourcePath = path.join(sourceDir, `${name}.json`);
+  const destPath = path.join(destDir, `${name}.json`);
+  fs.copyFileSync(sourcePath, destPath);
+  console.log(`Copied ${sourcePath} to ${destPath}`);
+});
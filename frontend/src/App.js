@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { BrowserRouter as Router, Routes, Route, Navigate } from "react-router-dom";
 import Login from "./components/Login";
 import Home from "./pages/Home";
@@ -10,14 +10,20 @@ import Calls from "./pages/Calls";
 import Profile from "./pages/Profile";
 import FAQ from "./pages/FAQ";
 import Contact from "./pages/Contact";
-import { initWeb3 } from "./utils/blockchain";
+import { initWeb3, hasWalletProvider, subscribeWalletEvents } from "./utils/blockchain";
 import { migrateLocalStorageKeys } from "./utils/storageHelper";
+import { publishChatKey } from "./utils/e2ee";
+import { getSession, clearSession, isReadOnlySession, SESSION_MODES } from "./utils/session";
+import { getActiveChainId } from "./utils/chains";
 
 // Run migration ONCE on app load to fix duplicate localStorage keys
 migrateLocalStorageKeys();
 
 function App() {
-  const [walletAddress, setWalletAddress] = useState(localStorage.getItem("walletAddress") || "");
+  // Current session (SIWE wallet/local key, or read-only watch);
+  // getSession() drops signed sessions once they expire
+  const [session, setSession] = useState(() => getSession());
+  const [walletAddress, setWalletAddress] = useState(() => session?.address || "");
 
   // Sync wallet address with localStorage
   useEffect(() => {
@@ -28,49 +34,81 @@ function App() {
     }
   }, [walletAddress]);
 
-  // Auto-connect wallet on page load
+  // Make sure peers can find our chat encryption key (needs proof of ownership)
   useEffect(() => {
+    if (!walletAddress || isReadOnlySession(session)) return;
+    publishChatKey(walletAddress).catch((error) => {
+      console.error("Failed to publish chat key:", error);
+    });
+  }, [walletAddress, session]);
+
+  const handleLogout = useCallback(() => {
+    clearSession();
+    setSession(null);
+    setWalletAddress("");
+    localStorage.removeItem("walletAddress");
+    localStorage.removeItem("username");
+  }, []);
+
+  // A watch session upgraded with a wallet signature or local key, or a local key unlocked
+  const handleSessionUpgrade = useCallback((upgraded) => {
+    setSession(upgraded);
+    setWalletAddress(upgraded.address);
+  }, []);
+
+  // End the session when its sign-in message expires
+  useEffect(() => {
+    if (!session || !session.expiresAt) return;
+    const remaining = new Date(session.expiresAt).getTime() - Date.now();
+    const timer = setTimeout(() => {
+      console.log("⌛ Sign-in session expired");
+      handleLogout();
+    }, Math.max(0, remaining));
+    return () => clearTimeout(timer);
+  }, [session, handleLogout]);
+
+  // Auto-connect wallet on page load (wallet sessions only — watch and
+  // local-key sessions don't follow the extension's selected account)
+  const isWalletSession = session?.mode === SESSION_MODES.WALLET;
+  useEffect(() => {
+    if (!isWalletSession) return;
+
     const setup = async () => {
-      if (window.ethereum && walletAddress) {
+      if (hasWalletProvider() && walletAddress) {
         try {
           const { account } = await initWeb3();
           if (account && account.toLowerCase() !== walletAddress.toLowerCase()) {
-            setWalletAddress(account);
+            // A different wallet has to sign in for itself
+            handleLogout();
           }
         } catch (error) {
           console.error("Auto-connect failed:", error);
-          setWalletAddress(""); // Clear if there's an error
+          handleLogout();
         }
       }
     };
     setup();
 
-    // Listen for account changes
-    const handleAccountsChanged = (accounts) => {
-      if (accounts.length === 0) {
-        // MetaMask is locked or user disconnected all accounts
-        setWalletAddress("");
-      } else if (accounts[0] !== walletAddress) {
-        setWalletAddress(accounts[0]);
-      }
-    };
-
-    if (window.ethereum) {
-      window.ethereum.on('accountsChanged', handleAccountsChanged);
-    }
-
-    return () => {
-      if (window.ethereum?.removeListener) {
-        window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
-      }
-    };
-  }, [walletAddress]);
-
-  const handleLogout = () => {
-    setWalletAddress("");
-    localStorage.removeItem("walletAddress");
-    localStorage.removeItem("username");
-  };
+    // Wallet events come from whichever wallet was picked at login (EIP-6963)
+    return subscribeWalletEvents({
+      accountsChanged: (accounts) => {
+        if (accounts.length === 0) {
+          // Wallet is locked or the user disconnected all accounts
+          handleLogout();
+        } else if (accounts[0].toLowerCase() !== walletAddress.toLowerCase()) {
+          // Switching accounts needs a fresh sign-in for the new address
+          handleLogout();
+        }
+      },
+      chainChanged: (chainId) => {
+        // The next initWeb3() call switches back to the configured chain
+        if (chainId !== getActiveChainId()) {
+          console.warn(`⚠️ Wallet switched to chain ${chainId}; the app runs on ${getActiveChainId()}`);
+        }
+      },
+      disconnect: () => handleLogout()
+    });
+  }, [walletAddress, isWalletSession, handleLogout]);
 
   return (
     <Router>
@@ -81,7 +119,7 @@ function App() {
             walletAddress ? (
               <Navigate to="/friends" />
             ) : (
-              <Login setWalletAddress={setWalletAddress} />
+              <Login setWalletAddress={setWalletAddress} setSession={setSession} />
             )
           }
         />
@@ -89,7 +127,7 @@ function App() {
           path="/friends"
           element={
             walletAddress ? (
-              <Friends walletAddress={walletAddress} onLogout={handleLogout} />
+              <Friends walletAddress={walletAddress} session={session} onSessionUpgrade={handleSessionUpgrade} onLogout={handleLogout} />
             ) : (
               <Navigate to="/" />
             )
@@ -99,7 +137,7 @@ function App() {
           path="/groups"
           element={
             walletAddress ? (
-              <Groups walletAddress={walletAddress} onLogout={handleLogout} />
+              <Groups walletAddress={walletAddress} session={session} onSessionUpgrade={handleSessionUpgrade} onLogout={handleLogout} />
             ) : (
               <Navigate to="/" />
             )
@@ -109,7 +147,7 @@ function App() {
           path="/group-chat/:groupId"
           element={
             walletAddress ? (
-              <GroupChat walletAddress={walletAddress} onLogout={handleLogout} />
+              <GroupChat walletAddress={walletAddress} session={session} onSessionUpgrade={handleSessionUpgrade} onLogout={handleLogout} />
             ) : (
               <Navigate to="/" />
             )
@@ -123,7 +161,7 @@ function App() {
           path="/home"
           element={
             walletAddress ? (
-              <Home walletAddress={walletAddress} onLogout={handleLogout} />
+              <Home walletAddress={walletAddress} session={session} onLogout={handleLogout} />
             ) : (
               <Navigate to="/" />
             )
@@ -133,7 +171,7 @@ function App() {
           path="/chat/:friendAddress"
           element={
             walletAddress ? (
-              <Chat walletAddress={walletAddress} onLogout={handleLogout} />
+              <Chat walletAddress={walletAddress} session={session} onSessionUpgrade={handleSessionUpgrade} onLogout={handleLogout} />
             ) : (
               <Navigate to="/" />
             )
@@ -143,7 +181,7 @@ function App() {
           path="/calls"
           element={
             walletAddress ? (
-              <Calls walletAddress={walletAddress} onLogout={handleLogout} />
+              <Calls walletAddress={walletAddress} session={session} onSessionUpgrade={handleSessionUpgrade} onLogout={handleLogout} />
             ) : (
               <Navigate to="/" />
             )
@@ -153,7 +191,7 @@ function App() {
           path="/profile"
           element={
             walletAddress ? (
-              <Profile walletAddress={walletAddress} onLogout={handleLogout} />
+              <Profile walletAddress={walletAddress} session={session} onSessionUpgrade={handleSessionUpgrade} onLogout={handleLogout} />
             ) : (
               <Navigate to="/" />
             )
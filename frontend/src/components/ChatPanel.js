@@ -3,10 +3,10 @@ import HumanAvatar from "./HumanAvatar";
 import AvatarAnimated3D from "./AvatarAnimated3D";
 import { 
   initWeb3,
-  storeMessageMetadata,
   getMessageMetadata,
   hashMessage 
 } from "../utils/blockchain";
+import { anchorMessage } from "../utils/messageBatcher";
 import { 
   createPeer, 
   setupSignaling, 
@@ -14,8 +14,12 @@ import {
   setGlobalCallbacks
 } from "../utils/webrtc";
 import { uploadFileToIPFS, getIPFSFileUrl, isImageFile, isFileSizeAcceptable } from "../utils/ipfs";
+import { encryptForPeer, decryptFromPeer, openContent } from "../utils/e2ee";
+import { sealFile, openFileFromIPFS } from "../utils/fileCrypto";
+import { WATCH_MODE_MESSAGE } from "../utils/session";
+import { isBlocked, loadBlockList } from "../utils/blockList";
 
-const ChatPanel = ({ walletAddress, selectedUser, onClose }) => {
+const ChatPanel = ({ walletAddress, selectedUser, onClose, readOnly = false }) => {
   const [messages, setMessages] = useState([]);
   const [message, setMessage] = useState("");
   const [loading, setLoading] = useState(false);
@@ -25,6 +29,8 @@ const ChatPanel = ({ walletAddress, selectedUser, onClose }) => {
   const [selectedFile, setSelectedFile] = useState(null);
   const [filePreview, setFilePreview] = useState(null);
   const [uploadProgress, setUploadProgress] = useState(0);
+  // Decrypted attachments: message id → object URL
+  const [fileUrls, setFileUrls] = useState({});
   
   const peerRef = useRef(null);
   const handleIncomingMessageRef = useRef(null);
@@ -42,22 +48,56 @@ const ChatPanel = ({ walletAddress, selectedUser, onClose }) => {
     scrollToBottom();
   }, [messages]);
 
-  // Load messages from localStorage
-  const loadMessages = useCallback(() => {
+  // Load messages from localStorage (without what a blocked peer sent before the block)
+  const loadMessages = useCallback(async () => {
     if (!receiver || !walletAddress) return;
     
+    await loadBlockList(walletAddress);
     const chatKey = `chat_${walletAddress}_${receiver}`;
     const chatHistory = JSON.parse(localStorage.getItem(chatKey) || '[]');
-    setMessages(chatHistory);
+    setMessages(isBlocked(walletAddress, receiver)
+      ? chatHistory.filter(msg => !msg.incoming)
+      : chatHistory);
   }, [receiver, walletAddress]);
 
   useEffect(() => {
     loadMessages();
   }, [loadMessages]);
 
+  // Attachments sit encrypted on IPFS: fetch and decrypt each one once
+  const requestedFilesRef = useRef(new Set());
+  useEffect(() => {
+    messages
+      .filter(msg => msg.type === 'file' && msg.fileKey && msg.ipfsHash && !requestedFilesRef.current.has(msg.id))
+      .forEach(msg => {
+        requestedFilesRef.current.add(msg.id);
+        openFileFromIPFS(msg.ipfsHash, msg.fileKey)
+          .then(url => setFileUrls(prev => ({ ...prev, [msg.id]: url })))
+          .catch(err => console.warn('[ChatPanel] ⚠️ Could not open attachment:', err.message));
+      });
+  }, [messages]);
+
+  // Release the decrypted copies when the panel closes
+  const fileUrlsRef = useRef(fileUrls);
+  fileUrlsRef.current = fileUrls;
+  useEffect(() => () => {
+    Object.values(fileUrlsRef.current).forEach(url => URL.revokeObjectURL(url));
+  }, []);
+
+  // Decrypted URL for sealed attachments, the gateway URL for older plain ones
+  const getFileUrl = (msg) => (msg.fileKey
+    ? fileUrls[msg.id]
+    : msg.url || getIPFSFileUrl(msg.ipfsHash));
+
   // Handle incoming WebRTC messages
   const handleIncomingMessage = useCallback(async (data) => {
     console.log('[ChatPanel] Raw incoming data:', data);
+
+    // Quick Chat takes anyone who reaches the data channel; drop blocked users here
+    if (isBlocked(walletAddress, receiver)) {
+      console.log('[ChatPanel] 🚫 Dropping message from blocked user:', receiver);
+      return;
+    }
     
     try {
       let messageData;
@@ -72,17 +112,20 @@ const ChatPanel = ({ walletAddress, selectedUser, onClose }) => {
         messageData = { type: 'text', text: String(data) };
       }
 
-      // Handle file messages
+      // Handle file messages (the file key comes sealed; the file on IPFS is ciphertext)
       if (messageData.type === 'file') {
+        const fileKey = messageData.sealed
+          ? JSON.parse(await decryptFromPeer(walletAddress, receiver, messageData.sealed))
+          : null;
         const newMsg = {
           id: Date.now(),
           type: 'file',
-          content: messageData.fileName,
+          content: fileKey ? fileKey.fileName : messageData.fileName,
           ipfsHash: messageData.ipfsHash,
-          fileName: messageData.fileName,
-          fileType: messageData.fileType,
-          fileSize: messageData.fileSize,
-          url: messageData.url,
+          fileName: fileKey ? fileKey.fileName : messageData.fileName,
+          fileType: fileKey ? fileKey.fileType : messageData.fileType,
+          fileSize: fileKey ? fileKey.fileSize : messageData.fileSize,
+          ...(fileKey ? { fileKey } : { url: messageData.url }),
           sender: receiver,
           time: new Date(),
           timestamp: messageData.timestamp || new Date().toISOString(),
@@ -100,7 +143,9 @@ const ChatPanel = ({ walletAddress, selectedUser, onClose }) => {
       }
 
       // Handle text messages
-      const messageText = messageData.text || messageData.content || String(data);
+      const messageText = messageData.sealed
+        ? await openContent(walletAddress, receiver, messageData.sealed)
+        : messageData.text || messageData.content || String(data);
       const newMsg = {
         id: Date.now(),
         content: messageText,
@@ -172,6 +217,11 @@ const ChatPanel = ({ walletAddress, selectedUser, onClose }) => {
   const handleSendFile = async () => {
     if (!selectedFile) return;
 
+    if (readOnly) {
+      setError(WATCH_MODE_MESSAGE);
+      return;
+    }
+
     if (!connected || !peerRef.current) {
       setError('Not connected - click "Connect" first');
       return;
@@ -181,9 +231,12 @@ const ChatPanel = ({ walletAddress, selectedUser, onClose }) => {
     setUploadProgress(0);
 
     try {
-      // Upload file to IPFS
-      console.log('📤 Uploading file to IPFS...');
-      const fileData = await uploadFileToIPFS(selectedFile, {
+      // Encrypt the file; IPFS only gets ciphertext, the peer gets the sealed key
+      const { file: sealedFile, fileKey } = await sealFile(selectedFile);
+      const sealedKey = await encryptForPeer(walletAddress, receiver, JSON.stringify(fileKey));
+
+      console.log('📤 Uploading encrypted file to IPFS...');
+      const fileData = await uploadFileToIPFS(sealedFile, {
         sender: walletAddress,
         receiver: receiver,
         timestamp: new Date().toISOString()
@@ -191,20 +244,17 @@ const ChatPanel = ({ walletAddress, selectedUser, onClose }) => {
 
       setUploadProgress(50);
 
-      // Store file metadata on blockchain
-      const hash = await hashMessage(fileData.ipfsHash);
-      await storeMessageMetadata(walletAddress, receiver, hash, fileData.ipfsHash);
+      // Store file metadata on blockchain (the hash covers the sealed key)
+      const hash = await hashMessage(sealedKey);
+      await anchorMessage(walletAddress, receiver, hash, fileData.ipfsHash);
 
       setUploadProgress(75);
 
-      // Send file info via WebRTC
+      // Send the sealed file key via WebRTC
       const fileMessage = {
         type: 'file',
         ipfsHash: fileData.ipfsHash,
-        fileName: fileData.fileName,
-        fileType: fileData.fileType,
-        fileSize: fileData.fileSize,
-        url: fileData.url,
+        sealed: sealedKey,
         timestamp: new Date().toISOString(),
         sender: walletAddress
       };
@@ -215,12 +265,12 @@ const ChatPanel = ({ walletAddress, selectedUser, onClose }) => {
       const newMessage = {
         id: Date.now(),
         type: 'file',
-        content: fileData.fileName,
+        content: fileKey.fileName,
         ipfsHash: fileData.ipfsHash,
-        fileName: fileData.fileName,
-        fileType: fileData.fileType,
-        fileSize: fileData.fileSize,
-        url: fileData.url,
+        fileName: fileKey.fileName,
+        fileType: fileKey.fileType,
+        fileSize: fileKey.fileSize,
+        fileKey,
         sender: walletAddress,
         time: new Date(),
         timestamp: new Date().toISOString(),
@@ -403,6 +453,11 @@ const ChatPanel = ({ walletAddress, selectedUser, onClose }) => {
   const handleSendMessage = async () => {
     if (!message.trim()) return;
 
+    if (readOnly) {
+      setError(WATCH_MODE_MESSAGE);
+      return;
+    }
+
     if (!connected || !peerRef.current) {
       setError('Not connected - click "Connect" first');
       return;
@@ -414,13 +469,16 @@ const ChatPanel = ({ walletAddress, selectedUser, onClose }) => {
         throw new Error('Connection not ready');
       }
 
+      // Encrypt for the recipient; the chain only ever sees the ciphertext hash
+      const sealedContent = await encryptForPeer(walletAddress, receiver, message);
+
       // IMPORTANT: Store metadata on blockchain FIRST (requires transaction approval)
       // Only after approval, send the actual message via WebRTC
-      const hash = await hashMessage(message);
-      await storeMessageMetadata(walletAddress, receiver, hash);
+      const hash = await hashMessage(sealedContent);
+      await anchorMessage(walletAddress, receiver, hash);
 
       const messageObj = {
-        text: message,
+        sealed: sealedContent,
         timestamp: new Date().toISOString(),
         sender: walletAddress,
         type: 'text'
@@ -716,10 +774,10 @@ const ChatPanel = ({ walletAddress, selectedUser, onClose }) => {
               {/* File Message */}
               {msg.type === 'file' ? (
                 <div>
-                  {isImageFile(msg.fileType) ? (
+                  {isImageFile(msg.fileType) && getFileUrl(msg) ? (
                     <div>
                       <img 
-                        src={msg.url || getIPFSFileUrl(msg.ipfsHash)} 
+                        src={getFileUrl(msg)} 
                         alt={msg.fileName}
                         style={{
                           maxWidth: '100%',
@@ -750,20 +808,27 @@ const ChatPanel = ({ walletAddress, selectedUser, onClose }) => {
                       </div>
                     </div>
                   )}
-                  <a 
-                    href={msg.url || getIPFSFileUrl(msg.ipfsHash)}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    style={{
-                      color: '#ff8c42',
-                      textDecoration: 'underline',
-                      fontSize: '14px',
-                      display: 'inline-block',
-                      marginBottom: '8px'
-                    }}
-                  >
-                    📥 Download
-                  </a>
+                  {getFileUrl(msg) ? (
+                    <a 
+                      href={getFileUrl(msg)}
+                      download={msg.fileName}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      style={{
+                        color: '#ff8c42',
+                        textDecoration: 'underline',
+                        fontSize: '14px',
+                        display: 'inline-block',
+                        marginBottom: '8px'
+                      }}
+                    >
+                      📥 Download
+                    </a>
+                  ) : (
+                    <div style={{ color: 'rgba(255,255,255,0.7)', fontSize: '14px', marginBottom: '8px' }}>
+                      🔓 Decrypting…
+                    </div>
+                  )}
                   <div style={styles.messageTime}>
                     {msg.time ? formatTime(msg.time) : 'just now'}
                   </div>
@@ -887,7 +952,7 @@ const ChatPanel = ({ walletAddress, selectedUser, onClose }) => {
           />
           <button
             onClick={() => fileInputRef.current?.click()}
-            disabled={!connected || loading}
+            disabled={!connected || loading || readOnly}
             style={{
               background: 'rgba(255,60,0,0.1)',
               color: !connected || loading ? '#666' : '#ff3300',
@@ -907,11 +972,11 @@ const ChatPanel = ({ walletAddress, selectedUser, onClose }) => {
           <input
             type="text"
             style={styles.input}
-            placeholder={connected ? "Type a message..." : "Connect first to send messages"}
+            placeholder={readOnly ? "Read-only watch session" : connected ? "Type a message..." : "Connect first to send messages"}
             value={message}
             onChange={(e) => setMessage(e.target.value)}
             onKeyPress={handleKeyPress}
-            disabled={!connected || loading}
+            disabled={!connected || loading || readOnly}
             onFocus={(e) => {
               e.target.style.borderColor = 'rgba(255,60,0,0.5)';
             }}
@@ -928,7 +993,7 @@ const ChatPanel = ({ walletAddress, selectedUser, onClose }) => {
               cursor: !connected || (!message.trim() && !selectedFile) || loading ? 'not-allowed' : 'pointer',
             }}
             onClick={handleSendMessage}
-            disabled={!connected || !message.trim() || loading}
+            disabled={!connected || !message.trim() || loading || readOnly}
             onMouseEnter={(e) => {
               if (connected && message.trim() && !loading) {
                 e.target.style.transform = 'scale(1.02)';
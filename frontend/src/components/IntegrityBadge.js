@@ -0,0 +1,58 @@
+import React from "react";
+import { Tooltip, Typography } from "@mui/material";
+
+// Labels for the result of checkMessageIntegrity (utils/blockchain.js)
+const BADGES = {
+  verified: {
+    label: "⛓ Matches on-chain hash",
+    tooltip: "The IPFS content re-hashes to the hash anchored on-chain",
+    color: "rgba(120,220,140,0.8)",
+  },
+  mismatch: {
+    label: "✖ Content altered",
+    tooltip: "The IPFS content does NOT match the hash anchored on-chain — it was changed after sending",
+    color: "rgba(255,90,60,0.95)",
+  },
+  pending: {
+    label: "⏳ Awaiting batch anchor",
+    tooltip: "Queued locally; its hash goes on-chain with the next batch's Merkle root",
+    color: "rgba(255,200,120,0.7)",
+  },
+  unanchored: {
+    label: "○ Not anchored",
+    tooltip: "No on-chain hash exists for this message, so its content cannot be checked",
+    color: "rgba(255,255,255,0.35)",
+  },
+};
+
+const IntegrityBadge = ({ status, batchId }) => {
+  const base = BADGES[status];
+  if (!base) return null;
+
+  // Batched messages are anchored through their batch's Merkle root
+  const badge = status === "verified" && batchId
+    ? {
+        ...base,
+        label: `⛓ In anchored batch #${batchId}`,
+        tooltip: "The IPFS content matches its hash, and the hash is proven to be in a Merkle root anchored on-chain",
+      }
+    : base;
+
+  return (
+    <Tooltip title={badge.tooltip}>
+      <Typography
+        variant="caption"
+        sx={{
+          color: badge.color,
+          fontSize: 10,
+          mt: 0.25,
+          fontWeight: status === "mismatch" ? 700 : 400,
+        }}
+      >
+        {badge.label}
+      </Typography>
+    </Tooltip>
+  );
+};
+
+export default IntegrityBadge;
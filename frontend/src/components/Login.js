@@ -1,6 +1,7 @@
 import React, { useState, useRef, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
-import { initWeb3, storeMessageMetadata, getMessageMetadata } from "../utils/blockchain";
+import { signInWithEthereum, startWatchSession } from "../utils/session";
+import { discoverWalletProviders, getSelectedWalletId, selectWalletProvider } from "../utils/blockchain";
 
 /* ─────────────────────────────────────────
    ThermodynamicGrid — attached to window,
@@ -148,13 +149,28 @@ const LogoMark = () => (
 /* ─────────────────────────────────────────
    Login
 ───────────────────────────────────────── */
-const Login = ({ setWalletAddress }) => {
+const Login = ({ setWalletAddress, setSession }) => {
   const navigate = useNavigate();
   const [account, setAccount] = useState(localStorage.getItem("walletAddress") || "");
   const [username, setUsername] = useState("");
   const [loading, setLoading] = useState(false);
   const [useManualMode, setUseManualMode] = useState(false);
   const [manualAddress, setManualAddress] = useState("");
+  const [wallets, setWallets] = useState([]);
+  const [discovering, setDiscovering] = useState(true);
+  const [connectingWallet, setConnectingWallet] = useState(null);
+
+  // Find installed wallets (EIP-6963); the last one used is listed first
+  useEffect(() => {
+    let cancelled = false;
+    discoverWalletProviders().then((found) => {
+      if (cancelled) return;
+      const lastUsed = getSelectedWalletId();
+      setWallets([...found].sort((a, b) => (b.info.rdns === lastUsed) - (a.info.rdns === lastUsed)));
+      setDiscovering(false);
+    });
+    return () => { cancelled = true; };
+  }, []);
 
   const registerUser = (address, name) => {
     const allUsers = JSON.parse(localStorage.getItem("allChatUsers") || "[]");
@@ -165,35 +181,43 @@ const Login = ({ setWalletAddress }) => {
     localStorage.setItem("username", name);
   };
 
-  const handleConnectWallet = async () => {
+  const handleConnectWallet = async (rdns) => {
     if (!username.trim()) { alert("Please enter your username first"); return; }
     setLoading(true);
+    setConnectingWallet(rdns);
     try {
-      const { web3, account, error } = await initWeb3();
-      if (error) { alert(`Error: ${error}`); setLoading(false); return; }
-      if (!account) { alert("No wallet account detected."); setLoading(false); return; }
+      selectWalletProvider(rdns);
+      // Sign-In With Ethereum: proves wallet ownership with a signature, no gas
+      const session = await signInWithEthereum();
+      const account = session.address;
       registerUser(account, username);
       setAccount(account);
+      setSession(session);
       setWalletAddress(account);
       localStorage.setItem("walletAddress", account);
-      const receiver = "0x0000000000000000000000000000000000000000";
-      const messageHash = web3.utils.sha3("Hello blockchain!");
-      await storeMessageMetadata(account, receiver, messageHash);
-      await getMessageMetadata(0);
       navigate("/all-users");
     } catch (err) {
-      console.error("Wallet connection failed:", err);
-      alert("Error connecting to wallet.");
-    } finally { setLoading(false); }
+      console.error("Wallet sign-in failed:", err);
+      alert(err.message || "Error connecting to wallet.");
+    } finally { setLoading(false); setConnectingWallet(null); }
   };
 
+  // A typed-in address proves nothing, so it only gets a read-only watch
+  // session; it can be upgraded later with a signature or a local key
   const handleManualLogin = () => {
     if (!username.trim()) { alert("Please enter your username first"); return; }
-    if (!manualAddress.trim() || manualAddress.length < 42) { alert("Please enter a valid Ethereum address"); return; }
-    registerUser(manualAddress, username);
-    setAccount(manualAddress);
-    setWalletAddress(manualAddress);
-    localStorage.setItem("walletAddress", manualAddress);
+    let session;
+    try {
+      session = startWatchSession(manualAddress.trim());
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    registerUser(session.address, username);
+    setAccount(session.address);
+    setSession(session);
+    setWalletAddress(session.address);
+    localStorage.setItem("walletAddress", session.address);
     navigate("/all-users");
   };
 
@@ -387,6 +411,15 @@ const Login = ({ setWalletAddress }) => {
         }
         .fbtn-o:disabled { opacity:.36; cursor:not-allowed; }
 
+        .fwallets { display:flex; flex-direction:column; gap:10px; }
+        .fwallet-icon { width:20px; height:20px; border-radius:5px; }
+        .fwallet-tag {
+          font-size:10px; font-weight:500; letter-spacing:1px; text-transform:uppercase;
+          color:rgba(255,255,255,.3); font-family:'IBM Plex Mono',monospace;
+        }
+        .fhint { font-size:12.5px; font-weight:300; color:rgba(255,255,255,.35); line-height:1.6; text-align:center; }
+        .fhint a { color:rgba(255,80,40,.85); }
+
         .fdiv { display:flex; align-items:center; gap:14px; margin:20px 0; }
         .fdiv-l { flex:1; height:1px; background:rgba(255,255,255,.052); }
         .fdiv-t {
@@ -495,17 +528,44 @@ const Login = ({ setWalletAddress }) => {
 
                 {!useManualMode ? (
                   <>
-                    <div className="fa2">
-                      <button className="fbtn-o" onClick={handleConnectWallet} disabled={loading}>
-                        {loading ? <><div className="fspinner"/>Connecting…</> : <>🦊 Connect MetaMask</>}
-                      </button>
+                    <div className="fa2 fwallets">
+                      {discovering ? (
+                        <button className="fbtn-o" disabled><div className="fspinner"/>Looking for wallets…</button>
+                      ) : wallets.length === 0 ? (
+                        <p className="fhint">
+                          No Ethereum wallet found in this browser.{" "}
+                          <a href="https://metamask.io/download/" target="_blank" rel="noreferrer">Install MetaMask</a>{" "}
+                          or another wallet, then reload.
+                        </p>
+                      ) : (
+                        wallets.map(({ info }, index) => (
+                          <button
+                            key={info.rdns}
+                            className="fbtn-o"
+                            onClick={() => handleConnectWallet(info.rdns)}
+                            disabled={loading}
+                          >
+                            {connectingWallet === info.rdns ? (
+                              <><div className="fspinner"/>Check your wallet to sign in…</>
+                            ) : (
+                              <>
+                                {info.icon ? <img className="fwallet-icon" src={info.icon} alt="" /> : "🦊"}
+                                Sign in with {info.name}
+                                {wallets.length > 1 && index === 0 && info.rdns === getSelectedWalletId() && (
+                                  <span className="fwallet-tag">· last used</span>
+                                )}
+                              </>
+                            )}
+                          </button>
+                        ))
+                      )}
                     </div>
                     <div className="fdiv fa3">
                       <div className="fdiv-l"/><span className="fdiv-t">or</span><div className="fdiv-l"/>
                     </div>
                     <div className="fa4">
                       <span className="fswitch" onClick={() => setUseManualMode(true)}>
-                        Enter wallet address manually →
+                        Watch an address (read-only) →
                       </span>
                     </div>
                   </>
@@ -521,11 +581,11 @@ const Login = ({ setWalletAddress }) => {
                     </div>
                     <div className="fa3">
                       <button className="fbtn" onClick={handleManualLogin}>
-                        Continue with Address →
+                        Watch Address (read-only) →
                       </button>
                     </div>
                     <span className="fswitch fa4" onClick={() => setUseManualMode(false)}>
-                      ← Use MetaMask instead
+                      ← Use a wallet instead
                     </span>
                   </>
                 )}
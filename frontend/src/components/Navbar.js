@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import HumanAvatar from './HumanAvatar';
+import TransactionTray from './TransactionTray';
+import { getActiveChain } from '../utils/chains';
 
 const Navbar = ({ username, walletAddress, onLogout }) => {
   const location = useLocation();
@@ -252,7 +254,8 @@ const Navbar = ({ username, walletAddress, onLogout }) => {
       </div>
 
       <div style={styles.userSection}>
-        <span style={styles.networkPill}>SEPOLIA</span>
+        <TransactionTray />
+        <span style={styles.networkPill}>{getActiveChain().shortName}</span>
         <Link to="/profile" style={{ textDecoration: 'none' }}>
           <div 
             style={styles.userInfo}
@@ -0,0 +1,241 @@
+import React, { useEffect, useState } from 'react';
+import {
+  TX_STATUS,
+  REQUIRED_CONFIRMATIONS,
+  subscribeTransactions,
+  speedUpTransaction,
+  cancelTransaction,
+  retryTransaction,
+  clearFinishedTransactions
+} from '../utils/txManager';
+import { getExplorerTxUrl } from '../utils/chains';
+
+const STATUS_COLORS = {
+  [TX_STATUS.QUEUED]: 'rgba(255,255,255,0.45)',
+  [TX_STATUS.SUBMITTING]: '#ffb36b',
+  [TX_STATUS.PENDING]: '#ffb36b',
+  [TX_STATUS.CONFIRMED]: '#78dc8c',
+  [TX_STATUS.FAILED]: '#ff5a3c',
+  [TX_STATUS.DROPPED]: '#ff5a3c',
+  [TX_STATUS.CANCELLED]: 'rgba(255,255,255,0.45)'
+};
+
+const ACTIVE = [TX_STATUS.QUEUED, TX_STATUS.SUBMITTING, TX_STATUS.PENDING];
+const RETRYABLE = [TX_STATUS.FAILED, TX_STATUS.DROPPED, TX_STATUS.CANCELLED];
+
+const canRetry = (tx) => RETRYABLE.includes(tx.status) && !tx.retriedBy && Boolean(tx.to);
+
+const shortHash = (hash) => `${hash.slice(0, 8)}…${hash.slice(-6)}`;
+
+const styles = {
+  wrapper: {
+    position: 'relative',
+    marginRight: 10
+  },
+  trigger: {
+    fontFamily: "'Space Mono', monospace",
+    fontSize: 11,
+    borderRadius: 999,
+    padding: '4px 10px',
+    border: '1px solid rgba(255,60,0,0.5)',
+    color: 'rgba(255,255,255,0.7)',
+    background: 'rgba(0,0,0,0.9)',
+    letterSpacing: '0.12em',
+    textTransform: 'uppercase',
+    cursor: 'pointer'
+  },
+  triggerBusy: {
+    border: '1px solid rgba(255,60,0,0.9)',
+    color: '#ff3300',
+    boxShadow: '0 0 12px rgba(255,60,0,0.45)'
+  },
+  panel: {
+    position: 'absolute',
+    top: 36,
+    right: 0,
+    width: 340,
+    maxHeight: 420,
+    overflowY: 'auto',
+    background: 'rgba(0,0,0,0.96)',
+    border: '1px solid rgba(255,40,0,0.35)',
+    borderRadius: 10,
+    boxShadow: '0 18px 40px rgba(0,0,0,0.85)',
+    padding: 12,
+    zIndex: 1001,
+    fontFamily: "'Inter', system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif"
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+    color: 'rgba(255,255,255,0.6)',
+    fontSize: 11,
+    letterSpacing: '0.16em',
+    textTransform: 'uppercase'
+  },
+  row: {
+    padding: '8px 0',
+    borderTop: '1px solid rgba(255,255,255,0.06)'
+  },
+  label: {
+    color: '#ffffff',
+    fontSize: 13
+  },
+  meta: {
+    display: 'flex',
+    gap: 8,
+    alignItems: 'center',
+    fontSize: 11,
+    marginTop: 2,
+    color: 'rgba(255,255,255,0.45)'
+  },
+  error: {
+    fontSize: 11,
+    color: '#ff5a3c',
+    marginTop: 2
+  },
+  link: {
+    color: '#ff8c42',
+    textDecoration: 'none',
+    fontFamily: "'Space Mono', monospace"
+  },
+  actions: {
+    display: 'flex',
+    gap: 6,
+    marginTop: 6
+  },
+  action: {
+    background: 'transparent',
+    border: '1px solid rgba(255,60,0,0.6)',
+    color: '#ff3300',
+    padding: '2px 10px',
+    borderRadius: 6,
+    cursor: 'pointer',
+    fontSize: 11
+  },
+  clear: {
+    background: 'transparent',
+    border: 'none',
+    color: 'rgba(255,255,255,0.45)',
+    cursor: 'pointer',
+    fontSize: 11
+  },
+  empty: {
+    color: 'rgba(255,255,255,0.45)',
+    fontSize: 12,
+    padding: '8px 0'
+  }
+};
+
+// Navbar tray listing recent contract writes from the transaction manager
+const TransactionTray = () => {
+  const [transactions, setTransactions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [actionError, setActionError] = useState('');
+
+  useEffect(() => subscribeTransactions(setTransactions), []);
+
+  const activeCount = transactions.filter(tx => ACTIVE.includes(tx.status)).length;
+  const failedCount = transactions.filter(canRetry).length;
+
+  const runAction = async (id, action) => {
+    setBusyId(id);
+    setActionError('');
+    try {
+      await action(id);
+    } catch (error) {
+      setActionError(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const statusText = (tx) => {
+    if (tx.status === TX_STATUS.CONFIRMED) {
+      return tx.confirmations >= REQUIRED_CONFIRMATIONS
+        ? 'confirmed'
+        : `${tx.confirmations}/${REQUIRED_CONFIRMATIONS} confirmations`;
+    }
+    if (tx.status === TX_STATUS.PENDING && tx.cancelHash) return 'cancelling';
+    if (tx.status === TX_STATUS.PENDING && tx.speedUps > 0) return `pending (sped up ×${tx.speedUps})`;
+    return tx.status;
+  };
+
+  const triggerLabel = activeCount > 0
+    ? `⏳ ${activeCount} pending`
+    : failedCount > 0 ? `✖ ${failedCount} failed` : '⛓ Txs';
+
+  return (
+    <div style={styles.wrapper}>
+      <button
+        type="button"
+        style={{ ...styles.trigger, ...(activeCount > 0 || failedCount > 0 ? styles.triggerBusy : {}) }}
+        onClick={() => setOpen(!open)}
+        title="Recent transactions"
+      >
+        {triggerLabel}
+      </button>
+
+      {open && (
+        <div style={styles.panel}>
+          <div style={styles.header}>
+            <span>Transactions</span>
+            {transactions.length > activeCount && (
+              <button type="button" style={styles.clear} onClick={clearFinishedTransactions}>
+                Clear finished
+              </button>
+            )}
+          </div>
+
+          {actionError && <div style={styles.error}>{actionError}</div>}
+          {transactions.length === 0 && <div style={styles.empty}>No transactions yet</div>}
+
+          {transactions.map(tx => {
+            const explorerUrl = tx.hash ? getExplorerTxUrl(tx.hash) : null;
+            const replaceable = tx.status === TX_STATUS.PENDING && tx.nonce !== null && !tx.cancelHash;
+            return (
+              <div key={tx.id} style={styles.row}>
+                <div style={styles.label}>{tx.label}</div>
+                <div style={styles.meta}>
+                  <span style={{ color: STATUS_COLORS[tx.status] }}>{statusText(tx)}</span>
+                  {tx.via === 'session-key' && <span>🔑 session key</span>}
+                  {tx.via === 'relayer' && <span>⛽ gasless</span>}
+                  {tx.hash && (explorerUrl
+                    ? <a href={explorerUrl} target="_blank" rel="noreferrer" style={styles.link}>{shortHash(tx.hash)}</a>
+                    : <span style={{ fontFamily: "'Space Mono', monospace" }}>{shortHash(tx.hash)}</span>)}
+                </div>
+                {tx.error && <div style={styles.error}>{tx.error}</div>}
+                {(replaceable || canRetry(tx)) && (
+                  <div style={styles.actions}>
+                    {replaceable && (
+                      <>
+                        <button type="button" style={styles.action} disabled={busyId === tx.id}
+                          onClick={() => runAction(tx.id, speedUpTransaction)}>
+                          Speed up
+                        </button>
+                        <button type="button" style={styles.action} disabled={busyId === tx.id}
+                          onClick={() => runAction(tx.id, cancelTransaction)}>
+                          Cancel
+                        </button>
+                      </>
+                    )}
+                    {canRetry(tx) && (
+                      <button type="button" style={styles.action} disabled={busyId === tx.id}
+                        onClick={() => runAction(tx.id, retryTransaction)}>
+                        Retry
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TransactionTray;
@@ -0,0 +1,86 @@
+import React from "react";
+import { Tooltip, Typography } from "@mui/material";
+import { TX_STATUS, REQUIRED_CONFIRMATIONS, retryTransaction } from "../utils/txManager";
+
+// Labels for a message's anchoring transaction (utils/txManager.js)
+const BADGES = {
+  [TX_STATUS.QUEUED]: {
+    label: "⋯ Queued",
+    tooltip: "Waiting for your earlier transactions to be sent",
+    color: "rgba(255,255,255,0.45)",
+  },
+  [TX_STATUS.SUBMITTING]: {
+    label: "⋯ Confirm in wallet",
+    tooltip: "The anchoring transaction is waiting for your wallet",
+    color: "rgba(255,200,120,0.7)",
+  },
+  [TX_STATUS.PENDING]: {
+    label: "⏳ Anchoring…",
+    tooltip: "Sent; waiting for it to be mined",
+    color: "rgba(255,200,120,0.7)",
+  },
+  [TX_STATUS.CONFIRMED]: {
+    label: "⛓ Confirming",
+    tooltip: "Mined; waiting for more blocks on top",
+    color: "rgba(120,220,140,0.6)",
+  },
+  [TX_STATUS.FAILED]: {
+    label: "✖ Anchor failed — retry",
+    tooltip: "The anchoring transaction failed. Click to send it again.",
+    color: "rgba(255,90,60,0.95)",
+  },
+  [TX_STATUS.DROPPED]: {
+    label: "✖ Anchor dropped — retry",
+    tooltip: "Another transaction used its nonce. Click to send it again.",
+    color: "rgba(255,90,60,0.95)",
+  },
+  [TX_STATUS.CANCELLED]: {
+    label: "○ Anchor cancelled — retry",
+    tooltip: "You cancelled the anchoring transaction. Click to send it again.",
+    color: "rgba(255,255,255,0.45)",
+  },
+};
+
+const RETRYABLE = [TX_STATUS.FAILED, TX_STATUS.DROPPED, TX_STATUS.CANCELLED];
+
+// Shown under a sent message until its anchoring transaction is settled
+const TxStatusBadge = ({ transaction }) => {
+  if (!transaction) return null;
+  const settled =
+    transaction.status === TX_STATUS.CONFIRMED &&
+    transaction.confirmations >= REQUIRED_CONFIRMATIONS;
+  const badge = BADGES[transaction.status];
+  if (!badge || settled) return null;
+
+  const canRetry = RETRYABLE.includes(transaction.status) && !transaction.retriedBy;
+  const label = transaction.status === TX_STATUS.CONFIRMED
+    ? `⛓ ${transaction.confirmations}/${REQUIRED_CONFIRMATIONS} confirmations`
+    : badge.label;
+  const tooltip = transaction.error ? `${badge.tooltip} (${transaction.error})` : badge.tooltip;
+
+  const handleRetry = () => {
+    retryTransaction(transaction.id).catch((error) => {
+      console.error("Retry failed:", error);
+    });
+  };
+
+  return (
+    <Tooltip title={tooltip}>
+      <Typography
+        variant="caption"
+        onClick={canRetry ? handleRetry : undefined}
+        sx={{
+          color: badge.color,
+          fontSize: 10,
+          mt: 0.25,
+          cursor: canRetry ? "pointer" : "default",
+          textDecoration: canRetry ? "underline" : "none",
+        }}
+      >
+        {label}
+      </Typography>
+    </Tooltip>
+  );
+};
+
+export default TxStatusBadge;
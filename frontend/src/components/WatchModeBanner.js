@@ -0,0 +1,196 @@
+import React, { useState } from "react";
+import { Box, Button, TextField, Typography, CircularProgress } from "@mui/material";
+import {
+  isReadOnlySession,
+  isLockedLocalSession,
+  signInWithEthereum,
+  signInWithLocalKey,
+  unlockLocalKey,
+} from "../utils/session";
+import { hasWalletProvider } from "../utils/blockchain";
+
+/**
+ * Banner shown on pages with write actions while the session is a read-only
+ * "watch" session. Offers the two ways to prove ownership of the address.
+ * A restored local-key session gets a password prompt to unlock its key.
+ */
+const WatchModeBanner = ({ session, onUpgrade }) => {
+  const [showLocalKey, setShowLocalKey] = useState(false);
+  const [privateKey, setPrivateKey] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  if (!session || !isReadOnlySession(session)) return null;
+
+  const finish = (upgraded) => {
+    setPrivateKey("");
+    setPassword("");
+    setShowLocalKey(false);
+    if (onUpgrade) onUpgrade(upgraded);
+  };
+
+  const handleWalletUpgrade = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      finish(await signInWithEthereum({ expectedAddress: session.address }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUnlock = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      await unlockLocalKey(session.address, password);
+      // Same session, now able to sign; a new object lets the pages re-render
+      finish({ ...session });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleLocalKeyUpgrade = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      finish(await signInWithLocalKey(privateKey, password, { expectedAddress: session.address }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const bannerSx = {
+    mb: 2,
+    p: 2,
+    borderRadius: 2,
+    border: "1px solid rgba(255,180,0,0.6)",
+    background: "rgba(40,25,0,0.9)",
+    color: "#ffd27a",
+  };
+
+  if (isLockedLocalSession(session)) {
+    return (
+      <Box sx={bannerSx}>
+        <Typography variant="body2" sx={{ fontWeight: 600, mb: 0.5 }}>
+          🔐 Local key locked
+        </Typography>
+        <Typography variant="body2" sx={{ color: "rgba(255,255,255,0.75)", mb: 1.5 }}>
+          This session signs with a key stored in this browser. Enter its password to send messages, change
+          friends, manage groups or make calls.
+        </Typography>
+
+        <Box sx={{ display: "flex", gap: 1, alignItems: "center", flexWrap: "wrap" }}>
+          <TextField
+            size="small"
+            type="password"
+            label="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && password && !busy && handleUnlock()}
+            InputLabelProps={{ sx: { color: "rgba(255,255,255,0.6)" } }}
+            inputProps={{ style: { color: "#fff" } }}
+          />
+          <Button
+            size="small"
+            variant="contained"
+            disabled={busy || !password}
+            onClick={handleUnlock}
+            sx={{ background: "#ff3300" }}
+          >
+            {busy ? <CircularProgress size={14} sx={{ color: "#fff" }} /> : "Unlock"}
+          </Button>
+        </Box>
+
+        {error && (
+          <Typography variant="caption" sx={{ display: "block", mt: 1, color: "#ff8a65" }}>
+            {error}
+          </Typography>
+        )}
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={bannerSx}>
+      <Typography variant="body2" sx={{ fontWeight: 600, mb: 0.5 }}>
+        👁 Watch-only session
+      </Typography>
+      <Typography variant="body2" sx={{ color: "rgba(255,255,255,0.75)", mb: 1.5 }}>
+        You entered {session.address.slice(0, 6)}…{session.address.slice(-4)} by hand, so you can read but not
+        send messages, change friends, manage groups or make calls. Prove you own it to unlock everything.
+      </Typography>
+
+      <Box sx={{ display: "flex", gap: 1, flexWrap: "wrap" }}>
+        {hasWalletProvider() && (
+          <Button
+            size="small"
+            variant="outlined"
+            disabled={busy}
+            onClick={handleWalletUpgrade}
+            sx={{ borderColor: "rgba(255,180,0,0.6)", color: "#ffd27a" }}
+          >
+            {busy && !showLocalKey ? <CircularProgress size={14} sx={{ color: "#ffd27a" }} /> : "Sign with wallet"}
+          </Button>
+        )}
+        <Button
+          size="small"
+          variant="text"
+          disabled={busy}
+          onClick={() => setShowLocalKey(!showLocalKey)}
+          sx={{ color: "#ffd27a" }}
+        >
+          {showLocalKey ? "Cancel" : "Use a local key"}
+        </Button>
+      </Box>
+
+      {showLocalKey && (
+        <Box sx={{ mt: 1.5, display: "flex", flexDirection: "column", gap: 1 }}>
+          <TextField
+            size="small"
+            type="password"
+            label="Private key"
+            value={privateKey}
+            onChange={(e) => setPrivateKey(e.target.value)}
+            InputLabelProps={{ sx: { color: "rgba(255,255,255,0.6)" } }}
+            inputProps={{ style: { color: "#fff", fontFamily: "'Space Mono', monospace" } }}
+          />
+          <TextField
+            size="small"
+            type="password"
+            label="Password to encrypt it in this browser"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            InputLabelProps={{ sx: { color: "rgba(255,255,255,0.6)" } }}
+            inputProps={{ style: { color: "#fff" } }}
+          />
+          <Button
+            size="small"
+            variant="contained"
+            disabled={busy || !privateKey || !password}
+            onClick={handleLocalKeyUpgrade}
+            sx={{ alignSelf: "flex-start", background: "#ff3300" }}
+          >
+            {busy ? <CircularProgress size={14} sx={{ color: "#fff" }} /> : "Verify with local key"}
+          </Button>
+        </Box>
+      )}
+
+      {error && (
+        <Typography variant="caption" sx={{ display: "block", mt: 1, color: "#ff8a65" }}>
+          {error}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default WatchModeBanner;
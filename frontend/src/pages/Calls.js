@@ -1,7 +1,10 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import Navbar from '../components/Navbar';
-import { initWeb3, getWeb3 } from '../utils/blockchain';
-import ChatMetadataABI from '../abis/ChatMetadata.json';
+import { syncChainIndex, getIndexedFriends } from '../utils/chainIndexer';
+import { lookupEncryptionKey, acceptKeyChange } from '../utils/keyRegistry';
+import { isReadOnlySession, WATCH_MODE_MESSAGE } from '../utils/session';
+import { isBlocked, loadBlockList } from '../utils/blockList';
+import WatchModeBanner from '../components/WatchModeBanner';
 import {
   createPeer,
   setupSignaling,
@@ -45,12 +48,12 @@ import {
 // Cache buster
 console.log('[Calls.js] 🔥 LOADED - Version 13.0 - TRICKLE-FALSE + NO-STREAM-KILL 🔥');
 
-const Calls = ({ walletAddress, onLogout }) => {
+const Calls = ({ walletAddress, session, onSessionUpgrade, onLogout }) => {
+  const readOnly = isReadOnlySession(session);
   const username = localStorage.getItem('username') || 'Anonymous';
   const [friends, setFriends] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const [contract, setContract] = useState(null);
 
   // Call state
   const [selectedFriend, setSelectedFriend] = useState(null);
@@ -62,6 +65,7 @@ const Calls = ({ walletAddress, onLogout }) => {
   const [isDeafened, setIsDeafened] = useState(false);
   const [incomingCall, setIncomingCall] = useState(null);
   const [isInitiator, setIsInitiator] = useState(false);
+  const [friendKey, setFriendKey] = useState(null); // key registry lookup for selectedFriend
 
   // Refs
   const peerRef = useRef(null);
@@ -86,37 +90,36 @@ const Calls = ({ walletAddress, onLogout }) => {
     incomingCallRef.current = incomingCall;
   }, [incomingCall]);
 
-  // Initialize contract
+  // Look up the selected friend's encryption key so we can warn if it changed
   useEffect(() => {
-    const setupContract = async () => {
-      try {
-        await initWeb3();
-        const web3 = getWeb3();
-        const CONTRACT_ADDRESS = process.env.REACT_APP_CONTRACT_ADDRESS;
-
-        if (CONTRACT_ADDRESS) {
-          const contractInstance = new web3.eth.Contract(
-            ChatMetadataABI.abi,
-            CONTRACT_ADDRESS
-          );
-          setContract(contractInstance);
-        }
-      } catch (error) {
-        console.error('Error setting up contract:', error);
-      }
+    if (!selectedFriend?.address) {
+      setFriendKey(null);
+      return;
+    }
+    let cancelled = false;
+    lookupEncryptionKey(selectedFriend.address)
+      .then((result) => {
+        if (!cancelled) setFriendKey(result);
+      })
+      .catch((err) => console.warn('[Calls] Key lookup failed:', err));
+    return () => {
+      cancelled = true;
     };
+  }, [selectedFriend]);
 
-    if (walletAddress) {
-      setupContract();
-    }
-  }, [walletAddress]);
+  const handleAcceptKeyChange = () => {
+    if (!friendKey || !selectedFriend) return;
+    acceptKeyChange(selectedFriend.address, friendKey.publicKey);
+    setFriendKey({ ...friendKey, keyChanged: false, previousKey: null });
+  };
 
-  // Load friends
+  // Load friends, and the block list that screens incoming calls
   useEffect(() => {
-    if (walletAddress && contract) {
+    if (walletAddress) {
       loadFriends();
+      loadBlockList(walletAddress);
     }
-  }, [walletAddress, contract]);
+  }, [walletAddress]);
 
   const loadFriends = async () => {
     if (!walletAddress) return;
@@ -125,24 +128,13 @@ const Calls = ({ walletAddress, onLogout }) => {
     try {
       let blockchainFriends = [];
 
-      if (contract) {
-        try {
-          const friendAddresses = await contract.methods.getFriends(walletAddress).call();
-          const friendsData = await Promise.all(
-            friendAddresses.map(async (friendAddress) => {
-              const friendData = await contract.methods.getFriend(walletAddress, friendAddress).call();
-              return {
-                address: friendData.friendAddress.toLowerCase(),
-                name: friendData.name,
-                exists: friendData.exists,
-                source: 'blockchain'
-              };
-            })
-          );
-          blockchainFriends = friendsData.filter(f => f.exists);
-        } catch (err) {
-          console.error('Error loading from blockchain:', err);
-        }
+      // On-chain friends, from the local chain index
+      try {
+        await syncChainIndex();
+        const indexedFriends = await getIndexedFriends(walletAddress);
+        blockchainFriends = indexedFriends.map(friend => ({ ...friend, source: 'blockchain' }));
+      } catch (err) {
+        console.error('Error loading from chain index:', err);
       }
 
       const normalizedAddress = walletAddress.toLowerCase();
@@ -244,6 +236,13 @@ const Calls = ({ walletAddress, onLogout }) => {
       if (messageData.type === 'call-request') {
         console.log('[Calls] 📞 Received call-request:', messageData.callType, 'from:', messageData.from);
 
+        // Screen against the synced list, not whatever the first render cached
+        await loadBlockList(walletAddress);
+        if (isBlocked(walletAddress, messageData.from)) {
+          console.log('[Calls] 🚫 Ignoring call-request from blocked user:', messageData.from);
+          return;
+        }
+
         const callingFriend = friendsRef.current.find(f =>
           f.address.toLowerCase() === messageData.from.toLowerCase()
         );
@@ -289,7 +288,7 @@ const Calls = ({ walletAddress, onLogout }) => {
     } catch (err) {
       console.error('[Calls] ❌ Error processing message:', err);
     }
-  }, []);
+  }, [walletAddress]);
 
   useEffect(() => {
     handleIncomingMessageRef.current = handleIncomingMessage;
@@ -305,7 +304,7 @@ const Calls = ({ walletAddress, onLogout }) => {
     if (!selectedFriend && walletAddress) {
       console.log('[Calls] 🎧 Setting up global incoming call listener for:', walletAddress);
 
-      const handleGlobalSignal = (signal) => {
+      const handleGlobalSignal = async (signal) => {
         console.log('[Calls] 📡 Global signal received:', signal.type || 'candidate');
 
         if (signal.type === 'offer') {
@@ -313,6 +312,12 @@ const Calls = ({ walletAddress, onLogout }) => {
           const offerCallType = signal.callType || 'video'; // Default to video if missing
           console.log('[Calls] 📞 Received offer from:', fromAddress, 'type:', offerCallType);
 
+          if (fromAddress) await loadBlockList(walletAddress);
+          if (fromAddress && isBlocked(walletAddress, fromAddress)) {
+            console.log('[Calls] 🚫 Ignoring offer from blocked user:', fromAddress);
+            return;
+          }
+
           if (fromAddress) {
             const callingFriend = friendsRef.current.find(f =>
               f.address.toLowerCase() === fromAddress.toLowerCase()
@@ -553,6 +558,10 @@ const Calls = ({ walletAddress, onLogout }) => {
   // Handle clicking "Video Call" or "Audio Call" on a friend
   // ─────────────────────────────────────────────────────────────────
   const handleStartCall = async (friend, type) => {
+    if (readOnly) {
+      setError(WATCH_MODE_MESSAGE);
+      return;
+    }
     console.log('[Calls] 📞 handleStartCall:', friend.name, type);
     pendingCallTypeRef.current = type;
     startConnection(friend, type);
@@ -565,6 +574,10 @@ const Calls = ({ walletAddress, onLogout }) => {
   // ─────────────────────────────────────────────────────────────────
   const handleAcceptCall = async () => {
     if (!incomingCall) return;
+    if (readOnly) {
+      setError(WATCH_MODE_MESSAGE);
+      return;
+    }
 
     console.log('[Calls] 📞 Accepting call — STREAM-FIRST architecture');
     const callTypeToAccept = incomingCall.callType;
@@ -882,6 +895,27 @@ const Calls = ({ walletAddress, onLogout }) => {
             </Button>
           </Paper>
 
+          {/* Key change warning */}
+          {friendKey?.keyChanged && (
+            <Alert
+              severity="warning"
+              action={
+                <Button color="inherit" size="small" onClick={handleAcceptKeyChange}>
+                  Accept new key
+                </Button>
+              }
+              sx={{
+                marginBottom: '16px',
+                borderRadius: 2,
+                border: '1px solid rgba(255,180,0,0.6)',
+                background: 'rgba(40,25,0,0.9)',
+                color: '#fde68a'
+              }}
+            >
+              {selectedFriend.name}'s encryption key has changed since you last talked. Make sure it's really them before accepting the call.
+            </Alert>
+          )}
+
           {/* Error Banner */}
           {error && (
             <Alert
@@ -917,7 +951,7 @@ const Calls = ({ walletAddress, onLogout }) => {
                 <Button
                   variant="contained"
                   onClick={handleAcceptCall}
-                  disabled={loading}
+                  disabled={loading || readOnly}
                   sx={{
                     background: '#ffffff',
                     color: '#047857',
@@ -1169,6 +1203,8 @@ const Calls = ({ walletAddress, onLogout }) => {
           </Typography>
         </div>
 
+        <WatchModeBanner session={session} onUpgrade={onSessionUpgrade} />
+
         <Paper sx={{
           background: 'rgba(0,0,0,0.55)',
           border: '1px solid rgba(255,40,0,0.15)',
@@ -1240,6 +1276,7 @@ const Calls = ({ walletAddress, onLogout }) => {
                       <Box sx={{ display: 'flex', gap: 1 }}>
                         <IconButton
                           onClick={() => handleStartCall(friend, 'video')}
+                          disabled={readOnly}
                           sx={{
                             background: 'linear-gradient(135deg, #8a66ff 0%, #6644cc 100%)',
                             color: '#fff',
@@ -1255,6 +1292,7 @@ const Calls = ({ walletAddress, onLogout }) => {
                         </IconButton>
                         <IconButton
                           onClick={() => handleStartCall(friend, 'audio')}
+                          disabled={readOnly}
                           sx={{
                             background: 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
                             color: '#fff',
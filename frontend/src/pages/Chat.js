@@ -1,16 +1,32 @@
-import React, { useEffect, useState, useCallback, useRef } from "react";
+import React, { useEffect, useState, useCallback, useRef, useMemo } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 
 import { 
   initWeb3,
-  storeMessageMetadata,
   getMessageMetadata,
   hashMessage,
-  loadChatHistory
+  loadChatHistory,
+  hasWalletProvider,
+  verifyBatchedMessage,
+  HISTORY_PAGE_SIZE
 } from "../utils/blockchain";
-import { uploadToIPFS, retrieveFromIPFS } from "../utils/ipfs";
+import {
+  anchorMessage,
+  isBatchingEnabled,
+  setBatchingEnabled,
+  getPendingBatch,
+  isBatchDue,
+  flushMessageBatch
+} from "../utils/messageBatcher";
+import { uploadToIPFS } from "../utils/ipfs";
 import { getChatKey, getFriendsKey } from "../utils/storageHelper";
-import { saveMessage, loadMessagesFromAllSources } from "../utils/messageStore";
+import { saveMessage, subscribeToMessages } from "../utils/messageStore";
+import { encryptForPeer, decryptFromPeer, openContent } from "../utils/e2ee";
+import { sealFile, openFile } from "../utils/fileCrypto";
+import { lookupEncryptionKey, acceptKeyChange, getKeyFingerprint } from "../utils/keyRegistry";
+import { lookupName, getCachedName } from "../utils/names";
+import { loadProfile, getCachedProfile, invalidateProfile } from "../utils/profiles";
+import { isBlocked, loadBlockList, unblockUser } from "../utils/blockList";
 import { 
   Box, 
   TextField, 
@@ -21,22 +37,75 @@ import {
   ListItem, 
   ListItemText, 
   ListItemAvatar,
+  Avatar,
   Divider,
   IconButton,
   Tooltip,
-  CircularProgress
+  CircularProgress,
+  Switch
 } from "@mui/material";
 import { Send as SendIcon, Refresh as RefreshIcon, ArrowBack as ArrowBackIcon, AttachFile as AttachFileIcon, Close as CloseIcon } from "@mui/icons-material";
 import { formatDistanceToNow } from 'date-fns';
 import { createPeer, setupSignaling, cleanup, setGlobalCallbacks } from "../utils/webrtc";
 import { sendFile, FileReceiver, validateFile, getFileIcon, formatFileSize } from "../utils/fileTransfer";
 import AvatarAnimated3D from "../components/AvatarAnimated3D";
+import IntegrityBadge from "../components/IntegrityBadge";
+import TxStatusBadge from "../components/TxStatusBadge";
+import { subscribeTransactions } from "../utils/txManager";
+import { subscribeContractEvents } from "../utils/contractEvents";
+import WatchModeBanner from "../components/WatchModeBanner";
+import { isReadOnlySession, WATCH_MODE_MESSAGE } from "../utils/session";
+
+// Window for matching a Gun record to a P2P message shown on receipt
+const GUN_MATCH_WINDOW_MS = 5000;
+// How often to check whether the pending message batch is due
+const BATCH_CHECK_INTERVAL_MS = 30000;
+
+// Fold signed GunDB records into the on-screen list: a record that matches a
+// message we already show (same IPFS payload, or same author and text within
+// a few seconds) lends it its signature status; anything else is appended.
+const mergeGunRecords = (messages, records, account) => {
+  if (records.length === 0) return messages;
+  const merged = [...messages];
+
+  records.forEach(record => {
+    const sender = (record.sender || '').toLowerCase();
+    const recordTime = new Date(record.time || record.timestamp).getTime();
+    const index = merged.findIndex(m => {
+      if (record.ipfsHash && m.ipfsHash) return m.ipfsHash === record.ipfsHash;
+      const time = new Date(m.time || m.timestamp).getTime();
+      return (m.sender || '').toLowerCase() === sender &&
+        (m.content || m.text) === record.content &&
+        Math.abs(time - recordTime) < GUN_MATCH_WINDOW_MS;
+    });
+
+    if (index >= 0) {
+      if (merged[index].signatureStatus !== 'verified') {
+        merged[index] = { ...merged[index], signatureStatus: record.signatureStatus };
+      }
+    } else {
+      merged.push({
+        ...record,
+        text: record.content,
+        time: new Date(record.time || record.timestamp),
+        incoming: sender !== account.toLowerCase(),
+        status: 'delivered'
+      });
+    }
+  });
+
+  return merged.sort((a, b) => new Date(a.time || a.timestamp) - new Date(b.time || b.timestamp));
+};
 
-function Chat({ walletAddress }) {
+function Chat({ walletAddress, session, onSessionUpgrade }) {
   const { friendAddress } = useParams();
   const navigate = useNavigate();
   const [messages, setMessages] = useState([]);
   const [friendName, setFriendName] = useState('');
+  const [peerChatName, setPeerChatName] = useState(null);
+  const [peerProfile, setPeerProfile] = useState(null);
+  const [peerBlocked, setPeerBlocked] = useState(false);
+  const readOnly = isReadOnlySession(session);
   
   // Helper function to safely create date from message time
   const getMessageTime = (msg) => {
@@ -66,9 +135,43 @@ function Chat({ walletAddress }) {
   const [downloading, setDownloading] = useState(false);
   const fileReceiverRef = useRef(null);
   const fileInputRef = useRef(null);
+
+  // Batched anchoring: queued message hashes go on-chain as one Merkle root
+  const [batchingEnabled, setBatchingEnabledState] = useState(isBatchingEnabled());
+  const [pendingBatch, setPendingBatch] = useState(() => getPendingBatch(walletAddress));
+  const [flushingBatch, setFlushingBatch] = useState(false);
+  const [proofChecks, setProofChecks] = useState({});
+  const pendingHashes = useMemo(
+    () => new Set(pendingBatch.map(m => m.messageHash.toLowerCase())),
+    [pendingBatch]
+  );
   
-  // Add polling for messages when P2P connection fails
-  const pollingIntervalRef = useRef(null);
+  // Verified GunDB records for this conversation, keyed by Gun id
+  const gunRecordsRef = useRef(new Map());
+
+  // Infinite scroll: on-chain messages loaded so far (newest pages first)
+  const chainMessagesRef = useRef([]);
+  const messageListRef = useRef(null);
+  const scrollAnchorRef = useRef(null);
+  const stickToBottomRef = useRef(true);
+  const [hasOlder, setHasOlder] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+
+  // Peer's encryption key (from the key registry) and its fingerprint
+  const [peerKey, setPeerKey] = useState(undefined);
+  const [peerKeyFingerprint, setPeerKeyFingerprint] = useState('');
+
+  // Transaction feed, so bubbles can show their anchoring status
+  const [transactions, setTransactions] = useState([]);
+  useEffect(() => subscribeTransactions(setTransactions), []);
+  const txByMessageHash = useMemo(() => {
+    const byHash = new Map();
+    transactions.forEach(tx => {
+      const hash = String(tx.meta?.messageHash || '').toLowerCase();
+      if (hash && !byHash.has(hash)) byHash.set(hash, tx);
+    });
+    return byHash;
+  }, [transactions]);
 
   // Update receiver when friendAddress from URL changes
   useEffect(() => {
@@ -90,36 +193,134 @@ function Chat({ walletAddress }) {
     }
   }, [friendAddress, receiver, walletAddress]);
 
+  // The peer's registered .chat name (cached first, then refreshed)
+  useEffect(() => {
+    if (!receiver) return;
+    let cancelled = false;
+    setPeerChatName(getCachedName(receiver));
+    lookupName(receiver).then(name => {
+      if (!cancelled) setPeerChatName(name);
+    });
+    return () => { cancelled = true; };
+  }, [receiver]);
+
+  // The peer's registered profile (username, bio, avatar), kept current
+  useEffect(() => {
+    if (!receiver) return;
+    let cancelled = false;
+    const refresh = () => loadProfile(receiver).then(profile => {
+      if (!cancelled) setPeerProfile(profile);
+    });
+    setPeerProfile(getCachedProfile(receiver));
+    refresh();
+    const unsubscribe = subscribeContractEvents(['ProfileUpdated'], { user: receiver }, () => {
+      invalidateProfile(receiver);
+      refresh();
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [receiver]);
+
+  // Friend nickname first, then the peer's own profile name, then their .chat name
+  const peerName = friendName || peerProfile?.username || peerChatName;
+
+  // Whether we blocked this peer (for the banner); their messages are dropped as they arrive
+  useEffect(() => {
+    const owner = account || walletAddress;
+    if (!owner || !receiver) return;
+    let cancelled = false;
+    setPeerBlocked(isBlocked(owner, receiver));
+    loadBlockList(owner).then(() => {
+      if (!cancelled) setPeerBlocked(isBlocked(owner, receiver));
+    });
+    return () => { cancelled = true; };
+  }, [account, walletAddress, receiver]);
+
+  const handleUnblockPeer = async () => {
+    try {
+      await unblockUser(account || walletAddress, receiver);
+      setPeerBlocked(false);
+      loadMessages();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Look up the peer's encryption key whenever the conversation changes
+  useEffect(() => {
+    if (!receiver) return;
+    let cancelled = false;
+    setPeerKey(undefined);
+    setPeerKeyFingerprint('');
+
+    lookupEncryptionKey(receiver)
+      .then(async (result) => {
+        if (cancelled) return;
+        setPeerKey(result);
+        if (result) {
+          const fingerprint = await getKeyFingerprint(result.publicKey);
+          if (!cancelled) setPeerKeyFingerprint(fingerprint);
+        }
+      })
+      .catch((err) => {
+        console.warn('[Chat] Key lookup failed:', err);
+        if (!cancelled) setPeerKey(null);
+      });
+
+    return () => { cancelled = true; };
+  }, [receiver]);
+
+  const handleAcceptKeyChange = () => {
+    if (!peerKey) return;
+    acceptKeyChange(receiver, peerKey.publicKey);
+    setPeerKey({ ...peerKey, keyChanged: false, previousKey: null });
+  };
+
   // Initialize FileReceiver
   useEffect(() => {
-    fileReceiverRef.current = new FileReceiver((file, fileUrl) => {
+    fileReceiverRef.current = new FileReceiver(async (received) => {
       // Callback when file is fully received
-      console.log('[Chat] File received:', file.name, fileUrl);
+      let file = received;
+      if (received.metadata?.sealed) {
+        // Only ciphertext crossed the channel; the sealed file key opens it
+        try {
+          const fileKey = JSON.parse(await decryptFromPeer(account, receiver, received.metadata.sealed));
+          URL.revokeObjectURL(received.url);
+          file = {
+            fileName: fileKey.fileName,
+            fileType: fileKey.fileType,
+            fileSize: fileKey.fileSize,
+            url: URL.createObjectURL(await openFile(received.blob, fileKey))
+          };
+        } catch (err) {
+          console.warn('[Chat] ⚠️ Could not open received file:', err.message);
+          setError('Received a file that could not be decrypted');
+          setDownloading(false);
+          return;
+        }
+      }
+      console.log('[Chat] File received:', file.fileName, file.url);
       
       const newMsg = {
         id: Date.now(),
-        content: file.name,
+        content: file.fileName,
         sender: receiver,
         time: new Date(),
         timestamp: new Date().toISOString(),
         incoming: true,
         from: receiver,
         type: 'file',
-        fileName: file.name,
-        fileSize: file.size,
-        fileType: file.type,
-        fileUrl: fileUrl
+        fileName: file.fileName,
+        fileSize: file.fileSize,
+        fileType: file.fileType,
+        fileUrl: file.url
       };
       
-      setMessages(prev => {
-        const updated = [...prev, newMsg];
-        // Save to localStorage + server
-        if (account && receiver) {
-          const msgToSave = { ...newMsg, fileUrl: null };
-          saveMessage(account, receiver, msgToSave);
-        }
-        return updated;
-      });
+      // Not saved here — only the author may write a (signed) record, and the
+      // sender has already stored theirs
+      setMessages(prev => [...prev, newMsg]);
       
       setDownloading(false);
     });
@@ -132,66 +333,74 @@ function Chat({ walletAddress }) {
     };
   }, [account, receiver]);
 
-  // Load messages strictly from blockchain + IPFS (source of truth)
-  const loadMessages = useCallback(async () => {
+  // Decrypt a page of loadChatHistory results (IPFS payload already fetched
+  // and checked against the on-chain hash, see msg.integrity)
+  const resolveHistory = useCallback(async (chatHistory) => {
+    // A blocked peer's side of the conversation is dropped, not just hidden
+    await loadBlockList(account);
+    const dropIncoming = isBlocked(account, receiver);
+    const messagesWithContent = await Promise.all(
+      chatHistory.map(async (msg) => {
+        if (dropIncoming && msg.sender.toLowerCase() !== account.toLowerCase()) return null;
+        try {
+          const available = msg.ipfsContent !== null && msg.ipfsContent !== undefined;
+          const content = available
+            ? await openContent(account, receiver, msg.ipfsContent)
+            : '(Message content not available)';
+          return {
+            ...msg,
+            content,
+            text: content,
+            time: new Date(msg.timestamp * 1000),
+            incoming: msg.sender.toLowerCase() !== account.toLowerCase(),
+            status: 'delivered'
+          };
+        } catch (error) {
+          console.warn(`Failed to load content for message ${msg.id}:`, error);
+          return null;
+        }
+      })
+    );
+    return messagesWithContent.filter(Boolean);
+  }, [account, receiver]);
+
+  // Fold a freshly loaded page into the on-chain messages already shown
+  const mergeChainPage = useCallback((page) => {
+    const byId = new Map(chainMessagesRef.current.map(m => [m.id, m]));
+    page.forEach(m => byId.set(m.id, m));
+    chainMessagesRef.current = [...byId.values()].sort(
+      (a, b) => new Date(a.time || a.timestamp) - new Date(b.time || b.timestamp)
+    );
+    setMessages(mergeGunRecords(chainMessagesRef.current, [...gunRecordsRef.current.values()], account));
+
+    // Optional local cache for faster subsequent loads (safe to clear)
+    localStorage.setItem(getChatKey(account, receiver), JSON.stringify(chainMessagesRef.current));
+  }, [account, receiver]);
+
+  // Load the newest page strictly from blockchain + IPFS (source of truth)
+  // `silent` refreshes (live events) keep the current list on screen
+  const loadMessages = useCallback(async ({ silent = false } = {}) => {
     if (!account || !receiver) {
       console.log('⚠️ Waiting for account and receiver...');
       return;
     }
 
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       setError(null);
 
       console.log('📜 Loading chat history from blockchain (strict mode)...');
-      const chatHistory = await loadChatHistory(account, receiver);
+      const chatHistory = await loadChatHistory(account, receiver, { limit: HISTORY_PAGE_SIZE });
 
       if (chatHistory.length === 0) {
         console.log('ℹ️ No on-chain messages found for this pair.');
-        setMessages([]);
+        setMessages(mergeGunRecords(chainMessagesRef.current, [...gunRecordsRef.current.values()], account));
       } else {
         console.log(`✅ Found ${chatHistory.length} messages on-chain, resolving IPFS...`);
-
-        const messagesWithContent = await Promise.all(
-          chatHistory.map(async (msg) => {
-            try {
-              if (msg.ipfsHash) {
-                const ipfsData = await retrieveFromIPFS(msg.ipfsHash);
-                return {
-                  ...msg,
-                  content: ipfsData.content || '',
-                  text: ipfsData.content || '',
-                  time: new Date(msg.timestamp * 1000),
-                  incoming: msg.sender.toLowerCase() !== account.toLowerCase(),
-                  status: 'delivered'
-                };
-              } else {
-                return {
-                  ...msg,
-                  content: '(Message content not available)',
-                  text: '(Message content not available)',
-                  time: new Date(msg.timestamp * 1000),
-                  incoming: msg.sender.toLowerCase() !== account.toLowerCase(),
-                  status: 'delivered'
-                };
-              }
-            } catch (error) {
-              console.warn(`Failed to load content for message ${msg.id}:`, error);
-              return null;
-            }
-          })
-        );
-
-        const validBlockchainMsgs = messagesWithContent.filter(Boolean);
-        validBlockchainMsgs.sort(
-          (a, b) => new Date(a.time || a.timestamp) - new Date(b.time || b.timestamp)
-        );
-
-        setMessages(validBlockchainMsgs);
-
-        // Optional local cache for faster subsequent loads (safe to clear)
-        const chatKey = getChatKey(account, receiver);
-        localStorage.setItem(chatKey, JSON.stringify(validBlockchainMsgs));
+        mergeChainPage(await resolveHistory(chatHistory));
+      }
+      if (chainMessagesRef.current.length <= HISTORY_PAGE_SIZE) {
+        setHasOlder(chatHistory.length >= HISTORY_PAGE_SIZE);
       }
     } catch (err) {
       console.error("❌ Error loading messages:", err);
@@ -199,7 +408,50 @@ function Chat({ walletAddress }) {
     } finally {
       setLoading(false);
     }
-  }, [account, receiver]);
+  }, [account, receiver, resolveHistory, mergeChainPage]);
+
+  // Next page back in time, for infinite scroll
+  const loadOlderMessages = useCallback(async () => {
+    if (!account || !receiver || loadingOlder || !hasOlder) return;
+
+    try {
+      setLoadingOlder(true);
+      const list = messageListRef.current;
+      if (list) scrollAnchorRef.current = list.scrollHeight - list.scrollTop;
+
+      const chatHistory = await loadChatHistory(account, receiver, {
+        offset: chainMessagesRef.current.length,
+        limit: HISTORY_PAGE_SIZE
+      });
+      console.log(`📜 Loaded ${chatHistory.length} older messages`);
+      mergeChainPage(await resolveHistory(chatHistory));
+      setHasOlder(chatHistory.length >= HISTORY_PAGE_SIZE);
+    } catch (err) {
+      console.error("❌ Error loading older messages:", err);
+      setError(`Failed to load older messages: ${err.message}`);
+    } finally {
+      setLoadingOlder(false);
+    }
+  }, [account, receiver, loadingOlder, hasOlder, resolveHistory, mergeChainPage]);
+
+  const handleMessageListScroll = (e) => {
+    const list = e.currentTarget;
+    stickToBottomRef.current = list.scrollHeight - list.scrollTop - list.clientHeight < 120;
+    if (list.scrollTop < 80) loadOlderMessages();
+  };
+
+  // Keep the view still when older messages are prepended; otherwise stick to
+  // the newest message
+  useEffect(() => {
+    const list = messageListRef.current;
+    if (!list) return;
+    if (scrollAnchorRef.current !== null) {
+      list.scrollTop = list.scrollHeight - scrollAnchorRef.current;
+      scrollAnchorRef.current = null;
+    } else if (stickToBottomRef.current) {
+      list.scrollTop = list.scrollHeight;
+    }
+  }, [messages]);
 
   // Initialize web3 and load messages
   useEffect(() => {
@@ -207,16 +459,16 @@ function Chat({ walletAddress }) {
     
     const setup = async () => {
       try {
-        // If MetaMask is available, try to initialize
-        if (window.ethereum) {
+        // If a wallet is available, try to initialize
+        if (hasWalletProvider()) {
           const { account: acc } = await initWeb3();
           if (!mounted) return;
           
           setAccount(acc);
           await loadMessages();
         } else {
-          // No MetaMask, use the wallet address from props (manual entry)
-          console.log('⚠️ MetaMask not available, using manual address');
+          // No wallet, use the wallet address from props (manual entry)
+          console.log('⚠️ No wallet available, using manual address');
           if (!mounted) return;
           setAccount(walletAddress);
           // Still load messages from GunDB + server (skip blockchain only)
@@ -245,8 +497,25 @@ function Chat({ walletAddress }) {
     };
   }, [loadMessages, walletAddress]);
 
+  // Signed records from GunDB — forgeries are dropped by messageStore, the
+  // rest are merged in with their signature status
+  useEffect(() => {
+    if (!account || !receiver) return;
+    gunRecordsRef.current = new Map();
+
+    const unsubscribe = subscribeToMessages(account, receiver, (record) => {
+      gunRecordsRef.current.set(record.id, record);
+      setMessages(prev => mergeGunRecords(prev, [record], account));
+    });
+
+    return unsubscribe;
+  }, [account, receiver]);
+
   // Reload messages when receiver changes
   useEffect(() => {
+    chainMessagesRef.current = [];
+    stickToBottomRef.current = true;
+    setHasOlder(false);
     if (account && receiver) {
       console.log(`🔄 Loading messages for conversation with ${receiver}`);
       loadMessages();
@@ -261,34 +530,16 @@ function Chat({ walletAddress }) {
     }
   }, [messages, account, receiver]);
 
-  // Polling mechanism: When P2P connection fails, poll blockchain for new messages
+  // Anchored messages between the pair arrive live from MetadataStored events
+  // (covers the P2P-down case that used to poll the chain every 5s)
   useEffect(() => {
-    // Clear any existing polling
-    if (pollingIntervalRef.current) {
-      clearInterval(pollingIntervalRef.current);
-      pollingIntervalRef.current = null;
-    }
-
-    // If not connected and we have account & receiver, start polling
-    if (!connected && account && receiver && !loading) {
-      console.log('📡 Starting blockchain polling (P2P not connected)');
-      
-      // Poll every 5 seconds
-      pollingIntervalRef.current = setInterval(() => {
-        console.log('🔄 Polling blockchain for new messages...');
-        loadMessages();
-      }, 5000);
-    }
-
-    // Cleanup
-    return () => {
-      if (pollingIntervalRef.current) {
-        console.log('📡 Stopping blockchain polling');
-        clearInterval(pollingIntervalRef.current);
-        pollingIntervalRef.current = null;
-      }
-    };
-  }, [connected, account, receiver, loading, loadMessages]);
+    if (!account || !receiver) return;
+    const pair = [account, receiver];
+    return subscribeContractEvents(['MetadataStored'], { sender: pair, receiver: pair }, (event) => {
+      console.log('📡 New on-chain message', event.returnValues.id?.toString());
+      loadMessages({ silent: true });
+    });
+  }, [account, receiver, loadMessages]);
 
   // Auto-retry connection mechanism
   useEffect(() => {
@@ -308,6 +559,11 @@ function Chat({ walletAddress }) {
   // Handle incoming WebRTC messages
   const handleIncomingMessage = useCallback(async (data) => {
     console.log('[Chat] Raw incoming data:', data);
+
+    if (isBlocked(account, receiver)) {
+      console.log('[Chat] 🚫 Dropping data from blocked user:', receiver);
+      return;
+    }
     
     try {
       // Check if it's file transfer data
@@ -325,7 +581,9 @@ function Chat({ walletAddress }) {
         try {
           // Try to parse as JSON
           const parsed = JSON.parse(data);
-          messageText = parsed.text || parsed.content || data;
+          messageText = parsed.sealed
+            ? await openContent(account, receiver, parsed.sealed)
+            : parsed.text || parsed.content || data;
           console.log('[Chat] Parsed message text:', messageText);
         } catch (e) {
           // If not JSON, use as-is
@@ -371,9 +629,8 @@ function Chat({ walletAddress }) {
       // Update state IMMEDIATELY
       setMessages(prev => [...prev, newMsg]);
       
-      // Save to server + localStorage
-      saveMessage(account, receiver, newMsg);
-      console.log('[Chat] Message saved to server + localStorage');
+      // The sender stores the signed record; re-saving it here would put a
+      // record in Gun that claims the peer as author without their signature
       
       // Receiver does NOT store metadata on blockchain - only sender does
       // This avoids the receiver needing to approve a transaction
@@ -599,6 +856,46 @@ function Chat({ walletAddress }) {
     );
   };
 
+  const handleToggleBatching = (enabled) => {
+    setBatchingEnabled(enabled);
+    setBatchingEnabledState(enabled);
+  };
+
+  const handleFlushBatch = useCallback(async () => {
+    if (!account || readOnly) return;
+    try {
+      setFlushingBatch(true);
+      const result = await flushMessageBatch(account);
+      if (result) {
+        console.log(`[Chat] 🌳 Anchored ${result.messageCount} messages in batch #${result.batchId}`);
+        await loadMessages();
+      }
+    } catch (err) {
+      console.error('[Chat] Batch anchor failed:', err);
+      setError(err.message);
+    } finally {
+      setPendingBatch(getPendingBatch(account));
+      setFlushingBatch(false);
+    }
+  }, [account, readOnly, loadMessages]);
+
+  // Anchor the pending batch once it is full or old enough
+  useEffect(() => {
+    if (!account || readOnly) return;
+    setPendingBatch(getPendingBatch(account));
+    const timer = setInterval(() => {
+      if (isBatchDue(account)) handleFlushBatch();
+    }, BATCH_CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [account, readOnly, handleFlushBatch]);
+
+  // Check one batched message's inclusion proof with the contract itself
+  const handleVerifyBatchProof = async (msg) => {
+    setProofChecks(prev => ({ ...prev, [msg.id]: null }));
+    const ok = await verifyBatchedMessage(msg);
+    setProofChecks(prev => ({ ...prev, [msg.id]: ok }));
+  };
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -609,33 +906,47 @@ function Chat({ walletAddress }) {
 
   // Send message via P2P
   const handleSendMessage = async () => {
+    if (readOnly) {
+      setError(WATCH_MODE_MESSAGE);
+      return;
+    }
     if (!message.trim()) {
       setError('Message cannot be empty');
       return;
     }
 
     try {
+      // STEP 0: Encrypt for the recipient — only the envelope leaves this browser
+      const sealedContent = await encryptForPeer(account, receiver, message);
+
       // STEP 1: Upload message to IPFS first
       console.log('[Chat] 📤 Uploading message to IPFS...');
-      const ipfsHash = await uploadToIPFS(message, {
+      const ipfsHash = await uploadToIPFS(sealedContent, {
         sender: account,
         receiver: receiver,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        encrypted: true
       });
       console.log('[Chat] ✅ IPFS upload successful:', ipfsHash);
 
-      // STEP 2: Store metadata on blockchain (requires transaction approval)
-      console.log('[Chat] 📝 Storing message metadata on blockchain...');
-      const hash = await hashMessage(message);
-      await storeMessageMetadata(account, receiver, hash, ipfsHash);
-      console.log('[Chat] ✅ Blockchain transaction approved!');
+      // STEP 2: Anchor metadata on blockchain (one transaction, or queued for
+      // the next batch in batching mode). The hash covers the ciphertext, so
+      // the chain reveals nothing about the text
+      console.log('[Chat] 📝 Anchoring message metadata...');
+      const hash = await hashMessage(sealedContent);
+      const { batched } = await anchorMessage(account, receiver, hash, ipfsHash);
+      if (batched) {
+        setPendingBatch(getPendingBatch(account));
+      } else {
+        console.log('[Chat] ✅ Blockchain transaction approved!');
+      }
 
       // STEP 3: Send the message via WebRTC for real-time delivery (if connected)
       if (connected && peerRef.current) {
         const dataChannel = peerRef.current._channel;
         if (dataChannel && dataChannel.readyState === 'open') {
           const messageObj = {
-            text: message,
+            sealed: sealedContent,
             timestamp: new Date().toISOString(),
             sender: account,
             type: 'text',
@@ -643,7 +954,7 @@ function Chat({ walletAddress }) {
           };
 
           const messageString = JSON.stringify(messageObj);
-          console.log('[Chat] 📨 Sending message via WebRTC:', messageString);
+          console.log('[Chat] 📨 Sending encrypted message via WebRTC');
           
           try {
             peerRef.current.send(messageString);
@@ -683,7 +994,7 @@ function Chat({ walletAddress }) {
       if (!connected) {
         setTimeout(() => {
           console.log('[Chat] Reloading to verify message on blockchain...');
-          loadMessages();
+          loadMessages({ silent: true });
         }, 2000);
       }
     } catch (err) {
@@ -735,6 +1046,10 @@ function Chat({ walletAddress }) {
   // Handle file send
   const handleSendFile = async () => {
     if (!selectedFile) return;
+    if (readOnly) {
+      setError(WATCH_MODE_MESSAGE);
+      return;
+    }
     
     if (!connected || !peerRef.current) {
       setError('Not connected to peer');
@@ -743,11 +1058,15 @@ function Chat({ walletAddress }) {
 
     try {
       setUploadProgress(0);
+
+      // Encrypt first: only ciphertext and the sealed file key cross the channel
+      const { file: sealedFile, fileKey } = await sealFile(selectedFile);
+      const sealedKey = await encryptForPeer(account, receiver, JSON.stringify(fileKey));
       
       // Send file via WebRTC
-      await sendFile(selectedFile, peerRef.current, (progress) => {
+      await sendFile(sealedFile, peerRef.current, (progress) => {
         setUploadProgress(progress);
-      });
+      }, { sealed: sealedKey });
 
       // Create file URL for local display
       const fileUrl = URL.createObjectURL(selectedFile);
@@ -912,7 +1231,7 @@ function Chat({ walletAddress }) {
           </IconButton>
           <Box>
             <Typography component="h1" sx={shellStyles.headingTitle}>
-              Chat {friendName && `· ${friendName}`}
+              Chat {peerName && `· ${peerName}`}
             </Typography>
             <Typography sx={shellStyles.subText}>
               End-to-end WebRTC with on-chain message proofs.
@@ -932,13 +1251,25 @@ function Chat({ walletAddress }) {
 
         {receiver && (
           <Box sx={{ mt: 1, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-            <Box>
-              <Typography sx={{ fontSize: 13, color: 'rgba(255,255,255,0.4)' }}>
-                Chatting with <span style={{ color: '#ffffff' }}>{friendName || 'Unknown peer'}</span>
-              </Typography>
-              <Typography sx={{ fontSize: 11, color: 'rgba(255,255,255,0.4)', fontFamily: "'Space Mono', monospace" }}>
-                {receiver}
-              </Typography>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
+              {peerProfile?.avatarUrl ? (
+                <Avatar src={peerProfile.avatarUrl} alt={peerName || receiver} sx={{ width: 44, height: 44 }} />
+              ) : (
+                <AvatarAnimated3D address={receiver} size={44} />
+              )}
+              <Box>
+                <Typography sx={{ fontSize: 13, color: 'rgba(255,255,255,0.4)' }}>
+                  Chatting with <span style={{ color: '#ffffff' }}>{peerName || 'Unknown peer'}</span>
+                </Typography>
+                <Typography sx={{ fontSize: 11, color: 'rgba(255,255,255,0.4)', fontFamily: "'Space Mono', monospace" }}>
+                  {receiver}{peerChatName && peerName !== peerChatName && ` · ${peerChatName}`}
+                </Typography>
+                {peerProfile?.bio && (
+                  <Typography sx={{ fontSize: 12, color: 'rgba(255,255,255,0.6)', mt: 0.25 }}>
+                    {peerProfile.bio}
+                  </Typography>
+                )}
+              </Box>
             </Box>
             <span style={shellStyles.statusPill(connected)}>
               {connected ? 'P2P Live' : 'Chain Sync'}
@@ -946,6 +1277,46 @@ function Chat({ walletAddress }) {
           </Box>
         )}
 
+        <Box sx={{ mt: 2 }}>
+          <WatchModeBanner session={session} onUpgrade={onSessionUpgrade} />
+        </Box>
+
+        {receiver && peerKey === null && (
+          <Box sx={{ mt: 2, p: 1.5, borderRadius: 12, border: '1px solid rgba(255,60,0,0.6)', background: 'rgba(40,0,0,0.9)', fontSize: 13 }}>
+            🔒 {friendName || 'This peer'} hasn't published an encryption key yet. Messages can't be sent until they open the app once.
+          </Box>
+        )}
+
+        {peerKey && peerKey.keyChanged && (
+          <Box sx={{ mt: 2, p: 1.5, borderRadius: 12, border: '1px solid rgba(255,180,0,0.6)', background: 'rgba(40,25,0,0.9)', fontSize: 13, display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2 }}>
+            <span>
+              ⚠️ {friendName || 'This peer'}'s encryption key has changed (new fingerprint{' '}
+              <span style={{ fontFamily: "'Space Mono', monospace" }}>{peerKeyFingerprint}</span>).
+              Verify it with them, then accept it to keep messaging.
+            </span>
+            <Button size="small" onClick={handleAcceptKeyChange} sx={{ color: '#ffb400', whiteSpace: 'nowrap' }}>
+              Accept new key
+            </Button>
+          </Box>
+        )}
+
+        {peerKey && !peerKey.keyChanged && peerKeyFingerprint && (
+          <Typography sx={{ mt: 1, fontSize: 11, color: 'rgba(255,255,255,0.4)', fontFamily: "'Space Mono', monospace" }}>
+            🔒 End-to-end encrypted · key {peerKeyFingerprint}{peerKey.source === 'chain' ? ' · anchored on-chain' : ''}
+          </Typography>
+        )}
+
+        {peerBlocked && (
+          <Box sx={{ mt: 2, p: 1.5, borderRadius: 12, border: '1px solid rgba(255,60,0,0.6)', background: 'rgba(40,0,0,0.9)', fontSize: 13, display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2 }}>
+            <span>
+              🚫 You blocked {peerName || 'this peer'}. Their messages and calls are hidden.
+            </span>
+            <Button size="small" onClick={handleUnblockPeer} disabled={readOnly} sx={{ color: '#ff8c42', whiteSpace: 'nowrap' }}>
+              Unblock
+            </Button>
+          </Box>
+        )}
+
         {error && (
           <Box sx={{ mt: 2, p: 1.5, borderRadius: 12, border: '1px solid rgba(255,60,0,0.6)', background: 'rgba(40,0,0,0.9)', fontSize: 13 }}>
             {error}
@@ -971,6 +1342,38 @@ function Chat({ walletAddress }) {
             </Typography>
           </Box>
 
+          {/* Batched anchoring controls */}
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+            <Tooltip title="Queue message hashes and anchor them together as one Merkle root instead of one transaction per message">
+              <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                <Switch
+                  size="small"
+                  checked={batchingEnabled}
+                  onChange={(e) => handleToggleBatching(e.target.checked)}
+                  disabled={readOnly}
+                />
+                <Typography variant="caption" sx={{ color: 'rgba(255,255,255,0.7)', fontSize: 12 }}>
+                  Batch anchoring
+                </Typography>
+              </Box>
+            </Tooltip>
+            {pendingBatch.length > 0 && (
+              <>
+                <Typography variant="caption" sx={{ color: 'rgba(255,200,120,0.8)', fontSize: 12 }}>
+                  {pendingBatch.length} message{pendingBatch.length === 1 ? '' : 's'} awaiting anchor
+                </Typography>
+                <Button
+                  size="small"
+                  onClick={handleFlushBatch}
+                  disabled={flushingBatch || readOnly}
+                  sx={{ color: '#ff8c42', fontSize: 12, textTransform: 'none' }}
+                >
+                  {flushingBatch ? 'Anchoring…' : 'Anchor now'}
+                </Button>
+              </>
+            )}
+          </Box>
+
           {/* Selected file preview */}
           {selectedFile && (
             <Box sx={{ mt: 2, p: 2, bgcolor: 'action.hover', borderRadius: 1, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
@@ -1014,11 +1417,11 @@ function Chat({ walletAddress }) {
               multiline
               maxRows={4}
               variant="outlined"
-              placeholder={connected ? "Type your message..." : "Type your message (will sync via blockchain)..."}
+              placeholder={readOnly ? "Read-only watch session" : connected ? "Type your message..." : "Type your message (will sync via blockchain)..."}
               value={message}
               onChange={(e) => setMessage(e.target.value)}
               onKeyPress={handleKeyPress}
-              disabled={!receiver.trim() || loading}
+              disabled={!receiver.trim() || loading || readOnly}
               size="small"
               InputProps={{
                 sx: {
@@ -1044,7 +1447,7 @@ function Chat({ walletAddress }) {
                 <IconButton
                   color="primary"
                   onClick={() => fileInputRef.current?.click()}
-                  disabled={!receiver.trim() || !connected || loading || selectedFile !== null}
+                  disabled={!receiver.trim() || !connected || loading || selectedFile !== null || readOnly}
                   sx={{ alignSelf: 'flex-end', height: 40 }}
                 >
                   <AttachFileIcon />
@@ -1060,7 +1463,7 @@ function Chat({ walletAddress }) {
                     cursor: !message.trim() || loading ? 'not-allowed' : 'pointer'
                   }}
                   onClick={handleSendMessage}
-                  disabled={!message.trim() || loading}
+                  disabled={!message.trim() || loading || readOnly}
                 >
                   {loading ? <CircularProgress size={22} sx={{ color: '#ff3300' }} /> : <SendIcon sx={{ color: '#000000' }} />}
                   <span
@@ -1085,14 +1488,33 @@ function Chat({ walletAddress }) {
               Messages
             </Typography>
             <Tooltip title="Refresh messages">
-              <IconButton onClick={loadMessages} disabled={loading} size="small">
+              <IconButton onClick={() => loadMessages()} disabled={loading} size="small">
                 <RefreshIcon />
               </IconButton>
             </Tooltip>
           </Box>
 
           {messages.length > 0 ? (
-            <List sx={{ maxHeight: '60vh', overflow: 'auto', p: 0 }}>
+            <List
+              ref={messageListRef}
+              onScroll={handleMessageListScroll}
+              sx={{ maxHeight: '60vh', overflow: 'auto', p: 0 }}
+            >
+              {(hasOlder || loadingOlder) && (
+                <Box sx={{ display: 'flex', justifyContent: 'center', py: 1 }}>
+                  {loadingOlder ? (
+                    <CircularProgress size={16} sx={{ color: '#ff8c42' }} />
+                  ) : (
+                    <Button
+                      size="small"
+                      onClick={loadOlderMessages}
+                      sx={{ color: 'rgba(255,255,255,0.6)', fontSize: 12, textTransform: 'none' }}
+                    >
+                      Load older messages
+                    </Button>
+                  )}
+                </Box>
+              )}
               {messages.map((msg, i) => {
                 const isIncoming = msg.incoming;
                 return (
@@ -1142,7 +1564,7 @@ function Chat({ walletAddress }) {
                             mb: 0.5,
                           }}
                         >
-                          {isIncoming ? (friendName || (msg.from ? `${msg.from.slice(0, 6)}...${msg.from.slice(-4)}` : 'Unknown')) : 'You'}
+                          {isIncoming ? (peerName || (msg.from ? `${msg.from.slice(0, 6)}...${msg.from.slice(-4)}` : 'Unknown')) : 'You'}
                           {' · '}{msg.time ? formatDistanceToNow(getMessageTime(msg)) : 'now'}
                         </Typography>
                         {msg.type === 'file' ? (
@@ -1199,6 +1621,40 @@ function Chat({ walletAddress }) {
                           {String(msg.messageHash).slice(0, 10)}…{String(msg.messageHash).slice(-8)}
                         </Typography>
                       )}
+                      <IntegrityBadge
+                        status={msg.integrity || (pendingHashes.has(String(msg.messageHash).toLowerCase()) ? 'pending' : msg.messageHash ? null : 'unanchored')}
+                        batchId={msg.batchId}
+                      />
+                      <TxStatusBadge transaction={txByMessageHash.get(String(msg.messageHash || '').toLowerCase())} />
+                      {msg.batchId && (
+                        <Typography
+                          variant="caption"
+                          onClick={() => handleVerifyBatchProof(msg)}
+                          sx={{ color: 'rgba(255,255,255,0.45)', fontSize: 10, mt: 0.25, cursor: 'pointer', textDecoration: 'underline' }}
+                        >
+                          {proofChecks[msg.id] === undefined
+                            ? 'Check inclusion proof on-chain'
+                            : proofChecks[msg.id] === null
+                            ? 'Checking proof…'
+                            : proofChecks[msg.id]
+                            ? '✔ Proof accepted by contract'
+                            : '✖ Proof rejected by contract'}
+                        </Typography>
+                      )}
+                      {msg.signatureStatus === 'verified' && (
+                        <Tooltip title="Signed with the sender's registered signing key">
+                          <Typography variant="caption" sx={{ color: 'rgba(120,220,140,0.8)', fontSize: 10, mt: 0.25 }}>
+                            ✔ Signed by sender
+                          </Typography>
+                        </Tooltip>
+                      )}
+                      {msg.signatureStatus === 'unverified' && (
+                        <Tooltip title="No signature, or the sender has not registered a signing key">
+                          <Typography variant="caption" sx={{ color: 'rgba(255,180,0,0.8)', fontSize: 10, mt: 0.25 }}>
+                            ⚠ Unverified sender
+                          </Typography>
+                        </Tooltip>
+                      )}
                     </Box>
                   </ListItem>
                 );
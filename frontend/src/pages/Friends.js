@@ -1,9 +1,25 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Navbar from '../components/Navbar';
-import { initWeb3, getWeb3 } from '../utils/blockchain';
+import { initWeb3, getWeb3, getReadContract } from '../utils/blockchain';
+import { syncChainIndex, getIndexedFriends, getConversations } from '../utils/chainIndexer';
+import { sendTransaction } from '../utils/txManager';
+import { subscribeContractEvents } from '../utils/contractEvents';
+import { resolveAddressInput, lookupNames } from '../utils/names';
+import {
+  sendFriendRequestOnChain,
+  acceptFriendRequestOnChain,
+  declineFriendRequestOnChain,
+  cancelFriendRequestOnChain,
+  getFriendRequestsFromChain
+} from '../utils/friendsBlockchain';
+import { loadProfiles, invalidateProfile } from '../utils/profiles';
+import { loadBlockList, blockUser, unblockUser } from '../utils/blockList';
 import HumanAvatar from '../components/HumanAvatar';
+import WatchModeBanner from '../components/WatchModeBanner';
+import { isReadOnlySession, WATCH_MODE_MESSAGE } from '../utils/session';
 import ChatMetadataABI from '../abis/ChatMetadata.json';
+import { getActiveChain, getContractAddress } from '../utils/chains';
 import { 
   exportChatHistory, 
   importChatHistory, 
@@ -48,10 +64,21 @@ import {
   Visibility,
   VisibilityOff,
   Link as LinkIcon,
-  Storage as StorageIcon
+  Storage as StorageIcon,
+  Check as CheckIcon,
+  Close as CloseIcon,
+  Block as BlockIcon
 } from '@mui/icons-material';
 
-const Friends = ({ walletAddress, onLogout }) => {
+const FRIEND_REQUEST_EVENTS = [
+  'FriendRequestSent',
+  'FriendRequestAccepted',
+  'FriendRequestDeclined',
+  'FriendRequestCancelled'
+];
+
+const Friends = ({ walletAddress, session, onSessionUpgrade, onLogout }) => {
+  const readOnly = isReadOnlySession(session);
   const navigate = useNavigate();
   const [friends, setFriends] = useState([]);
   const [newFriendAddress, setNewFriendAddress] = useState('');
@@ -60,6 +87,18 @@ const Friends = ({ walletAddress, onLogout }) => {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [contract, setContract] = useState(null);
+  const [readContract, setReadContract] = useState(null);
+  const [conversations, setConversations] = useState(new Map());
+  const [profiles, setProfiles] = useState(new Map()); // lowercase address → registered profile
+  const [friendRequests, setFriendRequests] = useState({ incoming: [], outgoing: [] });
+  const [requestNames, setRequestNames] = useState(new Map()); // lowercase address → 'name.chat'
+  const [answeringRequest, setAnsweringRequest] = useState(null); // address of the request being answered
+  const [requestError, setRequestError] = useState('');
+  const [requestNotice, setRequestNotice] = useState('');
+  const [blockedUsers, setBlockedUsers] = useState([]); // [{ address, blockedAt }]
+  const [blockInput, setBlockInput] = useState('');
+  const [blockBusy, setBlockBusy] = useState(false);
+  const [blockError, setBlockError] = useState('');
   const username = localStorage.getItem('username') || 'Anonymous';
 
   // Export/Import state
@@ -77,13 +116,22 @@ const Friends = ({ walletAddress, onLogout }) => {
   const [contextMenu, setContextMenu] = useState(null);
   const [selectedFriend, setSelectedFriend] = useState(null);
 
-  // Initialize contract
+  // Reads go through the RPC provider, so friends load without a wallet
+  useEffect(() => {
+    try {
+      setReadContract(getReadContract());
+    } catch (error) {
+      console.error('Error setting up read contract:', error);
+    }
+  }, []);
+
+  // Wallet-backed contract, for signing
   useEffect(() => {
     const setupContract = async () => {
       try {
         await initWeb3();
         const web3 = getWeb3();
-        const CONTRACT_ADDRESS = process.env.REACT_APP_CONTRACT_ADDRESS;
+        const CONTRACT_ADDRESS = getContractAddress();
         
         if (CONTRACT_ADDRESS) {
           const contractInstance = new web3.eth.Contract(
@@ -103,43 +151,94 @@ const Friends = ({ walletAddress, onLogout }) => {
   }, [walletAddress]);
 
   useEffect(() => {
-    if (walletAddress && contract) {
+    if (walletAddress && readContract) {
       loadFriends();
+      loadFriendRequests();
+    }
+  }, [walletAddress, readContract]);
+
+  // The signed block list, from this device and GunDB
+  useEffect(() => {
+    if (walletAddress) {
+      loadBlockList(walletAddress).then(setBlockedUsers);
     }
-  }, [walletAddress, contract]);
+  }, [walletAddress]);
+
+  // Friend list changes (from this or another device) and new messages arrive live
+  useEffect(() => {
+    if (!walletAddress || !readContract) return;
+    const refresh = () => loadFriends({ silent: true });
+    const unsubscribes = [
+      subscribeContractEvents(['FriendAdded', 'FriendRemoved'], { user: walletAddress }, refresh),
+      subscribeContractEvents(['MetadataStored'], { sender: walletAddress }, refresh),
+      subscribeContractEvents(['MetadataStored'], { receiver: walletAddress }, refresh),
+      subscribeContractEvents(FRIEND_REQUEST_EVENTS, { to: walletAddress }, loadFriendRequests),
+      subscribeContractEvents(FRIEND_REQUEST_EVENTS, { from: walletAddress }, loadFriendRequests)
+    ];
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [walletAddress, readContract]);
+
+  // Registered profiles (username, bio, avatar) of friends and pending requests,
+  // refreshed when one changes
+  useEffect(() => {
+    const addresses = [
+      ...friends.map(friend => friend.address),
+      ...friendRequests.incoming.map(request => request.from),
+      ...friendRequests.outgoing.map(request => request.to)
+    ];
+    if (addresses.length === 0) return;
+    const refresh = () => loadProfiles(addresses).then(setProfiles);
+    refresh();
+    return subscribeContractEvents(['ProfileUpdated'], { user: addresses }, (event) => {
+      invalidateProfile(event.returnValues.user);
+      refresh();
+    });
+  }, [friends, friendRequests]);
+
+  // Pending friend requests, both directions
+  const loadFriendRequests = async () => {
+    if (!walletAddress) return;
+    const requests = await getFriendRequestsFromChain(walletAddress);
+    setFriendRequests(requests);
+
+    const others = [...requests.incoming.map(r => r.from), ...requests.outgoing.map(r => r.to)];
+    if (others.length > 0) {
+      lookupNames(others).then(setRequestNames);
+    }
+  };
 
-  const loadFriends = async () => {
+  const blockedAddresses = new Set(blockedUsers.map(entry => entry.address));
+  const isUserBlocked = (address) => blockedAddresses.has(address.toLowerCase());
+  // Requests from blocked users are not shown
+  const incomingRequests = friendRequests.incoming.filter(request => !isUserBlocked(request.from));
+
+  // Best name we have for someone who isn't a friend yet
+  const requestDisplayName = (address) =>
+    profiles.get(address.toLowerCase())?.username
+      || requestNames.get(address.toLowerCase())
+      || `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+  // `silent` refreshes (live events) don't touch the loading state
+  const loadFriends = async ({ silent = false } = {}) => {
     if (!walletAddress) return;
     
-    setLoading(true);
+    if (!silent) setLoading(true);
     try {
       let blockchainFriends = [];
       
-      // Try to load from blockchain if contract is available
-      if (contract) {
+      // On-chain friends come from the local chain index, brought up to date first
+      if (readContract) {
         try {
-          console.log('Loading friends from blockchain...');
-          const friendAddresses = await contract.methods.getFriends(walletAddress).call();
-          
-          // Get detailed information for each friend
-          const friendsData = await Promise.all(
-            friendAddresses.map(async (friendAddress) => {
-              const friendData = await contract.methods.getFriend(walletAddress, friendAddress).call();
-              return {
-                address: friendData.friendAddress.toLowerCase(),
-                name: friendData.name,
-                addedAt: new Date(Number(friendData.addedAt) * 1000).toISOString(),
-                exists: friendData.exists,
-                source: 'blockchain'
-              };
-            })
-          );
-          
-          blockchainFriends = friendsData.filter(f => f.exists);
-          console.log(`✅ Loaded ${blockchainFriends.length} friends from blockchain`);
-          console.log('📋 Blockchain friends:', blockchainFriends.map(f => ({ name: f.name, address: f.address })));
+          await syncChainIndex();
+          const indexedFriends = await getIndexedFriends(walletAddress);
+          blockchainFriends = indexedFriends.map(friend => ({ ...friend, source: 'blockchain' }));
+          console.log(`✅ Loaded ${blockchainFriends.length} friends from the chain index`);
+
+          const summaries = await getConversations(walletAddress);
+          setConversations(new Map(summaries.map(summary => [summary.peer, summary])));
         } catch (err) {
-          console.error('Error loading from blockchain:', err);
+          console.error('Error loading from chain index:', err);
         }
       }
       
@@ -195,13 +294,18 @@ const Friends = ({ walletAddress, onLogout }) => {
       console.error('Error loading friends:', error);
       setError('Failed to load friends');
     } finally {
-      setLoading(false);
+      if (!silent) setLoading(false);
     }
   };
 
   const handleAddFriend = async () => {
     setError('');
     
+    if (readOnly) {
+      setError(WATCH_MODE_MESSAGE);
+      return;
+    }
+    
     if (!walletAddress) {
       setError('Wallet not connected');
       return;
@@ -214,7 +318,7 @@ const Friends = ({ walletAddress, onLogout }) => {
     
     // Validation
     if (!newFriendAddress.trim()) {
-      setError('Please enter a wallet address');
+      setError('Please enter a wallet address or name');
       return;
     }
     
@@ -223,21 +327,24 @@ const Friends = ({ walletAddress, onLogout }) => {
       return;
     }
 
-    // Check if address is valid (basic check)
-    if (!newFriendAddress.startsWith('0x') || newFriendAddress.length !== 42) {
-      setError('Invalid wallet address format');
+    // Accept a .chat name as well as an address
+    let friendAddress;
+    try {
+      friendAddress = await resolveAddressInput(newFriendAddress);
+    } catch (resolveErr) {
+      setError(resolveErr.message);
       return;
     }
 
     // Check if adding self
-    if (newFriendAddress.toLowerCase() === walletAddress.toLowerCase()) {
+    if (friendAddress.toLowerCase() === walletAddress.toLowerCase()) {
       setError('You cannot add yourself as a friend');
       return;
     }
 
     // Check if friend already exists
     const existingFriend = friends.find(
-      f => f.address.toLowerCase() === newFriendAddress.toLowerCase()
+      f => f.address.toLowerCase() === friendAddress.toLowerCase()
     );
     
     if (existingFriend) {
@@ -245,41 +352,33 @@ const Friends = ({ walletAddress, onLogout }) => {
       return;
     }
 
-    // Add friend to blockchain
+    // A request they already sent us is answered from the inbox instead
+    const theirRequest = friendRequests.incoming.find(
+      r => r.from.toLowerCase() === friendAddress.toLowerCase()
+    );
+    if (theirRequest) {
+      setError('They already sent you a friend request. Accept it from your requests below.');
+      return;
+    }
+
     setLoading(true);
     try {
-      console.log(`Adding friend ${newFriendName} to blockchain...`);
-      const web3 = getWeb3();
-      
-      // Check if friend already exists on blockchain
-      try {
-        const existingFriend = await contract.methods.getFriend(walletAddress, newFriendAddress.trim()).call();
-        if (existingFriend.exists) {
-          console.log('⚠️ Friend already exists on blockchain:', existingFriend);
-          setError('This friend already exists on the blockchain. Remove them first before re-adding.');
-          setLoading(false);
-          return;
-        }
-        console.log('✅ Friend check passed - not on blockchain yet');
-      } catch (checkErr) {
-        // Friend doesn't exist or error checking, continue
-        console.log('Friend check:', checkErr.message || 'continuing...');
-      }
-      
       // Estimate gas first to catch reverts early
-      let estimatedGas;
       try {
-        estimatedGas = await contract.methods
-          .addFriend(newFriendAddress.trim(), newFriendName.trim())
+        await contract.methods
+          .sendFriendRequest(friendAddress, newFriendName.trim())
           .estimateGas({ from: walletAddress });
-        console.log(`Estimated gas: ${estimatedGas}`);
       } catch (estimateErr) {
         console.error('Gas estimation failed:', estimateErr);
-        
+
         // Parse the revert reason
         let errorMessage = 'Transaction will fail. ';
         if (estimateErr.message.includes('Friend already exists')) {
-          errorMessage += 'This friend is already in your list.';
+          errorMessage += 'You are already friends on-chain.';
+        } else if (estimateErr.message.includes('Friend request already sent')) {
+          errorMessage += 'You already sent them a request. It is waiting for their answer.';
+        } else if (estimateErr.message.includes('They already sent you a friend request')) {
+          errorMessage += 'They already sent you a request. Accept it from your requests.';
         } else if (estimateErr.message.includes('Cannot add yourself')) {
           errorMessage += 'You cannot add yourself as a friend.';
         } else if (estimateErr.message.includes('Invalid friend address')) {
@@ -289,40 +388,16 @@ const Friends = ({ walletAddress, onLogout }) => {
         } else {
           errorMessage += estimateErr.message;
         }
-        
+
         setError(errorMessage);
         setLoading(false);
         return;
       }
-      
-      // Convert estimatedGas to number and add 20% buffer
-      const gasLimit = Math.floor(Number(estimatedGas) * 1.2);
-      console.log(`Using gas limit: ${gasLimit}`);
-      
-      const tx = await contract.methods
-        .addFriend(newFriendAddress.trim(), newFriendName.trim())
-        .send({ 
-          from: walletAddress,
-          gas: gasLimit
-        });
 
-      console.log('✅ Friend added! Transaction:', tx.transactionHash);
-      
-      // Also save to localStorage as backup
-      const newFriend = {
-        address: newFriendAddress.trim(),
-        name: newFriendName.trim(),
-        addedAt: new Date().toISOString()
-      };
-      
-      const normalizedAddress = walletAddress.toLowerCase();
-      const localFriends = JSON.parse(localStorage.getItem(`friends_${normalizedAddress}`) || '[]');
-      localFriends.push(newFriend);
-      localStorage.setItem(`friends_${normalizedAddress}`, JSON.stringify(localFriends));
-      localStorage.setItem(`friends_${walletAddress}`, JSON.stringify(localFriends));
+      await sendFriendRequestOnChain(friendAddress, newFriendName.trim());
+      await loadFriendRequests();
 
-      // Reload friends from blockchain
-      await loadFriends();
+      setRequestNotice(`Friend request sent to ${newFriendName.trim()}. They'll appear in your friends once they accept.`);
 
       // Reset form
       setNewFriendAddress('');
@@ -333,15 +408,15 @@ const Friends = ({ walletAddress, onLogout }) => {
       console.error('Error adding friend:', error);
       
       // Better error messages
-      let errorMessage = 'Failed to add friend: ';
-      if (error.message.includes('User denied')) {
+      let errorMessage = 'Failed to send friend request: ';
+      if (error.message.includes('User denied') || error.message.includes('Rejected in wallet')) {
         errorMessage = 'Transaction cancelled by user.';
-      } else if (error.message.includes('insufficient funds')) {
+      } else if (error.message.includes('insufficient funds') || error.message.includes('Not enough ETH')) {
         errorMessage = 'Insufficient funds for gas fees. Please add test ETH to your wallet.';
       } else if (error.message.includes('Friend already exists')) {
         errorMessage = 'This friend is already in your list on the blockchain.';
       } else if (error.message.includes('reverted')) {
-        errorMessage = 'Transaction failed. The friend might already exist, or there may be a validation issue.';
+        errorMessage = 'Transaction failed. You may already be friends, or a request may already be pending.';
       } else {
         errorMessage += error.message;
       }
@@ -352,13 +427,102 @@ const Friends = ({ walletAddress, onLogout }) => {
     }
   };
 
+  // Answer or withdraw a pending request; `action` sends the transaction
+  const runRequestAction = async (address, action) => {
+    if (readOnly) {
+      setRequestError(WATCH_MODE_MESSAGE);
+      return;
+    }
+    setRequestError('');
+    setRequestNotice('');
+    setAnsweringRequest(address);
+    try {
+      await action();
+      await loadFriendRequests();
+      await loadFriends({ silent: true });
+    } catch (error) {
+      console.error('Error answering friend request:', error);
+      setRequestError(error.message);
+    } finally {
+      setAnsweringRequest(null);
+    }
+  };
+
+  const handleAcceptRequest = (request) => {
+    const name = window.prompt('Name for your new friend', requestDisplayName(request.from));
+    if (name === null) return;
+    if (!name.trim()) {
+      setRequestError('Please enter a name for your friend');
+      return;
+    }
+    runRequestAction(request.from, async () => {
+      await acceptFriendRequestOnChain(request.from, name.trim());
+      setRequestNotice(`You and ${name.trim()} are now friends.`);
+    });
+  };
+
+  const handleDeclineRequest = (request) => {
+    if (!window.confirm(`Decline the friend request from ${requestDisplayName(request.from)}?`)) return;
+    runRequestAction(request.from, () => declineFriendRequestOnChain(request.from));
+  };
+
+  const handleCancelRequest = (request) => {
+    if (!window.confirm(`Cancel your friend request to ${request.name}?`)) return;
+    runRequestAction(request.to, () => cancelFriendRequestOnChain(request.to));
+  };
+
+  // Block or unblock someone; the wallet signs the updated list
+  const runBlockAction = async (action) => {
+    if (readOnly) {
+      setBlockError(WATCH_MODE_MESSAGE);
+      return false;
+    }
+    setBlockError('');
+    setBlockBusy(true);
+    try {
+      setBlockedUsers(await action());
+      return true;
+    } catch (error) {
+      setBlockError(error.message);
+      return false;
+    } finally {
+      setBlockBusy(false);
+    }
+  };
+
+  const handleBlock = (address, label) => {
+    if (!window.confirm(`Block ${label}? You won't see their messages, calls or group invites.`)) return;
+    runBlockAction(() => blockUser(walletAddress, address));
+  };
+
+  const handleUnblock = (address) => {
+    runBlockAction(() => unblockUser(walletAddress, address));
+  };
+
+  const handleBlockInput = async () => {
+    if (!blockInput.trim()) return;
+    const blocked = await runBlockAction(async () =>
+      blockUser(walletAddress, await resolveAddressInput(blockInput))
+    );
+    if (blocked) setBlockInput('');
+  };
+
+  // Name to show for a blocked address
+  const blockedDisplayName = (address) =>
+    friends.find(friend => friend.address.toLowerCase() === address)?.name
+      || requestDisplayName(address);
+
   const handleDeleteFriend = async (friend) => {
+    if (readOnly) {
+      setError(WATCH_MODE_MESSAGE);
+      return;
+    }
     const isBlockchain = friend.source === 'blockchain';
     const friendAddress = friend.address;
     
     // Different confirmation messages based on source
     const confirmMessage = isBlockchain
-      ? `Remove "${friend.name}" from blockchain? This will require a transaction and gas fees.`
+      ? `Remove "${friend.name}" from blockchain? You'll also be removed from their friends. This will require a transaction and gas fees.`
       : `Remove "${friend.name}" from local storage? This action is instant and free.`;
     
     if (!window.confirm(confirmMessage)) return;
@@ -374,12 +538,13 @@ const Friends = ({ walletAddress, onLogout }) => {
         
         console.log(`🔗 Removing friend from blockchain...`);
         const web3 = getWeb3();
-        const tx = await contract.methods
-          .removeFriend(friendAddress)
-          .send({ 
-            from: walletAddress,
-            gas: 100000
-          });
+        const tx = await sendTransaction({
+          method: contract.methods.removeFriend(friendAddress),
+          from: walletAddress,
+          gas: 100000,
+          label: 'Remove friend',
+          kind: 'friend'
+        });
 
         console.log('✅ Friend removed from blockchain! Transaction:', tx.transactionHash);
       } else {
@@ -470,6 +635,11 @@ const Friends = ({ walletAddress, onLogout }) => {
     setError('');
     setImportSuccess(null);
     
+    if (readOnly) {
+      setError(WATCH_MODE_MESSAGE);
+      return;
+    }
+    
     if (!importFile) {
       setError('Please select a file to import');
       return;
@@ -622,6 +792,8 @@ const Friends = ({ walletAddress, onLogout }) => {
       <Navbar walletAddress={walletAddress} username={username} onLogout={onLogout} />
       
       <div style={styles.content}>
+        <WatchModeBanner session={session} onUpgrade={onSessionUpgrade} />
+
         <Box style={styles.header}>
           <Box>
             <Typography style={styles.title}>
@@ -685,7 +857,7 @@ const Friends = ({ walletAddress, onLogout }) => {
                     backgroundColor: 'rgba(74, 222, 128, 0.1)',
                   }
                 }}
-                disabled={loading}
+                disabled={loading || readOnly}
               >
                 Import
               </Button>
@@ -695,13 +867,134 @@ const Friends = ({ walletAddress, onLogout }) => {
               startIcon={loading ? <CircularProgress size={20} color="inherit" /> : <PersonAddIcon />}
               onClick={() => setOpenAddDialog(true)}
               sx={styles.addButton}
-              disabled={loading || !contract}
+              disabled={loading || !contract || readOnly}
             >
               Add Friend
             </Button>
           </Box>
         </Box>
 
+        {requestNotice && (
+          <Alert severity="success" onClose={() => setRequestNotice('')} sx={{ mb: 2 }}>
+            {requestNotice}
+          </Alert>
+        )}
+
+        {/* Friend requests: incoming ones to answer, outgoing ones to cancel */}
+        {(incomingRequests.length > 0 || friendRequests.outgoing.length > 0) && (
+          <Paper sx={{ ...styles.friendsList, mb: 3 }}>
+            <Typography sx={{ px: 2, pt: 2, color: '#ff3300', fontFamily: "'Space Mono', monospace", letterSpacing: '0.16em', fontSize: '12px' }}>
+              FRIEND REQUESTS
+              {incomingRequests.length > 0 && ` · ${incomingRequests.length} TO ANSWER`}
+            </Typography>
+            {requestError && (
+              <Alert severity="error" onClose={() => setRequestError('')} sx={{ m: 2 }}>
+                {requestError}
+              </Alert>
+            )}
+            <List>
+              {incomingRequests.map(request => (
+                <ListItem
+                  key={`in-${request.from}`}
+                  sx={styles.friendItem}
+                  secondaryAction={
+                    answeringRequest === request.from ? (
+                      <CircularProgress size={24} />
+                    ) : (
+                      <Box sx={{ display: 'flex', gap: 1 }}>
+                        <Tooltip title="Accept">
+                          <IconButton
+                            edge="end"
+                            onClick={() => handleAcceptRequest(request)}
+                            disabled={readOnly || Boolean(answeringRequest)}
+                            sx={{ color: '#4ade80' }}
+                          >
+                            <CheckIcon />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Decline">
+                          <IconButton
+                            edge="end"
+                            onClick={() => handleDeclineRequest(request)}
+                            disabled={readOnly || Boolean(answeringRequest)}
+                            sx={{ color: '#ef4444' }}
+                          >
+                            <CloseIcon />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Block">
+                          <IconButton
+                            edge="end"
+                            onClick={() => handleBlock(request.from, requestDisplayName(request.from))}
+                            disabled={readOnly || blockBusy}
+                            sx={{ color: '#b8b8d1' }}
+                          >
+                            <BlockIcon />
+                          </IconButton>
+                        </Tooltip>
+                      </Box>
+                    )
+                  }
+                >
+                  <ListItemAvatar>
+                    <HumanAvatar address={request.from} size={40} />
+                  </ListItemAvatar>
+                  <ListItemText
+                    primary={
+                      <Typography sx={{ color: '#ffffff', fontWeight: 600 }}>
+                        {requestDisplayName(request.from)} wants to be friends
+                      </Typography>
+                    }
+                    secondary={
+                      <Typography component="span" sx={{ color: '#b8b8d1', fontSize: '12px', fontFamily: 'monospace' }}>
+                        {request.from} · {new Date(request.createdAt).toLocaleDateString()}
+                      </Typography>
+                    }
+                  />
+                </ListItem>
+              ))}
+              {friendRequests.outgoing.map(request => (
+                <ListItem
+                  key={`out-${request.to}`}
+                  sx={styles.friendItem}
+                  secondaryAction={
+                    answeringRequest === request.to ? (
+                      <CircularProgress size={24} />
+                    ) : (
+                      <Tooltip title="Cancel request">
+                        <IconButton
+                          edge="end"
+                          onClick={() => handleCancelRequest(request)}
+                          disabled={readOnly || Boolean(answeringRequest)}
+                          sx={{ color: '#b8b8d1' }}
+                        >
+                          <CloseIcon />
+                        </IconButton>
+                      </Tooltip>
+                    )
+                  }
+                >
+                  <ListItemAvatar>
+                    <HumanAvatar address={request.to} size={40} />
+                  </ListItemAvatar>
+                  <ListItemText
+                    primary={
+                      <Typography sx={{ color: '#b8b8d1', fontWeight: 600 }}>
+                        Waiting for {request.name} to accept
+                      </Typography>
+                    }
+                    secondary={
+                      <Typography component="span" sx={{ color: '#b8b8d1', fontSize: '12px', fontFamily: 'monospace' }}>
+                        {request.to} · sent {new Date(request.createdAt).toLocaleDateString()}
+                      </Typography>
+                    }
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </Paper>
+        )}
+
         {/* Storage Statistics */}
         {friends.length > 0 && (
           <Box sx={{ 
@@ -774,6 +1067,18 @@ const Friends = ({ walletAddress, onLogout }) => {
                             <ChatIcon />
                           </IconButton>
                         </Tooltip>
+                        <Tooltip title={isUserBlocked(friend.address) ? 'Unblock' : 'Block'}>
+                          <IconButton
+                            edge="end"
+                            disabled={readOnly || blockBusy}
+                            onClick={() => (isUserBlocked(friend.address)
+                              ? handleUnblock(friend.address)
+                              : handleBlock(friend.address, friend.name))}
+                            sx={{ color: isUserBlocked(friend.address) ? '#ef4444' : '#b8b8d1' }}
+                          >
+                            <BlockIcon />
+                          </IconButton>
+                        </Tooltip>
                         <Tooltip 
                           title={friend.source === 'blockchain' 
                             ? 'Remove from blockchain (requires transaction)' 
@@ -782,6 +1087,7 @@ const Friends = ({ walletAddress, onLogout }) => {
                           <IconButton
                             edge="end"
                             color="error"
+                            disabled={readOnly}
                             onClick={() => handleDeleteFriend(friend)}
                           >
                             <DeleteIcon />
@@ -791,7 +1097,15 @@ const Friends = ({ walletAddress, onLogout }) => {
                     }
                   >
                     <ListItemAvatar>
-                      <HumanAvatar address={friend.address} size={56} />
+                      {profiles.get(friend.address.toLowerCase())?.avatarUrl ? (
+                        <Avatar
+                          src={profiles.get(friend.address.toLowerCase()).avatarUrl}
+                          alt={friend.name}
+                          sx={{ width: 56, height: 56 }}
+                        />
+                      ) : (
+                        <HumanAvatar address={friend.address} size={56} />
+                      )}
                     </ListItemAvatar>
                     <ListItemText
                       primary={
@@ -799,6 +1113,21 @@ const Friends = ({ walletAddress, onLogout }) => {
                           <Typography variant="h6" sx={{ color: '#ffffff', fontWeight: 600 }}>
                             {friend.name}
                           </Typography>
+                          {isUserBlocked(friend.address) && (
+                            <Chip
+                              icon={<BlockIcon />}
+                              label="Blocked"
+                              size="small"
+                              sx={{
+                                backgroundColor: 'rgba(239, 68, 68, 0.2)',
+                                color: '#ef4444',
+                                fontWeight: 600,
+                                fontSize: '10px',
+                                height: '20px',
+                                '& .MuiChip-icon': { fontSize: '14px', color: '#ef4444' }
+                              }}
+                            />
+                          )}
                           <Tooltip 
                             title={friend.source === 'blockchain' 
                               ? 'Stored on blockchain (decentralized, requires gas to remove)' 
@@ -839,6 +1168,19 @@ const Friends = ({ walletAddress, onLogout }) => {
                           >
                             {friend.address}
                           </Typography>
+                          {profiles.has(friend.address.toLowerCase()) && (
+                            <Typography
+                              variant="body2"
+                              component="span"
+                              sx={{ color: '#b8b8d1', fontSize: '13px', display: 'block', mt: 0.5 }}
+                            >
+                              {profiles.get(friend.address.toLowerCase()).username
+                                && `@${profiles.get(friend.address.toLowerCase()).username}`}
+                              {profiles.get(friend.address.toLowerCase()).username
+                                && profiles.get(friend.address.toLowerCase()).bio && ' · '}
+                              {profiles.get(friend.address.toLowerCase()).bio}
+                            </Typography>
+                          )}
                           <Chip
                             label={`Added ${new Date(friend.addedAt).toLocaleDateString()}`}
                             size="small"
@@ -849,6 +1191,19 @@ const Friends = ({ walletAddress, onLogout }) => {
                               fontSize: '11px'
                             }}
                           />
+                          {conversations.has(friend.address) && (
+                            <Chip
+                              label={`${conversations.get(friend.address).messageCount} on-chain messages · last ${new Date(conversations.get(friend.address).lastMessageAt).toLocaleDateString()}`}
+                              size="small"
+                              sx={{
+                                mt: 1,
+                                ml: 1,
+                                backgroundColor: 'rgba(255, 140, 66, 0.15)',
+                                color: '#b8b8d1',
+                                fontSize: '11px'
+                              }}
+                            />
+                          )}
                         </Box>
                       }
                     />
@@ -864,11 +1219,84 @@ const Friends = ({ walletAddress, onLogout }) => {
                 No Friends Yet
               </Typography>
               <Typography variant="body2">
-                Click "Add Friend" to start adding friends by their wallet address
+                Click "Add Friend" to send a friend request to a wallet address or .chat name
               </Typography>
             </Box>
           )}
         </Paper>
+
+        {/* Blocked users: no messages, calls or group invites from them */}
+        <Paper sx={{ ...styles.friendsList, mt: 3, p: 2 }}>
+          <Typography sx={{ color: '#ff3300', fontFamily: "'Space Mono', monospace", letterSpacing: '0.16em', fontSize: '12px', mb: 1 }}>
+            BLOCKED USERS
+            {blockedUsers.length > 0 && ` · ${blockedUsers.length}`}
+          </Typography>
+          <Typography sx={{ color: '#b8b8d1', fontSize: '13px', mb: 2 }}>
+            Messages, calls and group invites from these addresses are hidden. The list is signed by your
+            wallet and synced through GunDB.
+          </Typography>
+          {blockError && (
+            <Alert severity="error" onClose={() => setBlockError('')} sx={{ mb: 2 }}>
+              {blockError}
+            </Alert>
+          )}
+          <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+            <TextField
+              fullWidth
+              size="small"
+              placeholder="Wallet address or name.chat"
+              value={blockInput}
+              onChange={(e) => setBlockInput(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleBlockInput()}
+              disabled={readOnly || blockBusy}
+            />
+            <Button
+              variant="outlined"
+              color="error"
+              startIcon={blockBusy ? <CircularProgress size={16} color="inherit" /> : <BlockIcon />}
+              onClick={handleBlockInput}
+              disabled={readOnly || blockBusy || !blockInput.trim()}
+            >
+              Block
+            </Button>
+          </Box>
+          {blockedUsers.length > 0 && (
+            <List>
+              {blockedUsers.map(entry => (
+                <ListItem
+                  key={entry.address}
+                  sx={styles.friendItem}
+                  secondaryAction={
+                    <Button
+                      size="small"
+                      onClick={() => handleUnblock(entry.address)}
+                      disabled={readOnly || blockBusy}
+                      sx={{ color: '#4ade80' }}
+                    >
+                      Unblock
+                    </Button>
+                  }
+                >
+                  <ListItemAvatar>
+                    <HumanAvatar address={entry.address} size={40} />
+                  </ListItemAvatar>
+                  <ListItemText
+                    primary={
+                      <Typography sx={{ color: '#ffffff', fontWeight: 600 }}>
+                        {blockedDisplayName(entry.address)}
+                      </Typography>
+                    }
+                    secondary={
+                      <Typography component="span" sx={{ color: '#b8b8d1', fontSize: '12px', fontFamily: 'monospace' }}>
+                        {entry.address} · blocked {new Date(entry.blockedAt).toLocaleDateString()}
+                      </Typography>
+                    }
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </Paper>
       </div>
 
       {/* Add Friend Dialog */}
@@ -890,7 +1318,7 @@ const Friends = ({ walletAddress, onLogout }) => {
         }}
       >
         <DialogTitle sx={{ color: '#ffffff', fontWeight: 600 }}>
-          Add New Friend
+          Send Friend Request
         </DialogTitle>
         <DialogContent>
           {error && (
@@ -909,10 +1337,13 @@ const Friends = ({ walletAddress, onLogout }) => {
             </Alert>
           )}
           <Alert severity="info" sx={{ mb: 2 }}>
+            They'll be added to your friends (and you to theirs) once they accept.<br/><br/>
             <strong>Common Issues:</strong><br/>
-            • Friend already exists - Remove them first<br/>
-            • Insufficient gas - Get test ETH from <a href="https://sepoliafaucet.com" target="_blank" rel="noopener" style={{color: '#ff3300'}}>Sepolia Faucet</a><br/>
-            • Invalid address - Check the wallet address format
+            • Already friends, or a request is already pending - Check your requests<br/>
+            • Insufficient gas - {getActiveChain().faucetUrl
+              ? <>Get test ETH from <a href={getActiveChain().faucetUrl} target="_blank" rel="noopener" style={{color: '#ff3300'}}>{getActiveChain().name} faucet</a></>
+              : 'Fund this account from your local node'}<br/>
+            • Invalid address - Check the wallet address format, or that the .chat name is registered
           </Alert>
           <TextField
             autoFocus
@@ -928,13 +1359,13 @@ const Friends = ({ walletAddress, onLogout }) => {
           />
           <TextField
             margin="dense"
-            label="Wallet Address"
+            label="Wallet Address or Name"
             type="text"
             fullWidth
             variant="outlined"
             value={newFriendAddress}
             onChange={(e) => setNewFriendAddress(e.target.value)}
-            placeholder="0x..."
+            placeholder="0x... or name.chat"
           />
           {loading && (
             <Box sx={{ mt: 2, display: 'flex', alignItems: 'center', gap: 1 }}>
@@ -970,7 +1401,7 @@ const Friends = ({ walletAddress, onLogout }) => {
               }
             }}
           >
-            Add Friend
+            Send Request
           </Button>
         </DialogActions>
       </Dialog>
@@ -1,16 +1,41 @@
 // frontend/src/pages/GroupChat.js
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
-import { initWeb3, getWeb3, hashMessage } from '../utils/blockchain';
+import { initWeb3, getWeb3, getReadContract, hashMessage, fetchVerifiedContent, sendGroupMessage, getGroupMessageHistory, getGroupMessageCount, HISTORY_PAGE_SIZE } from '../utils/blockchain';
 import {
   uploadToIPFS,
-  retrieveFromIPFS,
   uploadFileToIPFS,
   getIPFSFileUrl,
   isImageFile,
   isFileSizeAcceptable
 } from '../utils/ipfs';
+import { sendTransaction, subscribeTransactions } from '../utils/txManager';
+import { subscribeContractEvents } from '../utils/contractEvents';
+import { sealFile, openFileFromIPFS } from '../utils/fileCrypto';
+import { syncChainIndex, getIndexedGroup } from '../utils/chainIndexer';
 import ChatMetadataABI from '../abis/ChatMetadata.json';
+import { getActiveChain, getContractAddress } from '../utils/chains';
+import { lookupEncryptionKeys, acceptKeyChange } from '../utils/keyRegistry';
+import { lookupNames, getCachedName } from '../utils/names';
+import { loadProfiles, getCachedProfile, invalidateProfile } from '../utils/profiles';
+import {
+  encryptGroupMessage,
+  decryptGroupMessage,
+  rotateGroupSenderKey,
+  forgetGroupSenderKey,
+  watchMembershipChanges
+} from '../utils/groupCrypto';
+import {
+  GROUP_ADMIN_EVENTS,
+  getAdminStandings,
+  getJoinRequests,
+  voteForAdminOnChain,
+  withdrawAdminVoteOnChain,
+  removeGroupMemberOnChain,
+  updateGroupOnChain,
+  requestToJoinGroupOnChain,
+  answerJoinRequestOnChain
+} from '../utils/groupAdmin';
 import {
   Box,
   TextField,
@@ -25,7 +50,11 @@ import {
   Menu,
   MenuItem,
   CircularProgress,
-  Tooltip
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
 } from '@mui/material';
 import {
   Send as SendIcon,
@@ -35,22 +64,51 @@ import {
   ExitToApp as ExitIcon,
   AttachFile as AttachFileIcon,
   Close as CloseIcon,
-  HowToVote as HowToVoteIcon
+  HowToVote as HowToVoteIcon,
+  AdminPanelSettings as AdminIcon,
+  PersonRemove as PersonRemoveIcon,
+  Edit as EditIcon,
+  GroupAdd as GroupAddIcon
 } from '@mui/icons-material';
 import { formatDistanceToNow } from 'date-fns';
-
-function GroupChat({ walletAddress }) {
+import IntegrityBadge from '../components/IntegrityBadge';
+import TxStatusBadge from '../components/TxStatusBadge';
+import WatchModeBanner from '../components/WatchModeBanner';
+import { isReadOnlySession, WATCH_MODE_MESSAGE } from '../utils/session';
+
+// File messages are sealed like text: the envelope carries this descriptor
+const GROUP_FILE_MARKER = 'group-file';
+
+const describeGroupFile = (fileHash, fileKey) =>
+  JSON.stringify({ kind: GROUP_FILE_MARKER, fileHash, fileKey });
+
+// Descriptor fields for a decrypted file message, or null for plain text
+const parseGroupFile = (content) => {
+  try {
+    const parsed = JSON.parse(content);
+    if (parsed?.kind !== GROUP_FILE_MARKER || !parsed.fileHash || !parsed.fileKey) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+};
+
+function GroupChat({ walletAddress, session, onSessionUpgrade }) {
   const { groupId } = useParams();
+  const readOnly = isReadOnlySession(session);
   const navigate = useNavigate();
   const location = useLocation();
 
   const [group, setGroup] = useState(location.state?.group || null);
+  const [chatNames, setChatNames] = useState(new Map()); // lowercase address → 'name.chat'
+  const [memberProfiles, setMemberProfiles] = useState(new Map()); // lowercase address → registered profile
   const [messages, setMessages] = useState([]);
   const [message, setMessage] = useState('');
   const [loading, setLoading] = useState(false);
   const [loadingInitial, setLoadingInitial] = useState(true);
   const [error, setError] = useState('');
   const [contract, setContract] = useState(null);
+  const [readContract, setReadContract] = useState(null);
   const [anchorEl, setAnchorEl] = useState(null);
   const [messageCount, setMessageCount] = useState(0);
 
@@ -58,9 +116,64 @@ function GroupChat({ walletAddress }) {
   const [filePreview, setFilePreview] = useState(null);
   const [uploadProgress, setUploadProgress] = useState(0);
 
+  // Transaction feed, so bubbles can show their anchoring status
+  const [transactions, setTransactions] = useState([]);
+  useEffect(() => subscribeTransactions(setTransactions), []);
+  const txByIpfsHash = useMemo(() => {
+    const byCid = new Map();
+    transactions.forEach(tx => {
+      if (tx.meta?.ipfsHash && !byCid.has(tx.meta.ipfsHash)) byCid.set(tx.meta.ipfsHash, tx);
+    });
+    return byCid;
+  }, [transactions]);
+
+  // Members' encryption keys from the key registry (lowercase address → lookup result)
+  const [memberKeys, setMemberKeys] = useState({});
+  // Members our sender key could not be shared with (no published key yet)
+  const [unreachableMembers, setUnreachableMembers] = useState([]);
+
+  // Admin election standings and pending join requests, read from the contract
+  const [adminInfo, setAdminInfo] = useState(null);
+  const [joinRequests, setJoinRequests] = useState([]);
+  const [adminBusy, setAdminBusy] = useState(null); // key of the admin action in flight
+  const [editOpen, setEditOpen] = useState(false);
+  const [editName, setEditName] = useState('');
+  const [editDescription, setEditDescription] = useState('');
+
   const messagesEndRef = useRef(null);
+  // Infinite scroll: position (oldest first) of the oldest on-chain message loaded
+  const oldestLoadedRef = useRef(Infinity);
+  const messageListRef = useRef(null);
+  const scrollAnchorRef = useRef(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
   const fileInputRef = useRef(null);
 
+  // Attachments sit encrypted on IPFS: fetch and decrypt each one once
+  const [fileUrls, setFileUrls] = useState({});
+  const requestedFilesRef = useRef(new Set());
+  useEffect(() => {
+    messages
+      .filter((msg) => msg.type === 'file' && msg.fileKey && msg.fileHash && !requestedFilesRef.current.has(msg.id))
+      .forEach((msg) => {
+        requestedFilesRef.current.add(msg.id);
+        openFileFromIPFS(msg.fileHash, msg.fileKey)
+          .then((url) => setFileUrls((prev) => ({ ...prev, [msg.id]: url })))
+          .catch((err) => console.warn('⚠️ Could not open group attachment:', err.message));
+      });
+  }, [messages]);
+
+  // Release the decrypted copies when leaving the group
+  const fileUrlsRef = useRef(fileUrls);
+  fileUrlsRef.current = fileUrls;
+  useEffect(() => () => {
+    Object.values(fileUrlsRef.current).forEach((url) => URL.revokeObjectURL(url));
+  }, []);
+
+  // Decrypted URL for sealed attachments, the gateway URL for older plain ones
+  const getFileUrl = (msg) => (msg.fileKey
+    ? fileUrls[msg.id]
+    : msg.url || getIPFSFileUrl(msg.ipfsHash));
+
   const username = localStorage.getItem('username') || 'Anonymous';
 
   // Styles aligned with Home/Friends/Chat
@@ -238,13 +351,23 @@ function GroupChat({ walletAddress }) {
     }
   };
 
-  // Initialize contract
+  // Reads go through the RPC provider, so the group loads without a wallet
+  useEffect(() => {
+    try {
+      setReadContract(getReadContract());
+    } catch (err) {
+      console.error('Error setting up read contract:', err);
+      setError('Blockchain connection failed. Check REACT_APP_RPC_URL.');
+    }
+  }, []);
+
+  // Wallet-backed contract, for signing
   useEffect(() => {
     const setupContract = async () => {
       try {
         await initWeb3();
         const web3 = getWeb3();
-        const CONTRACT_ADDRESS = process.env.REACT_APP_CONTRACT_ADDRESS;
+        const CONTRACT_ADDRESS = getContractAddress();
 
         if (CONTRACT_ADDRESS) {
           const contractInstance = new web3.eth.Contract(
@@ -264,31 +387,180 @@ function GroupChat({ walletAddress }) {
 
   // Load group and messages
   useEffect(() => {
-    if (contract && groupId) {
+    if (readContract && groupId) {
+      oldestLoadedRef.current = Infinity;
       loadGroupData();
       loadMessages();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [contract, groupId]);
+  }, [readContract, groupId]);
+
+  // Look up every other member's encryption key
+  useEffect(() => {
+    if (!group?.members) return;
+    let cancelled = false;
+    const others = group.members.filter(
+      (addr) => addr && addr.toLowerCase() !== walletAddress.toLowerCase()
+    );
+
+    lookupEncryptionKeys(others)
+      .then((keys) => {
+        if (!cancelled) setMemberKeys(keys);
+      })
+      .catch((err) => console.warn('Key lookup failed for group members:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [group, walletAddress]);
+
+  const handleAcceptMemberKey = (address) => {
+    const entry = memberKeys[address.toLowerCase()];
+    if (!entry) return;
+    acceptKeyChange(address, entry.publicKey);
+    setMemberKeys((prev) => ({
+      ...prev,
+      [address.toLowerCase()]: { ...entry, keyChanged: false, previousKey: null }
+    }));
+  };
+
+  const membersWithChangedKeys = Object.values(memberKeys).filter(
+    (entry) => entry && entry.keyChanged
+  );
+  // Members with a changed key get their own warning below
+  const membersWithoutKeys = unreachableMembers.filter(
+    (addr) => !membersWithChangedKeys.some((entry) => entry.address === addr.toLowerCase())
+  );
+
+  // Rotate our sender key whenever the on-chain member list changes
+  useEffect(() => {
+    if (!readContract || !groupId) return;
+
+    const stop = watchMembershipChanges(groupId, async () => {
+      try {
+        const members = await fetchMembers();
+        setGroup((prev) => (prev ? { ...prev, members } : prev));
+
+        const stillMember = members.some(
+          (addr) => addr.toLowerCase() === walletAddress.toLowerCase()
+        );
+        if (stillMember && !readOnly) {
+          const { missing } = await rotateGroupSenderKey(groupId, walletAddress, members);
+          setUnreachableMembers(missing);
+        } else if (!stillMember) {
+          forgetGroupSenderKey(groupId, walletAddress);
+        }
+      } catch (err) {
+        console.error('Error handling membership change:', err);
+      }
+    });
+
+    return stop;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [readContract, groupId, walletAddress]);
+
+  // New group messages arrive live from GroupMessageSent events
+  useEffect(() => {
+    if (!readContract || !groupId) return;
+    return subscribeContractEvents(['GroupMessageSent'], { groupId }, () => {
+      loadMessages({ silent: true });
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [readContract, groupId]);
+
+  // Standings and join requests follow votes, membership changes, edits and answers
+  useEffect(() => {
+    if (!readContract || !groupId) return;
+    let cancelled = false;
+    const refresh = () => Promise.all([
+      getAdminStandings(groupId, walletAddress),
+      getJoinRequests(groupId)
+    ])
+      .then(([standings, requests]) => {
+        if (cancelled) return;
+        setAdminInfo(standings);
+        setJoinRequests(requests);
+      })
+      .catch((err) => console.warn('Could not load group admins:', err.message));
+
+    refresh();
+    const unsubscribe = subscribeContractEvents(GROUP_ADMIN_EVENTS, { groupId }, (event) => {
+      refresh();
+      if (event.event === 'GroupUpdated') {
+        reloadGroup().catch((err) => console.warn('Could not reload group:', err.message));
+      }
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [readContract, groupId, walletAddress]);
 
-  // Auto-scroll to bottom when messages change
+  // Auto-scroll to bottom when messages change, except when older messages
+  // were just prepended (keep the view still instead)
   useEffect(() => {
+    const list = messageListRef.current;
+    if (list && scrollAnchorRef.current !== null) {
+      list.scrollTop = list.scrollHeight - scrollAnchorRef.current;
+      scrollAnchorRef.current = null;
+      return;
+    }
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
+  // Registered .chat names of the members, for senders who aren't friends
+  useEffect(() => {
+    if (!group?.members?.length) return;
+    let cancelled = false;
+    lookupNames(group.members).then((names) => {
+      if (!cancelled) setChatNames(names);
+    });
+    return () => { cancelled = true; };
+  }, [group]);
+
+  // Members' registered profiles (username, avatar), refreshed when one changes
+  useEffect(() => {
+    if (!group?.members?.length) return;
+    let cancelled = false;
+    const refresh = () => loadProfiles(group.members).then((profiles) => {
+      if (!cancelled) setMemberProfiles(profiles);
+    });
+    refresh();
+    const unsubscribe = subscribeContractEvents(['ProfileUpdated'], { user: group.members }, (event) => {
+      invalidateProfile(event.returnValues.user);
+      refresh();
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [group]);
+
+  const getMemberProfile = (address) =>
+    memberProfiles.get(address.toLowerCase()) || getCachedProfile(address);
+
+  // Current member list, from the chain index once it has caught up
+  const fetchMembers = async () => {
+    await syncChainIndex();
+    const groupInfo = await getIndexedGroup(groupId);
+    return groupInfo ? groupInfo.members : [];
+  };
+
+  // Re-read name, description and members after an admin edits the group
+  const reloadGroup = async () => {
+    await syncChainIndex();
+    const groupInfo = await getIndexedGroup(groupId);
+    if (groupInfo) setGroup(groupInfo);
+  };
+
   const loadGroupData = async () => {
     try {
       if (!group) {
-        const groupInfo = await contract.methods.getGroup(groupId).call();
-        setGroup({
-          id: groupId,
-          name: groupInfo.name,
-          description: groupInfo.description,
-          members: groupInfo.members,
-          createdAt: new Date(
-            Number(groupInfo.createdAt) * 1000
-          ).toISOString()
-        });
+        await syncChainIndex();
+        const groupInfo = await getIndexedGroup(groupId);
+        if (!groupInfo) throw new Error(`Group ${groupId} is not indexed`);
+        setGroup(groupInfo);
       }
     } catch (err) {
       console.error('Error loading group:', err);
@@ -296,8 +568,85 @@ function GroupChat({ walletAddress }) {
     }
   };
 
-  const loadMessages = async () => {
-    setLoadingInitial(true);
+  // Decrypt a page of getGroupMessageHistory results
+  const resolveGroupHistory = (history) => Promise.all(
+    history.map(async (msgData) => {
+      // Re-hash the IPFS payload against the on-chain messageHash
+      const { ipfsContent, integrity } = await fetchVerifiedContent(
+        msgData.messageHash,
+        msgData.ipfsHash
+      );
+
+      let content = '';
+      try {
+        if (msgData.ipfsHash && integrity === null) {
+          throw new Error('IPFS content could not be fetched');
+        }
+        if (msgData.ipfsHash) {
+          content = await decryptGroupMessage(
+            groupId,
+            walletAddress,
+            ipfsContent || ''
+          );
+        }
+      } catch (err) {
+        console.warn('Failed to load message from IPFS:', err);
+        content = '(Message content unavailable)';
+      }
+
+      const file = parseGroupFile(content);
+      return {
+        id: msgData.id.toString(),
+        content: file ? file.fileKey.fileName : content,
+        ...(file && {
+          type: 'file',
+          fileHash: file.fileHash,
+          fileKey: file.fileKey,
+          fileName: file.fileKey.fileName,
+          fileType: file.fileKey.fileType,
+          fileSize: file.fileKey.fileSize
+        }),
+        sender: msgData.sender,
+        timestamp: new Date(
+          Number(msgData.timestamp) * 1000
+        ).toISOString(),
+        ipfsHash: msgData.ipfsHash,
+        integrity,
+        isOwn:
+          msgData.sender.toLowerCase() ===
+          walletAddress.toLowerCase()
+      };
+    })
+  );
+
+  // Fold freshly loaded messages into the cached list and save it
+  const mergeGroupMessages = (cached, messagesData) => {
+    const allMessages = [...cached];
+    messagesData.forEach((msg) => {
+      const cachedIndex = allMessages.findIndex((m) => m.id === msg.id);
+      if (cachedIndex === -1) {
+        allMessages.push(msg);
+      } else {
+        // Never trust a cached integrity result over a fresh check
+        allMessages[cachedIndex] = {
+          ...allMessages[cachedIndex],
+          integrity: msg.integrity
+        };
+      }
+    });
+
+    allMessages.sort(
+      (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+    );
+
+    setMessages(allMessages);
+    localStorage.setItem(`group_messages_${groupId}`, JSON.stringify(allMessages));
+  };
+
+  // Newest page of messages
+  // `silent` refreshes (live events) keep the current list on screen
+  const loadMessages = async ({ silent = false } = {}) => {
+    if (!silent) setLoadingInitial(true);
     try {
       const localKey = `group_messages_${groupId}`;
       const localMessages = JSON.parse(localStorage.getItem(localKey) || '[]');
@@ -305,59 +654,18 @@ function GroupChat({ walletAddress }) {
         setMessages(localMessages);
       }
 
-      const messageIds = await contract.methods.getGroupMessages(groupId).call();
-      if (messageIds.length === 0) {
-        setMessageCount(0);
+      const [total, history] = await Promise.all([
+        getGroupMessageCount(groupId),
+        getGroupMessageHistory(groupId, { limit: HISTORY_PAGE_SIZE })
+      ]);
+      setMessageCount(total);
+      if (history.length === 0) {
         setLoadingInitial(false);
         return;
       }
-      setMessageCount(messageIds.length);
-
-      const messagesData = await Promise.all(
-        messageIds.map(async (msgId) => {
-          const msgData = await contract.methods
-            .getGroupMessage(msgId)
-            .call();
-
-          let content = '';
-          try {
-            if (msgData.ipfsHash) {
-              const ipfsData = await retrieveFromIPFS(msgData.ipfsHash);
-              content = ipfsData.content || '';
-            }
-          } catch (err) {
-            console.warn('Failed to load message from IPFS:', err);
-            content = '(Message content unavailable)';
-          }
-
-          return {
-            id: msgId.toString(),
-            content,
-            sender: msgData.sender,
-            timestamp: new Date(
-              Number(msgData.timestamp) * 1000
-            ).toISOString(),
-            ipfsHash: msgData.ipfsHash,
-            isOwn:
-              msgData.sender.toLowerCase() ===
-              walletAddress.toLowerCase()
-          };
-        })
-      );
-
-      const allMessages = [...localMessages];
-      messagesData.forEach((msg) => {
-        if (!allMessages.find((m) => m.id === msg.id)) {
-          allMessages.push(msg);
-        }
-      });
-
-      allMessages.sort(
-        (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
-      );
+      oldestLoadedRef.current = Math.min(oldestLoadedRef.current, total - history.length);
 
-      setMessages(allMessages);
-      localStorage.setItem(localKey, JSON.stringify(allMessages));
+      mergeGroupMessages(localMessages, await resolveGroupHistory(history));
     } catch (err) {
       console.error('Error loading messages:', err);
       setError('Failed to load messages');
@@ -366,6 +674,39 @@ function GroupChat({ walletAddress }) {
     }
   };
 
+  const hasOlderMessages = oldestLoadedRef.current > 0 && oldestLoadedRef.current < messageCount;
+
+  // Next page back in time, for infinite scroll
+  const loadOlderMessages = async () => {
+    if (loadingOlder || !hasOlderMessages) return;
+    setLoadingOlder(true);
+    try {
+      const list = messageListRef.current;
+      if (list) scrollAnchorRef.current = list.scrollHeight - list.scrollTop;
+
+      const history = await getGroupMessageHistory(groupId, {
+        offset: messageCount - oldestLoadedRef.current,
+        limit: HISTORY_PAGE_SIZE
+      });
+      oldestLoadedRef.current = history.length > 0 ? oldestLoadedRef.current - history.length : 0;
+      if (history.length === 0) {
+        scrollAnchorRef.current = null;
+        return;
+      }
+      mergeGroupMessages(messages, await resolveGroupHistory(history));
+    } catch (err) {
+      console.error('Error loading older messages:', err);
+      scrollAnchorRef.current = null;
+      setError('Failed to load older messages');
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const handleMessageListScroll = (e) => {
+    if (e.currentTarget.scrollTop < 80) loadOlderMessages();
+  };
+
   // File selection
   const handleFileSelect = (event) => {
     const file = event.target.files[0];
@@ -401,6 +742,10 @@ function GroupChat({ walletAddress }) {
 
   const handleSendFile = async () => {
     if (!selectedFile) return;
+    if (readOnly) {
+      setError(WATCH_MODE_MESSAGE);
+      return;
+    }
     if (!contract) {
       setError('Blockchain not connected');
       return;
@@ -410,7 +755,9 @@ function GroupChat({ walletAddress }) {
     setUploadProgress(0);
 
     try {
-      const fileData = await uploadFileToIPFS(selectedFile, {
+      // Only ciphertext goes to IPFS; the file key rides in a sender-key envelope
+      const { file: sealedFile, fileKey } = await sealFile(selectedFile);
+      const fileData = await uploadFileToIPFS(sealedFile, {
         sender: walletAddress,
         groupId,
         timestamp: new Date().toISOString()
@@ -418,22 +765,37 @@ function GroupChat({ walletAddress }) {
 
       setUploadProgress(50);
 
-      const hash = await hashMessage(fileData.ipfsHash);
-      await contract.methods
-        .sendGroupMessage(groupId, hash, fileData.ipfsHash)
-        .send({ from: walletAddress });
+      const members = await fetchMembers();
+      const { envelope, missing } = await encryptGroupMessage(
+        groupId,
+        walletAddress,
+        members,
+        describeGroupFile(fileData.ipfsHash, fileKey)
+      );
+      setUnreachableMembers(missing);
+
+      const ipfsHash = await uploadToIPFS(envelope, {
+        sender: walletAddress,
+        groupId,
+        timestamp: new Date().toISOString(),
+        encrypted: true
+      });
+
+      const hash = await hashMessage(envelope);
+      await sendGroupMessage(groupId, hash, ipfsHash);
 
       setUploadProgress(75);
 
       const newMessage = {
         id: Date.now().toString(),
         type: 'file',
-        content: fileData.fileName,
-        ipfsHash: fileData.ipfsHash,
-        fileName: fileData.fileName,
-        fileType: fileData.fileType,
-        fileSize: fileData.fileSize,
-        url: fileData.url,
+        content: fileKey.fileName,
+        ipfsHash,
+        fileHash: fileData.ipfsHash,
+        fileKey,
+        fileName: fileKey.fileName,
+        fileType: fileKey.fileType,
+        fileSize: fileKey.fileSize,
         sender: walletAddress,
         timestamp: new Date().toISOString(),
         isOwn: true
@@ -457,6 +819,10 @@ function GroupChat({ walletAddress }) {
   };
 
   const handleSendMessage = async () => {
+    if (readOnly) {
+      setError(WATCH_MODE_MESSAGE);
+      return;
+    }
     if (!message.trim()) {
       setError('Message cannot be empty');
       return;
@@ -468,16 +834,25 @@ function GroupChat({ walletAddress }) {
 
     setLoading(true);
     try {
-      const ipfsHash = await uploadToIPFS(message, {
+      // Encrypt with our sender key for the current (on-chain) member list
+      const members = await fetchMembers();
+      const { envelope, missing } = await encryptGroupMessage(
+        groupId,
+        walletAddress,
+        members,
+        message
+      );
+      setUnreachableMembers(missing);
+
+      const ipfsHash = await uploadToIPFS(envelope, {
         sender: walletAddress,
         groupId,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        encrypted: true
       });
 
-      const hash = await hashMessage(message);
-      await contract.methods
-        .sendGroupMessage(groupId, hash, ipfsHash)
-        .send({ from: walletAddress });
+      const hash = await hashMessage(envelope);
+      await sendGroupMessage(groupId, hash, ipfsHash);
 
       const newMessage = {
         id: Date.now().toString(),
@@ -505,15 +880,27 @@ function GroupChat({ walletAddress }) {
   };
 
   const handleLeaveGroup = async () => {
+    if (readOnly) {
+      setError(WATCH_MODE_MESSAGE);
+      return;
+    }
     if (!window.confirm('Are you sure you want to leave this group?')) {
       return;
     }
     try {
-      await contract.methods.leaveGroup(groupId).send({ from: walletAddress });
+      await sendTransaction({
+        method: contract.methods.leaveGroup(groupId),
+        from: walletAddress,
+        label: `Leave group "${group?.name || groupId}"`,
+        kind: 'group',
+        meta: { groupId }
+      });
+      // Remaining members rotate when they see MemberRemoved; drop our own key
+      forgetGroupSenderKey(groupId, walletAddress);
       navigate('/groups');
     } catch (err) {
       console.error('Error leaving group:', err);
-      setError('Failed to leave group');
+      setError(`Failed to leave group: ${err.message}`);
     }
   };
 
@@ -536,9 +923,14 @@ function GroupChat({ walletAddress }) {
     const friend = friends.find(
       (f) => f.address?.toLowerCase() === address.toLowerCase()
     );
-    return friend
-      ? friend.name
-      : `${address.substring(0, 6)}...${address.substring(
+    if (friend) return friend.name;
+
+    const profileName = getMemberProfile(address)?.username;
+    if (profileName) return profileName;
+
+    const chatName = chatNames.get(address.toLowerCase()) || getCachedName(address);
+    return chatName
+      || `${address.substring(0, 6)}...${address.substring(
           address.length - 4
         )}`;
   };
@@ -567,6 +959,10 @@ function GroupChat({ walletAddress }) {
     );
 
   const handleVoteForAdmin = async (memberAddress) => {
+    if (readOnly) {
+      setError(WATCH_MODE_MESSAGE);
+      return;
+    }
     if (!contract) {
       setError('Blockchain not connected');
       return;
@@ -579,18 +975,37 @@ function GroupChat({ walletAddress }) {
 
     if (!memberAddress) return;
 
+    // Tapping the member you voted for takes the vote back (de-electing them
+    // if it was one they needed)
+    const withdrawing = adminInfo?.myVote === memberAddress.toLowerCase();
+    if (withdrawing) {
+      const confirmWithdraw = window.confirm(
+        `Withdraw your admin vote from ${getSenderName(memberAddress)}?\n\nThis will send a blockchain transaction on ${getActiveChain().name}.`
+      );
+      if (!confirmWithdraw) return;
+      try {
+        setLoading(true);
+        await withdrawAdminVoteOnChain(groupId, getSenderName(memberAddress));
+        setError('');
+      } catch (err) {
+        console.error('Error withdrawing admin vote:', err);
+        setError(err?.message || 'Failed to withdraw admin vote on-chain');
+      } finally {
+        setLoading(false);
+      }
+      return;
+    }
+
     const confirm = window.confirm(
-      `Cast an on-chain admin vote for ${getSenderName(
+      `${adminInfo?.myVote ? 'Move your admin vote' : 'Cast an on-chain admin vote'} to ${getSenderName(
         memberAddress
-      )}?\n\nThis will send a blockchain transaction on Sepolia.`
+      )}?\n\nThis will send a blockchain transaction on ${getActiveChain().name}.`
     );
     if (!confirm) return;
 
     try {
       setLoading(true);
-      await contract.methods
-        .voteForAdmin(groupId, memberAddress)
-        .send({ from: walletAddress });
+      await voteForAdminOnChain(groupId, memberAddress, getSenderName(memberAddress));
       setError('');
     } catch (err) {
       console.error('Error voting for admin:', err);
@@ -602,6 +1017,73 @@ function GroupChat({ walletAddress }) {
     }
   };
 
+  const isAdmin = !!adminInfo?.admins.includes(walletAddress.toLowerCase());
+  const joinRequested = joinRequests.includes(walletAddress.toLowerCase());
+  const getStanding = (address) =>
+    adminInfo?.standings.find((entry) => entry.address === address.toLowerCase());
+
+  const describeStanding = (standing, votedFor) => {
+    if (!standing) return '';
+    const needed = adminInfo.threshold - standing.votes;
+    const status = standing.isAdmin
+      ? 'Admin'
+      : `${needed} more vote${needed === 1 ? '' : 's'} to become admin`;
+    return votedFor ? `${status} · your vote` : status;
+  };
+
+  // Run one admin action, keyed so only its button shows progress
+  const runAdminAction = async (key, action) => {
+    if (readOnly) {
+      setError(WATCH_MODE_MESSAGE);
+      return false;
+    }
+    try {
+      setAdminBusy(key);
+      await action();
+      setError('');
+      return true;
+    } catch (err) {
+      console.error('Group admin action failed:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setAdminBusy(null);
+    }
+  };
+
+  const handleRemoveMember = (memberAddress) => {
+    if (!window.confirm(`Remove ${getSenderName(memberAddress)} from this group?`)) return;
+    runAdminAction(`remove:${memberAddress}`, () =>
+      removeGroupMemberOnChain(groupId, memberAddress, getSenderName(memberAddress))
+    );
+  };
+
+  const handleAnswerJoinRequest = (user, approve) =>
+    runAdminAction(`join:${user}`, () =>
+      answerJoinRequestOnChain(groupId, user, approve, getSenderName(user))
+    );
+
+  const handleRequestToJoin = () =>
+    runAdminAction('request', async () => {
+      await requestToJoinGroupOnChain(groupId);
+      setJoinRequests((prev) => [...prev, walletAddress.toLowerCase()]);
+    });
+
+  const handleOpenEditGroup = () => {
+    setAnchorEl(null);
+    setEditName(group?.name || '');
+    setEditDescription(group?.description || '');
+    setEditOpen(true);
+  };
+
+  const handleSaveGroup = async () => {
+    const saved = await runAdminAction('edit', async () => {
+      await updateGroupOnChain(groupId, editName.trim(), editDescription.trim());
+      await reloadGroup();
+    });
+    if (saved) setEditOpen(false);
+  };
+
   return (
     <div style={shellStyles.page}>
       <div style={shellStyles.card}>
@@ -642,8 +1124,15 @@ function GroupChat({ walletAddress }) {
               }
             }}
           >
+            {isAdmin && (
+              <MenuItem onClick={handleOpenEditGroup} disabled={readOnly}>
+                <EditIcon sx={{ mr: 1 }} />
+                Edit Group
+              </MenuItem>
+            )}
             <MenuItem
               onClick={handleLeaveGroup}
+              disabled={readOnly}
               sx={{ color: '#ef4444' }}
             >
               <ExitIcon sx={{ mr: 1 }} />
@@ -723,6 +1212,53 @@ function GroupChat({ walletAddress }) {
                 height: 24
               }}
             />
+            {isAdmin && (
+              <Chip
+                icon={<AdminIcon sx={{ fontSize: 16 }} />}
+                label="Admin"
+                size="small"
+                sx={{
+                  backgroundColor: 'rgba(250,204,21,0.18)',
+                  color: '#facc15',
+                  fontSize: 11,
+                  height: 24,
+                  '& .MuiChip-icon': { color: '#facc15' }
+                }}
+              />
+            )}
+            {group && !isMember && (
+              joinRequested ? (
+                <Chip
+                  label="Join request pending"
+                  size="small"
+                  sx={{
+                    backgroundColor: 'rgba(56,189,248,0.18)',
+                    color: '#7dd3fc',
+                    fontSize: 11,
+                    height: 24
+                  }}
+                />
+              ) : (
+                <Button
+                  size="small"
+                  startIcon={adminBusy === 'request'
+                    ? <CircularProgress size={14} sx={{ color: '#ff8c42' }} />
+                    : <GroupAddIcon />}
+                  onClick={handleRequestToJoin}
+                  disabled={readOnly || adminBusy === 'request'}
+                  sx={{
+                    color: '#ff8c42',
+                    border: '1px solid rgba(255,140,66,0.45)',
+                    borderRadius: 999,
+                    fontSize: 11,
+                    height: 24,
+                    textTransform: 'none'
+                  }}
+                >
+                  Request to join
+                </Button>
+              )
+            )}
           </Box>
         </Box>
 
@@ -757,36 +1293,70 @@ function GroupChat({ walletAddress }) {
                 overflowY: 'auto'
               }}
             >
-              {group.members.map((addr) => (
-                <Chip
-                  key={addr}
-                  icon={
-                    <HowToVoteIcon
-                      sx={{
-                        fontSize: 16,
-                        color: 'rgba(249,115,22,0.9)'
-                      }}
-                    />
-                  }
-                  label={`${getSenderName(addr)} · ${addr.substring(
-                    0,
-                    6
-                  )}...${addr.slice(-4)}`}
-                  onClick={() => handleVoteForAdmin(addr)}
-                  size="small"
-                  sx={{
-                    backgroundColor: 'rgba(255,60,0,0.08)',
-                    borderColor: 'rgba(255,60,0,0.35)',
-                    borderWidth: 1,
-                    borderStyle: 'solid',
-                    color: '#f97316',
-                    fontSize: 11,
-                    '&:hover': {
-                      backgroundColor: 'rgba(255,60,0,0.16)'
-                    }
-                  }}
-                />
-              ))}
+              {group.members.map((addr) => {
+                const standing = getStanding(addr);
+                const votedFor = adminInfo?.myVote === addr.toLowerCase();
+                // Admins can remove members, but not other admins
+                const removable =
+                  isAdmin &&
+                  !standing?.isAdmin &&
+                  addr.toLowerCase() !== walletAddress.toLowerCase();
+
+                return (
+                  <Tooltip
+                    key={addr}
+                    title={describeStanding(standing, votedFor)}
+                  >
+                    <span>
+                      <Chip
+                        avatar={
+                          getMemberProfile(addr)?.avatarUrl
+                            ? <Avatar src={getMemberProfile(addr).avatarUrl} alt={getSenderName(addr)} />
+                            : undefined
+                        }
+                        icon={
+                          standing?.isAdmin ? (
+                            <AdminIcon sx={{ fontSize: 16, color: '#facc15' }} />
+                          ) : (
+                            <HowToVoteIcon
+                              sx={{
+                                fontSize: 16,
+                                color: 'rgba(249,115,22,0.9)'
+                              }}
+                            />
+                          )
+                        }
+                        label={`${getSenderName(addr)} · ${addr.substring(
+                          0,
+                          6
+                        )}...${addr.slice(-4)}${
+                          standing ? ` · ${standing.votes}/${adminInfo.threshold}` : ''
+                        }`}
+                        onClick={() => handleVoteForAdmin(addr)}
+                        onDelete={removable ? () => handleRemoveMember(addr) : undefined}
+                        deleteIcon={
+                          adminBusy === `remove:${addr}`
+                            ? <CircularProgress size={14} sx={{ color: '#ef4444' }} />
+                            : <PersonRemoveIcon sx={{ color: '#ef4444' }} />
+                        }
+                        disabled={readOnly}
+                        size="small"
+                        sx={{
+                          backgroundColor: 'rgba(255,60,0,0.08)',
+                          borderColor: votedFor ? '#facc15' : 'rgba(255,60,0,0.35)',
+                          borderWidth: 1,
+                          borderStyle: 'solid',
+                          color: standing?.isAdmin ? '#facc15' : '#f97316',
+                          fontSize: 11,
+                          '&:hover': {
+                            backgroundColor: 'rgba(255,60,0,0.16)'
+                          }
+                        }}
+                      />
+                    </span>
+                  </Tooltip>
+                );
+              })}
             </Box>
             <Typography
               sx={{
@@ -795,12 +1365,125 @@ function GroupChat({ walletAddress }) {
                 color: 'rgba(255,255,255,0.45)'
               }}
             >
-              Tap a member chip to cast an on‑chain admin vote (gas
-              fees apply).
+              Every member has one admin vote; tap a member chip to cast
+              or move yours on-chain, or tap it again to withdraw it (gas fees apply).
+              {adminInfo &&
+                ` Members backed by ${adminInfo.threshold} of ${adminInfo.memberCount} are admins: ${
+                  adminInfo.admins.length
+                    ? adminInfo.admins.map(getSenderName).join(', ')
+                    : 'none elected yet'
+                }.`}
             </Typography>
           </Box>
         )}
 
+        {/* Join requests, answered by admins */}
+        {isAdmin && joinRequests.length > 0 && (
+          <Box sx={{ mb: 1.5 }}>
+            <Typography
+              sx={{
+                fontSize: 12,
+                textTransform: 'uppercase',
+                letterSpacing: '0.18em',
+                fontFamily: "'Space Mono', monospace",
+                color: 'rgba(255,255,255,0.6)',
+                mb: 0.75
+              }}
+            >
+              Join requests
+            </Typography>
+            {joinRequests.map((user) => (
+              <Box
+                key={user}
+                sx={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'space-between',
+                  gap: 1,
+                  py: 0.5
+                }}
+              >
+                <Typography sx={{ fontSize: 13 }}>
+                  {getSenderName(user)}{' '}
+                  <span style={{ color: 'rgba(255,255,255,0.45)', fontFamily: "'Space Mono', monospace", fontSize: 11 }}>
+                    {user.substring(0, 6)}...{user.slice(-4)}
+                  </span>
+                </Typography>
+                <Box sx={{ display: 'flex', gap: 1 }}>
+                  <Button
+                    size="small"
+                    onClick={() => handleAnswerJoinRequest(user, true)}
+                    disabled={readOnly || !!adminBusy}
+                    sx={{ color: '#4ade80', textTransform: 'none' }}
+                  >
+                    {adminBusy === `join:${user}` ? <CircularProgress size={14} sx={{ color: '#4ade80' }} /> : 'Approve'}
+                  </Button>
+                  <Button
+                    size="small"
+                    onClick={() => handleAnswerJoinRequest(user, false)}
+                    disabled={readOnly || !!adminBusy}
+                    sx={{ color: '#ef4444', textTransform: 'none' }}
+                  >
+                    Decline
+                  </Button>
+                </Box>
+              </Box>
+            ))}
+          </Box>
+        )}
+
+        {/* Key change warnings */}
+        {membersWithChangedKeys.map((entry) => (
+          <Box
+            key={entry.address}
+            sx={{
+              mt: 1,
+              mb: 1,
+              p: 1.2,
+              borderRadius: 12,
+              border: '1px solid rgba(255,180,0,0.6)',
+              background: 'rgba(40,25,0,0.9)',
+              fontSize: 13,
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              gap: 2
+            }}
+          >
+            <span>
+              ⚠️ {getSenderName(entry.address)}'s encryption key has changed.
+              They won't get new messages until you verify and accept it.
+            </span>
+            <Button
+              size="small"
+              onClick={() => handleAcceptMemberKey(entry.address)}
+              sx={{ color: '#ffb400', whiteSpace: 'nowrap' }}
+            >
+              Accept new key
+            </Button>
+          </Box>
+        ))}
+
+        {membersWithoutKeys.length > 0 && (
+          <Box
+            sx={{
+              mt: 1,
+              mb: 1,
+              p: 1.2,
+              borderRadius: 12,
+              border: '1px solid rgba(255,180,0,0.6)',
+              background: 'rgba(40,25,0,0.9)',
+              fontSize: 13
+            }}
+          >
+            🔒 {membersWithoutKeys.map(getSenderName).join(', ')}{' '}
+            {membersWithoutKeys.length === 1 ? "hasn't" : "haven't"} published an
+            encryption key yet and can't read new messages until they open the app.
+          </Box>
+        )}
+
+        <WatchModeBanner session={session} onUpgrade={onSessionUpgrade} />
+
         {/* Error banner */}
         {error && (
           <Box
@@ -836,7 +1519,26 @@ function GroupChat({ walletAddress }) {
               <Typography sx={{ fontSize: 42 }}>💬</Typography>
             </Box>
           ) : (
-            <List sx={shellStyles.messagesList}>
+            <List
+              ref={messageListRef}
+              onScroll={handleMessageListScroll}
+              sx={shellStyles.messagesList}
+            >
+              {(hasOlderMessages || loadingOlder) && (
+                <Box sx={{ display: 'flex', justifyContent: 'center', py: 1 }}>
+                  {loadingOlder ? (
+                    <CircularProgress size={16} sx={{ color: '#ff8c42' }} />
+                  ) : (
+                    <Button
+                      size="small"
+                      onClick={loadOlderMessages}
+                      sx={{ color: 'rgba(255,255,255,0.6)', fontSize: 12, textTransform: 'none' }}
+                    >
+                      Load older messages
+                    </Button>
+                  )}
+                </Box>
+              )}
               {messages.map((msg, index) => {
                 const isOwn = msg.isOwn;
                 const ts = msg.timestamp
@@ -857,10 +1559,10 @@ function GroupChat({ walletAddress }) {
                     <Box sx={shellStyles.bubble(isOwn)}>
                       {msg.type === 'file' ? (
                         <Box>
-                          {isImageFile(msg.fileType) ? (
+                          {isImageFile(msg.fileType) && getFileUrl(msg) ? (
                             <Box sx={{ mb: 1 }}>
                               <img
-                                src={msg.url || getIPFSFileUrl(msg.ipfsHash)}
+                                src={getFileUrl(msg)}
                                 alt={msg.fileName}
                                 style={{
                                   maxWidth: '100%',
@@ -908,20 +1610,30 @@ function GroupChat({ walletAddress }) {
                               {(msg.fileSize / 1024).toFixed(2)} KB
                             </Typography>
                           )}
-                          <a
-                            href={
-                              msg.url || getIPFSFileUrl(msg.ipfsHash)
-                            }
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            style={{
-                              color: '#f97316',
-                              textDecoration: 'underline',
-                              fontSize: 13
-                            }}
-                          >
-                            📥 Open / Download
-                          </a>
+                          {getFileUrl(msg) ? (
+                            <a
+                              href={getFileUrl(msg)}
+                              download={msg.fileName}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              style={{
+                                color: '#f97316',
+                                textDecoration: 'underline',
+                                fontSize: 13
+                              }}
+                            >
+                              📥 Open / Download
+                            </a>
+                          ) : (
+                            <Typography
+                              sx={{
+                                fontSize: 13,
+                                color: 'rgba(255,255,255,0.7)'
+                              }}
+                            >
+                              🔓 Decrypting…
+                            </Typography>
+                          )}
                         </Box>
                       ) : (
                         <Typography sx={shellStyles.messageText}>
@@ -932,6 +1644,8 @@ function GroupChat({ walletAddress }) {
                     <Typography sx={shellStyles.timeLabel}>
                       {formatDistanceToNow(ts, { addSuffix: true })}
                     </Typography>
+                    <IntegrityBadge status={msg.integrity} />
+                    <TxStatusBadge transaction={msg.ipfsHash ? txByIpfsHash.get(msg.ipfsHash) : null} />
                   </ListItem>
                 );
               })}
@@ -1033,9 +1747,9 @@ function GroupChat({ walletAddress }) {
               <span>
                 <IconButton
                   onClick={() => fileInputRef.current?.click()}
-                  disabled={loading}
+                  disabled={loading || readOnly}
                   sx={{
-                    color: loading ? '#4b5563' : '#ff8c42',
+                    color: loading || readOnly ? '#4b5563' : '#ff8c42',
                     backgroundColor: 'rgba(255,140,66,0.16)'
                   }}
                 >
@@ -1046,7 +1760,8 @@ function GroupChat({ walletAddress }) {
 
             <TextField
               fullWidth
-              placeholder="Send a message to everyone in this group…"
+              placeholder={readOnly ? 'Read-only watch session' : 'Send a message to everyone in this group…'}
+              disabled={readOnly}
               size="small"
               value={message}
               onChange={(e) => setMessage(e.target.value)}
@@ -1086,7 +1801,7 @@ function GroupChat({ walletAddress }) {
                         : 'pointer'
                   }}
                   onClick={handleSendMessage}
-                  disabled={loading || !message.trim()}
+                  disabled={loading || !message.trim() || readOnly}
                 >
                   {loading ? (
                     <CircularProgress
@@ -1101,6 +1816,64 @@ function GroupChat({ walletAddress }) {
             </Tooltip>
           </Box>
         </Box>
+
+        {/* Edit group (admins only) */}
+        <Dialog
+          open={editOpen}
+          onClose={() => setEditOpen(false)}
+          maxWidth="sm"
+          fullWidth
+          PaperProps={{
+            sx: {
+              background: '#111827',
+              border: '1px solid rgba(255,60,0,0.4)',
+              color: '#ffffff'
+            }
+          }}
+        >
+          <DialogTitle>
+            <Box display="flex" alignItems="center" gap="10px">
+              <EditIcon sx={{ color: '#ff8c42' }} />
+              Edit Group
+            </Box>
+          </DialogTitle>
+          <DialogContent>
+            <TextField
+              fullWidth
+              label="Group Name"
+              value={editName}
+              onChange={(e) => setEditName(e.target.value)}
+              margin="normal"
+              variant="outlined"
+              InputLabelProps={{ style: { color: '#b8b8d1' } }}
+              InputProps={{ style: { color: '#ffffff' } }}
+            />
+            <TextField
+              fullWidth
+              label="Description (Optional)"
+              value={editDescription}
+              onChange={(e) => setEditDescription(e.target.value)}
+              margin="normal"
+              variant="outlined"
+              multiline
+              rows={2}
+              InputLabelProps={{ style: { color: '#b8b8d1' } }}
+              InputProps={{ style: { color: '#ffffff' } }}
+            />
+          </DialogContent>
+          <DialogActions sx={{ p: 2.5 }}>
+            <Button onClick={() => setEditOpen(false)} sx={{ color: '#b8b8d1' }}>
+              Cancel
+            </Button>
+            <Button
+              onClick={handleSaveGroup}
+              disabled={readOnly || adminBusy === 'edit' || !editName.trim()}
+              sx={{ color: '#ff8c42' }}
+            >
+              {adminBusy === 'edit' ? <CircularProgress size={20} sx={{ color: '#ff8c42' }} /> : 'Save'}
+            </Button>
+          </DialogActions>
+        </Dialog>
       </div>
     </div>
   );
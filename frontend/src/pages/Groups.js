@@ -2,8 +2,16 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Navbar from '../components/Navbar';
-import { initWeb3, getWeb3 } from '../utils/blockchain';
+import { initWeb3, getWeb3, getReadContract } from '../utils/blockchain';
+import { syncChainIndex, getIndexedFriends, getIndexedGroups } from '../utils/chainIndexer';
+import { sendTransaction } from '../utils/txManager';
+import { subscribeContractEvents } from '../utils/contractEvents';
+import { resolveAddressInput, lookupName, toLabel, formatName } from '../utils/names';
+import WatchModeBanner from '../components/WatchModeBanner';
+import { isReadOnlySession, WATCH_MODE_MESSAGE } from '../utils/session';
+import { isBlocked, loadBlockList } from '../utils/blockList';
 import ChatMetadataABI from '../abis/ChatMetadata.json';
+import { getContractAddress } from '../utils/chains';
 import {
   Box,
   TextField,
@@ -34,7 +42,8 @@ import {
 } from '@mui/icons-material';
 import { formatDistanceToNow } from 'date-fns';
 
-const Groups = ({ walletAddress, onLogout }) => {
+const Groups = ({ walletAddress, session, onSessionUpgrade, onLogout }) => {
+  const readOnly = isReadOnlySession(session);
   const navigate = useNavigate();
   const [groups, setGroups] = useState([]);
   const [friends, setFriends] = useState([]);
@@ -42,9 +51,13 @@ const Groups = ({ walletAddress, onLogout }) => {
   const [newGroupName, setNewGroupName] = useState('');
   const [newGroupDescription, setNewGroupDescription] = useState('');
   const [selectedMembers, setSelectedMembers] = useState([]);
+  const [memberInput, setMemberInput] = useState('');
+  const [typedMembers, setTypedMembers] = useState([]); // { address, name } added by address or name, not from friends
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [blockedInvites, setBlockedInvites] = useState(0); // groups we were added to by a blocked user
   const [contract, setContract] = useState(null);
+  const [readContract, setReadContract] = useState(null);
 
   // UI state
   const [searchTerm, setSearchTerm] = useState('');
@@ -53,13 +66,22 @@ const Groups = ({ walletAddress, onLogout }) => {
 
   const username = localStorage.getItem('username') || 'Anonymous';
 
-  // Initialize contract
+  // Reads go through the RPC provider, so groups load without a wallet
+  useEffect(() => {
+    try {
+      setReadContract(getReadContract());
+    } catch (error) {
+      console.error('Error setting up read contract:', error);
+    }
+  }, []);
+
+  // Wallet-backed contract, for signing
   useEffect(() => {
     const setupContract = async () => {
       try {
         await initWeb3();
         const web3 = getWeb3();
-        const CONTRACT_ADDRESS = process.env.REACT_APP_CONTRACT_ADDRESS;
+        const CONTRACT_ADDRESS = getContractAddress();
 
         if (CONTRACT_ADDRESS) {
           const contractInstance = new web3.eth.Contract(
@@ -80,35 +102,42 @@ const Groups = ({ walletAddress, onLogout }) => {
 
   // Load groups and friends
   useEffect(() => {
-    if (walletAddress && contract) {
+    if (walletAddress && readContract) {
       loadGroupsAndFriends();
     }
-  }, [walletAddress, contract]);
+  }, [walletAddress, readContract]);
 
-  const loadGroupsAndFriends = async () => {
-    setLoading(true);
+  // Groups we join, leave or create, and friend list changes, arrive live
+  useEffect(() => {
+    if (!walletAddress || !readContract) return;
+    const refresh = () => loadGroupsAndFriends({ silent: true });
+    const unsubscribes = [
+      subscribeContractEvents(['MemberAdded', 'MemberRemoved'], { member: walletAddress }, refresh),
+      subscribeContractEvents(['GroupCreated'], { creator: walletAddress }, refresh),
+      subscribeContractEvents(['FriendAdded', 'FriendRemoved'], { user: walletAddress }, refresh)
+    ];
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [walletAddress, readContract]);
+
+  // `silent` refreshes (live events) don't touch the loading state
+  const loadGroupsAndFriends = async ({ silent = false } = {}) => {
+    if (!silent) setLoading(true);
     try {
-      // Load friends first
+      // Bring the local chain index up to date, then read friends and groups from it
+      await Promise.all([syncChainIndex(), loadBlockList(walletAddress)]);
       await loadFriends();
+      const groupsData = await getIndexedGroups(walletAddress);
 
-      // Load groups from blockchain
-      const groupIds = await contract.methods.getUserGroups(walletAddress).call();
-
-      const groupsData = await Promise.all(
-        groupIds.map(async (groupId) => {
-          const groupInfo = await contract.methods.getGroup(groupId).call();
-          return {
-            id: groupId,
-            name: groupInfo.name,
-            description: groupInfo.description,
-            members: groupInfo.members,
-            createdAt: new Date(Number(groupInfo.createdAt) * 1000).toISOString()
-          };
-        })
+      // Invites from blocked users are not shown
+      const me = walletAddress.toLowerCase();
+      const hiddenIds = new Set(
+        groupsData.filter(group => isBlocked(walletAddress, group.addedBy?.[me])).map(group => group.id)
       );
+      setBlockedInvites(hiddenIds.size);
 
       // Start with blockchain groups
-      let mergedGroups = [...groupsData];
+      let mergedGroups = groupsData.filter(group => !hiddenIds.has(group.id));
 
       // Also load from localStorage (for offline/imported groups)
       let localGroups = JSON.parse(
@@ -120,7 +149,7 @@ const Groups = ({ walletAddress, onLogout }) => {
 
       if (localGroups.length > 0) {
         localGroups.forEach((localGroup) => {
-          if (!mergedGroups.find((g) => g.id === localGroup.id)) {
+          if (!hiddenIds.has(localGroup.id) && !mergedGroups.find((g) => g.id === localGroup.id)) {
             mergedGroups.push(localGroup);
           }
         });
@@ -141,28 +170,14 @@ const Groups = ({ walletAddress, onLogout }) => {
       }
       setGroups(localGroups);
     } finally {
-      setLoading(false);
+      if (!silent) setLoading(false);
     }
   };
 
   const loadFriends = async () => {
     try {
-      // Load from blockchain
-      const friendAddresses = await contract.methods.getFriends(walletAddress).call();
-      const friendsData = await Promise.all(
-        friendAddresses.map(async (friendAddress) => {
-          const friendData = await contract.methods
-            .getFriend(walletAddress, friendAddress)
-            .call();
-          return {
-            address: friendData.friendAddress.toLowerCase(),
-            name: friendData.name,
-            exists: friendData.exists
-          };
-        })
-      );
-
-      const activeFriends = friendsData.filter((f) => f.exists);
+      // On-chain friends, from the local chain index
+      const activeFriends = await getIndexedFriends(walletAddress);
 
       // Load from localStorage (imported friends)
       const normalizedAddress = walletAddress.toLowerCase();
@@ -195,6 +210,11 @@ const Groups = ({ walletAddress, onLogout }) => {
   const handleCreateGroup = async () => {
     setError('');
 
+    if (readOnly) {
+      setError(WATCH_MODE_MESSAGE);
+      return;
+    }
+
     if (!newGroupName.trim()) {
       setError('Please enter a group name');
       return;
@@ -210,9 +230,12 @@ const Groups = ({ walletAddress, onLogout }) => {
       console.log('Creating group...');
 
       // Create group on blockchain
-      const tx = await contract.methods
-        .createGroup(newGroupName.trim(), newGroupDescription.trim(), selectedMembers)
-        .send({ from: walletAddress });
+      const tx = await sendTransaction({
+        method: contract.methods.createGroup(newGroupName.trim(), newGroupDescription.trim(), selectedMembers),
+        from: walletAddress,
+        label: `Create group "${newGroupName.trim()}"`,
+        kind: 'group'
+      });
 
       console.log('Group created:', tx);
 
@@ -223,6 +246,7 @@ const Groups = ({ walletAddress, onLogout }) => {
       setNewGroupName('');
       setNewGroupDescription('');
       setSelectedMembers([]);
+      setTypedMembers([]);
       setOpenCreateDialog(false);
     } catch (err) {
       console.error('Create group error:', err);
@@ -242,6 +266,42 @@ const Groups = ({ walletAddress, onLogout }) => {
     });
   };
 
+  // Add a member who isn't a friend, by address or .chat name
+  const handleAddTypedMember = async () => {
+    const input = memberInput.trim();
+    if (!input) return;
+
+    let address;
+    try {
+      address = await resolveAddressInput(input);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    if (address.toLowerCase() === walletAddress?.toLowerCase()) {
+      setError('You are added to the group automatically');
+      return;
+    }
+
+    const friend = friends.find((f) => f.address.toLowerCase() === address.toLowerCase());
+    const member = friend ? friend.address : address;
+    if (!selectedMembers.some((addr) => addr.toLowerCase() === member.toLowerCase())) {
+      if (!friend) {
+        const name = input.toLowerCase().startsWith('0x') ? await lookupName(address) : formatName(toLabel(input));
+        setTypedMembers((prev) => [...prev, { address, name }]);
+      }
+      setSelectedMembers((prev) => [...prev, member]);
+    }
+    setMemberInput('');
+    setError('');
+  };
+
+  const handleRemoveTypedMember = (address) => {
+    setTypedMembers((prev) => prev.filter((m) => m.address !== address));
+    setSelectedMembers((prev) => prev.filter((addr) => addr !== address));
+  };
+
   const handleOpenGroupChat = (group) => {
     navigate(`/group-chat/${group.id}`, { state: { group } });
   };
@@ -482,6 +542,8 @@ const Groups = ({ walletAddress, onLogout }) => {
       />
 
       <Box style={styles.content}>
+        <WatchModeBanner session={session} onUpgrade={onSessionUpgrade} />
+
         {/* HEADER */}
         <Box style={styles.header}>
           <Box>
@@ -516,7 +578,7 @@ const Groups = ({ walletAddress, onLogout }) => {
             startIcon={loading ? <CircularProgress size={20} color="inherit" /> : <GroupAddIcon />}
             onClick={() => setOpenCreateDialog(true)}
             sx={styles.createBtn}
-            disabled={loading || !contract}
+            disabled={loading || !contract || readOnly}
           >
             Create Group
           </Button>
@@ -536,7 +598,21 @@ const Groups = ({ walletAddress, onLogout }) => {
           </Alert>
         )}
 
-        
+        {blockedInvites > 0 && (
+          <Alert
+            severity="info"
+            sx={{
+              mb: 2,
+              backgroundColor: 'rgba(255,140,66,0.12)',
+              color: '#ffb380',
+              '& .MuiAlert-icon': { color: '#ff8c42' }
+            }}
+          >
+            {blockedInvites} group{blockedInvites === 1 ? '' : 's'} you were added to by a blocked user
+            {blockedInvites === 1 ? ' is' : ' are'} hidden. Unblock them on the Friends page to see
+            {blockedInvites === 1 ? ' it' : ' them'}.
+          </Alert>
+        )}
 
 
         {/* FILTERS */}
@@ -625,7 +701,7 @@ const Groups = ({ walletAddress, onLogout }) => {
               startIcon={<GroupAddIcon />}
               sx={styles.createBtn}
               onClick={() => setOpenCreateDialog(true)}
-              disabled={loading || !contract}
+              disabled={loading || !contract || readOnly}
             >
               Create your first group
             </Button>
@@ -809,7 +885,7 @@ const Groups = ({ walletAddress, onLogout }) => {
                   textAlign: 'center'
                 }}
               >
-                No friends available. Add friends first!
+                No friends yet. Add members by address or name below.
               </Typography>
             ) : (
               <List style={{ maxHeight: '300px', overflow: 'auto' }}>
@@ -860,6 +936,42 @@ const Groups = ({ walletAddress, onLogout }) => {
               </List>
             )}
 
+            <Box display="flex" gap="10px" alignItems="center" mt={2}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Add by address or name"
+                placeholder="0x... or name.chat"
+                value={memberInput}
+                onChange={(e) => setMemberInput(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && handleAddTypedMember()}
+                variant="outlined"
+                InputLabelProps={{ style: { color: '#b8b8d1' } }}
+                InputProps={{ style: { color: '#ffffff' } }}
+              />
+              <Button
+                onClick={handleAddTypedMember}
+                disabled={!memberInput.trim()}
+                style={{ color: '#8a66ff' }}
+              >
+                Add
+              </Button>
+            </Box>
+
+            {typedMembers.length > 0 && (
+              <Box display="flex" flexWrap="wrap" gap="8px" mt={1}>
+                {typedMembers.map((member) => (
+                  <Chip
+                    key={member.address}
+                    label={member.name || `${member.address.substring(0, 10)}...`}
+                    title={member.address}
+                    onDelete={() => handleRemoveTypedMember(member.address)}
+                    style={{ background: 'rgba(138, 102, 255, 0.2)', color: '#ffffff' }}
+                  />
+                ))}
+              </Box>
+            )}
+
             {selectedMembers.length > 0 && (
               <Box mt={2}>
                 <Typography style={{ color: '#8a66ff', fontSize: '14px' }}>
@@ -1,9 +1,13 @@
 import React, { useState, useEffect } from "react";
 import Navbar from "../components/Navbar";
 import ChatPanel from "../components/ChatPanel";
+import { isReadOnlySession, WATCH_MODE_MESSAGE } from "../utils/session";
+import { resolveAddressInput, formatName, toLabel } from "../utils/names";
 import HumanAvatar from "../components/HumanAvatar";
 
-const Home = ({ walletAddress, onLogout }) => {
+const Home = ({ walletAddress, session, onLogout }) => {
+  // Watch sessions can browse but not change the friends list
+  const readOnly = isReadOnlySession(session);
   const [friends, setFriends] = useState([]);
   const [allUsers, setAllUsers] = useState([]);
   const [searchQuery, setSearchQuery] = useState("");
@@ -119,6 +123,10 @@ const Home = ({ walletAddress, onLogout }) => {
 
   const removeFriend = (friend, e) => {
     e.stopPropagation(); // Prevent chat from opening
+    if (readOnly) {
+      alert(`⚠️ ${WATCH_MODE_MESSAGE}`);
+      return;
+    }
     
     if (window.confirm(`Remove ${friend.username} from your friends?`)) {
       const friendsList = JSON.parse(localStorage.getItem(`friends_${walletAddress}`) || '[]');
@@ -138,6 +146,10 @@ const Home = ({ walletAddress, onLogout }) => {
   };
 
   const addFriend = (user) => {
+    if (readOnly) {
+      alert(`⚠️ ${WATCH_MODE_MESSAGE}`);
+      return;
+    }
     const friendsList = JSON.parse(localStorage.getItem(`friends_${walletAddress}`) || '[]');
     
     // Check if friend already exists - handle both old and new formats
@@ -160,17 +172,24 @@ const Home = ({ walletAddress, onLogout }) => {
     }
   };
 
-  const addFriendByAddress = () => {
-    const address = newFriendAddress.trim();
+  const addFriendByAddress = async () => {
+    if (readOnly) {
+      alert(`⚠️ ${WATCH_MODE_MESSAGE}`);
+      return;
+    }
+    const input = newFriendAddress.trim();
     const name = newFriendName.trim();
     
-    if (!address) {
-      alert('⚠️ Please enter a wallet address');
+    if (!input) {
+      alert('⚠️ Please enter a wallet address or name');
       return;
     }
     
-    if (address.length < 42 || !address.startsWith('0x')) {
-      alert('⚠️ Please enter a valid Ethereum address (0x...)');
+    let address;
+    try {
+      address = await resolveAddressInput(input);
+    } catch (error) {
+      alert(`⚠️ ${error.message}`);
       return;
     }
     
@@ -226,16 +245,19 @@ const Home = ({ walletAddress, onLogout }) => {
     loadAllUsers();
   };
 
-  const startQuickChat = () => {
-    const address = quickChatAddress.trim();
+  const startQuickChat = async () => {
+    const input = quickChatAddress.trim();
     
-    if (!address) {
-      alert('⚠️ Please enter a wallet address');
+    if (!input) {
+      alert('⚠️ Please enter a wallet address or name');
       return;
     }
     
-    if (address.length < 42 || !address.startsWith('0x')) {
-      alert('⚠️ Please enter a valid Ethereum address (0x...)');
+    let address;
+    try {
+      address = await resolveAddressInput(input);
+    } catch (error) {
+      alert(`⚠️ ${error.message}`);
       return;
     }
     
@@ -247,7 +269,7 @@ const Home = ({ walletAddress, onLogout }) => {
     // Create a user object for the chat panel
     setSelectedUser({
       address: address,
-      username: 'Quick Chat User'
+      username: address.toLowerCase() === input.toLowerCase() ? 'Quick Chat User' : formatName(toLabel(input))
     });
     setQuickChatAddress('');
   };
@@ -490,6 +512,10 @@ const Home = ({ walletAddress, onLogout }) => {
       cursor: 'pointer',
       boxShadow: '0 30px 80px rgba(0,0,0,0.9)',
     },
+    disabledBtn: {
+      opacity: 0.5,
+      cursor: 'not-allowed',
+    },
     sectionTitle: {
       fontFamily: "'Space Mono', monospace",
       fontSize: 22,
@@ -706,6 +732,8 @@ const Home = ({ walletAddress, onLogout }) => {
                   </div>
                   <button
                     onClick={(e) => removeFriend(friend, e)}
+                    disabled={readOnly}
+                    title={readOnly ? WATCH_MODE_MESSAGE : undefined}
                     style={{
                       padding: '8px 12px',
                       background: 'rgba(239, 68, 68, 0.2)',
@@ -716,7 +744,8 @@ const Home = ({ walletAddress, onLogout }) => {
                       fontWeight: '600',
                       cursor: 'pointer',
                       transition: 'all 0.3s ease',
-                      whiteSpace: 'nowrap'
+                      whiteSpace: 'nowrap',
+                      ...(readOnly && styles.disabledBtn)
                     }}
                     onMouseEnter={(e) => {
                       e.target.style.background = 'rgba(239, 68, 68, 0.3)';
@@ -747,11 +776,11 @@ const Home = ({ walletAddress, onLogout }) => {
           {/* Quick Chat Section */}
           <div style={styles.quickChatSection}>
             <h3 style={styles.quickChatTitle}>💬 Quick Chat</h3>
-            <p style={styles.quickChatSubtitle}>Enter a wallet address to start chatting instantly</p>
+            <p style={styles.quickChatSubtitle}>Enter a wallet address or .chat name to start chatting instantly</p>
             <div style={styles.quickChatInputGroup}>
               <input
                 type="text"
-                placeholder="0x... wallet address"
+                placeholder="0x... address or name.chat"
                 value={quickChatAddress}
                 onChange={(e) => setQuickChatAddress(e.target.value)}
                 onKeyPress={(e) => e.key === 'Enter' && startQuickChat()}
@@ -849,8 +878,10 @@ const Home = ({ walletAddress, onLogout }) => {
                       {user.address.substring(0, 6)}...{user.address.slice(-4)}
                     </div>
                     <button
-                      style={styles.addBtn}
+                      style={readOnly ? { ...styles.addBtn, ...styles.disabledBtn } : styles.addBtn}
                       onClick={() => addFriend(user)}
+                      disabled={readOnly}
+                      title={readOnly ? WATCH_MODE_MESSAGE : undefined}
                       onMouseEnter={(e) => {
                         e.target.style.transform = 'scale(1.05)';
                         e.target.style.boxShadow = '0 6px 25px rgba(255, 140, 66, 0.6)';
@@ -883,6 +914,7 @@ const Home = ({ walletAddress, onLogout }) => {
                 walletAddress={walletAddress}
                 selectedUser={selectedUser}
                 onClose={closeChat}
+                readOnly={readOnly}
               />
             </div>
           )}
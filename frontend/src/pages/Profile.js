@@ -4,18 +4,44 @@ import {
   initWeb3,
   getWeb3,
   getDynamicGasPrice,
-  getRecentTransactions
+  getRecentTransactions,
+  authorizeSessionKey,
+  revokeSessionKey,
+  getSessionKeys
 } from "../utils/blockchain";
 import {
-  uploadJsonToIPFS,
+  SESSION_KEY_SCOPES,
+  DEFAULT_SESSION_KEY_FUNDING_ETH,
+  describeSessionKeyScope
+} from "../utils/sessionKeys";
+import {
   uploadFileToIPFS,
   retrieveFromIPFS,
   getIPFSFileUrl,
   isImageFile
 } from "../utils/ipfs";
 import { setPresenceHeartbeat } from "../utils/gunDB";
+import { ensureChatKeyPair } from "../utils/e2ee";
+import { anchorEncryptionKey, getAnchoredKey, getKeyFingerprint } from "../utils/keyRegistry";
+import { isReadOnlySession, WATCH_MODE_MESSAGE } from "../utils/session";
+import WatchModeBanner from "../components/WatchModeBanner";
+import { getActiveChain, getChainName, getExplorerTxUrl } from "../utils/chains";
+import { subscribeTransactions } from "../utils/txManager";
+import { getSpendSummary } from "../utils/spendLedger";
+import { getIndexedGroups } from "../utils/chainIndexer";
+import { loadProfile, publishProfile } from "../utils/profiles";
+import { isNameRegistryConfigured, lookupName, registerName, releaseName, NAME_SUFFIX } from "../utils/names";
+
+const activeChain = getActiveChain();
+
+const SESSION_KEY_DURATIONS = [
+  { label: "1 hour", ms: 60 * 60 * 1000 },
+  { label: "24 hours", ms: 24 * 60 * 60 * 1000 },
+  { label: "7 days", ms: 7 * 24 * 60 * 60 * 1000 },
+];
 
-const Profile = ({ walletAddress, onLogout }) => {
+const Profile = ({ walletAddress, session, onSessionUpgrade, onLogout }) => {
+  const readOnly = isReadOnlySession(session);
   const [username, setUsername] = useState(localStorage.getItem("username") || "");
   const [bio, setBio] = useState(
     localStorage.getItem(`profile_bio_${walletAddress}`) || ""
@@ -39,17 +65,75 @@ const Profile = ({ walletAddress, onLogout }) => {
   const [balance, setBalance] = useState(null);
   const [networkName, setNetworkName] = useState("Loading...");
   const [gasPriceGwei, setGasPriceGwei] = useState(null);
+  const [gasPriceWei, setGasPriceWei] = useState(null);
   const [recentTx, setRecentTx] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [txLoading, setTxLoading] = useState(false);
 
+  // Encryption key (key registry)
+  const [chatPublicKey, setChatPublicKey] = useState("");
+  const [keyFingerprint, setKeyFingerprint] = useState("");
+  const [keyAnchored, setKeyAnchored] = useState(false);
+  // An older key is anchored: contacts may keep encrypting to it until re-anchored
+  const [anchorOutdated, setAnchorOutdated] = useState(false);
+  const [keyAnchoring, setKeyAnchoring] = useState(false);
+  const [keyError, setKeyError] = useState("");
+
+  // Session keys (send messages without a wallet popup each time)
+  const [sessionKeys, setSessionKeys] = useState([]);
+  const [sessionKeyDuration, setSessionKeyDuration] = useState(SESSION_KEY_DURATIONS[1].ms);
+  const [sessionKeyScope, setSessionKeyScope] = useState(SESSION_KEY_SCOPES.ALL);
+  const [sessionKeyBusy, setSessionKeyBusy] = useState(false);
+  const [sessionKeyError, setSessionKeyError] = useState("");
+
+  // .chat name
+  const [chatName, setChatName] = useState(null);
+  const [nameInput, setNameInput] = useState("");
+  const [nameBusy, setNameBusy] = useState(false);
+  const [nameError, setNameError] = useState("");
+
+  // Gas spent by this app's own transactions (utils/spendLedger.js)
+  const [spendVersion, setSpendVersion] = useState(0);
+  const [groupNames, setGroupNames] = useState({});
+
   // Derived short wallet for preview card
   const shortWallet = useMemo(() => {
     if (!walletAddress) return "";
     return `${walletAddress.substring(0, 6)}...${walletAddress.slice(-4)}`;
   }, [walletAddress]);
 
+  // The ledger grows as transactions are mined
+  useEffect(() => subscribeTransactions(() => setSpendVersion((v) => v + 1)), []);
+
+  const spend = useMemo(
+    () => getSpendSummary(walletAddress, { gasPriceWei: gasPriceWei || 0, days: 30 }),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [walletAddress, gasPriceWei, spendVersion]
+  );
+
+  // Group names for the per-conversation breakdown
+  useEffect(() => {
+    if (!walletAddress) return;
+    getIndexedGroups(walletAddress)
+      .then((groups) => setGroupNames(Object.fromEntries(groups.map((g) => [g.id, g.name]))))
+      .catch((err) => console.warn("Could not read group names from the chain index:", err));
+  }, [walletAddress]);
+
+  const conversationName = (conversation) => {
+    if (conversation.type === "group") {
+      return `# ${groupNames[conversation.id] || `${conversation.id.substring(0, 10)}…`}`;
+    }
+    const friends = JSON.parse(
+      localStorage.getItem(`friends_${walletAddress.toLowerCase()}`) || "[]"
+    );
+    const friend = friends.find((f) => f.address?.toLowerCase() === conversation.id);
+    return friend?.name || `${conversation.id.substring(0, 6)}…${conversation.id.slice(-4)}`;
+  };
+
+  const formatEth = (eth) => `${Number(eth).toFixed(6)} ETH`;
+  const busiestDayGas = Math.max(...spend.byDay.map((day) => day.gasUsed), 1);
+
   // Presence heartbeat (GunDB-based, no centralized presence server)
   useEffect(() => {
     if (!walletAddress) return;
@@ -77,17 +161,15 @@ const Profile = ({ walletAddress, onLogout }) => {
 
         // Network
         const chainId = await web3.eth.getChainId();
-        let name = `Chain ID ${chainId}`;
-        if (chainId === 1) name = "Ethereum Mainnet";
-        if (chainId === 11155111) name = "Sepolia Testnet";
-        setNetworkName(name);
+        setNetworkName(getChainName(chainId));
 
         // Gas tracker
         const gasWei = await getDynamicGasPrice(1.0);
         const gwei = web3.utils.fromWei(gasWei.toString(), "gwei");
         setGasPriceGwei(gwei);
+        setGasPriceWei(gasWei.toString());
 
-        // Recent transactions – live from Sepolia via Etherscan
+        // Recent transactions – contract activity from the local chain index
         setTxLoading(true);
         const txs = await getRecentTransactions(walletAddress, 5);
         setRecentTx(txs || []);
@@ -106,20 +188,158 @@ const Profile = ({ walletAddress, onLogout }) => {
     }
   }, [walletAddress]);
 
-  // Load decentralized profile metadata from IPFS (if hash is cached locally)
+  // Load this wallet's chat key and whether it is anchored on-chain
   useEffect(() => {
-    const loadProfileFromIPFS = async () => {
-      const cachedHash =
-        localStorage.getItem(`profile_ipfs_hash_${walletAddress}`) || "";
-      if (!cachedHash) return;
+    const loadEncryptionKey = async () => {
+      try {
+        const { publicKey } = await ensureChatKeyPair(walletAddress);
+        setChatPublicKey(publicKey);
+        setKeyFingerprint(await getKeyFingerprint(publicKey));
+        const anchored = await getAnchoredKey(walletAddress);
+        setKeyAnchored(anchored === publicKey);
+        setAnchorOutdated(!!anchored && anchored !== publicKey);
+      } catch (err) {
+        console.error("Error loading encryption key:", err);
+        setKeyError(err.message || "Failed to load encryption key");
+      }
+    };
 
+    if (walletAddress) {
+      loadEncryptionKey();
+    }
+  }, [walletAddress]);
+
+  useEffect(() => {
+    if (walletAddress && isNameRegistryConfigured()) {
+      lookupName(walletAddress).then(setChatName);
+    }
+  }, [walletAddress]);
+
+  const handleRegisterName = async () => {
+    if (readOnly) {
+      setNameError(WATCH_MODE_MESSAGE);
+      return;
+    }
+    try {
+      setNameBusy(true);
+      setNameError("");
+      await registerName(nameInput);
+      setChatName(await lookupName(walletAddress));
+      setNameInput("");
+    } catch (err) {
+      console.error("Error registering name:", err);
+      setNameError(err.message || "Failed to register name");
+    } finally {
+      setNameBusy(false);
+    }
+  };
+
+  const handleReleaseName = async () => {
+    if (readOnly) {
+      setNameError(WATCH_MODE_MESSAGE);
+      return;
+    }
+    try {
+      setNameBusy(true);
+      setNameError("");
+      await releaseName();
+      setChatName(null);
+    } catch (err) {
+      console.error("Error releasing name:", err);
+      setNameError(err.message || "Failed to release name");
+    } finally {
+      setNameBusy(false);
+    }
+  };
+
+  const handleAnchorKey = async () => {
+    if (!chatPublicKey) return;
+    if (readOnly) {
+      setKeyError(WATCH_MODE_MESSAGE);
+      return;
+    }
+    try {
+      setKeyAnchoring(true);
+      setKeyError("");
+      await anchorEncryptionKey(chatPublicKey);
+      setKeyAnchored(true);
+      setAnchorOutdated(false);
+    } catch (err) {
+      console.error("Error anchoring encryption key:", err);
+      setKeyError(err.message || "Failed to anchor encryption key");
+    } finally {
+      setKeyAnchoring(false);
+    }
+  };
+
+  const loadSessionKeys = async () => {
+    try {
+      setSessionKeys(await getSessionKeys(walletAddress));
+    } catch (err) {
+      console.error("Error loading session keys:", err);
+      setSessionKeyError(err.message || "Failed to load session keys");
+    }
+  };
+
+  useEffect(() => {
+    if (walletAddress && !readOnly) {
+      loadSessionKeys();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [walletAddress, readOnly]);
+
+  const handleAuthorizeSessionKey = async () => {
+    if (readOnly) {
+      setSessionKeyError(WATCH_MODE_MESSAGE);
+      return;
+    }
+    try {
+      setSessionKeyBusy(true);
+      setSessionKeyError("");
+      await authorizeSessionKey({ ttlMs: sessionKeyDuration, scope: sessionKeyScope });
+      await loadSessionKeys();
+    } catch (err) {
+      console.error("Error authorizing session key:", err);
+      setSessionKeyError(err.message || "Failed to authorize session key");
+    } finally {
+      setSessionKeyBusy(false);
+    }
+  };
+
+  const handleRevokeSessionKey = async (keyAddress) => {
+    try {
+      setSessionKeyBusy(true);
+      setSessionKeyError("");
+      await revokeSessionKey(keyAddress);
+      await loadSessionKeys();
+    } catch (err) {
+      console.error("Error revoking session key:", err);
+      setSessionKeyError(err.message || "Failed to revoke session key");
+    } finally {
+      setSessionKeyBusy(false);
+    }
+  };
+
+  // Load decentralized profile metadata: the on-chain profile registry first,
+  // then the IPFS hash cached by older versions that didn't register it
+  useEffect(() => {
+    const loadProfileFromIPFS = async () => {
       try {
         setProfileLoading(true);
         setProfileError("");
-        const json = await retrieveFromIPFS(cachedHash);
+
+        const registered = await loadProfile(walletAddress);
+        const cachedHash =
+          localStorage.getItem(`profile_ipfs_hash_${walletAddress}`) || "";
+        if (!registered && !cachedHash) return;
+
+        const json = registered
+          ? { username: registered.username, bio: registered.bio, avatar: registered.avatarCid, avatarEmoji: registered.avatarEmoji }
+          : await retrieveFromIPFS(cachedHash);
 
         if (json.username) setUsername(json.username);
         if (json.bio) setBio(json.bio);
+        if (json.avatarEmoji) setAvatarEmoji(json.avatarEmoji);
         if (json.avatar && typeof json.avatar === "string") {
           const hash = json.avatar.replace("ipfs://", "");
           setAvatarImageHash(hash);
@@ -142,6 +362,10 @@ const Profile = ({ walletAddress, onLogout }) => {
   const handleSaveProfile = async () => {
     try {
       if (!walletAddress) return;
+      if (readOnly) {
+        setProfileError(WATCH_MODE_MESSAGE);
+        return;
+      }
 
       // Immediate local persistence for snappy UX
       localStorage.setItem("username", username);
@@ -151,22 +375,18 @@ const Profile = ({ walletAddress, onLogout }) => {
       setProfileLoading(true);
       setProfileError("");
 
-      const profileJson = {
+      // Pin the profile JSON and point the on-chain profile registry at it,
+      // so other users resolve this username, bio and avatar
+      const { cid } = await publishProfile({
         username: username || "",
-        avatar: avatarImageHash ? `ipfs://${avatarImageHash}` : "",
         bio: bio || "",
-        wallet: walletAddress,
-        twitter: "",
-        github: ""
-      };
-
-      const ipfsHash = await uploadJsonToIPFS(profileJson);
-      localStorage.setItem(`profile_ipfs_hash_${walletAddress}`, ipfsHash);
-      // NOTE: Smart contract storage of this hash can be wired here once
-      // a profile function exists on-chain.
+        avatarCid: avatarImageHash || "",
+        avatarEmoji: avatarEmoji || ""
+      });
+      localStorage.setItem(`profile_ipfs_hash_${walletAddress}`, cid);
     } catch (err) {
       console.error("Error saving decentralized profile:", err);
-      setProfileError(err.message || "Failed to save profile to IPFS");
+      setProfileError(err.message || "Failed to save profile");
     } finally {
       setProfileLoading(false);
     }
@@ -175,6 +395,10 @@ const Profile = ({ walletAddress, onLogout }) => {
   const handleAvatarFileChange = async (event) => {
     const file = event.target.files?.[0];
     if (!file) return;
+    if (readOnly) {
+      setProfileError(WATCH_MODE_MESSAGE);
+      return;
+    }
 
     if (!isImageFile(file.type)) {
       setProfileError("Avatar must be an image file");
@@ -351,6 +575,14 @@ const Profile = ({ walletAddress, onLogout }) => {
       fontFamily: "SF Mono, Menlo, Monaco, monospace",
       fontSize: 12,
     },
+    select: {
+      padding: "6px 10px",
+      borderRadius: 999,
+      border: "1px solid rgba(255,255,255,0.25)",
+      background: "rgba(8,10,16,0.9)",
+      color: "#fff",
+      fontSize: 11,
+    },
     copyBtn: {
       padding: "6px 10px",
       borderRadius: 999,
@@ -470,6 +702,7 @@ const Profile = ({ walletAddress, onLogout }) => {
       <div style={styles.content}>
         {/* Left: Wallet dashboard + account activity */}
         <div>
+          <WatchModeBanner session={session} onUpgrade={onSessionUpgrade} />
           <section style={styles.section}>
             <div style={{ display: "flex", justifyContent: "space-between" }}>
               <div>
@@ -536,13 +769,13 @@ const Profile = ({ walletAddress, onLogout }) => {
                 <span style={{ fontWeight: 500, fontSize: 14 }}>
                   Recent on‑chain activity
                 </span>
-                <span style={styles.muted}>Sepolia · last 5 tx</span>
+                <span style={styles.muted}>{activeChain.shortName} · last 5 tx</span>
               </div>
               {txLoading ? (
                 <p style={styles.muted}>Loading recent transactions…</p>
               ) : recentTx.length === 0 ? (
                 <p style={styles.muted}>
-                  No recent Sepolia transactions found for this wallet.
+                  No {activeChain.name} contract transactions found for this wallet.
                 </p>
               ) : (
                 <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
@@ -576,20 +809,22 @@ const Profile = ({ walletAddress, onLogout }) => {
                                 : "#e5e7eb",
                           }}
                         >
-                          {tx.type || "contract"}
+                          {tx.label ? `${tx.type} · ${tx.label}` : tx.type || "contract"}
                         </span>
-                        <a
-                          href={`https://sepolia.etherscan.io/tx/${tx.hash}`}
-                          target="_blank"
-                          rel="noreferrer"
-                          style={{
-                            fontSize: 11,
-                            color: "#93c5fd",
-                            textDecoration: "none",
-                          }}
-                        >
-                          View on Etherscan ↗
-                        </a>
+                        {getExplorerTxUrl(tx.hash) && (
+                          <a
+                            href={getExplorerTxUrl(tx.hash)}
+                            target="_blank"
+                            rel="noreferrer"
+                            style={{
+                              fontSize: 11,
+                              color: "#93c5fd",
+                              textDecoration: "none",
+                            }}
+                          >
+                            View on explorer ↗
+                          </a>
+                        )}
                       </div>
                       <div style={styles.muted}>
                         {tx.hash
@@ -615,6 +850,135 @@ const Profile = ({ walletAddress, onLogout }) => {
             </div>
           </section>
 
+          <section style={{ ...styles.section, marginTop: 20 }}>
+            <h2 style={styles.sectionTitle}>App Spend</h2>
+            <p style={styles.muted}>
+              Gas paid by the transactions this app sent from this browser, taken from their receipts.
+            </p>
+
+            {spend.totals.txCount === 0 ? (
+              <p style={{ ...styles.muted, marginTop: 12 }}>
+                No mined transactions yet. Sending messages, adding friends or creating groups will show up here.
+              </p>
+            ) : (
+              <>
+                <div style={styles.statGrid}>
+                  <div style={styles.statCard}>
+                    <div style={styles.statLabel}>Spent</div>
+                    <div style={styles.statValue}>{formatEth(spend.totals.feeEth)}</div>
+                    <div style={{ ...styles.muted, fontSize: 11 }}>
+                      {spend.totals.txCount} transaction{spend.totals.txCount === 1 ? "" : "s"}
+                    </div>
+                  </div>
+                  <div style={styles.statCard}>
+                    <div style={styles.statLabel}>Gas used</div>
+                    <div style={styles.statValue}>{spend.totals.gasUsed.toLocaleString()}</div>
+                    <div style={{ ...styles.muted, fontSize: 11 }}>
+                      ~{Math.round(spend.totals.gasUsed / spend.totals.txCount).toLocaleString()} per tx
+                    </div>
+                  </div>
+                  <div style={styles.statCard}>
+                    <div style={styles.statLabel}>Projected / month</div>
+                    <div style={styles.statValue}>
+                      {gasPriceWei === null ? "…" : formatEth(spend.projection.monthlyFeeEth)}
+                    </div>
+                    <div style={{ ...styles.muted, fontSize: 11 }}>
+                      {spend.projection.monthlyGas.toLocaleString()} gas at{" "}
+                      {gasPriceGwei === null ? "…" : `${Number(gasPriceGwei).toFixed(1)} gwei`},
+                      {" "}last {spend.projection.basedOnDays} day{spend.projection.basedOnDays === 1 ? "" : "s"}
+                    </div>
+                  </div>
+                </div>
+
+                <div style={{ marginTop: 22, fontWeight: 500, fontSize: 14 }}>By feature</div>
+                {spend.byFeature.map((feature) => (
+                  <div key={feature.feature} style={{ marginTop: 8 }}>
+                    <div
+                      style={{
+                        display: "flex",
+                        justifyContent: "space-between",
+                        fontSize: 13,
+                        marginBottom: 3,
+                      }}
+                    >
+                      <span>
+                        {feature.label}{" "}
+                        <span style={styles.muted}>· {feature.txCount} tx</span>
+                      </span>
+                      <span style={styles.muted}>
+                        {feature.gasUsed.toLocaleString()} gas · {formatEth(feature.feeEth)}
+                      </span>
+                    </div>
+                    <div style={{ height: 6, borderRadius: 3, background: "rgba(255,255,255,0.06)" }}>
+                      <div
+                        style={{
+                          width: `${(feature.gasUsed / spend.totals.gasUsed) * 100}%`,
+                          height: "100%",
+                          borderRadius: 3,
+                          background: "linear-gradient(90deg, #ff3300, #ff8c42)",
+                        }}
+                      />
+                    </div>
+                  </div>
+                ))}
+
+                <div style={{ marginTop: 22, fontWeight: 500, fontSize: 14 }}>
+                  Last 30 days
+                </div>
+                <div
+                  style={{
+                    display: "flex",
+                    alignItems: "flex-end",
+                    gap: 3,
+                    height: 70,
+                    marginTop: 8,
+                    borderBottom: "1px solid rgba(255,255,255,0.08)",
+                  }}
+                >
+                  {spend.byDay.map((day) => (
+                    <div
+                      key={day.day.toISOString()}
+                      title={`${day.day.toLocaleDateString()}: ${day.txCount} tx, ${day.gasUsed.toLocaleString()} gas, ${formatEth(day.feeEth)}`}
+                      style={{
+                        flex: 1,
+                        height: `${Math.max((day.gasUsed / busiestDayGas) * 100, day.txCount > 0 ? 4 : 1)}%`,
+                        background: day.txCount > 0 ? "rgba(255,90,30,0.8)" : "rgba(255,255,255,0.08)",
+                        borderRadius: "2px 2px 0 0",
+                      }}
+                    />
+                  ))}
+                </div>
+
+                {spend.byConversation.length > 0 && (
+                  <>
+                    <div style={{ marginTop: 22, fontWeight: 500, fontSize: 14 }}>
+                      By conversation
+                    </div>
+                    <ul style={{ listStyle: "none", padding: 0, margin: "6px 0 0" }}>
+                      {spend.byConversation.slice(0, 8).map((conversation) => (
+                        <li
+                          key={`${conversation.type}:${conversation.id}`}
+                          style={{
+                            display: "flex",
+                            justifyContent: "space-between",
+                            padding: "6px 0",
+                            borderBottom: "1px solid rgba(255,255,255,0.05)",
+                            fontSize: 13,
+                          }}
+                        >
+                          <span>{conversationName(conversation)}</span>
+                          <span style={styles.muted}>
+                            {conversation.txCount} tx · {formatEth(conversation.feeEth)}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </>
+            )}
+          </section>
+
           <section style={{ ...styles.section, marginTop: 20 }}>
             <h2 style={styles.sectionTitle}>Account Overview</h2>
             <p style={styles.muted}>
@@ -672,8 +1036,8 @@ const Profile = ({ walletAddress, onLogout }) => {
           <section style={styles.section}>
             <h2 style={styles.sectionTitle}>Profile</h2>
             <p style={styles.muted}>
-              Decentralized profile stored on IPFS. Avatar, bio, and identity
-              stay portable across frontends.
+              Decentralized profile stored on IPFS and registered on-chain, so
+              friends and group members see your name, bio and avatar.
             </p>
 
             {profileError && (
@@ -759,7 +1123,7 @@ const Profile = ({ walletAddress, onLogout }) => {
                   placeholder="Short bio, status, or note…"
                 />
                 <button type="button" style={styles.saveBtn} onClick={handleSaveProfile}>
-                  {profileLoading ? "Saving to IPFS…" : "Save profile"}
+                  {profileLoading ? "Saving to IPFS + chain…" : "Save profile"}
                 </button>
               </div>
             </div>
@@ -797,6 +1161,178 @@ const Profile = ({ walletAddress, onLogout }) => {
               )}
             </div>
           </section>
+
+          {isNameRegistryConfigured() && (
+            <section style={{ ...styles.section, marginTop: 20 }}>
+              <h2 style={styles.sectionTitle}>Chat Name</h2>
+              <p style={styles.muted}>
+                Register a {NAME_SUFFIX} name so people can find you by name instead
+                of your address. Each wallet holds one name; registering another
+                releases the old one.
+              </p>
+
+              {nameError && (
+                <p style={{ ...styles.muted, color: "#f97373", marginTop: 8 }}>
+                  {nameError}
+                </p>
+              )}
+
+              <div style={styles.walletRow}>
+                <span style={{ opacity: 0.7 }}>🏷️</span>
+                <span>{chatName || "No name registered"}</span>
+                {chatName && (
+                  <button
+                    type="button"
+                    style={{ ...styles.copyBtn, marginLeft: "auto" }}
+                    onClick={handleReleaseName}
+                    disabled={nameBusy || readOnly}
+                  >
+                    Release
+                  </button>
+                )}
+              </div>
+
+              <div style={{ marginTop: 12, display: "flex", alignItems: "center", gap: 10 }}>
+                <input
+                  style={{ ...styles.input, flex: 1, marginBottom: 0 }}
+                  value={nameInput}
+                  onChange={(e) => setNameInput(e.target.value)}
+                  placeholder={`yourname${NAME_SUFFIX}`}
+                  disabled={nameBusy || readOnly}
+                />
+                <button
+                  type="button"
+                  style={styles.copyBtn}
+                  onClick={handleRegisterName}
+                  disabled={nameBusy || readOnly || !nameInput.trim()}
+                >
+                  {nameBusy ? "Waiting for wallet…" : chatName ? "Change name" : "Register"}
+                </button>
+              </div>
+            </section>
+          )}
+
+          <section style={{ ...styles.section, marginTop: 20 }}>
+            <h2 style={styles.sectionTitle}>Encryption Key</h2>
+            <p style={styles.muted}>
+              Your end-to-end encryption key, published to the wallet-signed key
+              registry. Contacts can compare this fingerprint with what they see.
+            </p>
+
+            {keyError && (
+              <p style={{ ...styles.muted, color: "#f97373", marginTop: 8 }}>
+                {keyError}
+              </p>
+            )}
+
+            <div style={styles.walletRow}>
+              <span style={{ opacity: 0.7 }}>🔑</span>
+              <span>{keyFingerprint || "Loading…"}</span>
+            </div>
+
+            {anchorOutdated && (
+              <p style={{ ...styles.muted, color: "#fbbf24", marginTop: 8 }}>
+                ⚠️ The key anchored on-chain is not this browser's key. Contacts
+                whose chain index is behind still encrypt to the old one — re-anchor
+                to replace it.
+              </p>
+            )}
+
+            <div style={{ marginTop: 12, display: "flex", alignItems: "center", gap: 10 }}>
+              <span style={styles.pillSubtle}>
+                {keyAnchored ? "Anchored on-chain" : anchorOutdated ? "Anchored key is out of date" : "Gun registry only"}
+              </span>
+              {!keyAnchored && (
+                <button
+                  type="button"
+                  style={styles.copyBtn}
+                  onClick={handleAnchorKey}
+                  disabled={keyAnchoring || !chatPublicKey || readOnly}
+                >
+                  {keyAnchoring ? "Anchoring…" : anchorOutdated ? "Re-anchor on-chain" : "Anchor on-chain"}
+                </button>
+              )}
+            </div>
+          </section>
+
+          <section style={{ ...styles.section, marginTop: 20 }}>
+            <h2 style={styles.sectionTitle}>Session Keys</h2>
+            <p style={styles.muted}>
+              Authorize a temporary key in this browser to send messages without
+              a wallet confirmation each time. It is funded with{" "}
+              {DEFAULT_SESSION_KEY_FUNDING_ETH} ETH for gas; leftovers are returned
+              when you revoke it.
+            </p>
+
+            {sessionKeyError && (
+              <p style={{ ...styles.muted, color: "#f97373", marginTop: 8 }}>
+                {sessionKeyError}
+              </p>
+            )}
+
+            <div style={{ marginTop: 12, display: "flex", flexWrap: "wrap", alignItems: "center", gap: 10 }}>
+              <select
+                style={styles.select}
+                value={sessionKeyDuration}
+                onChange={(e) => setSessionKeyDuration(Number(e.target.value))}
+                disabled={sessionKeyBusy || readOnly}
+              >
+                {SESSION_KEY_DURATIONS.map((d) => (
+                  <option key={d.ms} value={d.ms}>{d.label}</option>
+                ))}
+              </select>
+              <select
+                style={styles.select}
+                value={sessionKeyScope}
+                onChange={(e) => setSessionKeyScope(Number(e.target.value))}
+                disabled={sessionKeyBusy || readOnly}
+              >
+                {[SESSION_KEY_SCOPES.ALL, SESSION_KEY_SCOPES.DIRECT_MESSAGE, SESSION_KEY_SCOPES.GROUP_MESSAGE].map((scope) => (
+                  <option key={scope} value={scope}>{describeSessionKeyScope(scope)}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                style={styles.copyBtn}
+                onClick={handleAuthorizeSessionKey}
+                disabled={sessionKeyBusy || readOnly}
+              >
+                {sessionKeyBusy ? "Waiting for wallet…" : "Authorize session key"}
+              </button>
+            </div>
+
+            {sessionKeys.length > 0 && (
+              <div style={styles.notifList}>
+                {sessionKeys.map((key) => (
+                  <div key={key.address} style={styles.notifItem}>
+                    <div>
+                      <div style={{ fontFamily: "SF Mono, Menlo, Monaco, monospace", fontSize: 12 }}>
+                        {key.address.substring(0, 10)}…{key.address.slice(-6)}
+                        {key.isLocal && <span style={{ ...styles.muted, marginLeft: 6 }}>(this browser)</span>}
+                      </div>
+                      <div style={styles.muted}>
+                        {describeSessionKeyScope(key.scope)} ·{" "}
+                        {key.active
+                          ? `expires ${new Date(key.expiresAt).toLocaleString()}`
+                          : key.expiresAt === 0 ? "revoked" : "expired"}{" "}
+                        · {Number(key.balance).toFixed(4)} ETH
+                      </div>
+                    </div>
+                    {key.active && (
+                      <button
+                        type="button"
+                        style={styles.copyBtn}
+                        onClick={() => handleRevokeSessionKey(key.address)}
+                        disabled={sessionKeyBusy || readOnly}
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </section>
         </div>
       </div>
     </div>
@@ -0,0 +1,249 @@
+/**
+ * blockList.js
+ *
+ * Per-wallet list of blocked users. Messages, calls and group invites from a
+ * blocked address are dropped before they reach the UI.
+ *
+ * The list lives in GunDB under `chatDB/blockLists/<address>` as one record
+ * signed by the owner's wallet (see keyRegistry.signStatement), so it follows
+ * the user across devices and nobody else can rewrite it. The last verified
+ * record is kept in localStorage; isBlocked() answers from that copy
+ * synchronously, which is what the message and call paths need. When the
+ * local and Gun copies disagree the newer `updatedAt` wins.
+ */
+
+import Web3 from 'web3';
+import { chatDB } from './gunDB';
+import { signStatement } from './keyRegistry';
+
+const FETCH_TIMEOUT_MS = 3000;
+
+const storageKey = (owner) => `block_list_${owner.toLowerCase()}`;
+
+// owner => Promise of the Gun fetch, once per session
+const loaded = new Map();
+
+/**
+ * Build the exact text a wallet signs for its block list
+ *
+ * @param {string} owner - Wallet address
+ * @param {string} blocked - JSON list of { address, blockedAt }
+ * @param {string} updatedAt - ISO timestamp
+ * @returns {string}
+ */
+export const buildBlockListStatement = (owner, blocked, updatedAt) => {
+  return [
+    'Decentralized Chat block list',
+    '',
+    'I do not want messages, calls or group invites from these addresses.',
+    '',
+    `Address: ${owner.toLowerCase()}`,
+    `Blocked: ${blocked}`,
+    `Updated at: ${updatedAt}`
+  ].join('\n');
+};
+
+/**
+ * Verify that a block list record was signed by the address it belongs to
+ *
+ * @param {object} record - { address, blocked, updatedAt, signature }
+ * @returns {boolean}
+ */
+export const verifyBlockListRecord = (record) => {
+  if (!record || !record.address || typeof record.blocked !== 'string' || !record.updatedAt || !record.signature) {
+    return false;
+  }
+  try {
+    const statement = buildBlockListStatement(record.address, record.blocked, record.updatedAt);
+    const signer = new Web3().eth.accounts.recover(statement, record.signature);
+    return signer.toLowerCase() === record.address.toLowerCase();
+  } catch (error) {
+    console.warn('⚠️ Invalid block list signature:', error.message);
+    return false;
+  }
+};
+
+const parseBlocked = (record) => {
+  try {
+    const entries = JSON.parse(record.blocked);
+    return Array.isArray(entries) ? entries.filter(entry => entry && entry.address) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const readLocalRecord = (owner) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(owner)) || 'null');
+  } catch (error) {
+    return null;
+  }
+};
+
+const fetchGunRecord = (owner, timeoutMs = FETCH_TIMEOUT_MS) => {
+  const addr = owner.toLowerCase();
+
+  return new Promise((resolve) => {
+    const timeout = setTimeout(() => resolve(null), timeoutMs);
+
+    chatDB
+      .get('blockLists')
+      .get(addr)
+      .once((data) => {
+        clearTimeout(timeout);
+        if (!data || !data.signature) {
+          resolve(null);
+          return;
+        }
+        const { _, ...record } = data;
+        if (record.address !== addr || !verifyBlockListRecord(record)) {
+          console.warn(`⚠️ Ignoring block list for ${addr}: signature does not match address`);
+          resolve(null);
+          return;
+        }
+        resolve(record);
+      });
+  });
+};
+
+const putRecordInGun = (record) => {
+  return new Promise((resolve, reject) => {
+    chatDB
+      .get('blockLists')
+      .get(record.address)
+      .put(record, (ack) => {
+        if (ack.err) {
+          reject(new Error(ack.err));
+        } else {
+          resolve();
+        }
+      });
+  });
+};
+
+/**
+ * Users an owner has blocked, from the local copy
+ *
+ * @param {string} owner - Wallet address
+ * @returns {Array} [{ address, blockedAt (ISO) }]
+ */
+export const getBlockedUsers = (owner) => {
+  if (!owner) return [];
+  const record = readLocalRecord(owner);
+  return record ? parseBlocked(record) : [];
+};
+
+/**
+ * Whether an owner has blocked an address (synchronous, local copy)
+ *
+ * @param {string} owner - Wallet address of the user doing the blocking
+ * @param {string} address - Address to check
+ * @returns {boolean}
+ */
+export const isBlocked = (owner, address) => {
+  if (!owner || !address) return false;
+  const target = address.toLowerCase();
+  return getBlockedUsers(owner).some(entry => entry.address === target);
+};
+
+/**
+ * Bring the local copy up to date with the signed list in GunDB.
+ * Runs once per owner per session unless `refresh` is set.
+ *
+ * @param {string} owner - Wallet address
+ * @param {object} options - { refresh: fetch again }
+ * @returns {Promise<Array>} Blocked users, as getBlockedUsers
+ */
+export const loadBlockList = (owner, { refresh = false } = {}) => {
+  if (!owner) return Promise.resolve([]);
+  const addr = owner.toLowerCase();
+
+  if (refresh || !loaded.has(addr)) {
+    loaded.set(addr, fetchGunRecord(addr).then((remote) => {
+      const local = readLocalRecord(addr);
+      if (remote && (!local || remote.updatedAt > local.updatedAt)) {
+        localStorage.setItem(storageKey(addr), JSON.stringify(remote));
+        console.log(`🚫 Block list synced from GunDB for ${addr}`);
+      } else if (local && verifyBlockListRecord(local) && (!remote || local.updatedAt > remote.updatedAt)) {
+        // Signed here but never reached Gun (offline) — try again
+        putRecordInGun(local).catch(error => console.warn('⚠️ Could not republish block list:', error.message));
+      }
+    }));
+  }
+  return loaded.get(addr).then(() => getBlockedUsers(addr));
+};
+
+const saveBlockList = async (owner, entries) => {
+  const addr = owner.toLowerCase();
+  const blocked = JSON.stringify(entries);
+  const updatedAt = new Date().toISOString();
+  const signature = await signStatement(addr, buildBlockListStatement(addr, blocked, updatedAt));
+  const record = { address: addr, blocked, updatedAt, signature };
+
+  localStorage.setItem(storageKey(addr), JSON.stringify(record));
+  await putRecordInGun(record);
+  return entries;
+};
+
+/**
+ * Block an address. The wallet signs the new list, which is then published.
+ *
+ * @param {string} owner - Wallet address (must be able to sign)
+ * @param {string} address - Address to block
+ * @returns {Promise<Array>} Updated blocked users
+ */
+export const blockUser = async (owner, address) => {
+  try {
+    if (!Web3.utils.isAddress(address)) {
+      throw new Error('Invalid address');
+    }
+    const target = address.toLowerCase();
+    if (target === owner.toLowerCase()) {
+      throw new Error('You cannot block yourself');
+    }
+
+    await loadBlockList(owner);
+    const entries = getBlockedUsers(owner);
+    if (entries.some(entry => entry.address === target)) return entries;
+
+    const updated = await saveBlockList(owner, [...entries, { address: target, blockedAt: new Date().toISOString() }]);
+    console.log('🚫 Blocked', target);
+    return updated;
+  } catch (error) {
+    console.error('❌ Error blocking user:', error);
+    throw new Error(`Failed to block user: ${error.message}`);
+  }
+};
+
+/**
+ * Unblock an address
+ *
+ * @param {string} owner - Wallet address (must be able to sign)
+ * @param {string} address - Address to unblock
+ * @returns {Promise<Array>} Updated blocked users
+ */
+export const unblockUser = async (owner, address) => {
+  try {
+    const target = address.toLowerCase();
+    await loadBlockList(owner);
+    const entries = getBlockedUsers(owner);
+    if (!entries.some(entry => entry.address === target)) return entries;
+
+    const updated = await saveBlockList(owner, entries.filter(entry => entry.address !== target));
+    console.log('✅ Unblocked', target);
+    return updated;
+  } catch (error) {
+    console.error('❌ Error unblocking user:', error);
+    throw new Error(`Failed to unblock user: ${error.message}`);
+  }
+};
+
+export default {
+  buildBlockListStatement,
+  verifyBlockListRecord,
+  getBlockedUsers,
+  isBlocked,
+  loadBlockList,
+  blockUser,
+  unblockUser
+};
@@ -2,19 +2,230 @@
 
 import Web3 from "web3";
 import ChatMetadataABI from "../abis/ChatMetadata.json";
+import TrustedForwarderABI from "../abis/TrustedForwarder.json";
+import { retrieveFromIPFS } from "./ipfs";
+import { computeMessageLeaf, getMerkleProof, verifyMerkleProof } from "./merkle";
+import { getActiveChain, getAddChainParams, toHexChainId } from "./chains";
+import { syncEventHistory } from "./eventHistory";
+import { syncChainIndex, getRecentActivity } from "./chainIndexer";
+import { attachTransactionManager, setRelayer, submitTransaction, sendTransaction, waitForTransaction } from "./txManager";
+import {
+  SESSION_KEY_SCOPES,
+  DEFAULT_SESSION_KEY_TTL_MS,
+  MAX_SESSION_KEY_TTL_MS,
+  DEFAULT_SESSION_KEY_FUNDING_ETH,
+  generateSessionKey,
+  signSessionKeyGrant,
+  saveSessionKey,
+  getStoredSessionKey,
+  getUsableSessionKey,
+  forgetSessionKey
+} from "./sessionKeys";
+import { getActiveLocalSigner, isLocalKeySession } from "./session";
 
-// Environment variables
-const CONTRACT_ADDRESS = process.env.REACT_APP_CONTRACT_ADDRESS;
-const NETWORK_ID = parseInt(process.env.REACT_APP_NETWORK_ID || '11155111', 10);  // Sepolia ID
-const RPC_URL = process.env.REACT_APP_RPC_URL || 'https://eth-sepolia.g.alchemy.com/v2/YOUR_ALCHEMY_KEY';  // Replace with your Alchemy key
+// Network configuration (see ./chains.js)
+const ACTIVE_CHAIN = getActiveChain();
+const CONTRACT_ADDRESS = ACTIVE_CHAIN.contractAddress;
 
 if (!CONTRACT_ADDRESS) {
-  console.warn('REACT_APP_CONTRACT_ADDRESS is not set in .env');
+  console.warn(`No ChatMetadata address configured for ${ACTIVE_CHAIN.name} (chain ${ACTIVE_CHAIN.chainId})`);
 }
 
 let web3;
 let contract;
 let isInitialized = false;
+// Address of the local key web3 signs with, or null when it is the wallet's
+let localSignerAddress = null;
+// Read-only provider and contract (see getReadWeb3)
+let readWeb3;
+let readContract;
+let readContractWeb3;
+
+/*
+ * Wallet providers (EIP-6963)
+ *
+ * Each injected wallet announces itself with an `eip6963:announceProvider`
+ * event instead of racing to own `window.ethereum`. Announcements are kept by
+ * reverse-DNS id (stable across reloads), the user's pick is remembered, and
+ * `window.ethereum` is only used for wallets that don't announce.
+ */
+const WALLET_PROVIDER_STORAGE_KEY = 'wallet_provider_rdns';
+const LEGACY_PROVIDER_RDNS = 'injected';
+const PROVIDER_DISCOVERY_MS = 300;
+
+const announcedProviders = new Map();   // rdns → { info, provider }
+const walletEventSubscribers = new Set();
+let walletProvider = null;
+let detachWalletEvents = null;
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('eip6963:announceProvider', (event) => {
+    const { info, provider } = event.detail || {};
+    if (!info?.rdns || !provider) return;
+    announcedProviders.set(info.rdns, { info, provider });
+  });
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+}
+
+const resetConnection = () => {
+  contract = null;
+  isInitialized = false;
+};
+
+const notifyWalletEvent = (type, payload) => {
+  walletEventSubscribers.forEach(handlers => {
+    try {
+      handlers[type]?.(payload);
+    } catch (error) {
+      console.error(`Error in ${type} handler:`, error);
+    }
+  });
+};
+
+// Forward the active provider's events to subscribers (one set of listeners app-wide)
+const bindWalletEvents = (provider) => {
+  if (detachWalletEvents) detachWalletEvents();
+  detachWalletEvents = null;
+  if (!provider?.on) return;
+
+  const onAccountsChanged = (accounts) => notifyWalletEvent('accountsChanged', accounts || []);
+  const onChainChanged = (chainId) => {
+    // The contract instance is bound to the old chain; rebuild on next initWeb3
+    resetConnection();
+    notifyWalletEvent('chainChanged', Number(chainId));
+  };
+  const onDisconnect = (error) => {
+    resetConnection();
+    notifyWalletEvent('disconnect', error);
+  };
+
+  provider.on('accountsChanged', onAccountsChanged);
+  provider.on('chainChanged', onChainChanged);
+  provider.on('disconnect', onDisconnect);
+
+  detachWalletEvents = () => {
+    if (!provider.removeListener) return;
+    provider.removeListener('accountsChanged', onAccountsChanged);
+    provider.removeListener('chainChanged', onChainChanged);
+    provider.removeListener('disconnect', onDisconnect);
+  };
+};
+
+const setWalletProvider = (provider) => {
+  if (provider === walletProvider) return;
+  walletProvider = provider;
+  web3 = undefined;
+  resetConnection();
+  bindWalletEvents(provider);
+};
+
+/**
+ * Wallets found so far: EIP-6963 announcements, plus `window.ethereum` when it
+ * belongs to a wallet that didn't announce itself
+ *
+ * @returns {Array<{info: {uuid, name, icon, rdns}, provider: object}>}
+ */
+export const listWalletProviders = () => {
+  const wallets = [...announcedProviders.values()];
+  const legacy = typeof window !== 'undefined' ? window.ethereum : null;
+  if (legacy && !wallets.some(w => w.provider === legacy)) {
+    wallets.push({
+      info: {
+        uuid: LEGACY_PROVIDER_RDNS,
+        name: legacy.isMetaMask ? 'MetaMask' : 'Browser wallet',
+        icon: null,
+        rdns: LEGACY_PROVIDER_RDNS
+      },
+      provider: legacy
+    });
+  }
+  return wallets;
+};
+
+/**
+ * Ask installed wallets to announce themselves and collect the answers
+ *
+ * @param {number} waitMs - How long to wait for announcements
+ * @returns {Promise<Array>} Same shape as listWalletProviders()
+ */
+export const discoverWalletProviders = async (waitMs = PROVIDER_DISCOVERY_MS) => {
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  await new Promise(resolve => setTimeout(resolve, waitMs));
+  return listWalletProviders();
+};
+
+/**
+ * Reverse-DNS id of the wallet the user picked last, if any
+ *
+ * @returns {string|null}
+ */
+export const getSelectedWalletId = () => localStorage.getItem(WALLET_PROVIDER_STORAGE_KEY);
+
+/**
+ * Use (and remember) a wallet from listWalletProviders()
+ *
+ * @param {string} rdns - Wallet's reverse-DNS id (info.rdns)
+ * @returns {object} The wallet entry { info, provider }
+ */
+export const selectWalletProvider = (rdns) => {
+  const wallet = listWalletProviders().find(w => w.info.rdns === rdns);
+  if (!wallet) {
+    throw new Error('That wallet is no longer available. Is the extension still enabled?');
+  }
+  localStorage.setItem(WALLET_PROVIDER_STORAGE_KEY, rdns);
+  setWalletProvider(wallet.provider);
+  console.log('👛 Using wallet:', wallet.info.name);
+  return wallet;
+};
+
+/**
+ * The EIP-1193 provider in use: the remembered wallet if it has announced
+ * itself, otherwise `window.ethereum` (or the only announced wallet)
+ *
+ * @returns {object|null}
+ */
+export const getWalletProvider = () => {
+  if (walletProvider) return walletProvider;
+  const wallets = listWalletProviders();
+  const remembered = wallets.find(w => w.info.rdns === getSelectedWalletId());
+  if (remembered) return remembered.provider;
+  return window.ethereum || wallets[0]?.provider || null;
+};
+
+/**
+ * Whether any wallet is available in this browser
+ *
+ * @returns {boolean}
+ */
+export const hasWalletProvider = () => getWalletProvider() !== null;
+
+// Like getWalletProvider, but gives a remembered wallet time to announce itself
+const resolveWalletProvider = async () => {
+  const rememberedId = getSelectedWalletId();
+  if (!walletProvider && rememberedId && rememberedId !== LEGACY_PROVIDER_RDNS && !announcedProviders.has(rememberedId)) {
+    await discoverWalletProviders();
+  }
+  const provider = getWalletProvider();
+  setWalletProvider(provider);
+  return provider;
+};
+
+/**
+ * Subscribe to wallet events from whichever provider is active. Handlers are
+ * kept across wallet switches, so pages never attach to a provider directly.
+ *
+ * @param {object} handlers - { accountsChanged(accounts), chainChanged(chainId: number), disconnect(error) }
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeWalletEvents = (handlers) => {
+  walletEventSubscribers.add(handlers);
+  if (!walletProvider && !detachWalletEvents) {
+    setWalletProvider(getWalletProvider());
+  }
+  return () => {
+    walletEventSubscribers.delete(handlers);
+  };
+};
 
 /**
  * Get dynamic gas price with multiplier to ensure transactions go through
@@ -44,112 +255,110 @@ export const getDynamicGasPrice = async (multiplier = 1.2) => {
 };
 
 /**
- * Initialize web3, connect wallet, and create contract instance
+ * Switch the wallet to the configured chain, adding it first if the wallet
+ * doesn't know it yet (error 4902)
+ */
+const ensureActiveChain = async (web3Instance) => {
+  const currentChainId = Number(await web3Instance.eth.getChainId());
+  if (currentChainId === ACTIVE_CHAIN.chainId) return;
+
+  const chainId = toHexChainId(ACTIVE_CHAIN.chainId);
+  try {
+    await walletProvider.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId }],
+    });
+  } catch (switchError) {
+    if (switchError.code !== 4902) {
+      console.error(`Error switching to ${ACTIVE_CHAIN.name}:`, switchError);
+      throw new Error(`Failed to switch to ${ACTIVE_CHAIN.name}`);
+    }
+    if (!ACTIVE_CHAIN.rpcUrl) {
+      throw new Error(`${ACTIVE_CHAIN.name} is not in your wallet and no RPC URL is configured (REACT_APP_RPC_URL)`);
+    }
+    try {
+      await walletProvider.request({
+        method: 'wallet_addEthereumChain',
+        params: [getAddChainParams(ACTIVE_CHAIN)],
+      });
+    } catch (addError) {
+      console.error(`Error adding ${ACTIVE_CHAIN.name}:`, addError);
+      throw new Error(`Failed to add ${ACTIVE_CHAIN.name} to your wallet`);
+    }
+  }
+};
+
+// Local-key sessions: no wallet involved, the key unlocked in this tab signs
+// every write and web3 talks to the chain's RPC
+const connectLocalSigner = (localSigner) => {
+  if (!ACTIVE_CHAIN.rpcUrl) {
+    throw new Error(`No RPC URL configured for ${ACTIVE_CHAIN.name}. Set REACT_APP_RPC_URL in .env to use a local key.`);
+  }
+  if (!CONTRACT_ADDRESS) {
+    throw new Error(`Contract address not configured for ${ACTIVE_CHAIN.name}. Set REACT_APP_CONTRACT_ADDRESS (or REACT_APP_CONTRACT_ADDRESS_${ACTIVE_CHAIN.chainId}) in .env`);
+  }
+
+  web3 = new Web3(new Web3.providers.HttpProvider(ACTIVE_CHAIN.rpcUrl));
+  web3.eth.accounts.wallet.add(localSigner.privateKey);
+  contract = new web3.eth.Contract(ChatMetadataABI.abi, CONTRACT_ADDRESS);
+  attachTransactionManager(web3);
+  // Gasless sends need a wallet to sign the typed-data request
+  setRelayer(null);
+  localSignerAddress = localSigner.address;
+  isInitialized = true;
+
+  console.log("🔐 Signing with local key:", localSigner.address);
+  return { web3, account: localSigner.address, contract, isInitialized: true };
+};
+
+/**
+ * Initialize web3, connect wallet, and create contract instance.
+ * During a local-key session the unlocked key signs instead of a wallet.
+ *
+ * @param {object} options - { wallet: connect the wallet even in a local-key session (wallet sign-in) }
  */
-export const initWeb3 = async () => {
-  // If already initialized, return the existing instances
-  if (isInitialized && web3 && contract) {
-    const accounts = await web3.eth.getAccounts();
+export const initWeb3 = async ({ wallet = false } = {}) => {
+  const localSigner = wallet ? null : getActiveLocalSigner();
+  if (!localSigner && !wallet && isLocalKeySession()) {
+    throw new Error("Unlock your local key to sign with it");
+  }
+  const signerAddress = localSigner ? localSigner.address : null;
+
+  // If already initialized for the same signer, return the existing instances
+  if (isInitialized && web3 && contract && localSignerAddress === signerAddress) {
+    const account = signerAddress || (await web3.eth.getAccounts())[0];
     return { 
       web3, 
-      account: accounts[0], 
+      account, 
       contract,
       isInitialized: true
     };
   }
 
-  if (window.ethereum) {
+  if (localSigner) {
+    return connectLocalSigner(localSigner);
+  }
+
+  const provider = await resolveWalletProvider();
+  if (provider) {
     try {
-      // Initialize Web3 with MetaMask provider
-      web3 = new Web3(window.ethereum);
+      // Initialize Web3 with the selected wallet
+      web3 = new Web3(provider);
 
-      // Request MetaMask accounts
-      const accounts = await window.ethereum.request({ method: "eth_requestAccounts" });
+      // Request wallet accounts
+      const accounts = await provider.request({ method: "eth_requestAccounts" });
       const account = accounts[0];
 
       if (!account) {
         throw new Error("No accounts found. Please connect your wallet.");
       }
 
-      // Check if we're on the correct network
-      const currentChainId = await web3.eth.getChainId();
-      if (currentChainId !== NETWORK_ID) {
-        try {
-          await window.ethereum.request({
-            method: 'wallet_switchEthereumChain',
-            params: [{ chainId: '0xaa36a7' }],
-          });
-        } catch (switchError) {
-          // This error code indicates that the chain has not been added to MetaMask
-          if (switchError.code === 4902) {
-            try {
-              await window.ethereum.request({
-                method: 'wallet_addEthereumChain',
-                params: [{
-                  chainId: '0xaa36a7',
-                  chainName: 'Sepolia Testnet',
-                  nativeCurrency: {
-                    name: 'ETH',
-                    symbol: 'ETH',
-                    decimals: 18
-                  },
-                  rpcUrls: [RPC_URL],
-                  blockExplorerUrls: ['https://sepolia.etherscan.io']
-                }],
-              });
-            } catch (addError) {
-              console.error('Error adding Sepolia network:', addError);
-              throw new Error('Failed to add Sepolia network to MetaMask');
-            }
-          } else {
-            console.error('Error switching to Sepolia network:', switchError);
-            throw new Error('Failed to switch to Sepolia network');
-          }
-        }
-      }
-
-      // Check if connected to the correct network
-      const chainId = await web3.eth.getChainId();
-      if (chainId !== NETWORK_ID) {
-        try {
-          await window.ethereum.request({
-            method: 'wallet_switchEthereumChain',
-            params: [{ chainId: '0xaa36a7' }],
-          });
-        } catch (switchError) {
-          // This error code indicates that the chain has not been added to MetaMask
-          if (switchError.code === 4902) {
-            try {
-              await window.ethereum.request({
-                method: 'wallet_addEthereumChain',
-                params: [{
-                  chainId: '0xaa36a7',
-                  chainName: 'Sepolia Testnet',
-                  nativeCurrency: {
-                    name: 'ETH',
-                    symbol: 'ETH',
-                    decimals: 18
-                  },
-                  rpcUrls: [RPC_URL],
-                  blockExplorerUrls: ['https://sepolia.etherscan.io']
-                }],
-              });
-            } catch (addError) {
-              console.error('Error adding Sepolia network:', addError);
-              throw new Error('Failed to add Sepolia network to MetaMask');
-            }
-          } else {
-            console.error('Error switching to Sepolia network:', switchError);
-            throw new Error('Failed to switch to Sepolia network');
-            console.error('Error switching to Ganache network:', switchError);
-            throw new Error('Failed to switch to Ganache network');
-          }
-        }
-      }
+      // Make sure the wallet is on the configured chain
+      await ensureActiveChain(web3);
 
       // Contract address and ABI
       if (!CONTRACT_ADDRESS) {
-        throw new Error("Contract address not configured. Please set REACT_APP_CONTRACT_ADDRESS in .env");
+        throw new Error(`Contract address not configured for ${ACTIVE_CHAIN.name}. Set REACT_APP_CONTRACT_ADDRESS (or REACT_APP_CONTRACT_ADDRESS_${ACTIVE_CHAIN.chainId}) in .env`);
       }
 
       if (!ChatMetadataABI?.abi) {
@@ -158,6 +367,9 @@ export const initWeb3 = async () => {
 
       // Create contract instance
       contract = new web3.eth.Contract(ChatMetadataABI.abi, CONTRACT_ADDRESS);
+      attachTransactionManager(web3);
+      setRelayer(isGaslessConfigured() ? relayTransaction : null);
+      localSignerAddress = null;
       isInitialized = true;
 
       console.log("✅ Connected to contract at:", CONTRACT_ADDRESS);
@@ -175,7 +387,7 @@ export const initWeb3 = async () => {
       throw error; // Re-throw to be handled by the caller
     }
   } else {
-    const errorMsg = "MetaMask not detected! Please install MetaMask.";
+    const errorMsg = "No wallet detected! Please install MetaMask or another Ethereum wallet.";
     console.error(errorMsg);
     throw new Error(errorMsg);
   }
@@ -192,6 +404,199 @@ export const getContract = () => {
   return contract;
 };
 
+/**
+ * Web3 on the chain's RPC (REACT_APP_RPC_URL or the chain default) for view
+ * calls and logs, so history loads without a wallet. The wallet from
+ * initWeb3() is only needed to sign. Without an RPC URL the wallet's
+ * provider is used.
+ * @returns {Web3}
+ */
+export const getReadWeb3 = () => {
+  if (readWeb3) return readWeb3;
+  if (ACTIVE_CHAIN.rpcUrl) {
+    readWeb3 = new Web3(new Web3.providers.HttpProvider(ACTIVE_CHAIN.rpcUrl));
+    console.log("📖 Reading chain data from:", ACTIVE_CHAIN.rpcUrl);
+    return readWeb3;
+  }
+  if (web3) return web3;
+  throw new Error(`No RPC URL configured for ${ACTIVE_CHAIN.name}. Set REACT_APP_RPC_URL in .env or connect a wallet.`);
+};
+
+/**
+ * ChatMetadata on the read provider (view calls and events only; writes
+ * need the wallet-backed contract from initWeb3())
+ * @returns {object} web3 contract instance
+ */
+export const getReadContract = () => {
+  if (!CONTRACT_ADDRESS) {
+    throw new Error(`Contract address not configured for ${ACTIVE_CHAIN.name}. Set REACT_APP_CONTRACT_ADDRESS (or REACT_APP_CONTRACT_ADDRESS_${ACTIVE_CHAIN.chainId}) in .env`);
+  }
+  const reader = getReadWeb3();
+  if (!readContract || readContractWeb3 !== reader) {
+    readContract = new reader.eth.Contract(ChatMetadataABI.abi, CONTRACT_ADDRESS);
+    readContractWeb3 = reader;
+  }
+  return readContract;
+};
+
+/*
+ * Gasless sends (EIP-2771)
+ *
+ * When the wallet has no ETH for gas, the transaction manager hands zero-value
+ * writes to relayTransaction: the call is wrapped in a ForwardRequest, signed
+ * by the wallet as EIP-712 typed data and posted to the relayer
+ * (backend/relayer.py), which submits it through the TrustedForwarder and pays
+ * the gas. ChatMetadata sees the signer as the caller.
+ */
+const FORWARDER_ADDRESS = ACTIVE_CHAIN.forwarderAddress;
+const RELAYER_URL = process.env.REACT_APP_RELAYER_URL || process.env.REACT_APP_SIGNALING_SERVER || 'http://localhost:8000';
+// Signed requests expire this long after they are built (chain time)
+const FORWARD_REQUEST_TTL_S = 10 * 60;
+
+export const FORWARD_REQUEST_TYPES = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' }
+  ],
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+// Whether this ChatMetadata deployment trusts the configured forwarder
+let forwarderTrusted = null;
+
+/**
+ * Whether a forwarder is configured for the active chain
+ * @returns {boolean}
+ */
+export const isGaslessConfigured = () => Boolean(FORWARDER_ADDRESS && CONTRACT_ADDRESS);
+
+const checkForwarderTrusted = async () => {
+  if (forwarderTrusted === null) {
+    try {
+      forwarderTrusted = await getReadContract().methods.isTrustedForwarder(FORWARDER_ADDRESS).call();
+    } catch (error) {
+      // Deployments from before meta-transactions have no isTrustedForwarder
+      forwarderTrusted = false;
+    }
+  }
+  return forwarderTrusted;
+};
+
+/**
+ * Wrap a contract call in an EIP-712 ForwardRequest for the trusted forwarder
+ * @param {object} call - { from, to, data, gas } (gas is estimated when omitted)
+ * @returns {Promise<object>} Typed data ({ types, primaryType, domain, message }) to sign
+ */
+export const buildForwardRequest = async ({ from, to, data, gas }) => {
+  if (!FORWARDER_ADDRESS) {
+    throw new Error(`No trusted forwarder configured for ${ACTIVE_CHAIN.name}. Set REACT_APP_FORWARDER_ADDRESS_${ACTIVE_CHAIN.chainId} in .env`);
+  }
+  const reader = getReadWeb3();
+  const forwarder = new reader.eth.Contract(TrustedForwarderABI.abi, FORWARDER_ADDRESS);
+  const [nonce, estimate, block] = await Promise.all([
+    forwarder.methods.getNonce(from).call(),
+    gas ? Promise.resolve(gas) : reader.eth.estimateGas({ from, to, data }),
+    reader.eth.getBlock('latest')
+  ]);
+
+  return {
+    types: FORWARD_REQUEST_TYPES,
+    primaryType: 'ForwardRequest',
+    domain: {
+      name: 'ChatForwarder',
+      version: '1',
+      chainId: ACTIVE_CHAIN.chainId,
+      verifyingContract: FORWARDER_ADDRESS
+    },
+    message: {
+      from,
+      to,
+      value: '0',
+      gas: String(Math.ceil(Number(estimate) * 1.2)),
+      nonce: String(nonce),
+      deadline: String(Number(block.timestamp) + FORWARD_REQUEST_TTL_S),
+      data
+    }
+  };
+};
+
+/**
+ * Sign a ForwardRequest with the wallet (eth_signTypedData_v4)
+ * @param {object} typedData - From buildForwardRequest
+ * @returns {Promise<string>} 65-byte signature
+ */
+export const signForwardRequest = async (typedData) => {
+  if (!web3) {
+    throw new Error("Web3 not initialized. Call initWeb3() first.");
+  }
+  return web3.eth.signTypedData(typedData.message.from, typedData);
+};
+
+/**
+ * Send a transaction manager record as a meta-transaction through the relayer
+ * @param {object} tx - Transaction record ({ from, to, data, gas })
+ * @returns {Promise<string>} Hash of the relayer's transaction
+ */
+export const relayTransaction = async (tx) => {
+  if (!(await checkForwarderTrusted())) {
+    throw new Error('This contract deployment does not accept gasless transactions');
+  }
+
+  const typedData = await buildForwardRequest({ from: tx.from, to: tx.to, data: tx.data, gas: tx.gas });
+  const signature = await signForwardRequest(typedData);
+
+  let response;
+  try {
+    response = await fetch(`${RELAYER_URL}/relay`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ request: typedData.message, signature })
+    });
+  } catch (error) {
+    throw new Error(`Relayer unreachable at ${RELAYER_URL}: ${error.message}`);
+  }
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Relayer refused the transaction: ${body.detail || `HTTP ${response.status}`}`);
+  }
+
+  console.log(`⛽ Relayed ${tx.label} for ${tx.from}: ${body.txHash}`);
+  return body.txHash;
+};
+
+/**
+ * Submit a routine chat transaction through the transaction manager: signed
+ * with the sender's session key when one is authorized for `scope`, otherwise
+ * through the wallet
+ * @param {object} method - web3 contract method
+ * @param {string} from - sender wallet address
+ * @param {number} scope - one of SESSION_KEY_SCOPES
+ * @param {object} tracking - { label, kind, meta } for the transaction feed
+ * @returns {Promise<object>} Transaction record, resolved once broadcast (see txManager.js)
+ */
+const submitChatTransaction = async (method, from, scope, tracking) => {
+  const sessionKey = getUsableSessionKey(from, scope);
+  if (sessionKey) {
+    try {
+      return await submitTransaction({ method, from, signer: sessionKey, ...tracking });
+    } catch (error) {
+      // Out of gas money, or revoked from another browser: the wallet still works
+      console.warn('⚠️ Session key transaction failed, falling back to the wallet:', error.message);
+    }
+  }
+  return submitTransaction({ method, from, ...tracking });
+};
+
 /**
  * Store message metadata on-chain
  * @param {string} sender - sender wallet address
@@ -201,9 +606,7 @@ export const getContract = () => {
  */
 export const storeMessageMetadata = async (sender, receiver, messageHash, ipfsHash = '') => {
   try {
-    const { web3, contract } = await initWeb3();
-    const accounts = await web3.eth.getAccounts();
-    const from = accounts[0];
+    const { contract, account: from } = await initWeb3();
 
     console.log('Storing metadata:', {
       sender,
@@ -213,15 +616,16 @@ export const storeMessageMetadata = async (sender, receiver, messageHash, ipfsHa
       from
     });
 
-    // Let the provider / wallet estimate gas and fees automatically.
-    // This avoids edge cases where a custom gasPrice resolves to 0
-    // on some RPCs and causes MetaMask to display a 0 fee.
-    const tx = await contract.methods
-      .storeMetadata(receiver, messageHash, ipfsHash)
-      .send({ from });
+    // Resolves once broadcast; confirmation is followed in the transaction feed
+    const tx = await submitChatTransaction(
+      contract.methods.storeMetadata(receiver, messageHash, ipfsHash),
+      from,
+      SESSION_KEY_SCOPES.DIRECT_MESSAGE,
+      { label: 'Anchor message', kind: 'message', meta: { messageHash, receiver } }
+    );
 
-    console.log('Transaction successful:', tx.transactionHash);
-    return tx.transactionHash;
+    console.log('Transaction sent:', tx.hash);
+    return tx.hash;
   } catch (error) {
     console.error("❌ Error storing message metadata:", error);
     
@@ -237,6 +641,163 @@ export const storeMessageMetadata = async (sender, receiver, messageHash, ipfsHa
   }
 };
 
+/**
+ * Anchor a group message on-chain
+ * @param {string} groupId - bytes32 group ID
+ * @param {string} messageHash - hash of the message
+ * @param {string} ipfsHash - IPFS hash (CID) where message content is stored
+ * @returns {Promise<string>} Transaction hash (once broadcast)
+ */
+export const sendGroupMessage = async (groupId, messageHash, ipfsHash = '') => {
+  try {
+    const { contract, account } = await initWeb3();
+
+    const tx = await submitChatTransaction(
+      contract.methods.sendGroupMessage(groupId, messageHash, ipfsHash),
+      account,
+      SESSION_KEY_SCOPES.GROUP_MESSAGE,
+      { label: 'Send group message', kind: 'group-message', meta: { messageHash, ipfsHash, groupId } }
+    );
+    return tx.hash;
+  } catch (error) {
+    console.error("❌ Error sending group message:", error);
+    throw new Error(`Failed to send group message: ${error.message}`);
+  }
+};
+
+// Send whatever ETH a session key has left back to its owner
+const sweepSessionKey = async (sessionKey, to) => {
+  const balance = web3.utils.toBigInt(await web3.eth.getBalance(sessionKey.address));
+  const gasPrice = web3.utils.toBigInt(await getDynamicGasPrice(1.0));
+  const fee = gasPrice * web3.utils.toBigInt(21000);
+  if (balance <= fee) return;
+
+  const signed = await web3.eth.accounts.signTransaction({
+    from: sessionKey.address,
+    to,
+    value: (balance - fee).toString(),
+    gas: 21000,
+    gasPrice: gasPrice.toString(),
+    nonce: await web3.eth.getTransactionCount(sessionKey.address, 'pending'),
+    chainId: ACTIVE_CHAIN.chainId
+  }, sessionKey.privateKey);
+  await web3.eth.sendSignedTransaction(signed.rawTransaction);
+  console.log(`💸 Returned ${web3.utils.fromWei((balance - fee).toString(), 'ether')} ETH from session key to`, to);
+};
+
+/**
+ * Create a session key and authorize it on-chain (one wallet confirmation).
+ * Replaces the browser's previous session key, which is revoked.
+ * @param {object} options - { ttlMs, scope, fundingEth }
+ * @returns {Promise<object>} { address, expiresAt (ms), scope }
+ */
+export const authorizeSessionKey = async ({
+  ttlMs = DEFAULT_SESSION_KEY_TTL_MS,
+  scope = SESSION_KEY_SCOPES.ALL,
+  fundingEth = DEFAULT_SESSION_KEY_FUNDING_ETH
+} = {}) => {
+  if (ttlMs <= 0 || ttlMs > MAX_SESSION_KEY_TTL_MS) {
+    throw new Error('Session keys can last at most 30 days');
+  }
+
+  try {
+    const { web3, contract, account } = await initWeb3();
+
+    const previous = getStoredSessionKey(account);
+    if (previous) {
+      await revokeSessionKey(previous.address).catch(error => {
+        console.warn('⚠️ Could not revoke previous session key:', error.message);
+      });
+    }
+
+    const key = generateSessionKey(web3);
+    const expiresAt = Date.now() + ttlMs;
+    const expiresAtSeconds = Math.floor(expiresAt / 1000);
+    const keySignature = signSessionKeyGrant(web3, key, {
+      owner: account,
+      expiresAt: expiresAtSeconds,
+      scope,
+      chainId: ACTIVE_CHAIN.chainId,
+      contractAddress: contract.options.address
+    });
+
+    await sendTransaction({
+      method: contract.methods.authorizeSessionKey(key.address, expiresAtSeconds, scope, keySignature),
+      from: account,
+      value: web3.utils.toWei(fundingEth, 'ether'),
+      label: 'Authorize session key',
+      kind: 'session-key'
+    });
+
+    saveSessionKey(account, { ...key, expiresAt, scope });
+    console.log('🔑 Session key authorized:', key.address);
+    return { address: key.address, expiresAt, scope };
+  } catch (error) {
+    console.error("❌ Error authorizing session key:", error);
+    throw new Error(`Failed to authorize session key: ${error.message}`);
+  }
+};
+
+/**
+ * Revoke a session key. This browser's own key revokes itself (no wallet
+ * popup) and returns its leftover ETH; other keys need the wallet.
+ * @param {string} keyAddress - session key address
+ */
+export const revokeSessionKey = async (keyAddress) => {
+  try {
+    const { contract, account } = await initWeb3();
+    const method = contract.methods.revokeSessionKey(keyAddress);
+    const stored = getStoredSessionKey(account);
+    const tracking = { method, from: account, label: 'Revoke session key', kind: 'session-key' };
+
+    if (stored && stored.address.toLowerCase() === keyAddress.toLowerCase()) {
+      try {
+        await sendTransaction({ ...tracking, signer: stored });
+      } catch (error) {
+        console.warn('⚠️ Session key could not revoke itself, using the wallet:', error.message);
+        await sendTransaction(tracking);
+      }
+      await sweepSessionKey(stored, account).catch(error => {
+        console.warn('⚠️ Could not return session key balance:', error.message);
+      });
+      forgetSessionKey(account);
+    } else {
+      await sendTransaction(tracking);
+    }
+    console.log('🔒 Session key revoked:', keyAddress);
+  } catch (error) {
+    console.error("❌ Error revoking session key:", error);
+    throw new Error(`Failed to revoke session key: ${error.message}`);
+  }
+};
+
+/**
+ * List the session keys a user has authorized, newest first
+ * @param {string} owner - owner wallet address
+ * @returns {Promise<Array>} [{ address, expiresAt (ms), scope, active, isLocal, balance (ETH) }]
+ */
+export const getSessionKeys = async (owner) => {
+  const web3 = getReadWeb3();
+  const contract = getReadContract();
+  const addresses = await contract.methods.getSessionKeys(owner).call();
+  const stored = getStoredSessionKey(owner);
+
+  const keys = await Promise.all(addresses.map(async (address) => {
+    const grant = await contract.methods.getSessionKey(address).call();
+    const expiresAt = Number(grant.expiresAt) * 1000;
+    const balance = await web3.eth.getBalance(address);
+    return {
+      address,
+      expiresAt,
+      scope: Number(grant.scope),
+      active: expiresAt > Date.now(),
+      isLocal: !!stored && stored.address.toLowerCase() === address.toLowerCase(),
+      balance: web3.utils.fromWei(balance, 'ether')
+    };
+  }));
+  return keys.reverse();
+};
+
 /**
  * Get message metadata by ID with retry mechanism
  * @param {number} id - message ID
@@ -259,14 +820,8 @@ export const getMessageMetadata = async (messageId, maxRetries = 3) => {
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      const web3 = getWeb3();
-      const chatMetadata = new web3.eth.Contract(
-        ChatMetadataABI.abi,
-        process.env.REACT_APP_CONTRACT_ADDRESS
-      );
-
-      // Get message data from the smart contract
-      const message = await chatMetadata.methods.messages(messageId).call();
+      // Get message data from the smart contract (read provider, no wallet needed)
+      const message = await getReadContract().methods.messages(messageId).call();
 
       // Check if message exists (non-zero address)
       if (message.sender === "0x0000000000000000000000000000000000000000") {
@@ -347,6 +902,250 @@ export const hashMessage = async (message) => {
   return hashHex;
 };
 
+// Integrity of IPFS content against the hash anchored next to it on-chain
+export const INTEGRITY_STATUS = {
+  VERIFIED: 'verified',     // content re-hashes to the on-chain messageHash
+  MISMATCH: 'mismatch',     // content was altered (or swapped) somewhere between sender and us
+  UNANCHORED: 'unanchored', // no on-chain hash to check against
+  PENDING: 'pending'        // queued for the next batch anchor (not on-chain yet)
+};
+
+const ZERO_HASH = '0x' + '0'.repeat(64);
+
+/**
+ * Check IPFS content against the messageHash anchored on-chain.
+ * Text messages anchor the hash of the IPFS payload's `content`; file
+ * messages anchor the hash of the CID itself (the CID already commits to the
+ * file bytes), so either form counts as verified.
+ *
+ * @param {object} params - { messageHash, ipfsHash, content }
+ * @returns {Promise<string|null>} One of INTEGRITY_STATUS, or null if the content could not be fetched
+ */
+export const checkMessageIntegrity = async ({ messageHash, ipfsHash, content }) => {
+  const anchored = (messageHash || '').toLowerCase();
+  if (!anchored || anchored === ZERO_HASH) {
+    return INTEGRITY_STATUS.UNANCHORED;
+  }
+
+  if (ipfsHash && (await hashMessage(ipfsHash)) === anchored) {
+    return INTEGRITY_STATUS.VERIFIED;
+  }
+
+  if (typeof content !== 'string') {
+    return null;
+  }
+
+  if ((await hashMessage(content)) === anchored) {
+    return INTEGRITY_STATUS.VERIFIED;
+  }
+
+  console.warn(`⚠️ IPFS content for ${ipfsHash} does not match on-chain hash ${anchored}`);
+  return INTEGRITY_STATUS.MISMATCH;
+};
+
+/**
+ * Fetch a message's IPFS payload and check it against the on-chain hash
+ *
+ * @param {string} messageHash - On-chain messageHash (bytes32 hex)
+ * @param {string} ipfsHash - IPFS CID
+ * @returns {Promise<{ipfsContent: string|null, integrity: string|null}>}
+ */
+export const fetchVerifiedContent = async (messageHash, ipfsHash) => {
+  if (!ipfsHash) {
+    return { ipfsContent: null, integrity: INTEGRITY_STATUS.UNANCHORED };
+  }
+
+  let ipfsContent = null;
+  try {
+    const ipfsData = await retrieveFromIPFS(ipfsHash);
+    ipfsContent = typeof ipfsData?.content === 'string' ? ipfsData.content : null;
+  } catch (error) {
+    console.warn(`Failed to fetch IPFS content ${ipfsHash}:`, error.message);
+  }
+
+  const integrity = await checkMessageIntegrity({ messageHash, ipfsHash, content: ipfsContent });
+  return { ipfsContent, integrity };
+};
+
+/**
+ * Anchor the Merkle root of a batch of direct messages (one transaction for
+ * the whole batch; uses the session key when one is authorized)
+ * @param {string} merkleRoot - bytes32 root from merkle.js
+ * @param {number} messageCount - number of leaves
+ * @param {string} manifestCid - IPFS CID of the batch manifest
+ * @returns {Promise<{batchId: number, transactionHash: string}>}
+ */
+export const anchorMessageBatch = async (merkleRoot, messageCount, manifestCid) => {
+  try {
+    const { contract, account } = await initWeb3();
+
+    const tx = await submitChatTransaction(
+      contract.methods.anchorMessageBatch(merkleRoot, messageCount, manifestCid),
+      account,
+      SESSION_KEY_SCOPES.DIRECT_MESSAGE,
+      { label: `Anchor batch of ${messageCount} messages`, kind: 'batch', meta: { merkleRoot } }
+    );
+    const receipt = await waitForTransaction(tx.id);
+
+    // batchId is the first indexed topic of MessageBatchAnchored
+    const eventAbi = ChatMetadataABI.abi.find(e => e.type === 'event' && e.name === 'MessageBatchAnchored');
+    const signature = web3.eth.abi.encodeEventSignature(eventAbi);
+    const log = (receipt.logs || []).find(l => l.topics && l.topics[0] === signature);
+    if (!log) {
+      throw new Error('Batch anchored but MessageBatchAnchored event not found');
+    }
+
+    const batchId = Number(web3.utils.hexToNumber(log.topics[1]));
+    console.log(`🌳 Anchored batch #${batchId} (${messageCount} messages):`, receipt.transactionHash);
+    return { batchId, transactionHash: receipt.transactionHash };
+  } catch (error) {
+    console.error("❌ Error anchoring message batch:", error);
+    throw new Error(`Failed to anchor message batch: ${error.message}`);
+  }
+};
+
+/**
+ * Get an anchored batch
+ * @param {number} batchId - batch ID
+ * @returns {Promise<object>} { batchId, sender, merkleRoot, messageCount, timestamp, manifestCid }
+ */
+export const getMessageBatch = async (batchId) => {
+  const contract = getReadContract();
+  const batch = await contract.methods.getMessageBatch(batchId).call();
+  return {
+    batchId: Number(batchId),
+    sender: batch.sender,
+    merkleRoot: batch.merkleRoot,
+    messageCount: Number(batch.messageCount),
+    timestamp: Number(batch.timestamp),
+    manifestCid: batch.manifestCid
+  };
+};
+
+/**
+ * Verify a single batched message against its anchored root (on-chain check)
+ * @param {object} params - { batchId, sender, receiver, messageHash, ipfsHash, proof }
+ * @returns {Promise<boolean>}
+ */
+export const verifyBatchedMessage = async ({ batchId, sender, receiver, messageHash, ipfsHash, proof }) => {
+  try {
+    const contract = getReadContract();
+    const batch = await getMessageBatch(batchId);
+    if (!sender || batch.sender.toLowerCase() !== sender.toLowerCase()) {
+      return false;
+    }
+    const leaf = computeMessageLeaf(receiver, messageHash, ipfsHash);
+    return await contract.methods.verifyBatchInclusion(batchId, leaf, proof).call();
+  } catch (error) {
+    console.warn(`⚠️ Could not verify message in batch #${batchId}:`, error.message);
+    return false;
+  }
+};
+
+// Batch manifests never change once anchored, so they are cached by batch ID
+const loadBatchManifest = async (batch) => {
+  const cacheKey = `batch_manifest_${CONTRACT_ADDRESS}_${batch.batchId}`;
+  const cached = localStorage.getItem(cacheKey);
+  if (cached) return JSON.parse(cached);
+
+  const data = await retrieveFromIPFS(batch.manifestCid);
+  const manifest = typeof data?.content === 'string' ? JSON.parse(data.content) : data;
+  localStorage.setItem(cacheKey, JSON.stringify(manifest));
+  return manifest;
+};
+
+/**
+ * Messages from `sender` to `receiver` anchored in batches. Every entry's
+ * proof is checked against the root stored on-chain; entries that don't
+ * match are reported as unanchored.
+ * @param {string} sender - sender wallet address
+ * @param {string} receiver - receiver wallet address
+ * @returns {Promise<Array>}
+ */
+export const getBatchedMessages = async (sender, receiver) => {
+  try {
+    const contract = getReadContract();
+    const batchIds = await contract.methods.getUserBatches(sender).call();
+
+    const perBatch = await Promise.all(batchIds.map(async (id) => {
+      try {
+        const batch = await getMessageBatch(id);
+        const manifest = await loadBatchManifest(batch);
+        const entries = manifest.messages || [];
+        const leaves = entries.map(m => computeMessageLeaf(m.receiver, m.messageHash, m.ipfsHash));
+
+        return entries
+          .map((entry, index) => ({ entry, index }))
+          .filter(({ entry }) => entry.receiver.toLowerCase() === receiver.toLowerCase())
+          .map(({ entry, index }) => {
+            const proof = getMerkleProof(leaves, index);
+            return {
+              id: `batch-${batch.batchId}-${index}`,
+              sender: batch.sender,
+              receiver: entry.receiver,
+              messageHash: entry.messageHash,
+              ipfsHash: entry.ipfsHash,
+              timestamp: entry.timestamp || batch.timestamp,
+              batchId: batch.batchId,
+              proof,
+              included: verifyMerkleProof(leaves[index], proof, batch.merkleRoot)
+            };
+          });
+      } catch (error) {
+        console.warn(`Failed to load batch ${id}:`, error.message);
+        return [];
+      }
+    }));
+
+    return perBatch.flat();
+  } catch (error) {
+    console.error('Error loading batched messages:', error);
+    return [];
+  }
+};
+
+// Matches MAX_PAGE_SIZE on the contract
+export const MAX_PAGE_SIZE = 500;
+// Messages per page in the chat views (infinite scroll)
+export const HISTORY_PAGE_SIZE = 50;
+
+/**
+ * Read a range of a paginated contract list page by page
+ * @param {Function} getPage - (offset, limit) => contract method returning (items[], total)
+ * @param {object} [range] - { offset, count } (defaults to the whole list)
+ * @returns {Promise<Array>}
+ */
+export const readPages = async (getPage, { offset = 0, count = Infinity } = {}) => {
+  const items = [];
+  while (items.length < count) {
+    const limit = Math.min(MAX_PAGE_SIZE, count - items.length);
+    const result = await getPage(offset + items.length, limit).call();
+    items.push(...result[0]);
+    if (result[0].length === 0 || offset + items.length >= Number(result[1])) break;
+  }
+  return items;
+};
+
+// Entries [offset, offset + limit) counted back from the newest, oldest first
+const newestWindow = (items, offset, limit) => {
+  const end = Math.max(0, items.length - offset);
+  const start = Number.isFinite(limit) ? Math.max(0, end - limit) : 0;
+  return items.slice(start, end);
+};
+
+// IDs [offset, offset + limit) back from the newest, oldest first: the
+// "latest N" getter for the first page, offset/limit pages beyond it
+const readNewestIds = async ({ latest, page, total }, offset, limit) => {
+  if (offset === 0 && limit <= MAX_PAGE_SIZE) {
+    const ids = await latest(limit).call();
+    return ids.map(id => Number(id)).reverse();
+  }
+  const end = Math.max(0, Number(await total()) - offset);
+  const start = Number.isFinite(limit) ? Math.max(0, end - limit) : 0;
+  const ids = await readPages(page, { offset: start, count: end - start });
+  return ids.map(id => Number(id));
+};
+
 /**
  * Get all message IDs between two users
  * @param {string} user1 - first user address
@@ -355,10 +1154,10 @@ export const hashMessage = async (message) => {
  */
 export const getMessagesBetweenUsers = async (user1, user2) => {
   try {
-    const { contract } = await initWeb3();
-    const messageIds = await contract.methods
-      .getMessagesBetweenUsers(user1, user2)
-      .call();
+    const contract = getReadContract();
+    const messageIds = await readPages((offset, limit) =>
+      contract.methods.getMessagesBetweenUsersPage(user1, user2, offset, limit)
+    );
     
     return messageIds.map(id => Number(id));
   } catch (error) {
@@ -368,38 +1167,196 @@ export const getMessagesBetweenUsers = async (user1, user2) => {
 };
 
 /**
- * Get all messages with full metadata between two users
+ * Direct messages between two users, rebuilt from MetadataStored logs.
+ * Only blocks after the last call are scanned (see eventHistory.js).
  * @param {string} user1 - first user address
  * @param {string} user2 - second user address
- * @returns {Promise<Array>} Array of message objects with metadata
+ * @returns {Promise<Array>} [{ id, sender, receiver, messageHash, ipfsHash, timestamp, transactionHash, blockNumber }]
+ */
+export const loadMessageEvents = async (user1, user2) => {
+  const web3 = getReadWeb3();
+  const contract = getReadContract();
+  const a = user1.toLowerCase();
+  const b = user2.toLowerCase();
+  const participants = [user1, user2];
+
+  return syncEventHistory({
+    web3,
+    contract,
+    eventName: 'MetadataStored',
+    filter: { sender: participants, receiver: participants },
+    cacheKey: `dm_${[a, b].sort().join('_')}`,
+    // sender/receiver filters also match A→A and B→B
+    accept: (event) => {
+      const sender = event.returnValues.sender.toLowerCase();
+      const receiver = event.returnValues.receiver.toLowerCase();
+      return (sender === a && receiver === b) || (sender === b && receiver === a);
+    },
+    toEntry: (event) => ({
+      id: Number(event.returnValues.id),
+      sender: event.returnValues.sender,
+      receiver: event.returnValues.receiver,
+      messageHash: event.returnValues.messageHash,
+      ipfsHash: event.returnValues.ipfsHash || '',
+      timestamp: Number(event.returnValues.timestamp),
+      transactionHash: event.transactionHash,
+      blockNumber: Number(event.blockNumber)
+    })
+  });
+};
+
+/**
+ * Messages sent to a group, rebuilt from GroupMessageSent logs
+ * @param {string} groupId - bytes32 group ID
+ * @returns {Promise<Array>} [{ id, groupId, sender, messageHash, ipfsHash, timestamp, transactionHash, blockNumber }]
  */
-export const loadChatHistory = async (user1, user2) => {
+export const loadGroupMessageEvents = async (groupId) => {
+  const web3 = getReadWeb3();
+  const contract = getReadContract();
+
+  return syncEventHistory({
+    web3,
+    contract,
+    eventName: 'GroupMessageSent',
+    filter: { groupId },
+    cacheKey: `group_${groupId}`,
+    toEntry: (event) => ({
+      id: Number(event.returnValues.messageId),
+      groupId: event.returnValues.groupId,
+      sender: event.returnValues.sender,
+      messageHash: event.returnValues.messageHash,
+      ipfsHash: event.returnValues.ipfsHash || '',
+      timestamp: Number(event.returnValues.timestamp),
+      transactionHash: event.transactionHash,
+      blockNumber: Number(event.blockNumber)
+    })
+  });
+};
+
+/**
+ * On-chain metadata for the newest `newest` direct messages between two
+ * users (or all of them): from event logs, or one contract call per message
+ * ID if the log query fails.
+ */
+const loadAnchoredMessages = async (user1, user2, newest = Infinity) => {
+  try {
+    return await loadMessageEvents(user1, user2);
+  } catch (error) {
+    console.warn('⚠️ Event history unavailable, loading messages by ID:', error.message);
+  }
+
+  const contract = getReadContract();
+  const messageIds = await readNewestIds({
+    latest: (count) => contract.methods.getLatestMessagesBetweenUsers(user1, user2, count),
+    page: (offset, limit) => contract.methods.getMessagesBetweenUsersPage(user1, user2, offset, limit),
+    total: () => contract.methods.getMessageCount(user1, user2).call()
+  }, 0, newest);
+  const messages = await Promise.all(
+    messageIds.map(async (id) => {
+      try {
+        return { id, ...(await getMessageMetadata(id)) };
+      } catch (error) {
+        console.warn(`Failed to load message ${id}:`, error);
+        return null;
+      }
+    })
+  );
+  return messages.filter(msg => msg !== null);
+};
+
+/**
+ * On-chain metadata for a group's messages: from event logs, or one contract
+ * call per message ID if the log query fails.
+ * @param {string} groupId - bytes32 group ID
+ * @param {object} [page] - { offset, limit } counted back from the newest message (default: all)
+ * @returns {Promise<Array>} [{ id, sender, messageHash, ipfsHash, timestamp }], oldest first
+ */
+export const getGroupMessageHistory = async (groupId, { offset = 0, limit = Infinity } = {}) => {
   try {
-    const messageIds = await getMessagesBetweenUsers(user1, user2);
-    console.log(`📜 Found ${messageIds.length} messages between users`);
+    return newestWindow(await loadGroupMessageEvents(groupId), offset, limit);
+  } catch (error) {
+    console.warn('⚠️ Event history unavailable, loading group messages by ID:', error.message);
+  }
+
+  const contract = getReadContract();
+  const messageIds = await readNewestIds({
+    latest: (count) => contract.methods.getLatestGroupMessages(groupId, count),
+    page: (pageOffset, pageLimit) => contract.methods.getGroupMessagesPage(groupId, pageOffset, pageLimit),
+    total: () => getGroupMessageCount(groupId)
+  }, offset, limit);
+  return Promise.all(
+    messageIds.map(async (msgId) => {
+      const msgData = await contract.methods.getGroupMessage(msgId).call();
+      return {
+        id: Number(msgId),
+        groupId,
+        sender: msgData.sender,
+        messageHash: msgData.messageHash,
+        ipfsHash: msgData.ipfsHash || '',
+        timestamp: Number(msgData.timestamp)
+      };
+    })
+  );
+};
+
+/**
+ * Number of messages sent to a group
+ * @param {string} groupId - bytes32 group ID
+ * @returns {Promise<number>}
+ */
+export const getGroupMessageCount = async (groupId) => {
+  const contract = getReadContract();
+  const { total } = await contract.methods.getGroupMessagesPage(groupId, 0, 0).call();
+  return Number(total);
+};
+
+/**
+ * Get messages with full metadata between two users.
+ * Each message's IPFS payload is fetched and re-hashed against the on-chain
+ * messageHash (see checkMessageIntegrity).
+ * @param {string} user1 - first user address
+ * @param {string} user2 - second user address
+ * @param {object} [page] - { offset, limit } counted back from the newest message (default: all)
+ * @returns {Promise<Array>} Array of message objects with metadata, `ipfsContent` and `integrity`, oldest first
+ */
+export const loadChatHistory = async (user1, user2, { offset = 0, limit = Infinity } = {}) => {
+  try {
+    // No page reaches further back than offset + limit anchored messages
+    const [anchored, batchedFrom1, batchedFrom2] = await Promise.all([
+      loadAnchoredMessages(user1, user2, offset + limit),
+      getBatchedMessages(user1, user2),
+      getBatchedMessages(user2, user1)
+    ]);
+    const batched = [...batchedFrom1, ...batchedFrom2];
+    console.log(`📜 Found ${anchored.length} messages (+${batched.length} batched) between users`);
     
-    if (messageIds.length === 0) {
+    if (anchored.length === 0 && batched.length === 0) {
       return [];
     }
+
+    const page = newestWindow(
+      [...anchored, ...batched].sort((a, b) => a.timestamp - b.timestamp),
+      offset,
+      limit
+    );
     
-    const messages = await Promise.all(
-      messageIds.map(async (id) => {
-        try {
-          const metadata = await getMessageMetadata(id);
-          return {
-            id,
-            ...metadata,
-            time: new Date(metadata.timestamp * 1000),
-            incoming: metadata.sender.toLowerCase() === user2.toLowerCase()
-          };
-        } catch (error) {
-          console.warn(`Failed to load message ${id}:`, error);
-          return null;
+    return Promise.all(
+      page.map(async (metadata) => {
+        const { ipfsContent, integrity } = await fetchVerifiedContent(metadata.messageHash, metadata.ipfsHash);
+        // Batched entries also need their proof to match the anchored root
+        const notInBatch = metadata.batchId !== undefined && !metadata.included;
+        if (notInBatch) {
+          console.warn(`⚠️ Message ${metadata.id} is not in its batch's anchored root`);
         }
+        return {
+          ...metadata,
+          ipfsContent,
+          integrity: notInBatch ? INTEGRITY_STATUS.UNANCHORED : integrity,
+          time: new Date(metadata.timestamp * 1000),
+          incoming: metadata.sender.toLowerCase() === user2.toLowerCase()
+        };
       })
     );
-    
-    return messages.filter(msg => msg !== null);
   } catch (error) {
     console.error('Error loading chat history:', error);
     return [];
@@ -407,9 +1364,9 @@ export const loadChatHistory = async (user1, user2) => {
 };
 
 /**
- * Fetch recent transactions for an address on Sepolia using the connected RPC.
- * Scans backwards from the latest block and returns up to `limit` transactions
- * where `from` or `to` matches the given address.
+ * Recent contract transactions involving an address, from the local chain
+ * index (utils/chainIndexer.js) instead of scanning blocks.
+ * Only the returned transactions' receipts are fetched, for gas used.
  * @param {string} address
  * @param {number} limit
  */
@@ -417,42 +1374,36 @@ export const getRecentTransactions = async (address, limit = 5) => {
   if (!address) return [];
 
   try {
-    const { web3 } = await initWeb3();
-    const target = address.toLowerCase();
-    const latest = await web3.eth.getBlockNumber();
-
-    const maxBlocksToScan = 2000;
-    const results = [];
-
-    for (let i = latest; i >= 0 && results.length < limit && i > latest - maxBlocksToScan; i--) {
-      const block = await web3.eth.getBlock(i, true);
-      if (!block || !Array.isArray(block.transactions)) continue;
-
-      block.transactions.forEach((tx) => {
-        if (results.length >= limit) return;
-        const from = tx.from ? tx.from.toLowerCase() : '';
-        const to = tx.to ? tx.to.toLowerCase() : '';
-
-        if (from === target || to === target) {
-          let type = 'contract';
-          if (from === target && to !== target) type = 'send';
-          else if (from !== target && to === target) type = 'receive';
-
-          results.push({
-            hash: tx.hash,
-            from: tx.from,
-            to: tx.to,
-            gasUsed: tx.gas || '',
-            timeStamp: Number(block.timestamp),
-            type
-          });
-        }
-      });
-    }
+    await syncChainIndex();
+    const activity = await getRecentActivity(address, limit * 4);
 
-    return results;
+    // A transaction can emit several events (createGroup); list it once
+    const byHash = new Map();
+    activity.forEach((entry) => {
+      if (!byHash.has(entry.transactionHash)) byHash.set(entry.transactionHash, entry);
+    });
+    const entries = [...byHash.values()].slice(0, limit);
+
+    const web3 = getReadWeb3();
+    return Promise.all(entries.map(async (entry) => {
+      let receipt = null;
+      try {
+        receipt = await web3.eth.getTransactionReceipt(entry.transactionHash);
+      } catch (error) {
+        console.warn(`⚠️ No receipt for ${entry.transactionHash}:`, error.message);
+      }
+      return {
+        hash: entry.transactionHash,
+        from: receipt?.from || entry.actor,
+        to: receipt?.to || CONTRACT_ADDRESS,
+        gasUsed: receipt ? Number(receipt.gasUsed) : '',
+        timeStamp: entry.timestamp,
+        label: entry.label,
+        type: entry.outgoing ? 'send' : 'receive'
+      };
+    }));
   } catch (error) {
-    console.error('Error fetching recent transactions via RPC:', error);
+    console.error('Error fetching recent transactions from the chain index:', error);
     return [];
   }
 };
\ No newline at end of file
@@ -0,0 +1,488 @@
+/**
+ * chainIndexer.js
+ *
+ * Client-side index of ChatMetadata events in IndexedDB, so pages query local
+ * state instead of re-reading the contract (or scanning blocks) on every mount.
+ *
+ *   - every contract event is ingested in block-range chunks from the
+ *     deployment block; each chunk is written together with the checkpoint
+ *     (last indexed block), so an interrupted scan resumes where it stopped
+ *   - the index holds friendships, groups and their members (with who added
+ *     each one), one summary per direct conversation, and a per-address
+ *     activity feed
+ *   - syncChainIndex() brings it up to the latest block; pages call it before
+ *     querying and again when a live contract event arrives
+ *   - one database per chain and contract address; a checkpoint block whose
+ *     hash no longer matches (local chain reset) triggers a full rescan
+ */
+
+import { getActiveChain } from './chains';
+import { getReadWeb3, getReadContract } from './blockchain';
+import { DEFAULT_CHUNK_BLOCKS, getPastEventsChunked, getDeploymentBlock } from './eventHistory';
+
+const ACTIVE_CHAIN = getActiveChain();
+
+const DB_VERSION = 2;
+const STORES = ['meta', 'friendships', 'groups', 'conversations', 'activity'];
+const CHECKPOINT_KEY = 'checkpoint';
+
+const ACTIVITY_LABELS = {
+  MetadataStored: 'Message',
+  FriendAdded: 'Friend added',
+  FriendRemoved: 'Friend removed',
+  FriendRequestSent: 'Friend request sent',
+  FriendRequestAccepted: 'Friend request accepted',
+  FriendRequestDeclined: 'Friend request declined',
+  FriendRequestCancelled: 'Friend request cancelled',
+  GroupCreated: 'Group created',
+  MemberAdded: 'Member added',
+  MemberRemoved: 'Left or removed from group',
+  GroupMessageSent: 'Group message',
+  AdminVoteCast: 'Admin vote',
+  AdminVoteWithdrawn: 'Admin vote withdrawn',
+  GroupUpdated: 'Group edited',
+  JoinRequested: 'Join request',
+  JoinRequestAnswered: 'Join request answered',
+  EncryptionKeyPublished: 'Key anchored',
+  MessageBatchAnchored: 'Batch anchored',
+  SessionKeyAuthorized: 'Session key authorized',
+  SessionKeyRevoked: 'Session key revoked'
+};
+
+let dbPromise = null;
+let runningSync = null;
+let queuedSync = null;
+
+const lower = (address) => (address ? String(address).toLowerCase() : '');
+// One conversation per unordered pair; friendships are directional
+const conversationKey = (a, b) => [lower(a), lower(b)].sort().join(':');
+const friendshipKey = (user, friend) => `${lower(user)}:${lower(friend)}`;
+const toSeconds = (value) => (value === undefined || value === null ? null : Number(value));
+
+// IDBRequest -> Promise
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Index transaction aborted'));
+});
+
+const openIndex = () => {
+  if (dbPromise) return dbPromise;
+  if (!ACTIVE_CHAIN.contractAddress) {
+    return Promise.reject(new Error('No contract address configured'));
+  }
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  const name = `dchat_index_${ACTIVE_CHAIN.chainId}_${lower(ACTIVE_CHAIN.contractAddress)}`;
+  const open = indexedDB.open(name, DB_VERSION);
+  open.onupgradeneeded = () => {
+    const db = open.result;
+    // Older layouts are dropped and rebuilt from a full rescan
+    Array.from(db.objectStoreNames).forEach(store => db.deleteObjectStore(store));
+    db.createObjectStore('meta', { keyPath: 'key' });
+    db.createObjectStore('friendships', { keyPath: 'key' }).createIndex('user', 'user');
+    db.createObjectStore('groups', { keyPath: 'groupId' })
+      .createIndex('members', 'members', { multiEntry: true });
+    db.createObjectStore('conversations', { keyPath: 'pair' })
+      .createIndex('participants', 'participants', { multiEntry: true });
+    db.createObjectStore('activity', { keyPath: 'key' })
+      .createIndex('addresses', 'addresses', { multiEntry: true });
+  };
+
+  dbPromise = request(open).catch((error) => {
+    dbPromise = null;
+    throw new Error(`Failed to open chain index: ${error?.message || error}`);
+  });
+  return dbPromise;
+};
+
+// Addresses an event concerns: who acted, and who it was done to
+const partiesOf = (event) => {
+  const v = event.returnValues;
+  switch (event.event) {
+    case 'MetadataStored': return [v.sender, v.receiver];
+    case 'FriendAdded':
+    case 'FriendRemoved': return [v.user, v.friendAddress];
+    case 'FriendRequestSent':
+    case 'FriendRequestAccepted':
+    case 'FriendRequestDeclined':
+    case 'FriendRequestCancelled': return [v.from, v.to];
+    case 'GroupCreated': return [v.creator];
+    case 'MemberAdded': return [v.addedBy, v.member];
+    case 'MemberRemoved': return [v.member];
+    case 'GroupMessageSent': return [v.sender];
+    case 'AdminVoteCast':
+    case 'AdminVoteWithdrawn': return [v.voter, v.admin];
+    case 'GroupUpdated': return [v.updatedBy];
+    case 'JoinRequested': return [v.user];
+    case 'JoinRequestAnswered': return [v.admin, v.user];
+    case 'EncryptionKeyPublished': return [v.user];
+    case 'MessageBatchAnchored': return [v.sender];
+    case 'SessionKeyAuthorized':
+    case 'SessionKeyRevoked': return [v.owner];
+    default: return [];
+  }
+};
+
+const upsert = async (store, key, update) => {
+  const existing = await request(store.get(key));
+  const next = update(existing);
+  if (next) await request(store.put(next));
+};
+
+const applyEvent = async (tx, event, descriptions) => {
+  const v = event.returnValues;
+  const friendships = tx.objectStore('friendships');
+  const groups = tx.objectStore('groups');
+  const conversations = tx.objectStore('conversations');
+
+  // A group record may be touched by MemberAdded before its GroupCreated
+  // (createGroup emits the member events first)
+  const updateGroup = (groupId, change) => upsert(groups, groupId, (group) => change(group || {
+    groupId,
+    name: '',
+    description: '',
+    creator: null,
+    createdAt: null,
+    members: [],
+    addedBy: {},
+    messageCount: 0,
+    lastMessageAt: null
+  }));
+
+  switch (event.event) {
+    case 'MetadataStored': {
+      const pair = conversationKey(v.sender, v.receiver);
+      await upsert(conversations, pair, (conversation) => {
+        const current = conversation || {
+          pair,
+          participants: [...new Set([lower(v.sender), lower(v.receiver)])],
+          messageCount: 0,
+          lastMessageId: null,
+          lastMessageAt: null,
+          lastSender: null
+        };
+        const newer = current.lastMessageId === null || Number(v.id) > current.lastMessageId;
+        return {
+          ...current,
+          messageCount: current.messageCount + 1,
+          ...(newer ? {
+            lastMessageId: Number(v.id),
+            lastMessageAt: toSeconds(v.timestamp),
+            lastSender: lower(v.sender)
+          } : {})
+        };
+      });
+      break;
+    }
+
+    case 'FriendAdded':
+      await request(friendships.put({
+        key: friendshipKey(v.user, v.friendAddress),
+        user: lower(v.user),
+        friend: lower(v.friendAddress),
+        name: v.name,
+        addedAt: toSeconds(v.timestamp),
+        active: true
+      }));
+      break;
+
+    case 'FriendRemoved':
+      await upsert(friendships, friendshipKey(v.user, v.friendAddress), (friendship) =>
+        friendship ? { ...friendship, active: false } : null
+      );
+      break;
+
+    case 'GroupCreated':
+      await updateGroup(v.groupId, (group) => ({
+        ...group,
+        name: v.name,
+        description: descriptions.get(v.groupId) ?? group.description,
+        creator: lower(v.creator),
+        createdAt: toSeconds(v.timestamp),
+        members: [...new Set([lower(v.creator), ...group.members])]
+      }));
+      break;
+
+    case 'GroupUpdated':
+      await updateGroup(v.groupId, (group) => ({
+        ...group,
+        name: v.name,
+        description: descriptions.get(v.groupId) ?? group.description
+      }));
+      break;
+
+    case 'MemberAdded':
+      await updateGroup(v.groupId, (group) => ({
+        ...group,
+        members: [...new Set([...group.members, lower(v.member)])],
+        addedBy: { ...group.addedBy, [lower(v.member)]: lower(v.addedBy) }
+      }));
+      break;
+
+    case 'MemberRemoved':
+      await updateGroup(v.groupId, (group) => ({
+        ...group,
+        members: group.members.filter(member => member !== lower(v.member))
+      }));
+      break;
+
+    case 'GroupMessageSent':
+      await updateGroup(v.groupId, (group) => ({
+        ...group,
+        messageCount: group.messageCount + 1,
+        lastMessageAt: Math.max(group.lastMessageAt || 0, toSeconds(v.timestamp))
+      }));
+      break;
+
+    default:
+      break;
+  }
+
+  const parties = partiesOf(event).map(lower).filter(Boolean);
+  if (parties.length > 0) {
+    await request(tx.objectStore('activity').put({
+      key: `${event.transactionHash}:${Number(event.logIndex)}`,
+      event: event.event,
+      label: ACTIVITY_LABELS[event.event] || event.event,
+      actor: parties[0],
+      counterparty: parties[1] || null,
+      addresses: [...new Set(parties)],
+      groupId: v.groupId || null,
+      transactionHash: event.transactionHash,
+      blockNumber: Number(event.blockNumber),
+      logIndex: Number(event.logIndex),
+      timestamp: toSeconds(v.timestamp)
+    }));
+  }
+};
+
+// Group descriptions are only in contract storage, so read them once per new or edited group
+const loadGroupDescriptions = async (contract, events) => {
+  const descriptions = new Map();
+  await Promise.all(
+    events
+      .filter(event => event.event === 'GroupCreated' || event.event === 'GroupUpdated')
+      .map(async (event) => {
+        const { groupId } = event.returnValues;
+        try {
+          const group = await contract.methods.getGroup(groupId).call();
+          descriptions.set(groupId, group.description);
+        } catch (error) {
+          console.warn(`⚠️ Could not read description of group ${groupId}:`, error.message);
+        }
+      })
+  );
+  return descriptions;
+};
+
+// Write one chunk of events and move the checkpoint, atomically
+const ingest = async (db, events, descriptions, checkpoint) => {
+  const tx = db.transaction(STORES, 'readwrite');
+  const done = transactionDone(tx);
+  for (const event of events) {
+    await applyEvent(tx, event, descriptions);
+  }
+  await request(tx.objectStore('meta').put({ key: CHECKPOINT_KEY, ...checkpoint }));
+  await done;
+};
+
+const clearIndex = async (db) => {
+  const tx = db.transaction(STORES, 'readwrite');
+  const done = transactionDone(tx);
+  STORES.forEach(name => tx.objectStore(name).clear());
+  await done;
+};
+
+const readAll = async (storeName, indexName, key) => {
+  const db = await openIndex();
+  const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+  return request(indexName ? store.index(indexName).getAll(key) : store.getAll());
+};
+
+const runSync = async () => {
+  const db = await openIndex();
+  const web3 = getReadWeb3();
+  const contract = getReadContract();
+  const latest = Number(await web3.eth.getBlockNumber());
+
+  const meta = db.transaction('meta', 'readonly').objectStore('meta');
+  let checkpoint = await request(meta.get(CHECKPOINT_KEY));
+  if (checkpoint) {
+    const block = checkpoint.lastBlock <= latest ? await web3.eth.getBlock(checkpoint.lastBlock) : null;
+    if (!block || block.hash !== checkpoint.blockHash) {
+      console.warn('⚠️ Chain index checkpoint is no longer on the chain, rebuilding the index');
+      await clearIndex(db);
+      checkpoint = null;
+    }
+  }
+
+  let fromBlock = checkpoint ? checkpoint.lastBlock + 1 : await getDeploymentBlock(contract);
+  let ingested = 0;
+
+  while (fromBlock <= latest) {
+    const toBlock = Math.min(fromBlock + DEFAULT_CHUNK_BLOCKS - 1, latest);
+    const events = (await getPastEventsChunked(contract, 'allEvents', { fromBlock, toBlock }))
+      .filter(event => event.event)
+      .sort((a, b) =>
+        Number(a.blockNumber) - Number(b.blockNumber) || Number(a.logIndex) - Number(b.logIndex)
+      );
+    const descriptions = await loadGroupDescriptions(contract, events);
+    const block = await web3.eth.getBlock(toBlock);
+
+    await ingest(db, events, descriptions, { lastBlock: toBlock, blockHash: block.hash });
+    ingested += events.length;
+    fromBlock = toBlock + 1;
+  }
+
+  if (ingested > 0) {
+    console.log(`🗂️ Chain index: ${ingested} new event(s), now at block ${latest}`);
+  }
+  return latest;
+};
+
+/**
+ * Bring the index up to the latest block. Calls made while a sync is running
+ * share one follow-up run, so a burst of live events costs one extra scan.
+ *
+ * @returns {Promise<number>} Last indexed block
+ */
+export const syncChainIndex = () => {
+  if (!runningSync) {
+    runningSync = runSync()
+      .catch((error) => {
+        throw new Error(`Failed to sync chain index: ${error.message}`);
+      })
+      .finally(() => {
+        runningSync = null;
+      });
+    return runningSync;
+  }
+  if (!queuedSync) {
+    queuedSync = runningSync
+      .catch(() => {})
+      .then(() => {
+        queuedSync = null;
+        return syncChainIndex();
+      });
+  }
+  return queuedSync;
+};
+
+/**
+ * Last indexed block
+ *
+ * @returns {Promise<number|null>} null before the first sync
+ */
+export const getIndexCheckpoint = async () => {
+  const db = await openIndex();
+  const store = db.transaction('meta', 'readonly').objectStore('meta');
+  const checkpoint = await request(store.get(CHECKPOINT_KEY));
+  return checkpoint ? checkpoint.lastBlock : null;
+};
+
+/**
+ * Current on-chain friends of a user
+ *
+ * @param {string} userAddress - User's wallet address
+ * @returns {Promise<Array>} [{ address, name, addedAt (ISO) }]
+ */
+export const getIndexedFriends = async (userAddress) => {
+  const friendships = await readAll('friendships', 'user', lower(userAddress));
+  return friendships
+    .filter(friendship => friendship.active)
+    .map(friendship => ({
+      address: friendship.friend,
+      name: friendship.name,
+      addedAt: new Date(friendship.addedAt * 1000).toISOString()
+    }));
+};
+
+const toGroup = (group) => ({
+  id: group.groupId,
+  name: group.name,
+  description: group.description,
+  creator: group.creator,
+  members: group.members,
+  addedBy: group.addedBy,
+  createdAt: group.createdAt ? new Date(group.createdAt * 1000).toISOString() : null,
+  messageCount: group.messageCount,
+  lastMessageAt: group.lastMessageAt ? new Date(group.lastMessageAt * 1000).toISOString() : null
+});
+
+/**
+ * Groups an address is currently a member of
+ *
+ * @param {string} memberAddress - Member's wallet address
+ * @returns {Promise<Array>} [{ id, name, description, creator, members, addedBy (member → who added them), createdAt, messageCount, lastMessageAt }]
+ */
+export const getIndexedGroups = async (memberAddress) => {
+  const groups = await readAll('groups', 'members', lower(memberAddress));
+  return groups.filter(group => group.createdAt !== null).map(toGroup);
+};
+
+/**
+ * One group, as indexed
+ *
+ * @param {string} groupId - Group ID (bytes32)
+ * @returns {Promise<object|null>} Same shape as getIndexedGroups entries
+ */
+export const getIndexedGroup = async (groupId) => {
+  const db = await openIndex();
+  const store = db.transaction('groups', 'readonly').objectStore('groups');
+  const group = await request(store.get(groupId));
+  return group && group.createdAt !== null ? toGroup(group) : null;
+};
+
+/**
+ * Direct conversations an address took part in, most recent first
+ *
+ * @param {string} userAddress - User's wallet address
+ * @returns {Promise<Array>} [{ peer, messageCount, lastMessageId, lastMessageAt (ISO), lastSender }]
+ */
+export const getConversations = async (userAddress) => {
+  const user = lower(userAddress);
+  const conversations = await readAll('conversations', 'participants', user);
+  return conversations
+    .sort((a, b) => b.lastMessageAt - a.lastMessageAt || b.lastMessageId - a.lastMessageId)
+    .map(conversation => ({
+      peer: conversation.participants.find(participant => participant !== user) || user,
+      messageCount: conversation.messageCount,
+      lastMessageId: conversation.lastMessageId,
+      lastMessageAt: new Date(conversation.lastMessageAt * 1000).toISOString(),
+      lastSender: conversation.lastSender
+    }));
+};
+
+/**
+ * Contract events involving an address, newest first
+ *
+ * @param {string} address - Wallet address
+ * @param {number} limit - Maximum entries
+ * @returns {Promise<Array>} [{ event, label, actor, counterparty, groupId, transactionHash, blockNumber, timestamp, outgoing }]
+ */
+export const getRecentActivity = async (address, limit = 20) => {
+  const target = lower(address);
+  const activity = await readAll('activity', 'addresses', target);
+  return activity
+    .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex)
+    .slice(0, limit)
+    .map(({ key, addresses, ...entry }) => ({ ...entry, outgoing: entry.actor === target }));
+};
+
+export default {
+  syncChainIndex,
+  getIndexCheckpoint,
+  getIndexedFriends,
+  getIndexedGroups,
+  getIndexedGroup,
+  getConversations,
+  getRecentActivity
+};
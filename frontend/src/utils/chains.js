@@ -0,0 +1,217 @@
+/**
+ * chains.js
+ *
+ * Registry of the networks the app can run on: chain ID, RPC, explorer and
+ * the ChatMetadata deployment for each.
+ *
+ * The active network comes from REACT_APP_CHAIN_ID (REACT_APP_NETWORK_ID is
+ * still honoured), defaulting to Sepolia. Contract addresses resolve in order:
+ *   1. REACT_APP_CONTRACT_ADDRESS_<chainId>  (written by `truffle migrate` for local chains)
+ *   2. the Truffle artifact's `networks` map (local chains: latest deployment)
+ *   3. REACT_APP_CONTRACT_ADDRESS            (active chain only, the original setting)
+ * The TrustedForwarder used for gasless sends and the NameRegistry behind
+ * `.chat` names resolve the same way, from REACT_APP_FORWARDER_ADDRESS_* and
+ * REACT_APP_NAME_REGISTRY_ADDRESS_* / their artifacts.
+ */
+
+import ChatMetadataABI from '../abis/ChatMetadata.json';
+import TrustedForwarderABI from '../abis/TrustedForwarder.json';
+import NameRegistryABI from '../abis/NameRegistry.json';
+
+const ETH = { name: 'ETH', symbol: 'ETH', decimals: 18 };
+
+export const CHAINS = {
+  11155111: {
+    chainId: 11155111,
+    key: 'sepolia',
+    name: 'Sepolia Testnet',
+    shortName: 'SEPOLIA',
+    rpcUrl: 'https://rpc.sepolia.org',
+    wsUrl: null,
+    explorerUrl: 'https://sepolia.etherscan.io',
+    faucetUrl: 'https://sepoliafaucet.com',
+    nativeCurrency: ETH,
+    isLocal: false
+  },
+  1337: {
+    chainId: 1337,
+    key: 'ganache',
+    name: 'Ganache (local)',
+    shortName: 'GANACHE',
+    rpcUrl: 'http://127.0.0.1:8545',
+    wsUrl: 'ws://127.0.0.1:8545',
+    explorerUrl: null,
+    faucetUrl: null,
+    nativeCurrency: ETH,
+    isLocal: true
+  },
+  31337: {
+    chainId: 31337,
+    key: 'hardhat',
+    name: 'Hardhat (local)',
+    shortName: 'HARDHAT',
+    rpcUrl: 'http://127.0.0.1:8545',
+    wsUrl: 'ws://127.0.0.1:8545',
+    explorerUrl: null,
+    faucetUrl: null,
+    nativeCurrency: ETH,
+    isLocal: true
+  }
+};
+
+export const DEFAULT_CHAIN_ID = 11155111;
+
+/**
+ * Chain ID the app is configured for
+ *
+ * @returns {number}
+ */
+export const getActiveChainId = () => {
+  return parseInt(
+    process.env.REACT_APP_CHAIN_ID || process.env.REACT_APP_NETWORK_ID || String(DEFAULT_CHAIN_ID),
+    10
+  );
+};
+
+/**
+ * Find the Truffle deployment for a chain. Ganache records deployments under
+ * its network ID (often a timestamp) rather than the chain ID, so for local
+ * chains the newest unknown-network entry is used.
+ */
+const getArtifactAddress = (artifact, chainId, isLocal) => {
+  const networks = artifact.networks || {};
+  if (networks[chainId]?.address) return networks[chainId].address;
+  if (!isLocal) return null;
+
+  const localIds = Object.keys(networks)
+    .filter(id => !CHAINS[id] || CHAINS[id].isLocal)
+    .map(Number)
+    .sort((a, b) => b - a);
+  return localIds.length > 0 ? networks[localIds[0]].address : null;
+};
+
+/**
+ * Look up a chain's configuration (with its contract address resolved)
+ *
+ * @param {number|string|bigint} chainId - Chain ID (defaults to the active chain)
+ * @returns {object|null} { chainId, key, name, shortName, rpcUrl, wsUrl, explorerUrl, faucetUrl, nativeCurrency, isLocal, contractAddress, forwarderAddress, nameRegistryAddress }
+ */
+export const getChainConfig = (chainId = getActiveChainId()) => {
+  const id = Number(chainId);
+  const base = CHAINS[id];
+  if (!base) return null;
+
+  const isActive = id === getActiveChainId();
+  const resolveAddress = (artifact, envName) =>
+    process.env[`${envName}_${id}`] ||
+    (base.isLocal ? getArtifactAddress(artifact, id, true) : null) ||
+    (isActive ? process.env[envName] : null) ||
+    getArtifactAddress(artifact, id, false);
+  const contractAddress = resolveAddress(ChatMetadataABI, 'REACT_APP_CONTRACT_ADDRESS');
+  const forwarderAddress = resolveAddress(TrustedForwarderABI, 'REACT_APP_FORWARDER_ADDRESS');
+  const nameRegistryAddress = resolveAddress(NameRegistryABI, 'REACT_APP_NAME_REGISTRY_ADDRESS');
+
+  return {
+    ...base,
+    rpcUrl: (isActive && process.env.REACT_APP_RPC_URL) || base.rpcUrl,
+    wsUrl: (isActive && process.env.REACT_APP_WS_RPC_URL) || base.wsUrl,
+    contractAddress: contractAddress || null,
+    forwarderAddress: forwarderAddress || null,
+    nameRegistryAddress: nameRegistryAddress || null
+  };
+};
+
+/**
+ * Configuration of the active chain. Unknown chain IDs get a generic entry so
+ * a custom network can still be used with explicit env settings.
+ *
+ * @returns {object}
+ */
+export const getActiveChain = () => {
+  const id = getActiveChainId();
+  return getChainConfig(id) || {
+    chainId: id,
+    key: `chain-${id}`,
+    name: `Chain ${id}`,
+    shortName: `CHAIN ${id}`,
+    rpcUrl: process.env.REACT_APP_RPC_URL || null,
+    wsUrl: process.env.REACT_APP_WS_RPC_URL || null,
+    explorerUrl: null,
+    faucetUrl: null,
+    nativeCurrency: ETH,
+    isLocal: false,
+    contractAddress: process.env[`REACT_APP_CONTRACT_ADDRESS_${id}`] || process.env.REACT_APP_CONTRACT_ADDRESS || null,
+    forwarderAddress: process.env[`REACT_APP_FORWARDER_ADDRESS_${id}`] || process.env.REACT_APP_FORWARDER_ADDRESS || null,
+    nameRegistryAddress: process.env[`REACT_APP_NAME_REGISTRY_ADDRESS_${id}`] || process.env.REACT_APP_NAME_REGISTRY_ADDRESS || null
+  };
+};
+
+/**
+ * ChatMetadata address on a chain (defaults to the active chain)
+ *
+ * @param {number} chainId - Chain ID
+ * @returns {string|null}
+ */
+export const getContractAddress = (chainId = getActiveChainId()) => {
+  const chain = Number(chainId) === getActiveChainId() ? getActiveChain() : getChainConfig(chainId);
+  return chain ? chain.contractAddress : null;
+};
+
+/**
+ * Hex chain ID as wallets expect it (e.g. 11155111 → "0xaa36a7")
+ *
+ * @param {number} chainId - Chain ID
+ * @returns {string}
+ */
+export const toHexChainId = (chainId) => `0x${Number(chainId).toString(16)}`;
+
+/**
+ * Human-readable name for any chain ID
+ *
+ * @param {number|bigint} chainId - Chain ID
+ * @returns {string}
+ */
+export const getChainName = (chainId) => {
+  const id = Number(chainId);
+  if (id === 1) return 'Ethereum Mainnet';
+  return CHAINS[id]?.name || `Chain ID ${id}`;
+};
+
+/**
+ * Explorer link for a transaction, or null on chains without an explorer
+ *
+ * @param {string} txHash - Transaction hash
+ * @param {number} chainId - Chain ID (defaults to the active chain)
+ * @returns {string|null}
+ */
+export const getExplorerTxUrl = (txHash, chainId = getActiveChainId()) => {
+  const chain = getChainConfig(chainId);
+  return chain?.explorerUrl ? `${chain.explorerUrl}/tx/${txHash}` : null;
+};
+
+/**
+ * Parameters for `wallet_addEthereumChain`
+ *
+ * @param {object} chain - Chain config
+ * @returns {object}
+ */
+export const getAddChainParams = (chain) => ({
+  chainId: toHexChainId(chain.chainId),
+  chainName: chain.name,
+  nativeCurrency: chain.nativeCurrency,
+  rpcUrls: chain.rpcUrl ? [chain.rpcUrl] : [],
+  ...(chain.explorerUrl && { blockExplorerUrls: [chain.explorerUrl] })
+});
+
+export default {
+  CHAINS,
+  DEFAULT_CHAIN_ID,
+  getActiveChainId,
+  getChainConfig,
+  getActiveChain,
+  getContractAddress,
+  toHexChainId,
+  getChainName,
+  getExplorerTxUrl,
+  getAddChainParams
+};
@@ -0,0 +1,234 @@
+/**
+ * contractEvents.js
+ *
+ * Live ChatMetadata events for the pages, instead of each one re-reading the
+ * chain on a timer:
+ *
+ *   - with a WebSocket RPC (the chain's `wsUrl`, or REACT_APP_WS_RPC_URL) new
+ *     logs are pushed through a single eth_subscribe('logs') subscription
+ *   - otherwise, or once the socket fails, one eth_getLogs call per tick
+ *     covers every subscribed event since the last block seen
+ *   - subscribers get decoded events matching their event names and filter,
+ *     shaped like web3 contract events ({ event, returnValues, blockNumber, ... })
+ */
+
+import Web3 from 'web3';
+import ChatMetadataABI from '../abis/ChatMetadata.json';
+import { getActiveChain } from './chains';
+import { getReadWeb3 } from './blockchain';
+
+const ACTIVE_CHAIN = getActiveChain();
+
+export const EVENT_POLL_MS = parseInt(process.env.REACT_APP_EVENT_POLL_MS || '4000', 10);
+// Longest range one poll reads after the tab was asleep (subscribers reload
+// their state on any event, so older gaps don't lose data)
+const MAX_CATCH_UP_BLOCKS = 5000;
+// Keep the transport up briefly when the last subscriber leaves, so a page
+// re-subscribing on re-render doesn't restart it
+const STOP_DELAY_MS = 2000;
+const SEEN_LIMIT = 500;
+const WS_CONNECT_TIMEOUT_MS = 5000;
+
+const abiCoder = new Web3().eth.abi;
+const EVENT_ABIS = new Map(
+  (ChatMetadataABI.abi || [])
+    .filter(item => item.type === 'event')
+    .map(item => [abiCoder.encodeEventSignature(item), item])
+);
+const signatureOf = (name) => [...EVENT_ABIS].find(([, item]) => item.name === name)?.[0];
+
+const subscribers = new Set();
+const seen = [];              // `${transactionHash}:${logIndex}` of delivered logs
+let transport = null;         // 'websocket' | 'polling' | null
+let pollHandle = null;
+let polling = false;
+let nextBlock = null;
+let wsProvider = null;
+let wsSubscription = null;
+let stopTimer = null;
+
+const decodeLog = (log) => {
+  const item = EVENT_ABIS.get(log.topics?.[0]);
+  if (!item) return null;
+  return {
+    event: item.name,
+    returnValues: abiCoder.decodeLog(item.inputs, log.data, log.topics.slice(1)),
+    address: log.address,
+    blockNumber: Number(log.blockNumber),
+    transactionHash: log.transactionHash,
+    logIndex: Number(log.logIndex)
+  };
+};
+
+// Filter values may be a single value or a list of accepted values
+const matchesFilter = (event, filter = {}) =>
+  Object.entries(filter).every(([key, expected]) => {
+    const actual = String(event.returnValues[key] ?? '').toLowerCase();
+    const accepted = Array.isArray(expected) ? expected : [expected];
+    return accepted.some(value => String(value).toLowerCase() === actual);
+  });
+
+const deliver = (log) => {
+  const event = decodeLog(log);
+  if (!event) return;
+
+  const id = `${event.transactionHash}:${event.logIndex}`;
+  if (seen.includes(id)) return;
+  seen.push(id);
+  if (seen.length > SEEN_LIMIT) seen.shift();
+  if (event.blockNumber >= (nextBlock ?? 0)) nextBlock = event.blockNumber + 1;
+
+  subscribers.forEach(subscriber => {
+    if (!subscriber.events.includes(event.event) || !matchesFilter(event, subscriber.filter)) return;
+    try {
+      subscriber.onEvent(event);
+    } catch (error) {
+      console.error(`Error in ${event.event} subscriber:`, error);
+    }
+  });
+};
+
+const subscribedSignatures = () => [
+  ...new Set([...subscribers].flatMap(subscriber => subscriber.events.map(signatureOf)).filter(Boolean))
+];
+
+const poll = async () => {
+  // Background tabs catch up when they become visible again
+  if (polling || (typeof document !== 'undefined' && document.hidden)) return;
+  polling = true;
+  try {
+    const web3 = getReadWeb3();
+    const latest = Number(await web3.eth.getBlockNumber());
+    if (nextBlock === null || latest < nextBlock - 1) {
+      // First tick (only new events matter) or a local chain was reset
+      nextBlock = latest + 1;
+      return;
+    }
+    if (latest < nextBlock) return;
+
+    const fromBlock = Math.max(nextBlock, latest - MAX_CATCH_UP_BLOCKS + 1);
+    const logs = await web3.eth.getPastLogs({
+      address: ACTIVE_CHAIN.contractAddress,
+      fromBlock,
+      toBlock: latest,
+      topics: [subscribedSignatures()]
+    });
+    nextBlock = latest + 1;
+    logs.forEach(deliver);
+  } catch (error) {
+    console.warn('⚠️ Contract event poll failed:', error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+const startPolling = () => {
+  transport = 'polling';
+  console.log(`📡 Following contract events by log polling (every ${EVENT_POLL_MS / 1000}s)`);
+  poll();
+  pollHandle = setInterval(poll, EVENT_POLL_MS);
+};
+
+const closeWebSocket = () => {
+  const subscription = wsSubscription;
+  const provider = wsProvider;
+  wsSubscription = null;
+  wsProvider = null;
+  if (subscription) subscription.unsubscribe().catch(() => {});
+  if (provider) provider.disconnect();
+};
+
+const fallBackToPolling = (error) => {
+  if (transport !== 'websocket') return;
+  console.warn('⚠️ Event WebSocket failed, falling back to log polling:', error?.message || error);
+  closeWebSocket();
+  startPolling();
+};
+
+const startWebSocket = async () => {
+  transport = 'websocket';
+  try {
+    wsProvider = new Web3.providers.WebsocketProvider(ACTIVE_CHAIN.wsUrl);
+    wsProvider.on('error', fallBackToPolling);
+    const wsWeb3 = new Web3(wsProvider);
+    // The provider keeps reconnecting to an unreachable URL instead of failing
+    const subscription = await Promise.race([
+      wsWeb3.eth.subscribe('logs', { address: ACTIVE_CHAIN.contractAddress }),
+      new Promise((resolve, reject) => setTimeout(
+        () => reject(new Error(`no connection after ${WS_CONNECT_TIMEOUT_MS / 1000}s`)),
+        WS_CONNECT_TIMEOUT_MS
+      ))
+    ]);
+    if (transport !== 'websocket') {
+      // Stopped or fell back while connecting
+      subscription.unsubscribe().catch(() => {});
+      return;
+    }
+    wsSubscription = subscription;
+    subscription.on('data', deliver);
+    subscription.on('error', fallBackToPolling);
+    console.log('📡 Following contract events over WebSocket:', ACTIVE_CHAIN.wsUrl);
+  } catch (error) {
+    fallBackToPolling(error);
+  }
+};
+
+const startTransport = () => {
+  clearTimeout(stopTimer);
+  stopTimer = null;
+  if (transport) return;
+  if (ACTIVE_CHAIN.wsUrl && typeof WebSocket !== 'undefined') {
+    startWebSocket();
+  } else {
+    startPolling();
+  }
+};
+
+const stopTransport = () => {
+  clearInterval(pollHandle);
+  pollHandle = null;
+  closeWebSocket();
+  transport = null;
+};
+
+/**
+ * Follow ChatMetadata events live
+ *
+ * @param {string[]} events - Event names, e.g. ['FriendAdded', 'FriendRemoved']
+ * @param {object} filter - Required returnValues, e.g. { user: address } or { sender: [a, b] }
+ * @param {Function} onEvent - Called with each matching event
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeContractEvents = (events, filter, onEvent) => {
+  if (!ACTIVE_CHAIN.contractAddress) {
+    console.warn('⚠️ No contract address configured, not following events');
+    return () => {};
+  }
+
+  const subscriber = { events, filter, onEvent };
+  subscribers.add(subscriber);
+  startTransport();
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0 && !stopTimer) {
+      stopTimer = setTimeout(() => {
+        stopTimer = null;
+        if (subscribers.size === 0) stopTransport();
+      }, STOP_DELAY_MS);
+    }
+  };
+};
+
+/**
+ * How events are currently being received
+ *
+ * @returns {'websocket'|'polling'|null}
+ */
+export const getEventTransport = () => transport;
+
+export default {
+  EVENT_POLL_MS,
+  subscribeContractEvents,
+  getEventTransport
+};
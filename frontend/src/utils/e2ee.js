@@ -0,0 +1,365 @@
+/**
+ * e2ee.js
+ *
+ * End-to-end encryption for 1:1 chat messages.
+ *
+ * Every wallet gets a long-lived ECDH (P-256) chat key pair, generated with
+ * WebCrypto the first time the app runs for that address. The private half
+ * never leaves this browser; the public half is published through the
+ * wallet-signed key registry (keyRegistry.js) so that peers can find it.
+ *
+ * Sealing a message for a conversation:
+ *   1. ECDH(my private key, peer public key) → 256-bit shared secret
+ *   2. HKDF-SHA-256 (salt = chat pair key) → AES-GCM-256 key
+ *   3. AES-GCM with a random 96-bit IV, chat pair key bound as additional data
+ *
+ * The result is a JSON "envelope" string, so it can travel anywhere a plain
+ * string did before: the IPFS payload, the Gun record, the server relay and
+ * the WebRTC data channel. The envelope carries both public keys, so either
+ * participant can open it later with only their own private key — even after
+ * the other side has rotated their chat key. The peer's key in an envelope is
+ * only used when the key registry vouches for it (the contact's current key
+ * or one we trusted before), so a forged envelope can't pose as the peer.
+ */
+
+import { getChatPairKey } from './gunDB';
+import { publishEncryptionKey, lookupEncryptionKey, getTrustedKeys } from './keyRegistry';
+import { ensureSigningKeyPair } from './messageSigning';
+
+const ENVELOPE_VERSION = 1;
+const ENVELOPE_ALG = 'ECDH-P256+HKDF-SHA256+AES-GCM';
+const HKDF_INFO = 'decentralized-chat-app/e2e/v1';
+const ECDH_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+
+// Shown in place of content we hold no key for
+export const UNDECRYPTABLE_PLACEHOLDER = '🔒 Encrypted message (unable to decrypt on this device)';
+
+// Derived AES keys, keyed by account + pair + peer public key
+const conversationKeyCache = new Map();
+// Key pair loads in flight, per address, so concurrent first calls share one key
+const keyPairLoads = new Map();
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const bufferToBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+const base64ToBuffer = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+const keyPairStorageKey = (address) => `chat_keypair_${address.toLowerCase()}`;
+
+/**
+ * Check whether this browser holds a chat key pair for an address
+ *
+ * @param {string} address - Wallet address
+ * @returns {boolean}
+ */
+export const hasLocalChatKey = (address) => {
+  if (!address) return false;
+  return !!localStorage.getItem(keyPairStorageKey(address));
+};
+
+/**
+ * Load the chat key pair for an address, generating (and persisting) one on
+ * first use. Calls made while a load is running get the same key pair.
+ *
+ * @param {string} address - Wallet address
+ * @returns {Promise<{publicKey: string, privateKey: CryptoKey}>} Public key as base64 (raw point)
+ */
+export const ensureChatKeyPair = async (address) => {
+  if (!address) {
+    throw new Error('Wallet address is required for a chat key');
+  }
+
+  const addr = address.toLowerCase();
+  if (!keyPairLoads.has(addr)) {
+    const load = loadChatKeyPair(address);
+    keyPairLoads.set(addr, load);
+    load.finally(() => keyPairLoads.delete(addr)).catch(() => {});
+  }
+  return keyPairLoads.get(addr);
+};
+
+const loadChatKeyPair = async (address) => {
+  const storageKey = keyPairStorageKey(address);
+  const stored = localStorage.getItem(storageKey);
+
+  if (stored) {
+    const { publicKey, privateJwk } = JSON.parse(stored);
+    const privateKey = await crypto.subtle.importKey('jwk', privateJwk, ECDH_PARAMS, false, ['deriveBits']);
+    return { publicKey, privateKey };
+  }
+
+  console.log('🔑 Generating new chat key pair for', address);
+  const keyPair = await crypto.subtle.generateKey(ECDH_PARAMS, true, ['deriveBits']);
+  const rawPublic = await crypto.subtle.exportKey('raw', keyPair.publicKey);
+  const privateJwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+  const publicKey = bufferToBase64(rawPublic);
+
+  localStorage.setItem(storageKey, JSON.stringify({
+    publicKey,
+    privateJwk,
+    createdAt: new Date().toISOString()
+  }));
+
+  const privateKey = await crypto.subtle.importKey('jwk', privateJwk, ECDH_PARAMS, false, ['deriveBits']);
+  return { publicKey, privateKey };
+};
+
+/**
+ * Publish the public halves of this wallet's chat key and message signing key
+ * to the key registry
+ *
+ * @param {string} address - Wallet address
+ * @returns {Promise<string>} The published public key (base64)
+ */
+export const publishChatKey = async (address) => {
+  const { publicKey } = await ensureChatKeyPair(address);
+  const { publicKey: signingKey } = await ensureSigningKeyPair(address);
+  await publishEncryptionKey(address, publicKey, signingKey);
+  return publicKey;
+};
+
+const deriveConversationKey = async (account, peer, ownPrivateKey, peerPublicKey) => {
+  const pairKey = getChatPairKey(account, peer);
+  const cacheKey = `${account.toLowerCase()}|${pairKey}|${peerPublicKey}`;
+  if (conversationKeyCache.has(cacheKey)) {
+    return conversationKeyCache.get(cacheKey);
+  }
+
+  const peerKey = await crypto.subtle.importKey('raw', base64ToBuffer(peerPublicKey), ECDH_PARAMS, false, []);
+  const sharedBits = await crypto.subtle.deriveBits({ name: 'ECDH', public: peerKey }, ownPrivateKey, 256);
+  const hkdfKey = await crypto.subtle.importKey('raw', sharedBits, 'HKDF', false, ['deriveKey']);
+  const aesKey = await crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: textEncoder.encode(pairKey),
+      info: textEncoder.encode(HKDF_INFO)
+    },
+    hkdfKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+
+  conversationKeyCache.set(cacheKey, aesKey);
+  return aesKey;
+};
+
+// Whether a public key really belongs to the peer: one we trusted before, or
+// their current registry key (refetched once in case they just rotated)
+const isPeerKey = async (peer, publicKey) => {
+  if (getTrustedKeys(peer).includes(publicKey)) return true;
+
+  const cached = await lookupEncryptionKey(peer);
+  if (cached && cached.publicKey === publicKey) return true;
+
+  const fresh = await lookupEncryptionKey(peer, { refresh: true });
+  return !!fresh && fresh.publicKey === publicKey;
+};
+
+/**
+ * Check whether a value is an encrypted envelope produced by this module
+ *
+ * @param {*} value - Value to inspect
+ * @returns {boolean}
+ */
+export const isEncryptedEnvelope = (value) => {
+  if (typeof value !== 'string' || !value.startsWith('{')) return false;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed.v === ENVELOPE_VERSION && parsed.alg === ENVELOPE_ALG && !!parsed.ct;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Encrypt text for a 1:1 conversation. Refuses while the recipient's key is
+ * flagged as changed and not yet accepted (see keyRegistry.acceptKeyChange).
+ *
+ * @param {string} account - Local wallet address (sender)
+ * @param {string} peer - Peer wallet address (recipient)
+ * @param {string} plaintext - Text to encrypt
+ * @returns {Promise<string>} Envelope JSON string
+ */
+export const encryptForPeer = async (account, peer, plaintext) => {
+  try {
+    const peerKey = await lookupEncryptionKey(peer);
+    if (!peerKey) {
+      throw new Error('Recipient has not published an encryption key yet — they need to open the app once');
+    }
+    if (peerKey.keyChanged) {
+      throw new Error("Recipient's encryption key has changed — verify and accept the new key first");
+    }
+    const peerPublicKey = peerKey.publicKey;
+
+    const { publicKey, privateKey } = await ensureChatKeyPair(account);
+    const aesKey = await deriveConversationKey(account, peer, privateKey, peerPublicKey);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: textEncoder.encode(getChatPairKey(account, peer)) },
+      aesKey,
+      textEncoder.encode(plaintext)
+    );
+
+    return JSON.stringify({
+      v: ENVELOPE_VERSION,
+      alg: ENVELOPE_ALG,
+      from: publicKey,
+      to: peerPublicKey,
+      iv: bufferToBase64(iv),
+      ct: bufferToBase64(ciphertext)
+    });
+  } catch (error) {
+    console.error('❌ Encryption failed:', error);
+    throw new Error(`Failed to encrypt message: ${error.message}`);
+  }
+};
+
+/**
+ * Decrypt an envelope from a 1:1 conversation. Works for messages in either
+ * direction, since both sides derive the same conversation key. Envelopes
+ * naming a peer key that isn't the peer's are rejected.
+ *
+ * @param {string} account - Local wallet address
+ * @param {string} peer - Peer wallet address
+ * @param {string} envelope - Envelope JSON string
+ * @returns {Promise<string>} Plaintext
+ */
+export const decryptFromPeer = async (account, peer, envelope) => {
+  try {
+    const parsed = typeof envelope === 'string' ? JSON.parse(envelope) : envelope;
+    if (parsed.v !== ENVELOPE_VERSION || parsed.alg !== ENVELOPE_ALG) {
+      throw new Error('Unsupported envelope format');
+    }
+
+    const { publicKey, privateKey } = await ensureChatKeyPair(account);
+    let otherKey;
+    if (parsed.from === publicKey) {
+      otherKey = parsed.to;
+    } else if (parsed.to === publicKey) {
+      otherKey = parsed.from;
+    } else {
+      throw new Error('Message was encrypted for a different chat key');
+    }
+    if (!(await isPeerKey(peer, otherKey))) {
+      throw new Error('Message was sealed with a key that does not belong to this contact');
+    }
+
+    const aesKey = await deriveConversationKey(account, peer, privateKey, otherKey);
+    const plaintext = await crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: base64ToBuffer(parsed.iv),
+        additionalData: textEncoder.encode(getChatPairKey(account, peer))
+      },
+      aesKey,
+      base64ToBuffer(parsed.ct)
+    );
+
+    return textDecoder.decode(plaintext);
+  } catch (error) {
+    throw new Error(`Failed to decrypt message: ${error.message}`);
+  }
+};
+
+/**
+ * Decrypt content if it is an envelope, otherwise return it unchanged
+ * (legacy plaintext messages). Never throws — undecryptable content is
+ * replaced with a placeholder.
+ *
+ * @param {string} account - Local wallet address
+ * @param {string} peer - Peer wallet address
+ * @param {string} content - Envelope or plaintext
+ * @returns {Promise<string>}
+ */
+export const openContent = async (account, peer, content) => {
+  if (!isEncryptedEnvelope(content)) return content;
+  try {
+    return await decryptFromPeer(account, peer, content);
+  } catch (error) {
+    console.warn('⚠️', error.message);
+    return UNDECRYPTABLE_PLACEHOLDER;
+  }
+};
+
+/**
+ * Return a copy of a message object with its private fields (content, file
+ * name and type) sealed into a single envelope, ready for any transport.
+ *
+ * @param {string} account - Local wallet address
+ * @param {string} peer - Peer wallet address
+ * @param {object} message - Plain message object
+ * @returns {Promise<object>} Sealed message (`encrypted: true`)
+ */
+export const sealMessage = async (account, peer, message) => {
+  if (message.encrypted) return message;
+
+  const { fileName, fileType, text, ...rest } = message;
+  const payload = JSON.stringify({
+    content: message.content || text || '',
+    ...(fileName && { fileName }),
+    ...(fileType && { fileType })
+  });
+
+  return {
+    ...rest,
+    content: await encryptForPeer(account, peer, payload),
+    encrypted: true
+  };
+};
+
+/**
+ * Reverse of sealMessage. Plaintext (legacy) messages pass through untouched.
+ *
+ * @param {string} account - Local wallet address
+ * @param {string} peer - Peer wallet address
+ * @param {object} message - Message object as stored
+ * @returns {Promise<object>} Message with plaintext content
+ */
+export const openMessage = async (account, peer, message) => {
+  if (!message || !message.encrypted) return message;
+
+  try {
+    const payload = JSON.parse(await decryptFromPeer(account, peer, message.content));
+    return {
+      ...message,
+      content: payload.content,
+      text: payload.content,
+      ...(payload.fileName && { fileName: payload.fileName }),
+      ...(payload.fileType && { fileType: payload.fileType }),
+      encrypted: false
+    };
+  } catch (error) {
+    console.warn('⚠️', error.message);
+    return {
+      ...message,
+      content: UNDECRYPTABLE_PLACEHOLDER,
+      text: UNDECRYPTABLE_PLACEHOLDER,
+      decryptionFailed: true
+    };
+  }
+};
+
+export default {
+  hasLocalChatKey,
+  ensureChatKeyPair,
+  publishChatKey,
+  isEncryptedEnvelope,
+  encryptForPeer,
+  decryptFromPeer,
+  openContent,
+  sealMessage,
+  openMessage,
+  UNDECRYPTABLE_PLACEHOLDER
+};
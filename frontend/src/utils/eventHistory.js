@@ -0,0 +1,132 @@
+/**
+ * eventHistory.js
+ *
+ * Message history read from ChatMetadata event logs instead of one contract
+ * call per message ID.
+ *
+ *   - logs are fetched with getPastEvents in block-range chunks; a chunk the
+ *     RPC rejects as too large is split in half and retried
+ *   - scans start at the contract's deployment block
+ *   - each history keeps a cursor (last scanned block) plus the entries seen
+ *     so far in localStorage, so a reload only scans the new blocks
+ */
+
+const CURSOR_PREFIX = 'event_history_';
+const DEPLOYMENT_BLOCK_PREFIX = 'deployment_block_';
+
+export const DEFAULT_CHUNK_BLOCKS = parseInt(process.env.REACT_APP_LOG_CHUNK_BLOCKS || '100000', 10);
+const MIN_CHUNK_BLOCKS = 500;
+
+// Chunk size that last worked against this RPC; shrinks when a range is rejected
+let chunkBlocks = DEFAULT_CHUNK_BLOCKS;
+
+// Errors RPC providers return when a log query spans too many blocks or results
+const isRangeTooLarge = (error) =>
+  /range|too many|too large|limit|exceed|more than|timeout/i.test(error?.message || '');
+
+/**
+ * getPastEvents over [fromBlock, toBlock] in chunks
+ *
+ * @param {object} contract - web3 contract instance
+ * @param {string} eventName - Event to fetch
+ * @param {object} options - { filter, fromBlock, toBlock }
+ * @returns {Promise<Array>} Raw web3 event objects, oldest first
+ */
+export const getPastEventsChunked = async (contract, eventName, { filter = {}, fromBlock, toBlock }) => {
+  const events = [];
+  let start = fromBlock;
+
+  while (start <= toBlock) {
+    const end = Math.min(start + chunkBlocks - 1, toBlock);
+    try {
+      const chunk = await contract.getPastEvents(eventName, { filter, fromBlock: start, toBlock: end });
+      events.push(...chunk);
+      start = end + 1;
+    } catch (error) {
+      if (!isRangeTooLarge(error) || chunkBlocks <= MIN_CHUNK_BLOCKS) {
+        throw new Error(`Failed to fetch ${eventName} logs: ${error.message}`);
+      }
+      chunkBlocks = Math.max(MIN_CHUNK_BLOCKS, Math.floor(chunkBlocks / 2));
+      console.warn(`⚠️ Log range rejected, retrying in ${chunkBlocks}-block chunks`);
+    }
+  }
+
+  return events;
+};
+
+/**
+ * Block the contract was deployed in (0 for deployments that predate the
+ * deploymentBlock getter)
+ *
+ * @param {object} contract - ChatMetadata web3 contract instance
+ * @returns {Promise<number>}
+ */
+export const getDeploymentBlock = async (contract) => {
+  const cacheKey = `${DEPLOYMENT_BLOCK_PREFIX}${contract.options.address.toLowerCase()}`;
+  const cached = localStorage.getItem(cacheKey);
+  if (cached !== null) return Number(cached);
+
+  try {
+    const block = Number(await contract.methods.deploymentBlock().call());
+    localStorage.setItem(cacheKey, String(block));
+    return block;
+  } catch (error) {
+    console.warn('⚠️ Contract has no deploymentBlock, scanning logs from genesis');
+    return 0;
+  }
+};
+
+/**
+ * Bring a cached event history up to the latest block and return all of it
+ *
+ * @param {object} params
+ * @param {object} params.web3 - Web3 instance
+ * @param {object} params.contract - ChatMetadata web3 contract instance
+ * @param {string} params.eventName - Event to follow
+ * @param {object} params.filter - Indexed-parameter filter for getPastEvents
+ * @param {string} params.cacheKey - Identifies this history (e.g. a chat or group)
+ * @param {Function} params.toEntry - Maps a raw event to the stored entry (must have `id`)
+ * @param {Function} [params.accept] - Extra check on raw events the filter can't express
+ * @returns {Promise<Array>} Entries sorted by id
+ */
+export const syncEventHistory = async ({ web3, contract, eventName, filter, cacheKey, toEntry, accept = () => true }) => {
+  const storageKey = `${CURSOR_PREFIX}${contract.options.address}_${cacheKey}`.toLowerCase();
+  let cached = JSON.parse(localStorage.getItem(storageKey) || 'null');
+
+  const latest = Number(await web3.eth.getBlockNumber());
+  if (cached && cached.lastBlock > latest) {
+    // Local dev chain was reset underneath us
+    console.warn(`⚠️ ${eventName} cursor is ahead of the chain, rescanning`);
+    cached = null;
+  }
+
+  const entries = cached ? cached.entries : [];
+  const fromBlock = cached ? cached.lastBlock + 1 : await getDeploymentBlock(contract);
+  if (fromBlock > latest) return entries;
+
+  const events = await getPastEventsChunked(contract, eventName, { filter, fromBlock, toBlock: latest });
+  const seen = new Set(entries.map(entry => String(entry.id)));
+  events.filter(accept).map(toEntry).forEach(entry => {
+    if (seen.has(String(entry.id))) return;
+    seen.add(String(entry.id));
+    entries.push(entry);
+  });
+  entries.sort((a, b) => Number(a.id) - Number(b.id));
+
+  console.log(`📚 ${eventName}: ${events.length} new log(s) in blocks ${fromBlock}–${latest}`);
+
+  try {
+    localStorage.setItem(storageKey, JSON.stringify({ lastBlock: latest, entries }));
+  } catch (error) {
+    console.warn('⚠️ Could not save event history cursor:', error.message);
+  }
+
+  return entries;
+};
+
+export default {
+  DEFAULT_CHUNK_BLOCKS,
+  getPastEventsChunked,
+  getDeploymentBlock,
+  syncEventHistory
+};
@@ -11,6 +11,7 @@
 
 import { loadChatHistory, getMessagesBetweenUsers } from './blockchain';
 import { retrieveFromIPFS } from './ipfs';
+import { getActiveChain } from './chains';
 
 // AES-GCM encryption using Web Crypto API
 const ENCRYPTION_ALGORITHM = 'AES-GCM';
@@ -197,6 +198,7 @@ export async function exportChatHistory(walletAddress, password, progressCallbac
 
     // Step 3: Prepare export data
     progressCallback?.(3, 5, 'Preparing export data...');
+    const activeChain = getActiveChain();
     const exportData = {
       version: '1.0',
       exportDate: new Date().toISOString(),
@@ -207,8 +209,9 @@ export async function exportChatHistory(walletAddress, password, progressCallbac
       totalMessages: totalMessages,
       metadata: {
         appVersion: '1.0',
-        blockchainNetwork: 'sepolia',
-        contractAddress: process.env.REACT_APP_CONTRACT_ADDRESS
+        blockchainNetwork: activeChain.key,
+        chainId: activeChain.chainId,
+        contractAddress: activeChain.contractAddress
       }
     };
 
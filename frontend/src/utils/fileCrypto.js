@@ -0,0 +1,101 @@
+/**
+ * fileCrypto.js
+ *
+ * Encryption for file attachments.
+ *
+ * Every file is encrypted with its own random AES-GCM-256 key before it
+ * leaves the browser, whether it goes to IPFS or over the WebRTC data
+ * channel. The key travels with the file's name, type and size in a small
+ * "file key" object, which is sealed like any message text: with the pairwise
+ * key for 1:1 chats (e2ee.js) or the sender key for groups (groupCrypto.js).
+ * Transports only ever see the ciphertext and the sealed file key.
+ */
+
+import { retrieveFileFromIPFS } from './ipfs';
+
+// What the encrypted bytes are called wherever a name or type is required
+const SEALED_FILE_NAME = 'attachment.bin';
+const SEALED_FILE_TYPE = 'application/octet-stream';
+
+const bufferToBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+const base64ToBuffer = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+/**
+ * Encrypt a file under a fresh key
+ *
+ * @param {File} file - Plain file
+ * @returns {Promise<{file: File, fileKey: object}>} Encrypted file (neutral name and type) and
+ *   file key { key, iv, fileName, fileType, fileSize } — seal the file key before sending it
+ */
+export const sealFile = async (file) => {
+  try {
+    const rawKey = crypto.getRandomValues(new Uint8Array(32));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const aesKey = await crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['encrypt']);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, aesKey, await file.arrayBuffer());
+
+    return {
+      file: new File([ciphertext], SEALED_FILE_NAME, { type: SEALED_FILE_TYPE }),
+      fileKey: {
+        key: bufferToBase64(rawKey),
+        iv: bufferToBase64(iv),
+        fileName: file.name,
+        fileType: file.type,
+        fileSize: file.size
+      }
+    };
+  } catch (error) {
+    console.error('❌ File encryption failed:', error);
+    throw new Error(`Failed to encrypt file: ${error.message}`);
+  }
+};
+
+/**
+ * Decrypt a file's bytes with its file key
+ *
+ * @param {ArrayBuffer|Blob} ciphertext - Encrypted bytes
+ * @param {object} fileKey - File key from sealFile
+ * @returns {Promise<Blob>} The original file contents, typed
+ */
+export const openFile = async (ciphertext, fileKey) => {
+  try {
+    const bytes = ciphertext instanceof Blob ? await ciphertext.arrayBuffer() : ciphertext;
+    const aesKey = await crypto.subtle.importKey(
+      'raw', base64ToBuffer(fileKey.key), { name: 'AES-GCM' }, false, ['decrypt']
+    );
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBuffer(fileKey.iv) },
+      aesKey,
+      bytes
+    );
+    return new Blob([plaintext], { type: fileKey.fileType || '' });
+  } catch (error) {
+    throw new Error(`Failed to decrypt file: ${error.message}`);
+  }
+};
+
+/**
+ * Fetch an encrypted attachment from IPFS and decrypt it
+ *
+ * @param {string} ipfsHash - CID of the encrypted file
+ * @param {object} fileKey - File key from sealFile
+ * @returns {Promise<string>} Object URL of the decrypted file (revoke when done)
+ */
+export const openFileFromIPFS = async (ipfsHash, fileKey) => {
+  const blob = await openFile(await retrieveFileFromIPFS(ipfsHash), fileKey);
+  return URL.createObjectURL(blob);
+};
+
+export default {
+  sealFile,
+  openFile,
+  openFileFromIPFS
+};
@@ -11,8 +11,9 @@ const CHUNK_SIZE = 16384; // 16KB chunks (safe for DataChannel)
  * @param {File} file - The file to send
  * @param {Object} peer - SimplePeer instance
  * @param {Function} onProgress - Progress callback (percent)
+ * @param {Object} extraMetadata - Extra fields for the FILE_START message (e.g. a sealed file key)
  */
-export const sendFile = async (file, peer, onProgress) => {
+export const sendFile = async (file, peer, onProgress, extraMetadata = {}) => {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
     
@@ -23,6 +24,7 @@ export const sendFile = async (file, peer, onProgress) => {
         
         // Send file metadata first
         const metadata = {
+          ...extraMetadata,
           type: 'FILE_START',
           fileName: file.name,
           fileType: file.type,
@@ -181,7 +183,8 @@ export class FileReceiver {
           fileSize: this.fileSize,
           blob: blob,
           url: url,
-          timestamp: this.metadata.timestamp
+          timestamp: this.metadata.timestamp,
+          metadata: this.metadata
         });
       }
       
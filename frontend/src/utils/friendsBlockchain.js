@@ -1,5 +1,6 @@
 // Friend management blockchain functions
-import { getWeb3 } from './blockchain';
+import { initWeb3, getReadContract, readPages } from './blockchain';
+import { sendTransaction } from './txManager';
 
 let contract;
 
@@ -7,58 +8,169 @@ export const setContract = (contractInstance) => {
   contract = contractInstance;
 };
 
+// Contract and account to send with: the one set above, or the connected wallet's
+const getSigner = async () => {
+  const { contract: walletContract, account } = await initWeb3();
+  return { contract: contract || walletContract, account };
+};
+
 /**
- * Add a friend to the blockchain
- * @param {string} friendAddress - Wallet address of the friend
- * @param {string} name - Name of the friend
+ * Ask someone to be friends. Neither side is in the other's friend list
+ * until they accept.
+ * @param {string} friendAddress - Wallet address to send the request to
+ * @param {string} name - What you'll call them once they accept
  * @returns {Promise<object>} - Transaction receipt
  */
-export const addFriendOnChain = async (friendAddress, name) => {
-  const web3 = getWeb3();
-  
-  if (!contract) {
-    throw new Error("Contract not initialized. Call initWeb3() first.");
+export const sendFriendRequestOnChain = async (friendAddress, name) => {
+  try {
+    const { contract, account } = await getSigner();
+
+    console.log(`📨 Sending friend request to ${name} (${friendAddress})...`);
+
+    const tx = await sendTransaction({
+      method: contract.methods.sendFriendRequest(friendAddress, name),
+      from: account,
+      label: `Friend request to ${name}`,
+      kind: 'friend'
+    });
+
+    console.log(`✅ Friend request sent! Transaction hash: ${tx.transactionHash}`);
+    return tx;
+  } catch (error) {
+    console.error("❌ Error sending friend request:", error);
+    throw new Error(`Failed to send friend request: ${error.message}`);
   }
+};
 
+/**
+ * Accept a friend request; each of you is added to the other's friends
+ * @param {string} fromAddress - Wallet address that sent the request
+ * @param {string} name - What you'll call them
+ * @returns {Promise<object>} - Transaction receipt
+ */
+export const acceptFriendRequestOnChain = async (fromAddress, name) => {
   try {
-    const accounts = await web3.eth.getAccounts();
-    const account = accounts[0];
+    const { contract, account } = await getSigner();
 
-    console.log(`📝 Adding friend ${name} (${friendAddress}) on blockchain...`);
+    console.log(`🤝 Accepting friend request from ${name} (${fromAddress})...`);
 
-    const tx = await contract.methods
-      .addFriend(friendAddress, name)
-      .send({ from: account });
+    const tx = await sendTransaction({
+      method: contract.methods.acceptFriendRequest(fromAddress, name),
+      from: account,
+      label: `Accept ${name}`,
+      kind: 'friend'
+    });
 
-    console.log(`✅ Friend added on blockchain! Transaction hash: ${tx.transactionHash}`);
+    console.log(`✅ Friend request accepted! Transaction hash: ${tx.transactionHash}`);
     return tx;
   } catch (error) {
-    console.error("❌ Error adding friend on blockchain:", error);
-    throw new Error(`Failed to add friend: ${error.message}`);
+    console.error("❌ Error accepting friend request:", error);
+    throw new Error(`Failed to accept friend request: ${error.message}`);
   }
 };
 
 /**
- * Remove a friend from the blockchain
- * @param {string} friendAddress - Wallet address of the friend to remove
+ * Decline a friend request you received
+ * @param {string} fromAddress - Wallet address that sent the request
  * @returns {Promise<object>} - Transaction receipt
  */
-export const removeFriendOnChain = async (friendAddress) => {
-  const web3 = getWeb3();
-  
-  if (!contract) {
-    throw new Error("Contract not initialized. Call initWeb3() first.");
+export const declineFriendRequestOnChain = async (fromAddress) => {
+  try {
+    const { contract, account } = await getSigner();
+
+    const tx = await sendTransaction({
+      method: contract.methods.declineFriendRequest(fromAddress),
+      from: account,
+      label: 'Decline friend request',
+      kind: 'friend'
+    });
+
+    console.log(`✅ Friend request declined! Transaction hash: ${tx.transactionHash}`);
+    return tx;
+  } catch (error) {
+    console.error("❌ Error declining friend request:", error);
+    throw new Error(`Failed to decline friend request: ${error.message}`);
+  }
+};
+
+/**
+ * Withdraw a friend request you sent
+ * @param {string} toAddress - Wallet address the request went to
+ * @returns {Promise<object>} - Transaction receipt
+ */
+export const cancelFriendRequestOnChain = async (toAddress) => {
+  try {
+    const { contract, account } = await getSigner();
+
+    const tx = await sendTransaction({
+      method: contract.methods.cancelFriendRequest(toAddress),
+      from: account,
+      label: 'Cancel friend request',
+      kind: 'friend'
+    });
+
+    console.log(`✅ Friend request cancelled! Transaction hash: ${tx.transactionHash}`);
+    return tx;
+  } catch (error) {
+    console.error("❌ Error cancelling friend request:", error);
+    throw new Error(`Failed to cancel friend request: ${error.message}`);
   }
+};
 
+/**
+ * Pending friend requests to and from a user, newest first
+ * @param {string} userAddress - Wallet address of the user
+ * @returns {Promise<{incoming: Array, outgoing: Array}>} - Requests as
+ *   { from, to, name, createdAt }; `name` is the sender's name for the recipient
+ */
+export const getFriendRequestsFromChain = async (userAddress) => {
   try {
-    const accounts = await web3.eth.getAccounts();
-    const account = accounts[0];
+    const contract = getReadContract();
+    const [senders, recipients] = await Promise.all([
+      contract.methods.getIncomingFriendRequests(userAddress).call(),
+      contract.methods.getOutgoingFriendRequests(userAddress).call()
+    ]);
+
+    const readRequest = async (from, to) => {
+      const request = await contract.methods.getFriendRequest(from, to).call();
+      return {
+        from: request.from,
+        to: request.to,
+        name: request.name,
+        createdAt: new Date(Number(request.createdAt) * 1000).toISOString()
+      };
+    };
+
+    const [incoming, outgoing] = await Promise.all([
+      Promise.all(senders.map(from => readRequest(from, userAddress))),
+      Promise.all(recipients.map(to => readRequest(userAddress, to)))
+    ]);
+
+    const newestFirst = (a, b) => b.createdAt.localeCompare(a.createdAt);
+    return { incoming: incoming.sort(newestFirst), outgoing: outgoing.sort(newestFirst) };
+  } catch (error) {
+    console.error("❌ Error fetching friend requests:", error);
+    return { incoming: [], outgoing: [] };
+  }
+};
+
+/**
+ * Remove a friend from the blockchain (the friendship ends for both of you)
+ * @param {string} friendAddress - Wallet address of the friend to remove
+ * @returns {Promise<object>} - Transaction receipt
+ */
+export const removeFriendOnChain = async (friendAddress) => {
+  try {
+    const { contract, account } = await getSigner();
 
     console.log(`🗑️ Removing friend (${friendAddress}) from blockchain...`);
 
-    const tx = await contract.methods
-      .removeFriend(friendAddress)
-      .send({ from: account });
+    const tx = await sendTransaction({
+      method: contract.methods.removeFriend(friendAddress),
+      from: account,
+      label: 'Remove friend',
+      kind: 'friend'
+    });
 
     console.log(`✅ Friend removed from blockchain! Transaction hash: ${tx.transactionHash}`);
     return tx;
@@ -74,15 +186,15 @@ export const removeFriendOnChain = async (friendAddress) => {
  * @returns {Promise<Array>} - Array of friend objects
  */
 export const getFriendsFromChain = async (userAddress) => {
-  if (!contract) {
-    throw new Error("Contract not initialized. Call initWeb3() first.");
-  }
-
   try {
+    const contract = getReadContract();
+
     console.log(`📖 Fetching friends from blockchain for ${userAddress}...`);
 
-    // Get list of friend addresses
-    const friendAddresses = await contract.methods.getFriends(userAddress).call();
+    // Get list of friend addresses, a page at a time
+    const friendAddresses = await readPages((offset, limit) =>
+      contract.methods.getFriendsPage(userAddress, offset, limit)
+    );
 
     // Get detailed information for each friend
     const friendsPromises = friendAddresses.map(async (friendAddress) => {
@@ -115,12 +227,8 @@ export const getFriendsFromChain = async (userAddress) => {
  * @returns {Promise<number>} - Number of friends
  */
 export const getFriendCount = async (userAddress) => {
-  if (!contract) {
-    throw new Error("Contract not initialized. Call initWeb3() first.");
-  }
-
   try {
-    const count = await contract.methods.getFriendCount(userAddress).call();
+    const count = await getReadContract().methods.getFriendCount(userAddress).call();
     return Number(count);
   } catch (error) {
     console.error("❌ Error fetching friend count:", error);
@@ -0,0 +1,227 @@
+/**
+ * groupAdmin.js
+ *
+ * Group admin election and the powers it grants, on ChatMetadata:
+ *
+ *   - every member has one admin vote and can move it by voting again or
+ *     withdraw it; leaving (or being removed) withdraws a member's vote and
+ *     the votes cast for them
+ *   - a member backed by a third of the current members, and at least two
+ *     votes (one in a group of one), is an admin, so a group can have several
+ *     admins; they change as votes move and as the group grows or shrinks
+ *   - admins can add members and remove non-admin members, rename or
+ *     re-describe the group, and approve or decline join requests from
+ *     outsiders; plain members can't add anyone
+ *
+ * Reads go through the read provider; writes go through txManager with the
+ * connected wallet.
+ */
+
+import { initWeb3, getReadContract } from './blockchain';
+import { sendTransaction } from './txManager';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Contract events that change a group's standings, admins or join requests
+export const GROUP_ADMIN_EVENTS = [
+  'AdminVoteCast',
+  'AdminVoteWithdrawn',
+  'MemberAdded',
+  'MemberRemoved',
+  'GroupUpdated',
+  'JoinRequested',
+  'JoinRequestAnswered'
+];
+
+/**
+ * Live admin election standings of a group
+ *
+ * @param {string} groupId - bytes32 group ID
+ * @param {string} voter - Address whose current vote to include (optional)
+ * @returns {Promise<object>} { standings: [{ address, votes, isAdmin }] (most votes first),
+ *   admins: string[], threshold, memberCount, myVote (address or null) }
+ */
+export const getAdminStandings = async (groupId, voter) => {
+  try {
+    const contract = getReadContract();
+    const [result, vote] = await Promise.all([
+      contract.methods.getAdminStandings(groupId).call(),
+      voter ? contract.methods.getAdminVote(groupId, voter).call() : ZERO_ADDRESS
+    ]);
+
+    const threshold = Number(result.threshold);
+    const standings = result.members
+      .map((address, i) => {
+        const votes = Number(result.votes[i]);
+        return { address: address.toLowerCase(), votes, isAdmin: votes >= threshold };
+      })
+      .sort((a, b) => b.votes - a.votes);
+
+    return {
+      standings,
+      admins: standings.filter(entry => entry.isAdmin).map(entry => entry.address),
+      threshold,
+      memberCount: result.members.length,
+      myVote: vote && vote !== ZERO_ADDRESS ? vote.toLowerCase() : null
+    };
+  } catch (error) {
+    console.error('❌ Error loading admin standings:', error);
+    throw new Error(`Failed to load admin standings: ${error.message}`);
+  }
+};
+
+/**
+ * Outsiders waiting for an admin to let them in
+ *
+ * @param {string} groupId - bytes32 group ID
+ * @returns {Promise<string[]>} Lowercase addresses, oldest request first
+ */
+export const getJoinRequests = async (groupId) => {
+  try {
+    const requests = await getReadContract().methods.getJoinRequests(groupId).call();
+    return requests.map(address => address.toLowerCase());
+  } catch (error) {
+    console.error('❌ Error loading join requests:', error);
+    throw new Error(`Failed to load join requests: ${error.message}`);
+  }
+};
+
+// Send one group admin transaction from the connected wallet
+const sendGroupTransaction = async (groupId, buildMethod, label, kind = 'group') => {
+  const { contract, account } = await initWeb3();
+  return sendTransaction({
+    method: buildMethod(contract.methods),
+    from: account,
+    label,
+    kind,
+    meta: { groupId }
+  });
+};
+
+/**
+ * Cast (or move) the connected wallet's admin vote
+ *
+ * @param {string} groupId - bytes32 group ID
+ * @param {string} candidate - Member to vote for
+ * @param {string} label - Name to show in the transaction tray
+ * @returns {Promise<object>} Transaction receipt
+ */
+export const voteForAdminOnChain = async (groupId, candidate, label = candidate) => {
+  try {
+    const tx = await sendGroupTransaction(groupId, methods => methods.voteForAdmin(groupId, candidate), `Vote ${label} for admin`, 'vote');
+    console.log('🗳️ Admin vote cast:', tx.transactionHash);
+    return tx;
+  } catch (error) {
+    console.error('❌ Error voting for admin:', error);
+    throw new Error(`Failed to vote for admin: ${error.message}`);
+  }
+};
+
+/**
+ * Take back the connected wallet's admin vote without backing anyone else
+ *
+ * @param {string} groupId - bytes32 group ID
+ * @param {string} label - Name of the member the vote went to, for the transaction tray
+ * @returns {Promise<object>} Transaction receipt
+ */
+export const withdrawAdminVoteOnChain = async (groupId, label) => {
+  try {
+    const tx = await sendGroupTransaction(groupId, methods => methods.withdrawAdminVote(groupId), `Withdraw admin vote from ${label}`, 'vote');
+    console.log('🗳️ Admin vote withdrawn:', tx.transactionHash);
+    return tx;
+  } catch (error) {
+    console.error('❌ Error withdrawing admin vote:', error);
+    throw new Error(`Failed to withdraw admin vote: ${error.message}`);
+  }
+};
+
+/**
+ * Remove a member from a group (admins only)
+ *
+ * @param {string} groupId - bytes32 group ID
+ * @param {string} member - Member to remove
+ * @param {string} label - Name to show in the transaction tray
+ * @returns {Promise<object>} Transaction receipt
+ */
+export const removeGroupMemberOnChain = async (groupId, member, label = member) => {
+  try {
+    const tx = await sendGroupTransaction(groupId, methods => methods.removeGroupMember(groupId, member), `Remove ${label} from group`);
+    console.log('👢 Member removed:', tx.transactionHash);
+    return tx;
+  } catch (error) {
+    console.error('❌ Error removing member:', error);
+    throw new Error(`Failed to remove member: ${error.message}`);
+  }
+};
+
+/**
+ * Rename a group or change its description (admins only)
+ *
+ * @param {string} groupId - bytes32 group ID
+ * @param {string} name - New name
+ * @param {string} description - New description
+ * @returns {Promise<object>} Transaction receipt
+ */
+export const updateGroupOnChain = async (groupId, name, description) => {
+  try {
+    const tx = await sendGroupTransaction(groupId, methods => methods.updateGroup(groupId, name, description), `Edit group "${name}"`);
+    console.log('✏️ Group updated:', tx.transactionHash);
+    return tx;
+  } catch (error) {
+    console.error('❌ Error updating group:', error);
+    throw new Error(`Failed to update group: ${error.message}`);
+  }
+};
+
+/**
+ * Ask to join a group you aren't in
+ *
+ * @param {string} groupId - bytes32 group ID
+ * @returns {Promise<object>} Transaction receipt
+ */
+export const requestToJoinGroupOnChain = async (groupId) => {
+  try {
+    const tx = await sendGroupTransaction(groupId, methods => methods.requestToJoinGroup(groupId), 'Request to join group');
+    console.log('🚪 Join request sent:', tx.transactionHash);
+    return tx;
+  } catch (error) {
+    console.error('❌ Error requesting to join group:', error);
+    throw new Error(`Failed to request to join group: ${error.message}`);
+  }
+};
+
+/**
+ * Answer a join request (admins only); approving adds the user as a member
+ *
+ * @param {string} groupId - bytes32 group ID
+ * @param {string} user - Address that asked to join
+ * @param {boolean} approve - Let them in, or decline
+ * @param {string} label - Name to show in the transaction tray
+ * @returns {Promise<object>} Transaction receipt
+ */
+export const answerJoinRequestOnChain = async (groupId, user, approve, label = user) => {
+  try {
+    const tx = await sendGroupTransaction(
+      groupId,
+      methods => (approve ? methods.approveJoinRequest(groupId, user) : methods.declineJoinRequest(groupId, user)),
+      `${approve ? 'Approve' : 'Decline'} join request from ${label}`
+    );
+    console.log(`✅ Join request ${approve ? 'approved' : 'declined'}:`, tx.transactionHash);
+    return tx;
+  } catch (error) {
+    console.error('❌ Error answering join request:', error);
+    throw new Error(`Failed to answer join request: ${error.message}`);
+  }
+};
+
+export default {
+  GROUP_ADMIN_EVENTS,
+  getAdminStandings,
+  getJoinRequests,
+  voteForAdminOnChain,
+  withdrawAdminVoteOnChain,
+  removeGroupMemberOnChain,
+  updateGroupOnChain,
+  requestToJoinGroupOnChain,
+  answerJoinRequestOnChain
+};
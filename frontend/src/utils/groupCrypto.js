@@ -0,0 +1,354 @@
+/**
+ * groupCrypto.js
+ *
+ * Sender-key encryption for group chats.
+ *
+ * Every member encrypts their group messages with their own random AES-GCM
+ * "sender key". The sender key is handed to each current member by sealing it
+ * with the pairwise 1:1 encryption from e2ee.js and storing the sealed copies
+ * in GunDB under `chatDB/groupKeys/<groupId>/<epoch>/<sender>/<member>`.
+ *
+ * A sender key belongs to one membership snapshot ("epoch"). As soon as the
+ * member list changes — MemberAdded / MemberRemoved on-chain, including a
+ * leaveGroup — the next send rotates to a fresh key that is only distributed
+ * to the new member list, so departed members cannot read new traffic and new
+ * members cannot read old traffic.
+ */
+
+import { chatDB } from './gunDB';
+import { encryptForPeer, decryptFromPeer } from './e2ee';
+import { subscribeContractEvents } from './contractEvents';
+
+const ENVELOPE_VERSION = 1;
+const ENVELOPE_ALG = 'SENDER-KEY+AES-GCM';
+const MEMBERSHIP_SETTLE_MS = 1000;
+
+export const GROUP_UNDECRYPTABLE_PLACEHOLDER = '🔒 Encrypted group message (no key for this device)';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const bufferToBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+const base64ToBuffer = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+const randomHex = (bytes) => Array.from(crypto.getRandomValues(new Uint8Array(bytes)))
+  .map(b => b.toString(16).padStart(2, '0'))
+  .join('');
+
+// Our own current sender key per group: { epoch, membersHash, key, createdAt }
+const ownStateStorageKey = (account) => `group_sender_state_${account.toLowerCase()}`;
+// Every sender key we can read: "<groupId>:<epoch>:<sender>" → base64 key
+const receivedKeysStorageKey = (account) => `group_sender_keys_${account.toLowerCase()}`;
+
+const loadJson = (key) => JSON.parse(localStorage.getItem(key) || '{}');
+const saveJson = (key, value) => localStorage.setItem(key, JSON.stringify(value));
+
+const keyId = (groupId, epoch, sender) => `${groupId}:${epoch}:${sender.toLowerCase()}`;
+
+/**
+ * Stable hash of a group's member list, used to detect membership changes
+ *
+ * @param {string[]} members - Member addresses
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashMembers = async (members) => {
+  const normalized = members.map(m => m.toLowerCase()).sort().join(',');
+  const digest = await crypto.subtle.digest('SHA-256', textEncoder.encode(normalized));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const rememberKey = (account, groupId, epoch, sender, key) => {
+  const storageKey = receivedKeysStorageKey(account);
+  const keys = loadJson(storageKey);
+  keys[keyId(groupId, epoch, sender)] = key;
+  saveJson(storageKey, keys);
+};
+
+const putSealedKey = (groupId, epoch, sender, member, envelope) => {
+  return new Promise((resolve, reject) => {
+    chatDB
+      .get('groupKeys')
+      .get(groupId)
+      .get(epoch)
+      .get(sender.toLowerCase())
+      .get(member.toLowerCase())
+      .put({ envelope, createdAt: new Date().toISOString() }, (ack) => {
+        if (ack.err) {
+          reject(new Error(ack.err));
+        } else {
+          resolve();
+        }
+      });
+  });
+};
+
+const fetchSealedKey = (groupId, epoch, sender, member, timeoutMs = 5000) => {
+  return new Promise((resolve) => {
+    const timeout = setTimeout(() => resolve(null), timeoutMs);
+    chatDB
+      .get('groupKeys')
+      .get(groupId)
+      .get(epoch)
+      .get(sender.toLowerCase())
+      .get(member.toLowerCase())
+      .once((data) => {
+        clearTimeout(timeout);
+        resolve(data && data.envelope ? data.envelope : null);
+      });
+  });
+};
+
+// Seal a sender key for each member; returns the members we could not reach
+const shareSenderKey = async (groupId, account, epoch, key, members) => {
+  const results = await Promise.allSettled(
+    members.map(async (member) => {
+      const envelope = await encryptForPeer(account, member, key);
+      await putSealedKey(groupId, epoch, account, member, envelope);
+    })
+  );
+  return members.filter((_, i) => results[i].status === 'rejected');
+};
+
+/**
+ * Generate a fresh sender key for the given member list and distribute it.
+ * Members without a published encryption key are skipped and reported.
+ *
+ * @param {string} groupId - Group ID (bytes32 hex)
+ * @param {string} account - Local wallet address
+ * @param {string[]} members - Current member addresses
+ * @returns {Promise<{epoch: string, missing: string[]}>}
+ */
+export const rotateGroupSenderKey = async (groupId, account, members) => {
+  try {
+    const me = account.toLowerCase();
+    const rawKey = crypto.getRandomValues(new Uint8Array(32));
+    const key = bufferToBase64(rawKey);
+    const epoch = randomHex(16);
+    const membersHash = await hashMembers(members);
+
+    const others = members.filter(m => m && m.toLowerCase() !== me);
+    const missing = await shareSenderKey(groupId, me, epoch, key, others);
+
+    const stateKey = ownStateStorageKey(me);
+    const state = loadJson(stateKey);
+    state[groupId] = { epoch, membersHash, key, missing, createdAt: new Date().toISOString() };
+    saveJson(stateKey, state);
+    rememberKey(me, groupId, epoch, me, key);
+
+    console.log(`🔄 Rotated sender key for group ${groupId} (epoch ${epoch}, ${others.length - missing.length}/${others.length} members)`);
+    if (missing.length > 0) {
+      console.warn('⚠️ Could not share sender key with:', missing);
+    }
+    return { epoch, missing };
+  } catch (error) {
+    console.error('❌ Error rotating group sender key:', error);
+    throw new Error(`Failed to rotate group key: ${error.message}`);
+  }
+};
+
+/**
+ * Return our current sender key for a group, rotating first if the member
+ * list has changed since the key was created. Members that could not be
+ * reached last time (no published key yet) are retried.
+ *
+ * @param {string} groupId - Group ID
+ * @param {string} account - Local wallet address
+ * @param {string[]} members - Current member addresses (fresh from the chain)
+ * @returns {Promise<{epoch: string, key: string, missing: string[]}>}
+ */
+export const ensureGroupSenderKey = async (groupId, account, members) => {
+  const state = loadJson(ownStateStorageKey(account))[groupId];
+  const membersHash = await hashMembers(members);
+
+  if (state && state.membersHash === membersHash) {
+    let missing = state.missing || [];
+    if (missing.length > 0) {
+      missing = await shareSenderKey(groupId, account.toLowerCase(), state.epoch, state.key, missing);
+      const stateKey = ownStateStorageKey(account);
+      const all = loadJson(stateKey);
+      all[groupId] = { ...state, missing };
+      saveJson(stateKey, all);
+    }
+    return { epoch: state.epoch, key: state.key, missing };
+  }
+
+  const { epoch, missing } = await rotateGroupSenderKey(groupId, account, members);
+  const rotated = loadJson(ownStateStorageKey(account))[groupId];
+  return { epoch, key: rotated.key, missing };
+};
+
+/**
+ * Drop our sender key for a group (after leaving it). Keys received from
+ * others are kept so old history stays readable on this device.
+ *
+ * @param {string} groupId - Group ID
+ * @param {string} account - Local wallet address
+ */
+export const forgetGroupSenderKey = (groupId, account) => {
+  const stateKey = ownStateStorageKey(account);
+  const state = loadJson(stateKey);
+  delete state[groupId];
+  saveJson(stateKey, state);
+  console.log('🗑️ Dropped sender key for group', groupId);
+};
+
+const importAesKey = (base64Key) => crypto.subtle.importKey(
+  'raw', base64ToBuffer(base64Key), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']
+);
+
+/**
+ * Check whether a value is a group message envelope
+ *
+ * @param {*} value - Value to inspect
+ * @returns {boolean}
+ */
+export const isGroupEnvelope = (value) => {
+  if (typeof value !== 'string' || !value.startsWith('{')) return false;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed.v === ENVELOPE_VERSION && parsed.alg === ENVELOPE_ALG && !!parsed.ct;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Encrypt a group message with our current sender key
+ *
+ * @param {string} groupId - Group ID
+ * @param {string} account - Local wallet address
+ * @param {string[]} members - Current member addresses (fresh from the chain)
+ * @param {string} plaintext - Message text
+ * @returns {Promise<{envelope: string, missing: string[]}>}
+ */
+export const encryptGroupMessage = async (groupId, account, members, plaintext) => {
+  try {
+    const { epoch, key, missing } = await ensureGroupSenderKey(groupId, account, members);
+    const sender = account.toLowerCase();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: textEncoder.encode(keyId(groupId, epoch, sender)) },
+      await importAesKey(key),
+      textEncoder.encode(plaintext)
+    );
+
+    const envelope = JSON.stringify({
+      v: ENVELOPE_VERSION,
+      alg: ENVELOPE_ALG,
+      group: groupId,
+      epoch,
+      sender,
+      iv: bufferToBase64(iv),
+      ct: bufferToBase64(ciphertext)
+    });
+    return { envelope, missing };
+  } catch (error) {
+    console.error('❌ Group encryption failed:', error);
+    throw new Error(`Failed to encrypt group message: ${error.message}`);
+  }
+};
+
+const resolveSenderKey = async (account, groupId, epoch, sender) => {
+  const known = loadJson(receivedKeysStorageKey(account))[keyId(groupId, epoch, sender)];
+  if (known) return known;
+
+  const sealed = await fetchSealedKey(groupId, epoch, sender, account);
+  if (!sealed) return null;
+
+  // Anyone can write to this Gun path; decryptFromPeer only accepts the sender's own key
+  const key = await decryptFromPeer(account, sender, sealed);
+  rememberKey(account, groupId, epoch, sender, key);
+  return key;
+};
+
+/**
+ * Decrypt a group message. Plaintext (legacy) content passes through and
+ * messages we hold no sender key for come back as a placeholder.
+ *
+ * @param {string} groupId - Group ID
+ * @param {string} account - Local wallet address
+ * @param {string} content - Envelope or plaintext
+ * @returns {Promise<string>}
+ */
+export const decryptGroupMessage = async (groupId, account, content) => {
+  if (!isGroupEnvelope(content)) return content;
+
+  try {
+    const parsed = JSON.parse(content);
+    if (parsed.group !== groupId) {
+      throw new Error('Envelope belongs to a different group');
+    }
+
+    const key = await resolveSenderKey(account, groupId, parsed.epoch, parsed.sender);
+    if (!key) {
+      return GROUP_UNDECRYPTABLE_PLACEHOLDER;
+    }
+
+    const plaintext = await crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: base64ToBuffer(parsed.iv),
+        additionalData: textEncoder.encode(keyId(groupId, parsed.epoch, parsed.sender))
+      },
+      await importAesKey(key),
+      base64ToBuffer(parsed.ct)
+    );
+    return textDecoder.decode(plaintext);
+  } catch (error) {
+    console.warn('⚠️ Failed to decrypt group message:', error.message);
+    return GROUP_UNDECRYPTABLE_PLACEHOLDER;
+  }
+};
+
+/**
+ * Watch a group's MemberAdded / MemberRemoved events and call back on each
+ * change, so the caller can refresh members and rotate its sender key.
+ * Events arriving together (e.g. a group created with many members) are
+ * handed over as one batch.
+ *
+ * @param {string} groupId - Group ID
+ * @param {Function} onChange - Called with the list of new events
+ * @returns {Function} Stop watching
+ */
+export const watchMembershipChanges = (groupId, onChange) => {
+  let pending = [];
+  let timer = null;
+
+  const unsubscribe = subscribeContractEvents(['MemberAdded', 'MemberRemoved'], { groupId }, (event) => {
+    pending.push(event);
+    if (timer) return;
+    timer = setTimeout(() => {
+      const changes = pending;
+      pending = [];
+      timer = null;
+      console.log(`👥 ${changes.length} membership change(s) in group ${groupId}`);
+      onChange(changes);
+    }, MEMBERSHIP_SETTLE_MS);
+  });
+
+  return () => {
+    clearTimeout(timer);
+    unsubscribe();
+  };
+};
+
+export default {
+  hashMembers,
+  rotateGroupSenderKey,
+  ensureGroupSenderKey,
+  forgetGroupSenderKey,
+  isGroupEnvelope,
+  encryptGroupMessage,
+  decryptGroupMessage,
+  watchMembershipChanges,
+  GROUP_UNDECRYPTABLE_PLACEHOLDER
+};
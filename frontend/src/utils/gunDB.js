@@ -48,11 +48,42 @@ export const getChatPairKey = (addr1, addr2) => {
 };
 
 /**
- * Store a message in GunDB (decentralized)
+ * Normalize a message into the record shape stored in GunDB.
+ * Idempotent — normalizing an already-normalized record returns the same
+ * fields, which is what lets a record be signed before it is stored.
  * 
  * @param {string} sender - Sender wallet address
  * @param {string} receiver - Receiver wallet address 
  * @param {object} message - The message object
+ * @returns {object} - Normalized record (without Gun id)
+ */
+export const normalizeGunMessage = (sender, receiver, message) => {
+  return {
+    content: message.content || message.text || '',
+    sender: (message.sender || sender).toLowerCase(),
+    receiver: (message.receiver || receiver).toLowerCase(),
+    time: message.time instanceof Date 
+      ? message.time.toISOString() 
+      : (message.time || new Date().toISOString()),
+    timestamp: message.timestamp || new Date().toISOString(),
+    type: message.type || 'text',
+    status: message.status || 'sent',
+    // Optional fields
+    ...(message.encrypted && { encrypted: true }),
+    ...(message.messageHash && { messageHash: message.messageHash }),
+    ...(message.ipfsHash && { ipfsHash: message.ipfsHash }),
+    ...(message.fileName && { fileName: message.fileName }),
+    ...(message.fileSize && { fileSize: message.fileSize }),
+    ...(message.fileType && { fileType: message.fileType }),
+  };
+};
+
+/**
+ * Store a message in GunDB (decentralized)
+ * 
+ * @param {string} sender - Sender wallet address
+ * @param {string} receiver - Receiver wallet address 
+ * @param {object} message - The message object (may carry an authorship `signature` and its `signingKey`)
  * @returns {Promise<string>} - The message ID in Gun
  */
 export const storeMessageInGun = (sender, receiver, message) => {
@@ -66,21 +97,9 @@ export const storeMessageInGun = (sender, receiver, message) => {
       // Normalize the message for storage
       const msgData = {
         id: msgId,
-        content: message.content || message.text || '',
-        sender: (message.sender || sender).toLowerCase(),
-        receiver: (message.receiver || receiver).toLowerCase(),
-        time: message.time instanceof Date 
-          ? message.time.toISOString() 
-          : (message.time || new Date().toISOString()),
-        timestamp: message.timestamp || new Date().toISOString(),
-        type: message.type || 'text',
-        status: message.status || 'sent',
-        // Optional fields
-        ...(message.messageHash && { messageHash: message.messageHash }),
-        ...(message.ipfsHash && { ipfsHash: message.ipfsHash }),
-        ...(message.fileName && { fileName: message.fileName }),
-        ...(message.fileSize && { fileSize: message.fileSize }),
-        ...(message.fileType && { fileType: message.fileType }),
+        ...normalizeGunMessage(sender, receiver, message),
+        ...(message.signature && { signature: message.signature }),
+        ...(message.signingKey && { signingKey: message.signingKey }),
       };
       
       // Store in GunDB under the chat pair
@@ -104,15 +123,30 @@ export const storeMessageInGun = (sender, receiver, message) => {
   });
 };
 
+/**
+ * Run an authorship check over a message. Forged records (status 'invalid')
+ * resolve to null; everything else is returned with `signatureStatus` set.
+ */
+const applyVerification = async (message, verify) => {
+  if (!verify) return message;
+  const signatureStatus = await verify(message);
+  if (signatureStatus === 'invalid') {
+    console.warn(`🚫 Dropping forged GunDB message ${message.id} (claims sender ${message.sender})`);
+    return null;
+  }
+  return { ...message, signatureStatus };
+};
+
 /**
  * Load all messages from GunDB for a chat pair.
  * Returns a one-time snapshot of all messages.
  * 
  * @param {string} addr1 - First wallet address
  * @param {string} addr2 - Second wallet address
+ * @param {object} options - { verify: async (record) => 'verified' | 'invalid' | 'unverified' }
  * @returns {Promise<Array>} - Array of message objects, sorted by time
  */
-export const loadMessagesFromGun = (addr1, addr2) => {
+export const loadMessagesFromGun = (addr1, addr2, { verify } = {}) => {
   return new Promise((resolve) => {
     const pairKey = getChatPairKey(addr1, addr2);
     const messages = [];
@@ -139,7 +173,12 @@ export const loadMessagesFromGun = (addr1, addr2) => {
       });
       
       console.log(`📥 Loaded ${messages.length} messages from GunDB for pair ${pairKey}`);
-      resolve(messages);
+      if (!verify) {
+        resolve(messages);
+        return;
+      }
+      Promise.all(messages.map(msg => applyVerification(msg, verify)))
+        .then(checked => resolve(checked.filter(Boolean)));
     };
     
     // Load messages from the chat pair node
@@ -176,9 +215,10 @@ export const loadMessagesFromGun = (addr1, addr2) => {
  * @param {string} addr1 - First wallet address
  * @param {string} addr2 - Second wallet address
  * @param {Function} callback - Called with (message) on each new message
+ * @param {object} options - { verify: authorship check, forged messages are dropped }
  * @returns {Function} - Unsubscribe function
  */
-export const subscribeToMessages = (addr1, addr2, callback) => {
+export const subscribeToMessages = (addr1, addr2, callback, { verify } = {}) => {
   const pairKey = getChatPairKey(addr1, addr2);
   const seenIds = new Set();
   let isActive = true;
@@ -201,10 +241,10 @@ export const subscribeToMessages = (addr1, addr2, callback) => {
       const { _, ...cleanData } = data;
       
       console.log(`🔔 New message from GunDB:`, key);
-      callback({
-        ...cleanData,
-        id: cleanData.id || key,
-      });
+      applyVerification({ ...cleanData, id: cleanData.id || key }, verify)
+        .then(message => {
+          if (message && isActive) callback(message);
+        });
     });
   
   // Return unsubscribe function
@@ -345,6 +385,7 @@ export const subscribeToPresence = (callback) => {
 export { gun, chatDB };
 
 export default {
+  normalizeGunMessage,
   storeMessageInGun,
   loadMessagesFromGun,
   subscribeToMessages,
@@ -13,8 +13,8 @@ const PUBLIC_GATEWAYS = [
 
 /**
  * Upload message content to IPFS via Pinata
- * @param {string} messageContent - The message text to upload
- * @param {object} metadata - Optional metadata (sender, receiver, timestamp)
+ * @param {string} messageContent - The message text to upload (an e2ee envelope for chat messages)
+ * @param {object} metadata - Optional metadata (sender, receiver, timestamp, encrypted)
  * @returns {Promise<string>} IPFS hash (CID)
  */
 export const uploadToIPFS = async (messageContent, metadata = {}) => {
@@ -34,7 +34,8 @@ export const uploadToIPFS = async (messageContent, metadata = {}) => {
       timestamp: metadata.timestamp || new Date().toISOString(),
       sender: metadata.sender || '',
       receiver: metadata.receiver || '',
-      version: '1.0'
+      encrypted: !!metadata.encrypted,
+      version: '1.1'
     };
 
     // Pin JSON to IPFS via Pinata
@@ -141,6 +142,32 @@ export const retrieveFromIPFS = async (ipfsHash) => {
   throw new Error('Failed to retrieve message from IPFS');
 };
 
+/**
+ * Retrieve a file's raw bytes from IPFS (e.g. an encrypted attachment)
+ * @param {string} ipfsHash - The IPFS CID
+ * @returns {Promise<ArrayBuffer>} File bytes
+ */
+export const retrieveFileFromIPFS = async (ipfsHash) => {
+  if (!ipfsHash) {
+    throw new Error('IPFS hash is required');
+  }
+
+  for (const gateway of PUBLIC_GATEWAYS) {
+    try {
+      const response = await axios.get(`${gateway}/${ipfsHash}`, {
+        timeout: 30000,
+        responseType: 'arraybuffer'
+      });
+      console.log('✅ Retrieved file from IPFS:', ipfsHash);
+      return response.data;
+    } catch (error) {
+      console.warn(`⚠️ Failed to fetch file from ${gateway}:`, error.message);
+    }
+  }
+
+  throw new Error('Failed to retrieve file from IPFS');
+};
+
 /**
  * Fallback: Upload to localStorage when IPFS is unavailable
  * Creates a deterministic "hash" for the message
@@ -154,7 +181,8 @@ const uploadToPublicIPFS = async (messageContent, metadata) => {
       content: messageContent,
       timestamp: metadata.timestamp || new Date().toISOString(),
       sender: metadata.sender || '',
-      receiver: metadata.receiver || ''
+      receiver: metadata.receiver || '',
+      encrypted: !!metadata.encrypted
     };
     
     // Generate a simple hash-like identifier
@@ -172,40 +200,6 @@ const uploadToPublicIPFS = async (messageContent, metadata) => {
   }
 };
 
-/**
- * Encrypt message before uploading (simple XOR encryption for demo)
- * For production, use proper encryption like AES-256
- */
-export const encryptMessage = (message, key) => {
-  // Simple XOR encryption (NOT secure for production)
-  let encrypted = '';
-  for (let i = 0; i < message.length; i++) {
-    encrypted += String.fromCharCode(
-      message.charCodeAt(i) ^ key.charCodeAt(i % key.length)
-    );
-  }
-  return btoa(encrypted); // Base64 encode
-};
-
-/**
- * Decrypt message after retrieval
- */
-export const decryptMessage = (encryptedMessage, key) => {
-  try {
-    const encrypted = atob(encryptedMessage); // Base64 decode
-    let decrypted = '';
-    for (let i = 0; i < encrypted.length; i++) {
-      decrypted += String.fromCharCode(
-        encrypted.charCodeAt(i) ^ key.charCodeAt(i % key.length)
-      );
-    }
-    return decrypted;
-  } catch (error) {
-    console.error('Decryption error:', error);
-    return encryptedMessage; // Return as-is if decryption fails
-  }
-};
-
 /**
  * Check if IPFS/Pinata is configured
  */
@@ -312,9 +306,8 @@ export const isFileSizeAcceptable = (fileSize) => {
 export default {
   uploadToIPFS,
   retrieveFromIPFS,
+  retrieveFileFromIPFS,
   uploadJsonToIPFS,
-  encryptMessage,
-  decryptMessage,
   isIPFSConfigured,
   uploadFileToIPFS,
   getIPFSFileUrl,
@@ -0,0 +1,470 @@
+/**
+ * keyRegistry.js
+ *
+ * Directory of per-wallet encryption public keys.
+ *
+ * Each wallet publishes its ECDH chat public key (see e2ee.js) as a record in
+ * GunDB under `chatDB/keyRegistry/<address>`. The record is signed with the
+ * wallet itself (personal_sign), so nobody but the address owner can publish
+ * a key for it. Owners may additionally anchor the key on-chain through
+ * `ChatMetadata.setEncryptionKey`. When the anchored key and the Gun record
+ * disagree, the newer of the two statements wins (the anchor's time comes
+ * from the local chain index; without it the anchor wins). A Gun record
+ * issued before one we already accepted is a replay and is ignored.
+ * The same record carries the wallet's message signing key (see
+ * messageSigning.js), which proves authorship of chat records in Gun.
+ *
+ * Lookups are cached for the session and every key we see is pinned in
+ * localStorage (trust on first use). When a contact later shows up with a
+ * different key the lookup reports `keyChanged` so the UI can warn, until the
+ * user accepts the new key. Keys replaced that way stay trusted for opening
+ * the older messages sealed to them, and every signing key a contact has
+ * registered is remembered so their older records still verify.
+ */
+
+import Web3 from 'web3';
+import { chatDB } from './gunDB';
+import { initWeb3, getReadContract, getWalletProvider } from './blockchain';
+import { getLocalSigner } from './session';
+import { sendTransaction } from './txManager';
+import { getRecentActivity } from './chainIndexer';
+
+const RECORD_VERSION = 2;
+const LOOKUP_TTL_MS = 5 * 60 * 1000;
+const PINNED_KEYS_STORAGE_KEY = 'pinned_encryption_keys';
+const SIGNING_KEYS_STORAGE_KEY = 'known_signing_keys';
+const RECORD_CLOCK_STORAGE_KEY = 'key_record_issued_at';
+
+// address => { result, fetchedAt }
+const lookupCache = new Map();
+
+const ownRecordStorageKey = (address) => `chat_key_record_${address.toLowerCase()}`;
+
+/**
+ * Build the exact text a wallet signs to vouch for an encryption key
+ *
+ * @param {string} address - Wallet address
+ * @param {string} publicKey - Base64 public key
+ * @param {string} issuedAt - ISO timestamp
+ * @param {string} signingKey - Base64 message signing key (optional, v2 records)
+ * @returns {string}
+ */
+export const buildKeyStatement = (address, publicKey, issuedAt, signingKey) => {
+  return [
+    'Decentralized Chat encryption key',
+    '',
+    'I authorize this public key to receive end-to-end encrypted messages for my wallet.',
+    '',
+    `Address: ${address.toLowerCase()}`,
+    `Public key: ${publicKey}`,
+    ...(signingKey ? [`Signing key: ${signingKey}`] : []),
+    `Issued at: ${issuedAt}`
+  ].join('\n');
+};
+
+/**
+ * Verify that a key record was signed by the address it claims
+ *
+ * @param {object} record - { address, publicKey, signingKey?, issuedAt, signature }
+ * @returns {boolean}
+ */
+export const verifyKeyRecord = (record) => {
+  if (!record || !record.address || !record.publicKey || !record.issuedAt || !record.signature) {
+    return false;
+  }
+  try {
+    const statement = buildKeyStatement(record.address, record.publicKey, record.issuedAt, record.signingKey);
+    const signer = new Web3().eth.accounts.recover(statement, record.signature);
+    return signer.toLowerCase() === record.address.toLowerCase();
+  } catch (error) {
+    console.warn('⚠️ Invalid key record signature:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Short, human-comparable fingerprint of a public key
+ *
+ * @param {string} publicKey - Base64 public key
+ * @returns {Promise<string>} e.g. "3f2a 91c0 5b7e 0d44"
+ */
+export const getKeyFingerprint = async (publicKey) => {
+  const raw = Uint8Array.from(atob(publicKey), c => c.charCodeAt(0));
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', raw));
+  const hex = Array.from(digest.slice(0, 8)).map(b => b.toString(16).padStart(2, '0')).join('');
+  return hex.match(/.{4}/g).join(' ');
+};
+
+/**
+ * Sign a statement as a wallet: with the session's local key when signed in
+ * with one, otherwise through the wallet (personal_sign)
+ *
+ * @param {string} address - Wallet address
+ * @param {string} statement - Text to sign
+ * @returns {Promise<string>} Signature, recoverable with web3.eth.accounts.recover
+ */
+export const signStatement = async (address, statement) => {
+  // Sessions signed in with a local key sign with that key instead of a wallet
+  const localSigner = getLocalSigner(address);
+  if (localSigner) {
+    return localSigner.sign(statement).signature;
+  }
+  const provider = getWalletProvider();
+  if (!provider) {
+    throw new Error('A wallet is required to sign this');
+  }
+  return provider.request({
+    method: 'personal_sign',
+    params: [Web3.utils.utf8ToHex(statement), address]
+  });
+};
+
+const putRecordInGun = (record) => {
+  return new Promise((resolve, reject) => {
+    chatDB
+      .get('keyRegistry')
+      .get(record.address)
+      .put(record, (ack) => {
+        if (ack.err) {
+          reject(new Error(ack.err));
+        } else {
+          resolve();
+        }
+      });
+  });
+};
+
+/**
+ * Publish a wallet's encryption (and message signing) public keys to GunDB.
+ * The wallet is only asked to sign when a key has changed since the last
+ * signed record.
+ *
+ * @param {string} address - Wallet address (must be the connected wallet)
+ * @param {string} publicKey - Base64 public key
+ * @param {string} signingKey - Base64 message signing key (optional)
+ * @returns {Promise<object>} The signed record
+ */
+export const publishEncryptionKey = async (address, publicKey, signingKey = null) => {
+  try {
+    const addr = address.toLowerCase();
+    let record = JSON.parse(localStorage.getItem(ownRecordStorageKey(addr)) || 'null');
+
+    const stale = !record ||
+      record.publicKey !== publicKey ||
+      (signingKey && record.signingKey !== signingKey) ||
+      !verifyKeyRecord(record);
+
+    if (stale) {
+      const issuedAt = new Date().toISOString();
+      const signature = await signStatement(address, buildKeyStatement(addr, publicKey, issuedAt, signingKey));
+      record = {
+        version: RECORD_VERSION,
+        address: addr,
+        publicKey,
+        ...(signingKey && { signingKey }),
+        issuedAt,
+        signature
+      };
+      localStorage.setItem(ownRecordStorageKey(addr), JSON.stringify(record));
+      console.log('✍️ Encryption key record signed for', addr);
+    }
+
+    await putRecordInGun(record);
+    lookupCache.delete(addr);
+    console.log('🔑 Encryption key published to registry for', addr);
+    return record;
+  } catch (error) {
+    console.error('❌ Error publishing encryption key:', error);
+    throw new Error(`Failed to publish encryption key: ${error.message}`);
+  }
+};
+
+/**
+ * Anchor the connected wallet's encryption key on-chain
+ *
+ * @param {string} publicKey - Base64 public key
+ * @returns {Promise<string>} Transaction hash
+ */
+export const anchorEncryptionKey = async (publicKey) => {
+  try {
+    const { contract, account } = await initWeb3();
+    const tx = await sendTransaction({
+      method: contract.methods.setEncryptionKey(publicKey),
+      from: account,
+      label: 'Anchor encryption key',
+      kind: 'key'
+    });
+    lookupCache.delete(account.toLowerCase());
+    console.log('⚓ Encryption key anchored on-chain:', tx.transactionHash);
+    return tx.transactionHash;
+  } catch (error) {
+    console.error('❌ Error anchoring encryption key:', error);
+    throw new Error(`Failed to anchor encryption key: ${error.message}`);
+  }
+};
+
+/**
+ * Read the key a user anchored on-chain, if any (through the read provider,
+ * so manual-address sessions see it too). Returns null when nothing is
+ * anchored or the chain can't be reached.
+ *
+ * @param {string} address - Wallet address
+ * @returns {Promise<string|null>}
+ */
+export const getAnchoredKey = async (address) => {
+  try {
+    const key = await getReadContract().methods.getEncryptionKey(address).call();
+    return key || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * When a user last anchored a key, per the local chain index
+ *
+ * @param {string} address - Wallet address
+ * @returns {Promise<number|null>} Milliseconds since epoch, or null when the index hasn't seen it
+ */
+export const getAnchoredAt = async (address) => {
+  try {
+    const activity = await getRecentActivity(address, Infinity);
+    const anchored = activity.find(entry => entry.event === 'EncryptionKeyPublished' && entry.outgoing);
+    return anchored && anchored.timestamp ? anchored.timestamp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getRecordClock = () => JSON.parse(localStorage.getItem(RECORD_CLOCK_STORAGE_KEY) || '{}');
+
+// Accept a verified record unless it predates one already accepted for the address
+const acceptRecordTime = (address, issuedAt) => {
+  const clock = getRecordClock();
+  const issued = Date.parse(issuedAt);
+  const latest = clock[address] ? Date.parse(clock[address]) : null;
+  if (Number.isNaN(issued)) return false;
+  if (latest !== null && issued < latest) return false;
+  if (latest === null || issued > latest) {
+    clock[address] = issuedAt;
+    localStorage.setItem(RECORD_CLOCK_STORAGE_KEY, JSON.stringify(clock));
+  }
+  return true;
+};
+
+/**
+ * Fetch and verify a user's signed key record from GunDB.
+ * Records issued before the newest one accepted for the address are
+ * rejected, so an old signed record can't be replayed over a newer key.
+ *
+ * @param {string} address - Wallet address
+ * @param {number} timeoutMs - How long to wait for GunDB
+ * @returns {Promise<object|null>} Verified record, or null
+ */
+export const fetchKeyRecord = (address, timeoutMs = 5000) => {
+  const addr = address.toLowerCase();
+
+  return new Promise((resolve) => {
+    const timeout = setTimeout(() => resolve(null), timeoutMs);
+
+    chatDB
+      .get('keyRegistry')
+      .get(addr)
+      .once((data) => {
+        clearTimeout(timeout);
+        if (!data || !data.publicKey) {
+          resolve(null);
+          return;
+        }
+
+        const { _, ...record } = data;
+        if (record.address !== addr || !verifyKeyRecord(record)) {
+          console.warn(`⚠️ Ignoring key record for ${addr}: signature does not match address`);
+          resolve(null);
+          return;
+        }
+        if (!acceptRecordTime(addr, record.issuedAt)) {
+          console.warn(`⚠️ Ignoring key record for ${addr}: issued before the one already accepted`);
+          resolve(null);
+          return;
+        }
+        resolve(record);
+      });
+  });
+};
+
+const getPinnedKeys = () => JSON.parse(localStorage.getItem(PINNED_KEYS_STORAGE_KEY) || '{}');
+
+const pinKey = (address, publicKey) => {
+  const pinned = getPinnedKeys();
+  const addr = address.toLowerCase();
+  const current = pinned[addr];
+  const retired = current ? [current.publicKey, ...(current.retired || [])] : [];
+  pinned[addr] = {
+    publicKey,
+    pinnedAt: new Date().toISOString(),
+    retired: retired.filter((key, i) => key !== publicKey && retired.indexOf(key) === i)
+  };
+  localStorage.setItem(PINNED_KEYS_STORAGE_KEY, JSON.stringify(pinned));
+};
+
+/**
+ * Get the key we last trusted for a contact
+ *
+ * @param {string} address - Wallet address
+ * @returns {string|null}
+ */
+export const getPinnedKey = (address) => {
+  const entry = getPinnedKeys()[address.toLowerCase()];
+  return entry ? entry.publicKey : null;
+};
+
+/**
+ * Get every key we have trusted for a contact: the pinned one first, then
+ * the ones it replaced
+ *
+ * @param {string} address - Wallet address
+ * @returns {string[]}
+ */
+export const getTrustedKeys = (address) => {
+  const entry = getPinnedKeys()[address.toLowerCase()];
+  return entry ? [entry.publicKey, ...(entry.retired || [])] : [];
+};
+
+const getSigningKeyHistory = () => JSON.parse(localStorage.getItem(SIGNING_KEYS_STORAGE_KEY) || '{}');
+
+const rememberSigningKey = (address, signingKey) => {
+  const history = getSigningKeyHistory();
+  const addr = address.toLowerCase();
+  const known = history[addr] || [];
+  if (known[0] === signingKey) return;
+  history[addr] = [signingKey, ...known.filter(key => key !== signingKey)];
+  localStorage.setItem(SIGNING_KEYS_STORAGE_KEY, JSON.stringify(history));
+};
+
+/**
+ * Get every message signing key we have seen a contact register, newest
+ * first (earlier ones signed their records from before a device change)
+ *
+ * @param {string} address - Wallet address
+ * @returns {string[]}
+ */
+export const getKnownSigningKeys = (address) => getSigningKeyHistory()[address.toLowerCase()] || [];
+
+/**
+ * Trust a contact's current key after a key-change warning
+ *
+ * @param {string} address - Wallet address
+ * @param {string} publicKey - The key being accepted
+ */
+export const acceptKeyChange = (address, publicKey) => {
+  const addr = address.toLowerCase();
+  pinKey(addr, publicKey);
+  const cached = lookupCache.get(addr);
+  if (cached && cached.result) {
+    cached.result = { ...cached.result, keyChanged: false, previousKey: null };
+  }
+  console.log('🔑 Accepted new encryption key for', addr);
+};
+
+const isNewerThanAnchor = async (address, record) => {
+  const anchoredAt = await getAnchoredAt(address);
+  if (anchoredAt === null) return false;
+  const newer = Date.parse(record.issuedAt) > anchoredAt;
+  if (newer) {
+    console.warn(`⚠️ Anchored key for ${address} is older than its registry record; using the record`);
+  }
+  return newer;
+};
+
+/**
+ * Look up a contact's encryption public key.
+ * When the anchored (on-chain) key and the Gun record differ, the newer
+ * statement wins; an anchor of unknown age wins. The first key seen for a
+ * contact is pinned; a different key later is reported as `keyChanged`.
+ * The message signing key only ever comes from the wallet-signed Gun record.
+ *
+ * @param {string} address - Wallet address
+ * @param {object} options - { refresh: bypass the session cache }
+ * @returns {Promise<object|null>} { address, publicKey, signingKey, source, issuedAt, keyChanged, previousKey } or null
+ */
+export const lookupEncryptionKey = async (address, { refresh = false } = {}) => {
+  if (!address) return null;
+  const addr = address.toLowerCase();
+
+  const cached = lookupCache.get(addr);
+  if (!refresh && cached && Date.now() - cached.fetchedAt < LOOKUP_TTL_MS) {
+    return cached.result;
+  }
+
+  const [anchoredKey, record] = await Promise.all([
+    getAnchoredKey(addr),
+    fetchKeyRecord(addr)
+  ]);
+
+  // A key re-published to Gun after the anchor supersedes the anchor
+  const anchorSuperseded = anchoredKey && record && record.publicKey !== anchoredKey &&
+    await isNewerThanAnchor(addr, record);
+
+  let result = null;
+  if (anchoredKey && !anchorSuperseded) {
+    result = { address: addr, publicKey: anchoredKey, source: 'chain', issuedAt: null };
+  } else if (record) {
+    result = { address: addr, publicKey: record.publicKey, source: 'gun', issuedAt: record.issuedAt };
+  }
+
+  if (result) {
+    result.signingKey = record ? record.signingKey || null : null;
+    if (result.signingKey) {
+      rememberSigningKey(addr, result.signingKey);
+    }
+
+    const pinned = getPinnedKey(addr);
+    if (!pinned) {
+      pinKey(addr, result.publicKey);
+      result.keyChanged = false;
+      result.previousKey = null;
+    } else {
+      result.keyChanged = pinned !== result.publicKey;
+      result.previousKey = result.keyChanged ? pinned : null;
+      if (result.keyChanged) {
+        console.warn(`⚠️ Encryption key for ${addr} has changed since you last chatted`);
+      }
+    }
+  }
+
+  lookupCache.set(addr, { result, fetchedAt: Date.now() });
+  return result;
+};
+
+/**
+ * Look up keys for several contacts at once
+ *
+ * @param {string[]} addresses - Wallet addresses
+ * @returns {Promise<Object<string, object|null>>} Map of lowercase address → lookup result
+ */
+export const lookupEncryptionKeys = async (addresses) => {
+  const results = await Promise.all(addresses.map(addr => lookupEncryptionKey(addr)));
+  return addresses.reduce((acc, addr, i) => {
+    acc[addr.toLowerCase()] = results[i];
+    return acc;
+  }, {});
+};
+
+export default {
+  buildKeyStatement,
+  verifyKeyRecord,
+  getKeyFingerprint,
+  signStatement,
+  publishEncryptionKey,
+  anchorEncryptionKey,
+  getAnchoredKey,
+  getAnchoredAt,
+  fetchKeyRecord,
+  getPinnedKey,
+  getTrustedKeys,
+  getKnownSigningKeys,
+  acceptKeyChange,
+  lookupEncryptionKey,
+  lookupEncryptionKeys
+};
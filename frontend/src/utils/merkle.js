@@ -0,0 +1,114 @@
+/**
+ * merkle.js
+ *
+ * Merkle trees for batched message anchoring, matching
+ * ChatMetadata.verifyBatchInclusion:
+ *   - leaf  = keccak256(abi.encode(receiver, messageHash, ipfsHash))
+ *   - node  = keccak256(min(a, b) ‖ max(a, b))   (sorted pairs, so proofs
+ *             don't need left/right flags)
+ *   - an odd node at the end of a level is carried up unchanged
+ */
+
+import Web3 from 'web3';
+
+const abiCoder = new Web3().eth.abi;
+
+/**
+ * Leaf hash for a batched direct message
+ *
+ * @param {string} receiver - Receiver wallet address
+ * @param {string} messageHash - bytes32 hash of the message (hashMessage)
+ * @param {string} ipfsHash - IPFS CID of the message ('' if none)
+ * @returns {string} bytes32 hex
+ */
+export const computeMessageLeaf = (receiver, messageHash, ipfsHash = '') => {
+  return Web3.utils.keccak256(
+    abiCoder.encodeParameters(['address', 'bytes32', 'string'], [receiver, messageHash, ipfsHash || ''])
+  );
+};
+
+const hashPair = (a, b) => {
+  const [first, second] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+  return Web3.utils.keccak256(`0x${first.slice(2)}${second.slice(2)}`);
+};
+
+/**
+ * Build every level of the tree, leaves first
+ *
+ * @param {string[]} leaves - bytes32 hex leaves
+ * @returns {string[][]}
+ */
+export const buildMerkleTree = (leaves) => {
+  if (!leaves || leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+
+  const levels = [leaves.map(leaf => leaf.toLowerCase())];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+};
+
+/**
+ * Root of the tree over `leaves`
+ *
+ * @param {string[]} leaves - bytes32 hex leaves
+ * @returns {string}
+ */
+export const getMerkleRoot = (leaves) => {
+  const levels = buildMerkleTree(leaves);
+  return levels[levels.length - 1][0];
+};
+
+/**
+ * Inclusion proof (sibling hashes, bottom up) for the leaf at `index`
+ *
+ * @param {string[]} leaves - bytes32 hex leaves
+ * @param {number} index - Position of the leaf
+ * @returns {string[]}
+ */
+export const getMerkleProof = (leaves, index) => {
+  if (index < 0 || index >= leaves.length) {
+    throw new Error('Leaf index out of range');
+  }
+
+  const levels = buildMerkleTree(leaves);
+  const proof = [];
+  let position = index;
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const level = levels[depth];
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+    if (sibling < level.length) {
+      proof.push(level[sibling]);
+    }
+    position = Math.floor(position / 2);
+  }
+  return proof;
+};
+
+/**
+ * Check a proof locally (same result as the contract's verifyBatchInclusion)
+ *
+ * @param {string} leaf - bytes32 hex leaf
+ * @param {string[]} proof - Sibling hashes from getMerkleProof
+ * @param {string} root - Expected root
+ * @returns {boolean}
+ */
+export const verifyMerkleProof = (leaf, proof, root) => {
+  const computed = proof.reduce((node, sibling) => hashPair(node, sibling), leaf.toLowerCase());
+  return computed === (root || '').toLowerCase();
+};
+
+export default {
+  computeMessageLeaf,
+  buildMerkleTree,
+  getMerkleRoot,
+  getMerkleProof,
+  verifyMerkleProof
+};
@@ -0,0 +1,185 @@
+/**
+ * messageBatcher.js
+ *
+ * Batching mode for on-chain message anchoring.
+ *
+ * Instead of one storeMetadata transaction per message, sent messages are
+ * queued in localStorage. When the batch is flushed:
+ *   1. a manifest listing { receiver, messageHash, ipfsHash, timestamp } for
+ *      every queued message is uploaded to IPFS
+ *   2. the Merkle root over the messages' leaves is anchored with a single
+ *      anchorMessageBatch transaction
+ *   3. each message's inclusion proof is kept locally (the manifest lets any
+ *      reader rebuild the proofs — see getBatchedMessages in blockchain.js)
+ */
+
+import { anchorMessageBatch, storeMessageMetadata } from './blockchain';
+import { uploadToIPFS } from './ipfs';
+import { computeMessageLeaf, getMerkleRoot, getMerkleProof } from './merkle';
+
+const BATCHING_ENABLED_KEY = 'message_batching_enabled';
+const PROOFS_STORAGE_KEY = 'message_batch_proofs';
+const MANIFEST_VERSION = 1;
+
+// Flush once a batch is this large or its oldest message this old
+export const BATCH_MAX_SIZE = 32;
+export const BATCH_MAX_AGE_MS = 10 * 60 * 1000;
+
+const queueStorageKey = (sender) => `message_batch_queue_${sender.toLowerCase()}`;
+
+// Senders with a flush in flight (a second flush would anchor the same messages)
+const flushing = new Set();
+
+/**
+ * Whether sent messages are batched instead of anchored one by one
+ *
+ * @returns {boolean}
+ */
+export const isBatchingEnabled = () => localStorage.getItem(BATCHING_ENABLED_KEY) === 'true';
+
+/**
+ * Turn batching mode on or off
+ *
+ * @param {boolean} enabled
+ */
+export const setBatchingEnabled = (enabled) => {
+  localStorage.setItem(BATCHING_ENABLED_KEY, enabled ? 'true' : 'false');
+};
+
+/**
+ * Messages waiting for the next batch anchor
+ *
+ * @param {string} sender - Sender wallet address
+ * @returns {Array<{receiver, messageHash, ipfsHash, timestamp}>}
+ */
+export const getPendingBatch = (sender) => {
+  if (!sender) return [];
+  return JSON.parse(localStorage.getItem(queueStorageKey(sender)) || '[]');
+};
+
+/**
+ * Add a sent message to the pending batch
+ *
+ * @param {string} sender - Sender wallet address
+ * @param {string} receiver - Receiver wallet address
+ * @param {string} messageHash - bytes32 hash of the message
+ * @param {string} ipfsHash - IPFS CID of the message
+ * @returns {number} Pending batch size
+ */
+export const queueMessageForBatch = (sender, receiver, messageHash, ipfsHash = '') => {
+  const queue = getPendingBatch(sender);
+  queue.push({
+    receiver,
+    messageHash,
+    ipfsHash: ipfsHash || '',
+    timestamp: Math.floor(Date.now() / 1000)
+  });
+  localStorage.setItem(queueStorageKey(sender), JSON.stringify(queue));
+  return queue.length;
+};
+
+/**
+ * Anchor a sent message: queued when batching is on, otherwise stored on-chain
+ * right away with storeMetadata
+ *
+ * @returns {Promise<{batched: boolean, transactionHash?: string}>}
+ */
+export const anchorMessage = async (sender, receiver, messageHash, ipfsHash = '') => {
+  if (isBatchingEnabled()) {
+    const size = queueMessageForBatch(sender, receiver, messageHash, ipfsHash);
+    console.log(`🌱 Message queued for batch anchoring (${size} pending)`);
+    return { batched: true };
+  }
+  const transactionHash = await storeMessageMetadata(sender, receiver, messageHash, ipfsHash);
+  return { batched: false, transactionHash };
+};
+
+/**
+ * Whether the pending batch should be anchored now
+ *
+ * @param {string} sender - Sender wallet address
+ * @returns {boolean}
+ */
+export const isBatchDue = (sender) => {
+  const queue = getPendingBatch(sender);
+  if (queue.length === 0) return false;
+  if (queue.length >= BATCH_MAX_SIZE) return true;
+  return Date.now() - queue[0].timestamp * 1000 >= BATCH_MAX_AGE_MS;
+};
+
+/**
+ * Anchor every pending message in one transaction and record their proofs
+ *
+ * @param {string} sender - Sender wallet address
+ * @returns {Promise<object|null>} { batchId, merkleRoot, messageCount, manifestCid, transactionHash } or null if nothing was pending
+ */
+export const flushMessageBatch = async (sender) => {
+  const key = sender.toLowerCase();
+  if (flushing.has(key)) return null;
+
+  const queue = getPendingBatch(sender);
+  if (queue.length === 0) return null;
+
+  flushing.add(key);
+  try {
+    const leaves = queue.map(m => computeMessageLeaf(m.receiver, m.messageHash, m.ipfsHash));
+    const merkleRoot = getMerkleRoot(leaves);
+
+    const manifest = {
+      version: MANIFEST_VERSION,
+      sender,
+      merkleRoot,
+      messages: queue
+    };
+    const manifestCid = await uploadToIPFS(JSON.stringify(manifest), {
+      sender,
+      timestamp: new Date().toISOString()
+    });
+
+    const { batchId, transactionHash } = await anchorMessageBatch(merkleRoot, queue.length, manifestCid);
+
+    const proofs = JSON.parse(localStorage.getItem(PROOFS_STORAGE_KEY) || '{}');
+    queue.forEach((message, index) => {
+      proofs[message.messageHash.toLowerCase()] = {
+        batchId,
+        merkleRoot,
+        index,
+        proof: getMerkleProof(leaves, index)
+      };
+    });
+    localStorage.setItem(PROOFS_STORAGE_KEY, JSON.stringify(proofs));
+
+    // Keep anything queued while the transaction was pending
+    const remaining = getPendingBatch(sender).slice(queue.length);
+    localStorage.setItem(queueStorageKey(sender), JSON.stringify(remaining));
+
+    return { batchId, merkleRoot, messageCount: queue.length, manifestCid, transactionHash };
+  } finally {
+    flushing.delete(key);
+  }
+};
+
+/**
+ * Inclusion proof recorded for one of our batched messages
+ *
+ * @param {string} messageHash - bytes32 hash of the message
+ * @returns {object|null} { batchId, merkleRoot, index, proof }
+ */
+export const getBatchProof = (messageHash) => {
+  if (!messageHash) return null;
+  const proofs = JSON.parse(localStorage.getItem(PROOFS_STORAGE_KEY) || '{}');
+  return proofs[messageHash.toLowerCase()] || null;
+};
+
+export default {
+  BATCH_MAX_SIZE,
+  BATCH_MAX_AGE_MS,
+  isBatchingEnabled,
+  setBatchingEnabled,
+  getPendingBatch,
+  queueMessageForBatch,
+  anchorMessage,
+  isBatchDue,
+  flushMessageBatch,
+  getBatchProof
+};
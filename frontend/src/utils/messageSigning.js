@@ -0,0 +1,221 @@
+/**
+ * messageSigning.js
+ *
+ * Authorship proofs for messages in the Gun chat graph.
+ *
+ * Any Gun peer can write under `chats/<pairKey>`, so every record we write is
+ * signed with the author's chat signing key (ECDSA P-256, generated locally
+ * like the ECDH chat key). The signing public key is published inside the
+ * wallet-signed key registry record, which ties it to the wallet address.
+ *
+ * Records also name the signing key they were made with (`signingKey`), so
+ * readers know which of the sender's keys to check — the sender may have
+ * moved devices since. Readers re-derive the canonical form of a record and
+ * check the signature against the signing keys the claimed `sender` has
+ * registered (current and earlier ones, see keyRegistry.getKnownSigningKeys):
+ *   - verified   → signature valid for one of the sender's registered keys
+ *   - invalid    → signature wrong for the registered key it names (forgery)
+ *                  — callers drop these
+ *   - unverified → no signature, a key we never saw the sender register, or
+ *                  the registry couldn't be reached
+ */
+
+import { lookupEncryptionKey, getKnownSigningKeys } from './keyRegistry';
+
+const ECDSA_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Fields covered by the signature, in order. Gun's own node id is excluded so
+// a record can be re-stored (e.g. synced from the relay) without re-signing.
+const CANONICAL_FIELDS = [
+  'sender',
+  'receiver',
+  'content',
+  'time',
+  'timestamp',
+  'type',
+  'encrypted',
+  'messageHash',
+  'ipfsHash',
+  'fileSize',
+  'fileType'
+];
+
+export const SIGNATURE_STATUS = {
+  VERIFIED: 'verified',
+  INVALID: 'invalid',
+  UNVERIFIED: 'unverified'
+};
+
+const textEncoder = new TextEncoder();
+
+const bufferToBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+const base64ToBuffer = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+const keyPairStorageKey = (address) => `chat_signing_keypair_${address.toLowerCase()}`;
+
+// Key pair loads in flight, per address, so concurrent first calls share one key
+const keyPairLoads = new Map();
+
+/**
+ * Load the chat signing key pair for an address, generating one on first use.
+ * Calls made while a load is running get the same key pair.
+ *
+ * @param {string} address - Wallet address
+ * @returns {Promise<{publicKey: string, privateKey: CryptoKey}>} Public key as base64 (raw point)
+ */
+export const ensureSigningKeyPair = async (address) => {
+  if (!address) {
+    throw new Error('Wallet address is required for a signing key');
+  }
+
+  const addr = address.toLowerCase();
+  if (!keyPairLoads.has(addr)) {
+    const load = loadSigningKeyPair(address);
+    keyPairLoads.set(addr, load);
+    load.finally(() => keyPairLoads.delete(addr)).catch(() => {});
+  }
+  return keyPairLoads.get(addr);
+};
+
+const loadSigningKeyPair = async (address) => {
+  const storageKey = keyPairStorageKey(address);
+  const stored = localStorage.getItem(storageKey);
+
+  if (stored) {
+    const { publicKey, privateJwk } = JSON.parse(stored);
+    const privateKey = await crypto.subtle.importKey('jwk', privateJwk, ECDSA_PARAMS, false, ['sign']);
+    return { publicKey, privateKey };
+  }
+
+  console.log('🖋️ Generating new message signing key for', address);
+  const keyPair = await crypto.subtle.generateKey(ECDSA_PARAMS, true, ['sign', 'verify']);
+  const publicKey = bufferToBase64(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+  const privateJwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+
+  localStorage.setItem(storageKey, JSON.stringify({
+    publicKey,
+    privateJwk,
+    createdAt: new Date().toISOString()
+  }));
+
+  const privateKey = await crypto.subtle.importKey('jwk', privateJwk, ECDSA_PARAMS, false, ['sign']);
+  return { publicKey, privateKey };
+};
+
+/**
+ * Canonical string form of a message record (what gets signed)
+ *
+ * @param {object} record - Normalized Gun message record
+ * @returns {string}
+ */
+export const canonicalizeMessage = (record) => {
+  return JSON.stringify(
+    CANONICAL_FIELDS.map(field => {
+      const value = record[field];
+      if (value === undefined || value === null) return '';
+      return field === 'sender' || field === 'receiver' ? String(value).toLowerCase() : String(value);
+    })
+  );
+};
+
+/**
+ * Sign a normalized message record with the author's chat signing key
+ *
+ * @param {string} account - Author wallet address (must match record.sender)
+ * @param {object} record - Normalized Gun message record
+ * @returns {Promise<string>} Base64 signature
+ */
+export const signMessageRecord = async (account, record) => {
+  try {
+    if ((record.sender || '').toLowerCase() !== account.toLowerCase()) {
+      throw new Error('Can only sign messages you authored');
+    }
+    const { privateKey } = await ensureSigningKeyPair(account);
+    const signature = await crypto.subtle.sign(
+      SIGN_PARAMS,
+      privateKey,
+      textEncoder.encode(canonicalizeMessage(record))
+    );
+    return bufferToBase64(signature);
+  } catch (error) {
+    console.error('❌ Error signing message:', error);
+    throw new Error(`Failed to sign message: ${error.message}`);
+  }
+};
+
+// Whether a signature over the record checks out against one signing key
+const verifyWithKey = async (record, signingKey) => {
+  try {
+    const publicKey = await crypto.subtle.importKey(
+      'raw', base64ToBuffer(signingKey), ECDSA_PARAMS, false, ['verify']
+    );
+    return await crypto.subtle.verify(
+      SIGN_PARAMS,
+      publicKey,
+      base64ToBuffer(record.signature),
+      textEncoder.encode(canonicalizeMessage(record))
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Verify a record's signature against the sender's registered signing keys
+ *
+ * @param {object} record - Gun message record (with optional `signature` and `signingKey`)
+ * @returns {Promise<string>} One of SIGNATURE_STATUS
+ */
+export const verifyMessageRecord = async (record) => {
+  if (!record || !record.signature || !record.sender) {
+    return SIGNATURE_STATUS.UNVERIFIED;
+  }
+
+  let knownKeys;
+  try {
+    // The lookup adds the sender's current signing key to the known ones
+    await lookupEncryptionKey(record.sender);
+    knownKeys = getKnownSigningKeys(record.sender);
+  } catch (error) {
+    console.warn('⚠️ Signature check skipped, key registry unavailable:', error.message);
+    return SIGNATURE_STATUS.UNVERIFIED;
+  }
+
+  // Records from before `signingKey` was stored are tried against every known key
+  const candidates = record.signingKey
+    ? knownKeys.filter(key => key === record.signingKey)
+    : knownKeys;
+  if (candidates.length === 0) {
+    return SIGNATURE_STATUS.UNVERIFIED;
+  }
+
+  for (const signingKey of candidates) {
+    if (await verifyWithKey(record, signingKey)) {
+      return SIGNATURE_STATUS.VERIFIED;
+    }
+  }
+
+  // Without a named key, the record may come from a key we never saw
+  if (!record.signingKey) {
+    return SIGNATURE_STATUS.UNVERIFIED;
+  }
+  console.warn(`⚠️ Forged or altered message claiming sender ${record.sender}`);
+  return SIGNATURE_STATUS.INVALID;
+};
+
+export default {
+  ensureSigningKeyPair,
+  canonicalizeMessage,
+  signMessageRecord,
+  verifyMessageRecord,
+  SIGNATURE_STATUS
+};
@@ -10,17 +10,38 @@
  * 
  * localStorage is NO LONGER used for message persistence.
  * This makes the app a true dApp.
+ *
+ * Every message is sealed with end-to-end encryption (see e2ee.js) before it
+ * reaches GunDB or the server relay, and opened again on the way back out,
+ * so neither transport ever sees plaintext.
+ *
+ * Sealed records are also signed by their author (see messageSigning.js).
+ * Records whose signature does not match the claimed sender are dropped on
+ * load; the rest carry a `signatureStatus` for the UI.
+ *
+ * Incoming messages from users on the reader's block list (see blockList.js)
+ * are dropped as well, on load and live.
  */
 
 import { 
   storeMessageInGun, 
   loadMessagesFromGun, 
-  subscribeToMessages,
+  subscribeToMessages as subscribeToGunMessages,
+  normalizeGunMessage,
   getChatPairKey 
 } from './gunDB';
+import { sealMessage, openMessage } from './e2ee';
+import { ensureSigningKeyPair, signMessageRecord, verifyMessageRecord, SIGNATURE_STATUS } from './messageSigning';
+import { isBlocked, loadBlockList } from './blockList';
 
 const SIGNALING_SERVER = process.env.REACT_APP_SIGNALING_SERVER || 'http://localhost:8000';
 
+// Someone else's message, from an address the reader has blocked
+const isFromBlockedUser = (account, msg) => {
+  const sender = (msg.sender || msg.from || '').toLowerCase();
+  return sender !== account.toLowerCase() && isBlocked(account, sender);
+};
+
 /**
  * Store a message on the signaling server (fallback/relay)
  * @param {string} sender - Sender wallet address
@@ -96,18 +117,39 @@ export const getMessagesFromServer = async (user1, user2, limit = 200) => {
  * @returns {Promise<Array>} Merged, deduplicated, sorted messages
  */
 export const loadMessagesFromAllSources = async (account, receiver) => {
+  // The block list syncs while the messages load; it is needed before filtering
+  const blockListLoaded = loadBlockList(account);
+
   // Load from GunDB (primary decentralized source) and server (fallback) in parallel
-  const [gunMessages, serverMessages] = await Promise.all([
-    loadMessagesFromGun(account, receiver),
+  const [gunMessages, rawServerMessages] = await Promise.all([
+    loadMessagesFromGun(account, receiver, { verify: verifyMessageRecord }),
     getMessagesFromServer(account, receiver)
   ]);
+  await blockListLoaded;
+
+  // The relay is just another untrusted copy — hold it to the same check
+  const serverMessages = [];
+  for (const msg of rawServerMessages) {
+    const signatureStatus = await verifyMessageRecord(msg);
+    if (signatureStatus === SIGNATURE_STATUS.INVALID) {
+      console.warn('🚫 Dropping forged server message claiming sender', msg.sender);
+      continue;
+    }
+    serverMessages.push({ ...msg, signatureStatus });
+  }
 
   console.log(`📊 Sources: GunDB=${gunMessages.length}, Server=${serverMessages.length}`);
 
+  // Decrypt before deduplicating — every sealed copy has a different IV
+  const allMessages = await Promise.all(
+    [...gunMessages, ...serverMessages].map(msg => openMessage(account, receiver, msg))
+  );
+
   // Merge and deduplicate — GunDB messages take priority
-  const allMessages = [...gunMessages, ...serverMessages];
   const seen = new Set();
   const uniqueMessages = allMessages.filter(msg => {
+    if (isFromBlockedUser(account, msg)) return false;
+
     // Create a fingerprint for deduplication
     const content = msg.content || msg.text || '';
     const sender = (msg.sender || msg.from || '').toLowerCase();
@@ -134,7 +176,8 @@ export const loadMessagesFromAllSources = async (account, receiver) => {
     console.log('🔄 Syncing server messages to GunDB...');
     for (const msg of serverMessages) {
       try {
-        await storeMessageInGun(account, receiver, msg);
+        const { signatureStatus, ...record } = msg;
+        await storeMessageInGun(account, receiver, record);
       } catch (e) {
         // Non-critical, just log
         console.warn('Sync to GunDB failed for a message:', e.message);
@@ -148,36 +191,58 @@ export const loadMessagesFromAllSources = async (account, receiver) => {
 /**
  * Save a message to GunDB (primary) and server (relay backup).
  * No localStorage involved — truly decentralized.
+ * The message is sealed and signed first; if either fails nothing is stored.
+ * Only messages authored by `account` can be saved.
  */
 export const saveMessage = async (account, receiver, message) => {
+  let sealed;
+  try {
+    const record = normalizeGunMessage(account, receiver, await sealMessage(account, receiver, message));
+    const { publicKey: signingKey } = await ensureSigningKeyPair(account);
+    sealed = { ...record, signature: await signMessageRecord(account, record), signingKey };
+  } catch (err) {
+    console.error('❌ Message not saved:', err.message);
+    return;
+  }
+
   // Save to GunDB immediately (decentralized, persistent)
   try {
-    await storeMessageInGun(account, receiver, message);
+    await storeMessageInGun(account, receiver, sealed);
     console.log('✅ Message saved to GunDB (decentralized)');
   } catch (err) {
     console.error('❌ GunDB save failed:', err);
   }
 
   // Also relay to server in background (non-blocking, fallback)
-  storeMessageOnServer(account, receiver, message).catch(err => {
+  storeMessageOnServer(account, receiver, sealed).catch(err => {
     console.warn('Background server relay failed:', err);
   });
 };
 
 /**
  * Subscribe to real-time messages from GunDB.
- * Returns an unsubscribe function.
+ * Forged messages and messages from blocked users are dropped; the rest
+ * carry `signatureStatus`. Returns an unsubscribe function.
  * 
  * @param {string} account - Current user's wallet address
  * @param {string} receiver - Chat partner's wallet address
  * @param {Function} onNewMessage - Callback for new messages
  * @returns {Function} Unsubscribe function
  */
-export { subscribeToMessages } from './gunDB';
+export const subscribeToMessages = (account, receiver, onNewMessage) => {
+  // On a cold start the local copy may be empty until the signed list arrives
+  const blockListLoaded = loadBlockList(account);
+  return subscribeToGunMessages(account, receiver, async (msg) => {
+    await blockListLoaded;
+    if (isFromBlockedUser(account, msg)) return;
+    onNewMessage(await openMessage(account, receiver, msg));
+  }, { verify: verifyMessageRecord });
+};
 
 export default {
   storeMessageOnServer,
   getMessagesFromServer,
   loadMessagesFromAllSources,
-  saveMessage
+  saveMessage,
+  subscribeToMessages
 };
@@ -0,0 +1,288 @@
+/**
+ * names.js
+ *
+ * `.chat` names from the NameRegistry contract (ENS-style: each wallet can
+ * hold one name, resolvable both ways):
+ *
+ *   - resolveName('alice.chat') → address (forward lookup)
+ *   - lookupName(address) → 'alice.chat' (reverse lookup); lookupNames()
+ *     does a whole list in one call
+ *   - resolveAddressInput() accepts an address or a name, for every field
+ *     where the user types a wallet
+ *   - results are cached in memory and localStorage (NAME_CACHE_TTL_MS, or
+ *     NAME_MISS_TTL_MS for "no name"); getCachedName() answers from the
+ *     cache so headers can render before the lookup returns
+ *   - registerName()/releaseName() go through the transaction manager
+ *
+ * The registry address resolves like the chat contract's (see chains.js), so
+ * a local `truffle migrate` deploys one for testing.
+ */
+
+import Web3 from 'web3';
+import NameRegistryABI from '../abis/NameRegistry.json';
+import { getActiveChain } from './chains';
+import { initWeb3, getReadWeb3 } from './blockchain';
+import { sendTransaction } from './txManager';
+
+const ACTIVE_CHAIN = getActiveChain();
+const REGISTRY_ADDRESS = ACTIVE_CHAIN.nameRegistryAddress;
+const CACHE_STORAGE_KEY = `name_cache_${ACTIVE_CHAIN.chainId}`;
+const NAME_CACHE_TTL_MS = 10 * 60 * 1000;
+// "No name" is rechecked sooner, so a name registered elsewhere shows up quickly
+const NAME_MISS_TTL_MS = 60 * 1000;
+
+export const NAME_SUFFIX = '.chat';
+
+// Same rule as NameRegistry.isValidLabel: 3-32 of a-z, 0-9 and inner hyphens
+const LABEL_PATTERN = /^[a-z0-9][a-z0-9-]{1,30}[a-z0-9]$/;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const ZERO_ADDRESS = /^0x0{40}$/i;
+
+const loadCache = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CACHE_STORAGE_KEY) || '{}');
+    return { forward: saved.forward || {}, reverse: saved.reverse || {} };
+  } catch (error) {
+    return { forward: {}, reverse: {} };
+  }
+};
+
+// forward: label → { address, at }   reverse: lowercase address → { label, at }
+const cache = loadCache();
+
+const saveCache = () => {
+  try {
+    localStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(cache));
+  } catch (error) {
+    console.warn('⚠️ Could not save name cache:', error.message);
+  }
+};
+
+const isFresh = (entry, value) =>
+  Boolean(entry) && Date.now() - entry.at < (value ? NAME_CACHE_TTL_MS : NAME_MISS_TTL_MS);
+
+// Record a lookup result; a registered pair is cached in both directions
+const remember = ({ label, address }) => {
+  const at = Date.now();
+  if (label) cache.forward[label] = { address: address || null, at };
+  if (address) cache.reverse[address.toLowerCase()] = { label: label || null, at };
+};
+
+let readRegistry = null;
+let readRegistryWeb3 = null;
+
+const getReadRegistry = () => {
+  const reader = getReadWeb3();
+  if (!readRegistry || readRegistryWeb3 !== reader) {
+    readRegistry = new reader.eth.Contract(NameRegistryABI.abi, REGISTRY_ADDRESS);
+    readRegistryWeb3 = reader;
+  }
+  return readRegistry;
+};
+
+const requireRegistry = () => {
+  if (!REGISTRY_ADDRESS) {
+    throw new Error(`Names are not available on ${ACTIVE_CHAIN.name}. Set REACT_APP_NAME_REGISTRY_ADDRESS_${ACTIVE_CHAIN.chainId} in .env`);
+  }
+};
+
+/**
+ * Whether a name registry is configured for the active chain
+ * @returns {boolean}
+ */
+export const isNameRegistryConfigured = () => Boolean(REGISTRY_ADDRESS);
+
+/**
+ * Registry label of a name ('Alice.chat' → 'alice')
+ * @param {string} name - Name with or without the `.chat` suffix
+ * @returns {string|null} Label, or null if it isn't a valid name
+ */
+export const toLabel = (name) => {
+  const label = String(name || '').trim().toLowerCase();
+  const bare = label.endsWith(NAME_SUFFIX) ? label.slice(0, -NAME_SUFFIX.length) : label;
+  return LABEL_PATTERN.test(bare) ? bare : null;
+};
+
+/**
+ * Display form of a label ('alice' → 'alice.chat')
+ * @param {string} label
+ * @returns {string}
+ */
+export const formatName = (label) => `${label}${NAME_SUFFIX}`;
+
+/**
+ * Forward lookup: the address a name resolves to
+ * @param {string} name - e.g. 'alice.chat' or 'alice'
+ * @returns {Promise<string|null>} Checksummed address, or null if unregistered
+ */
+export const resolveName = async (name) => {
+  const label = toLabel(name);
+  if (!label || !REGISTRY_ADDRESS) return null;
+
+  const cached = cache.forward[label];
+  if (isFresh(cached, cached?.address)) return cached.address;
+
+  try {
+    const owner = await getReadRegistry().methods.resolve(label).call();
+    const address = ZERO_ADDRESS.test(owner) ? null : Web3.utils.toChecksumAddress(owner);
+    remember({ label, address });
+    saveCache();
+    return address;
+  } catch (error) {
+    console.warn(`⚠️ Could not resolve ${formatName(label)}:`, error.message);
+    return cached?.address || null;
+  }
+};
+
+/**
+ * Reverse lookup for many addresses in one call
+ * @param {string[]} addresses - Wallet addresses
+ * @returns {Promise<Map<string, string>>} lowercase address → 'name.chat', for those with a name
+ */
+export const lookupNames = async (addresses) => {
+  const unique = [...new Set((addresses || []).filter(Boolean).map(address => address.toLowerCase()))];
+
+  const stale = unique.filter(address => !isFresh(cache.reverse[address], cache.reverse[address]?.label));
+  if (stale.length > 0 && REGISTRY_ADDRESS) {
+    try {
+      const labels = await getReadRegistry().methods.namesOf(stale).call();
+      stale.forEach((address, i) => remember({ label: labels[i] || null, address: Web3.utils.toChecksumAddress(address) }));
+      saveCache();
+    } catch (error) {
+      console.warn('⚠️ Reverse name lookup failed:', error.message);
+    }
+  }
+
+  return new Map(unique
+    .filter(address => cache.reverse[address]?.label)
+    .map(address => [address, formatName(cache.reverse[address].label)]));
+};
+
+/**
+ * Reverse lookup: the name an address holds
+ * @param {string} address - Wallet address
+ * @returns {Promise<string|null>} 'name.chat', or null
+ */
+export const lookupName = async (address) => {
+  if (!address) return null;
+  const names = await lookupNames([address]);
+  return names.get(address.toLowerCase()) || null;
+};
+
+/**
+ * Last known name of an address, without a lookup (may be stale)
+ * @param {string} address - Wallet address
+ * @returns {string|null}
+ */
+export const getCachedName = (address) => {
+  const label = address ? cache.reverse[address.toLowerCase()]?.label : null;
+  return label ? formatName(label) : null;
+};
+
+/**
+ * Turn what the user typed into an address: a 0x address is taken as is,
+ * anything else is looked up as a `.chat` name
+ * @param {string} input - Address or name
+ * @returns {Promise<string>} Checksummed address
+ * @throws {Error} If the input is neither a valid address nor a registered name
+ */
+export const resolveAddressInput = async (input) => {
+  const value = String(input || '').trim();
+  if (ADDRESS_PATTERN.test(value)) return Web3.utils.toChecksumAddress(value.toLowerCase());
+  if (value.toLowerCase().startsWith('0x')) {
+    throw new Error('Please enter a valid Ethereum address (0x...)');
+  }
+
+  const label = toLabel(value);
+  if (!label) {
+    throw new Error(`"${value}" is not an address or a valid name`);
+  }
+  requireRegistry();
+
+  const address = await resolveName(label);
+  if (!address) {
+    throw new Error(`${formatName(label)} is not registered`);
+  }
+  return address;
+};
+
+/**
+ * Claim a name for the connected wallet (its previous name is released)
+ * @param {string} name - e.g. 'alice' or 'alice.chat'
+ * @returns {Promise<string>} Transaction hash
+ */
+export const registerName = async (name) => {
+  const label = toLabel(name);
+  if (!label) {
+    throw new Error('Names are 3-32 characters: a-z, 0-9 and hyphens (not at the start or end)');
+  }
+  requireRegistry();
+
+  try {
+    const { web3, account } = await initWeb3();
+    const owner = await resolveName(label);
+    if (owner && owner.toLowerCase() !== account.toLowerCase()) {
+      throw new Error(`${formatName(label)} is already taken`);
+    }
+
+    const previous = cache.reverse[account.toLowerCase()]?.label;
+    const registry = new web3.eth.Contract(NameRegistryABI.abi, REGISTRY_ADDRESS);
+    const tx = await sendTransaction({
+      method: registry.methods.register(label),
+      from: account,
+      label: `Register ${formatName(label)}`,
+      kind: 'name'
+    });
+
+    if (previous) remember({ label: previous, address: null });
+    remember({ label, address: account });
+    saveCache();
+    console.log(`🏷️ Registered ${formatName(label)} for ${account}`);
+    return tx.transactionHash;
+  } catch (error) {
+    console.error('❌ Error registering name:', error);
+    throw new Error(`Failed to register name: ${error.message}`);
+  }
+};
+
+/**
+ * Give up the connected wallet's name
+ * @returns {Promise<string>} Transaction hash
+ */
+export const releaseName = async () => {
+  requireRegistry();
+
+  try {
+    const { web3, account } = await initWeb3();
+    const registry = new web3.eth.Contract(NameRegistryABI.abi, REGISTRY_ADDRESS);
+    const tx = await sendTransaction({
+      method: registry.methods.release(),
+      from: account,
+      label: 'Release name',
+      kind: 'name'
+    });
+
+    const previous = cache.reverse[account.toLowerCase()]?.label;
+    if (previous) remember({ label: previous, address: null });
+    remember({ label: null, address: account });
+    saveCache();
+    return tx.transactionHash;
+  } catch (error) {
+    console.error('❌ Error releasing name:', error);
+    throw new Error(`Failed to release name: ${error.message}`);
+  }
+};
+
+export default {
+  NAME_SUFFIX,
+  isNameRegistryConfigured,
+  toLabel,
+  formatName,
+  resolveName,
+  lookupNames,
+  lookupName,
+  getCachedName,
+  resolveAddressInput,
+  registerName,
+  releaseName
+};
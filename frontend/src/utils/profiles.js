@@ -0,0 +1,200 @@
+/**
+ * profiles.js
+ *
+ * User profiles from the on-chain profile registry:
+ *
+ *   - ChatMetadata maps each wallet to the IPFS CID of its profile JSON
+ *     ({ username, bio, avatar: 'ipfs://<cid>', avatarEmoji, wallet })
+ *     and emits ProfileUpdated when it changes
+ *   - loadProfile()/loadProfiles() read the CIDs (one call for a whole
+ *     member list) and fetch the JSON from IPFS; JSON is cached by CID,
+ *     which never changes, and CIDs are rechecked after PROFILE_CID_TTL_MS
+ *   - getCachedProfile() answers synchronously for first paint
+ *   - publishProfile() pins the JSON and points the registry at it
+ */
+
+import { getReadContract, initWeb3 } from './blockchain';
+import { uploadJsonToIPFS, retrieveFromIPFS, getIPFSFileUrl } from './ipfs';
+import { getActiveChain } from './chains';
+import { sendTransaction } from './txManager';
+
+const ACTIVE_CHAIN = getActiveChain();
+const CACHE_STORAGE_KEY = `profile_cache_${ACTIVE_CHAIN.chainId}`;
+const PROFILE_CID_TTL_MS = 5 * 60 * 1000;
+
+const loadCache = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CACHE_STORAGE_KEY) || '{}');
+    return { cids: saved.cids || {}, documents: saved.documents || {} };
+  } catch (error) {
+    return { cids: {}, documents: {} };
+  }
+};
+
+// cids: lowercase address → { cid, at }   documents: cid → profile JSON
+const cache = loadCache();
+
+const saveCache = () => {
+  try {
+    localStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(cache));
+  } catch (error) {
+    console.warn('⚠️ Could not save profile cache:', error.message);
+  }
+};
+
+// Profile JSON → what the UI shows
+const toProfile = (address, cid, json) => {
+  if (!json) return null;
+  const avatarCid = typeof json.avatar === 'string' ? json.avatar.replace('ipfs://', '') : '';
+  return {
+    address,
+    cid,
+    username: json.username || '',
+    bio: json.bio || '',
+    avatarCid,
+    avatarUrl: avatarCid ? getIPFSFileUrl(avatarCid) : '',
+    avatarEmoji: json.avatarEmoji || ''
+  };
+};
+
+// Profile JSON for a CID, from the cache or IPFS
+const fetchDocument = async (cid) => {
+  if (cache.documents[cid]) return cache.documents[cid];
+  try {
+    const json = await retrieveFromIPFS(cid);
+    if (json && typeof json === 'object') {
+      cache.documents[cid] = json;
+      saveCache();
+      return json;
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not fetch profile ${cid}:`, error.message);
+  }
+  return null;
+};
+
+/**
+ * Profile CIDs for many users in one call (cached for PROFILE_CID_TTL_MS)
+ *
+ * @param {string[]} addresses - Wallet addresses
+ * @returns {Promise<Map<string, string>>} lowercase address → CID, for users with a profile
+ */
+export const getProfileCids = async (addresses) => {
+  const unique = [...new Set((addresses || []).filter(Boolean).map(address => address.toLowerCase()))];
+
+  const stale = unique.filter(address => {
+    const entry = cache.cids[address];
+    return !entry || Date.now() - entry.at >= PROFILE_CID_TTL_MS;
+  });
+  if (stale.length > 0) {
+    try {
+      const cids = await getReadContract().methods.getProfiles(stale).call();
+      const at = Date.now();
+      stale.forEach((address, i) => {
+        cache.cids[address] = { cid: cids[i] || '', at };
+      });
+      saveCache();
+    } catch (error) {
+      console.warn('⚠️ Could not read profile registry:', error.message);
+    }
+  }
+
+  return new Map(unique
+    .filter(address => cache.cids[address]?.cid)
+    .map(address => [address, cache.cids[address].cid]));
+};
+
+/**
+ * Profiles of many users (e.g. friends or a group's members)
+ *
+ * @param {string[]} addresses - Wallet addresses
+ * @returns {Promise<Map<string, object>>} lowercase address → { address, cid, username, bio, avatarUrl, avatarEmoji }
+ */
+export const loadProfiles = async (addresses) => {
+  const cids = await getProfileCids(addresses);
+  const entries = await Promise.all([...cids].map(async ([address, cid]) => {
+    const json = await fetchDocument(cid);
+    return [address, toProfile(address, cid, json)];
+  }));
+  return new Map(entries.filter(([, profile]) => profile));
+};
+
+/**
+ * One user's profile
+ *
+ * @param {string} address - Wallet address
+ * @returns {Promise<object|null>} Profile, or null if none is registered
+ */
+export const loadProfile = async (address) => {
+  if (!address) return null;
+  const profiles = await loadProfiles([address]);
+  return profiles.get(address.toLowerCase()) || null;
+};
+
+/**
+ * Last known profile of a user, without any lookup (may be stale)
+ *
+ * @param {string} address - Wallet address
+ * @returns {object|null}
+ */
+export const getCachedProfile = (address) => {
+  const cid = address ? cache.cids[address.toLowerCase()]?.cid : '';
+  return cid ? toProfile(address.toLowerCase(), cid, cache.documents[cid]) : null;
+};
+
+/**
+ * Pin a profile to IPFS and register its CID for the connected wallet
+ *
+ * @param {object} profile - { username, bio, avatarCid, avatarEmoji }
+ * @returns {Promise<{ cid: string, transactionHash: string }>}
+ */
+export const publishProfile = async ({ username = '', bio = '', avatarCid = '', avatarEmoji = '' }) => {
+  try {
+    const { contract, account } = await initWeb3();
+    const json = {
+      username,
+      bio,
+      avatar: avatarCid ? `ipfs://${avatarCid}` : '',
+      avatarEmoji,
+      wallet: account
+    };
+
+    const cid = await uploadJsonToIPFS(json);
+    const tx = await sendTransaction({
+      method: contract.methods.setProfile(cid),
+      from: account,
+      label: 'Update profile',
+      kind: 'profile'
+    });
+
+    cache.documents[cid] = json;
+    cache.cids[account.toLowerCase()] = { cid, at: Date.now() };
+    saveCache();
+
+    console.log('🪪 Profile registered on-chain:', cid);
+    return { cid, transactionHash: tx.transactionHash };
+  } catch (error) {
+    console.error('❌ Error publishing profile:', error);
+    throw new Error(`Failed to publish profile: ${error.message}`);
+  }
+};
+
+/**
+ * Forget a user's cached CID, e.g. after a ProfileUpdated event
+ *
+ * @param {string} address - Wallet address
+ */
+export const invalidateProfile = (address) => {
+  if (!address) return;
+  delete cache.cids[address.toLowerCase()];
+  saveCache();
+};
+
+export default {
+  getProfileCids,
+  loadProfiles,
+  loadProfile,
+  getCachedProfile,
+  publishProfile,
+  invalidateProfile
+};
@@ -0,0 +1,430 @@
+/**
+ * session.js
+ *
+ * Sign-In With Ethereum (EIP-4361) login sessions.
+ *
+ * Logging in used to cost gas: the app sent a dummy `storeMetadata`
+ * transaction just to prove the wallet was live. Instead the wallet now signs
+ * a standard SIWE message — free, and it proves ownership of the address.
+ *
+ *   1. createSiweNonce() issues a single-use nonce (kept as "pending")
+ *   2. buildSiweMessage() renders the EIP-4361 text for this origin
+ *   3. the wallet signs it with personal_sign
+ *   4. verifySiweSession() recovers the signer and checks address, domain,
+ *      nonce and expiry; the pending nonce is consumed so it can't be replayed
+ *
+ * The verified session is stored in localStorage and read back through
+ * getSession(), which drops it once it has expired.
+ *
+ * Session modes:
+ *   - wallet → SIWE message signed by the browser wallet
+ *   - local  → SIWE message signed by a private key held in this browser
+ *              (kept as an encrypted keystore, unlocked for the tab). A
+ *              restored local session stays read-only until the password
+ *              unlocks the key; after that initWeb3() signs with it
+ *   - watch  → an address typed in by hand. Nothing proves ownership, so the
+ *              session is read-only until it is upgraded to one of the above
+ */
+
+import Web3 from 'web3';
+import { initWeb3, getWalletProvider } from './blockchain';
+import { getActiveChainId } from './chains';
+
+const SESSION_STORAGE_KEY = 'chat_session';
+const PENDING_NONCE_STORAGE_KEY = 'siwe_pending_nonce';
+const SIWE_VERSION = '1';
+const SIWE_STATEMENT = 'Sign in to Decentralized Chat. This request will not trigger a blockchain transaction or cost any gas.';
+
+// How long a signed-in session lasts
+export const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+// How long the user has to sign once a nonce is issued
+export const NONCE_TTL_MS = 10 * 60 * 1000;
+
+export const SESSION_MODES = {
+  WALLET: 'wallet',
+  LOCAL: 'local',
+  WATCH: 'watch'
+};
+
+// Shown when a read-only session tries to do something that needs ownership
+export const WATCH_MODE_MESSAGE = 'This is a read-only watch session. Verify you own this address (wallet signature or local key) to do that.';
+
+const localKeystoreStorageKey = (address) => `local_keystore_${address.toLowerCase()}`;
+
+// Local key unlocked in this tab (never persisted in plaintext)
+let unlockedLocalAccount = null;
+
+/**
+ * Issue a fresh single-use nonce (EIP-4361: at least 8 alphanumeric chars)
+ *
+ * @returns {string}
+ */
+export const createSiweNonce = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  const nonce = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  localStorage.setItem(PENDING_NONCE_STORAGE_KEY, JSON.stringify({
+    nonce,
+    expiresAt: new Date(Date.now() + NONCE_TTL_MS).toISOString()
+  }));
+  return nonce;
+};
+
+const consumePendingNonce = (nonce) => {
+  const pending = JSON.parse(localStorage.getItem(PENDING_NONCE_STORAGE_KEY) || 'null');
+  localStorage.removeItem(PENDING_NONCE_STORAGE_KEY);
+  if (!pending || pending.nonce !== nonce) {
+    throw new Error('Sign-in nonce is unknown or was already used');
+  }
+  if (new Date(pending.expiresAt).getTime() < Date.now()) {
+    throw new Error('Sign-in request expired, please try again');
+  }
+};
+
+/**
+ * Render an EIP-4361 message
+ *
+ * @param {object} fields - { domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }
+ * @returns {string}
+ */
+export const buildSiweMessage = ({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) => {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    `Version: ${SIWE_VERSION}`,
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`
+  ].join('\n');
+};
+
+/**
+ * Parse the fields back out of an EIP-4361 message built by buildSiweMessage
+ *
+ * @param {string} message - SIWE message text
+ * @returns {object} { domain, address, statement, uri, version, chainId, nonce, issuedAt, expirationTime }
+ */
+export const parseSiweMessage = (message) => {
+  const lines = message.split('\n');
+  const header = lines[0].match(/^(.+) wants you to sign in with your Ethereum account:$/);
+  if (!header) {
+    throw new Error('Not a Sign-In With Ethereum message');
+  }
+
+  const field = (name) => {
+    const line = lines.find(l => l.startsWith(`${name}: `));
+    return line ? line.slice(name.length + 2) : null;
+  };
+
+  return {
+    domain: header[1],
+    address: lines[1],
+    statement: lines[3],
+    uri: field('URI'),
+    version: field('Version'),
+    chainId: Number(field('Chain ID')),
+    nonce: field('Nonce'),
+    issuedAt: field('Issued At'),
+    expirationTime: field('Expiration Time')
+  };
+};
+
+/**
+ * Check a stored session: the signature must recover to the session address
+ * and the signed message must be for this origin and not yet expired.
+ *
+ * @param {object} session - Session object from signInWithEthereum
+ * @returns {boolean}
+ */
+export const verifySiweSession = (session) => {
+  if (!session || !session.message || !session.signature || !session.address) {
+    return false;
+  }
+  try {
+    const fields = parseSiweMessage(session.message);
+    const signer = new Web3().eth.accounts.recover(session.message, session.signature);
+
+    return signer.toLowerCase() === session.address.toLowerCase() &&
+      fields.address.toLowerCase() === session.address.toLowerCase() &&
+      fields.domain === window.location.host &&
+      fields.version === SIWE_VERSION &&
+      new Date(fields.expirationTime).getTime() > Date.now();
+  } catch (error) {
+    console.warn('⚠️ Invalid sign-in session:', error.message);
+    return false;
+  }
+};
+
+const readStoredSession = () => JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || 'null');
+
+const saveSession = (session) => {
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+};
+
+const assertExpectedAddress = (address, expectedAddress) => {
+  if (expectedAddress && address.toLowerCase() !== expectedAddress.toLowerCase()) {
+    throw new Error(`That key controls ${address}, not ${expectedAddress}`);
+  }
+};
+
+// Build, sign and verify a SIWE session; `sign` turns the message into a signature
+const createSignedSession = async (mode, account, chainId, sign) => {
+  const address = Web3.utils.toChecksumAddress(account);
+  const nonce = createSiweNonce();
+  const issuedAt = new Date().toISOString();
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+
+  const message = buildSiweMessage({
+    domain: window.location.host,
+    address,
+    statement: SIWE_STATEMENT,
+    uri: window.location.origin,
+    chainId,
+    nonce,
+    issuedAt,
+    expirationTime: expiresAt
+  });
+
+  const signature = await sign(message);
+
+  const session = {
+    mode,
+    address: account,
+    chainId,
+    nonce,
+    issuedAt,
+    expiresAt,
+    message,
+    signature
+  };
+
+  consumePendingNonce(nonce);
+  if (!verifySiweSession(session)) {
+    throw new Error('Signature does not match the signing address');
+  }
+
+  saveSession(session);
+  return session;
+};
+
+/**
+ * Sign in with the connected wallet. Prompts a signature, never a transaction.
+ *
+ * @param {object} options - { expectedAddress: require this address (watch session upgrade) }
+ * @returns {Promise<object>} Session { mode, address, chainId, nonce, issuedAt, expiresAt, message, signature }
+ */
+export const signInWithEthereum = async ({ expectedAddress } = {}) => {
+  try {
+    const { web3, account } = await initWeb3({ wallet: true });
+    if (!account) {
+      throw new Error('No wallet account detected');
+    }
+    assertExpectedAddress(account, expectedAddress);
+
+    const chainId = Number(await web3.eth.getChainId());
+    const session = await createSignedSession(SESSION_MODES.WALLET, account, chainId, (message) =>
+      getWalletProvider().request({
+        method: 'personal_sign',
+        params: [Web3.utils.utf8ToHex(message), account]
+      })
+    );
+    unlockedLocalAccount = null;
+
+    console.log('✍️ Signed in with Ethereum as', account);
+    return session;
+  } catch (error) {
+    console.error('❌ Sign-in failed:', error);
+    throw new Error(`Failed to sign in: ${error.message}`);
+  }
+};
+
+/**
+ * Sign in with a private key held in this browser. The key is stored only as
+ * an encrypted keystore (password-protected) and stays unlocked for this tab;
+ * after a reload the session comes back locked (see unlockLocalKey).
+ *
+ * @param {string} privateKey - Hex private key
+ * @param {string} password - Password protecting the stored keystore
+ * @param {object} options - { expectedAddress: require this address (watch session upgrade) }
+ * @returns {Promise<object>} Session (mode 'local')
+ */
+export const signInWithLocalKey = async (privateKey, password, { expectedAddress } = {}) => {
+  try {
+    if (!password || password.length < 8) {
+      throw new Error('Choose a password of at least 8 characters to protect the key');
+    }
+    const normalizedKey = privateKey.trim().startsWith('0x') ? privateKey.trim() : `0x${privateKey.trim()}`;
+    const localAccount = new Web3().eth.accounts.privateKeyToAccount(normalizedKey);
+    assertExpectedAddress(localAccount.address, expectedAddress);
+
+    const chainId = getActiveChainId();
+    const session = await createSignedSession(
+      SESSION_MODES.LOCAL,
+      localAccount.address,
+      chainId,
+      async (message) => localAccount.sign(message).signature
+    );
+
+    const keystore = await localAccount.encrypt(password);
+    localStorage.setItem(localKeystoreStorageKey(localAccount.address), JSON.stringify(keystore));
+    unlockedLocalAccount = localAccount;
+
+    console.log('🔐 Signed in with local key as', localAccount.address);
+    return session;
+  } catch (error) {
+    console.error('❌ Local key sign-in failed:', error);
+    throw new Error(`Failed to sign in: ${error.message}`);
+  }
+};
+
+/**
+ * Unlock the stored keystore of a restored local-key session for this tab
+ *
+ * @param {string} address - Session address
+ * @param {string} password - Password chosen at sign-in
+ * @returns {object} web3 account object
+ */
+export const unlockLocalKey = async (address, password) => {
+  try {
+    const keystore = localStorage.getItem(localKeystoreStorageKey(address));
+    if (!keystore) {
+      throw new Error('No local key is stored in this browser for this address');
+    }
+    const localAccount = await new Web3().eth.accounts.decrypt(keystore, password);
+    assertExpectedAddress(localAccount.address, address);
+    unlockedLocalAccount = localAccount;
+
+    console.log('🔓 Local key unlocked for', localAccount.address);
+    return localAccount;
+  } catch (error) {
+    console.error('❌ Unlocking local key failed:', error);
+    throw new Error(`Failed to unlock local key: ${error.message}`);
+  }
+};
+
+/**
+ * Get the local key unlocked in this tab for an address, if any
+ *
+ * @param {string} address - Wallet address
+ * @returns {object|null} web3 account object (has .sign)
+ */
+export const getLocalSigner = (address) => {
+  if (!unlockedLocalAccount || !address) return null;
+  return unlockedLocalAccount.address.toLowerCase() === address.toLowerCase() ? unlockedLocalAccount : null;
+};
+
+/**
+ * The key this tab signs transactions with while a local-key session is
+ * unlocked (see initWeb3)
+ *
+ * @returns {object|null} web3 account object
+ */
+export const getActiveLocalSigner = () => unlockedLocalAccount;
+
+/**
+ * Whether the stored session is a local-key session, unlocked or not
+ *
+ * @returns {boolean}
+ */
+export const isLocalKeySession = () => readStoredSession()?.mode === SESSION_MODES.LOCAL;
+
+/**
+ * Start a read-only session for an address typed in by hand
+ *
+ * @param {string} address - Wallet address to watch
+ * @returns {object} Session (mode 'watch')
+ */
+export const startWatchSession = (address) => {
+  if (!Web3.utils.isAddress(address)) {
+    throw new Error('Please enter a valid Ethereum address');
+  }
+  const session = {
+    mode: SESSION_MODES.WATCH,
+    address,
+    issuedAt: new Date().toISOString(),
+    expiresAt: null
+  };
+  saveSession(session);
+  console.log('👁️ Watch-only session started for', address);
+  return session;
+};
+
+/**
+ * Whether a session is a local-key session waiting for its password
+ *
+ * @param {object|null} session - Current session
+ * @returns {boolean}
+ */
+export const isLockedLocalSession = (session) => !!session &&
+  session.mode === SESSION_MODES.LOCAL && !getLocalSigner(session.address);
+
+/**
+ * Whether a session can only read: watch sessions (no proof of address
+ * ownership) and local-key sessions whose key is still locked
+ *
+ * @param {object|null} session - Current session
+ * @returns {boolean}
+ */
+export const isReadOnlySession = (session) => !session ||
+  session.mode === SESSION_MODES.WATCH ||
+  isLockedLocalSession(session);
+
+/**
+ * Clear the current session (logout)
+ */
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+  localStorage.removeItem(PENDING_NONCE_STORAGE_KEY);
+  unlockedLocalAccount = null;
+};
+
+/**
+ * Read the current session. Expired or tampered signed sessions are cleared
+ * (along with the remembered wallet address) and null is returned.
+ *
+ * @returns {object|null}
+ */
+export const getSession = () => {
+  const session = readStoredSession();
+  if (!session) return null;
+
+  // Watch sessions prove nothing, so there is nothing to verify or expire
+  if (session.mode === SESSION_MODES.WATCH) return session;
+
+  if (!verifySiweSession(session)) {
+    console.log('⌛ Sign-in session expired or invalid, signing out');
+    clearSession();
+    const remembered = localStorage.getItem('walletAddress');
+    if (remembered && remembered.toLowerCase() === (session.address || '').toLowerCase()) {
+      localStorage.removeItem('walletAddress');
+    }
+    return null;
+  }
+  return session;
+};
+
+export default {
+  createSiweNonce,
+  buildSiweMessage,
+  parseSiweMessage,
+  verifySiweSession,
+  signInWithEthereum,
+  signInWithLocalKey,
+  unlockLocalKey,
+  getLocalSigner,
+  getActiveLocalSigner,
+  isLocalKeySession,
+  startWatchSession,
+  isReadOnlySession,
+  isLockedLocalSession,
+  clearSession,
+  getSession,
+  SESSION_MODES,
+  WATCH_MODE_MESSAGE,
+  SESSION_TTL_MS,
+  NONCE_TTL_MS
+};
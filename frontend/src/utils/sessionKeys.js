@@ -0,0 +1,134 @@
+/**
+ * sessionKeys.js
+ *
+ * Delegated session keys, so routine chat transactions don't need a wallet
+ * popup each time.
+ *
+ *   1. A throwaway key pair is generated in this browser
+ *   2. The key signs its consent to the grant (signSessionKeyGrant) and the
+ *      wallet authorizes it once on ChatMetadata (authorizeSessionKey) for a
+ *      limited time and scope, sending a little ETH along for gas
+ *   3. blockchain.js signs storeMetadata / sendGroupMessage with the key;
+ *      the contract records the owner as the sender
+ *
+ * The key can only send messages as its owner and stops working at expiry or
+ * when revoked, so like the chat key pairs it is kept in localStorage.
+ */
+
+// Must match the SCOPE_* constants in ChatMetadata.sol
+export const SESSION_KEY_SCOPES = {
+  DIRECT_MESSAGE: 1,
+  GROUP_MESSAGE: 2,
+  ALL: 3
+};
+
+export const DEFAULT_SESSION_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+// Matches MAX_SESSION_KEY_DURATION on the contract
+export const MAX_SESSION_KEY_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// ETH sent to the key with its authorization to pay for gas
+export const DEFAULT_SESSION_KEY_FUNDING_ETH = '0.005';
+
+const sessionKeyStorageKey = (owner) => `session_key_${owner.toLowerCase()}`;
+
+/**
+ * Generate a new session key pair (not yet authorized or stored)
+ *
+ * @param {object} web3 - Web3 instance
+ * @returns {{address: string, privateKey: string}}
+ */
+export const generateSessionKey = (web3) => {
+  const { address, privateKey } = web3.eth.accounts.create();
+  return { address, privateKey };
+};
+
+/**
+ * The key's consent to a grant, as authorizeSessionKey verifies it: a
+ * personal_sign by the key over
+ * keccak256(abi.encode(owner, key, expiresAt, scope, chainId, contract))
+ *
+ * @param {object} web3 - Web3 instance
+ * @param {object} key - { address, privateKey } from generateSessionKey
+ * @param {object} grant - { owner, expiresAt (seconds), scope, chainId, contractAddress }
+ * @returns {string} Signature
+ */
+export const signSessionKeyGrant = (web3, key, { owner, expiresAt, scope, chainId, contractAddress }) => {
+  const grantHash = web3.utils.keccak256(web3.eth.abi.encodeParameters(
+    ['address', 'address', 'uint256', 'uint8', 'uint256', 'address'],
+    [owner, key.address, expiresAt, scope, chainId, contractAddress]
+  ));
+  return web3.eth.accounts.sign(grantHash, key.privateKey).signature;
+};
+
+/**
+ * Remember an authorized session key for its owner (replaces any previous one)
+ *
+ * @param {string} owner - Owner wallet address
+ * @param {object} record - { address, privateKey, expiresAt (ms), scope }
+ */
+export const saveSessionKey = (owner, record) => {
+  localStorage.setItem(sessionKeyStorageKey(owner), JSON.stringify({
+    ...record,
+    createdAt: new Date().toISOString()
+  }));
+};
+
+/**
+ * Session key stored in this browser for an owner, expired or not
+ *
+ * @param {string} owner - Owner wallet address
+ * @returns {object|null} { address, privateKey, expiresAt, scope, createdAt }
+ */
+export const getStoredSessionKey = (owner) => {
+  if (!owner) return null;
+  return JSON.parse(localStorage.getItem(sessionKeyStorageKey(owner)) || 'null');
+};
+
+/**
+ * Session key usable right now for an action with the given scope
+ *
+ * @param {string} owner - Owner wallet address
+ * @param {number} scope - One of SESSION_KEY_SCOPES
+ * @returns {object|null}
+ */
+export const getUsableSessionKey = (owner, scope) => {
+  const key = getStoredSessionKey(owner);
+  if (!key) return null;
+  if (key.expiresAt <= Date.now()) return null;
+  return (key.scope & scope) === scope ? key : null;
+};
+
+/**
+ * Drop the stored session key for an owner
+ *
+ * @param {string} owner - Owner wallet address
+ */
+export const forgetSessionKey = (owner) => {
+  localStorage.removeItem(sessionKeyStorageKey(owner));
+};
+
+/**
+ * Human-readable list of the actions a scope allows
+ *
+ * @param {number} scope - Scope bitmask
+ * @returns {string}
+ */
+export const describeSessionKeyScope = (scope) => {
+  const parts = [];
+  if (scope & SESSION_KEY_SCOPES.DIRECT_MESSAGE) parts.push('direct messages');
+  if (scope & SESSION_KEY_SCOPES.GROUP_MESSAGE) parts.push('group messages');
+  return parts.length > 0 ? parts.join(' + ') : 'nothing';
+};
+
+export default {
+  SESSION_KEY_SCOPES,
+  DEFAULT_SESSION_KEY_TTL_MS,
+  MAX_SESSION_KEY_TTL_MS,
+  DEFAULT_SESSION_KEY_FUNDING_ETH,
+  generateSessionKey,
+  signSessionKeyGrant,
+  saveSessionKey,
+  getStoredSessionKey,
+  getUsableSessionKey,
+  forgetSessionKey,
+  describeSessionKeyScope
+};
@@ -0,0 +1,197 @@
+/**
+ * spendLedger.js
+ *
+ * What the app's own transactions have cost, from their receipts:
+ *
+ *   - the transaction manager records every mined transaction it sent
+ *     (confirmed, reverted or cancelled: all of them paid gas) with its
+ *     gasUsed and effectiveGasPrice
+ *   - entries are kept per chain in localStorage, much longer than the
+ *     transaction manager's own history
+ *   - getSpendSummary() breaks the spend down by feature, by conversation
+ *     and by day, and projects a monthly cost at a given gas price
+ */
+
+import Web3 from 'web3';
+import { getActiveChain } from './chains';
+
+const ACTIVE_CHAIN = getActiveChain();
+const STORAGE_KEY = `tx_spend_${ACTIVE_CHAIN.chainId}`;
+const MAX_ENTRIES = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const { toBigInt, fromWei } = Web3.utils;
+
+export const SPEND_FEATURES = {
+  messages: 'Messages',
+  friends: 'Friends',
+  groups: 'Groups',
+  votes: 'Votes',
+  keys: 'Keys & sessions',
+  other: 'Other'
+};
+
+// Transaction manager `kind` -> dashboard feature
+const FEATURE_BY_KIND = {
+  message: 'messages',
+  'group-message': 'messages',
+  batch: 'messages',
+  friend: 'friends',
+  group: 'groups',
+  vote: 'votes',
+  key: 'keys',
+  'session-key': 'keys'
+};
+
+const loadEntries = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (error) {
+    console.warn('⚠️ Spend ledger is unreadable, starting over:', error.message);
+    return [];
+  }
+};
+
+let entries = loadEntries();
+
+const saveEntries = () => {
+  entries = entries.slice(-MAX_ENTRIES);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.warn('⚠️ Could not save spend ledger:', error.message);
+  }
+};
+
+// Price actually paid per gas; older clients' receipts lack effectiveGasPrice
+const paidGasPrice = (tx) =>
+  tx.effectiveGasPrice || tx.fees?.gasPrice || tx.fees?.maxFeePerGas || '0';
+
+// The conversation a transaction belongs to, if any
+const conversationOf = (tx) => {
+  if (tx.meta?.groupId) return { type: 'group', id: tx.meta.groupId };
+  if (tx.meta?.receiver) return { type: 'direct', id: tx.meta.receiver.toLowerCase() };
+  return null;
+};
+
+/**
+ * Add a mined transaction to the ledger (once per hash)
+ *
+ * @param {object} tx - Transaction manager record with `hash` and `gasUsed`
+ */
+export const recordSpend = (tx) => {
+  if (!tx?.hash || !tx.gasUsed) return;
+  // The relayer paid for gasless transactions
+  if (tx.via === 'relayer') return;
+  const hash = tx.hash.toLowerCase();
+  if (entries.some(entry => entry.hash === hash)) return;
+
+  const gasPrice = paidGasPrice(tx);
+  entries.push({
+    hash,
+    account: (tx.account || tx.from).toLowerCase(),
+    kind: tx.kind,
+    label: tx.label,
+    via: tx.via,
+    status: tx.status,
+    conversation: conversationOf(tx),
+    gasUsed: String(tx.gasUsed),
+    gasPrice: String(gasPrice),
+    feeWei: String(toBigInt(tx.gasUsed) * toBigInt(gasPrice)),
+    sentAt: tx.createdAt || Date.now()
+  });
+  saveEntries();
+};
+
+const emptyBucket = () => ({ txCount: 0, gasUsed: 0, feeWei: toBigInt(0) });
+
+const addTo = (bucket, entry) => {
+  bucket.txCount += 1;
+  bucket.gasUsed += Number(entry.gasUsed);
+  bucket.feeWei += toBigInt(entry.feeWei);
+};
+
+const toEth = (wei) => fromWei(wei, 'ether');
+
+const finishBucket = (bucket) => ({ ...bucket, feeWei: String(bucket.feeWei), feeEth: toEth(bucket.feeWei) });
+
+/**
+ * Spend breakdown for one wallet
+ *
+ * @param {string} account - Wallet address
+ * @param {object} [options]
+ * @param {string|number} [options.gasPriceWei] - Current gas price, for the projection
+ * @param {number} [options.days] - Length of the daily series and projection window
+ * @returns {object} { totals, byFeature, byConversation, byDay, projection }
+ */
+export const getSpendSummary = (account, { gasPriceWei = 0, days = 30 } = {}) => {
+  const owner = (account || '').toLowerCase();
+  const mine = entries.filter(entry => entry.account === owner);
+
+  const totals = emptyBucket();
+  const features = new Map();
+  const conversations = new Map();
+  mine.forEach(entry => {
+    addTo(totals, entry);
+
+    const feature = FEATURE_BY_KIND[entry.kind] || 'other';
+    if (!features.has(feature)) features.set(feature, emptyBucket());
+    addTo(features.get(feature), entry);
+
+    if (entry.conversation) {
+      const key = `${entry.conversation.type}:${entry.conversation.id}`;
+      if (!conversations.has(key)) conversations.set(key, { ...entry.conversation, ...emptyBucket() });
+      addTo(conversations.get(key), entry);
+    }
+  });
+
+  // One bucket per calendar day, oldest first, including empty days
+  const byDay = Array.from({ length: days }, (_, i) => {
+    const day = new Date();
+    day.setHours(0, 0, 0, 0);
+    day.setDate(day.getDate() - (days - 1 - i));
+    return { day, ...emptyBucket() };
+  });
+  const windowStart = byDay[0].day.getTime();
+  const dayIndex = new Map(byDay.map((bucket, i) => [bucket.day.toDateString(), i]));
+  mine
+    .filter(entry => entry.sentAt >= windowStart)
+    .forEach(entry => {
+      const index = dayIndex.get(new Date(entry.sentAt).toDateString());
+      if (index !== undefined) addTo(byDay[index], entry);
+    });
+
+  // Average daily gas since the first transaction in the window, times 30 days
+  const recent = mine.filter(entry => entry.sentAt >= windowStart);
+  const firstSent = Math.min(...recent.map(entry => entry.sentAt));
+  const activeDays = recent.length > 0
+    ? Math.min(days, Math.max(1, Math.ceil((Date.now() - firstSent) / DAY_MS)))
+    : 1;
+  const recentGas = recent.reduce((sum, entry) => sum + Number(entry.gasUsed), 0);
+  const monthlyGas = Math.round((recentGas / activeDays) * 30);
+  const monthlyFeeWei = toBigInt(monthlyGas) * toBigInt(String(gasPriceWei || 0));
+
+  return {
+    totals: finishBucket(totals),
+    byFeature: Object.keys(SPEND_FEATURES)
+      .filter(feature => features.has(feature))
+      .map(feature => ({ feature, label: SPEND_FEATURES[feature], ...finishBucket(features.get(feature)) }))
+      .sort((a, b) => b.gasUsed - a.gasUsed),
+    byConversation: [...conversations.values()]
+      .map(finishBucket)
+      .sort((a, b) => b.gasUsed - a.gasUsed),
+    byDay: byDay.map(finishBucket),
+    projection: {
+      basedOnDays: activeDays,
+      monthlyGas,
+      monthlyFeeWei: String(monthlyFeeWei),
+      monthlyFeeEth: toEth(monthlyFeeWei)
+    }
+  };
+};
+
+export default {
+  SPEND_FEATURES,
+  recordSpend,
+  getSpendSummary
+};
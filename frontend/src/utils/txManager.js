@@ -0,0 +1,649 @@
+/**
+ * txManager.js
+ *
+ * Every contract write goes through here instead of a bare `.send()`:
+ *
+ *   - writes from the same account are queued, so the wallet shows one
+ *     prompt at a time and session-key nonces never collide
+ *   - each transaction is tracked by hash until it has enough
+ *     confirmations, including replacements made with speedUpTransaction /
+ *     cancelTransaction
+ *   - records live in localStorage, so pending transactions are picked up
+ *     again after a reload
+ *   - subscribeTransactions() is the status feed for the Navbar tray and
+ *     message bubbles
+ *   - mined transactions are added to the spend ledger (spendLedger.js)
+ *   - when a relayer is set (setRelayer) and the wallet can't pay for gas,
+ *     zero-value writes are sent as signed meta-transactions instead
+ */
+
+import { getActiveChain } from './chains';
+import { getStoredSessionKey } from './sessionKeys';
+import { recordSpend } from './spendLedger';
+
+export const TX_STATUS = {
+  QUEUED: 'queued',         // waiting for earlier writes from the same account
+  SUBMITTING: 'submitting', // waiting for the wallet / broadcast
+  PENDING: 'pending',       // broadcast, not yet in a block
+  CONFIRMED: 'confirmed',   // in a block and succeeded
+  FAILED: 'failed',         // rejected, not sent, or reverted
+  DROPPED: 'dropped',       // its nonce was used by a transaction we don't know
+  CANCELLED: 'cancelled'    // replaced by our own cancel transaction
+};
+
+const ACTIVE_STATUSES = [TX_STATUS.QUEUED, TX_STATUS.SUBMITTING, TX_STATUS.PENDING];
+
+const ACTIVE_CHAIN = getActiveChain();
+const STORAGE_KEY = `tx_manager_${ACTIVE_CHAIN.chainId}`;
+
+// Confirmations before a transaction counts as settled
+export const REQUIRED_CONFIRMATIONS = ACTIVE_CHAIN.isLocal ? 1 : 2;
+
+const TX_POLL_MS = 4000;
+const MAX_FINISHED_KEPT = 50;
+// Replacements must pay at least 10% more; 20% clears every client
+const FEE_BUMP = 1.2;
+const CANCEL_GAS = 21000;
+const MAX_SEND_ATTEMPTS = 3;
+
+let web3 = null;
+let pollHandle = null;
+let relayer = null;           // (record) => tx hash, for gasless sends
+const listeners = new Set();
+const waiters = new Map();    // id → [{ resolve, reject }]
+const receipts = new Map();   // id → receipt (this page load only)
+const queues = new Map();     // account → tail of its write queue
+
+// Anything still queued or submitting when the page closed was never sent
+const loadTransactions = () => {
+  const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  return stored.map(tx =>
+    tx.status === TX_STATUS.QUEUED || tx.status === TX_STATUS.SUBMITTING
+      ? { ...tx, status: TX_STATUS.FAILED, error: 'Interrupted before it was sent' }
+      : tx
+  );
+};
+
+let transactions = loadTransactions();
+// Mined records from before the spend ledger existed (recordSpend skips known hashes)
+transactions.forEach(recordSpend);
+
+const saveTransactions = () => {
+  const active = transactions.filter(tx => isTracking(tx));
+  const finished = transactions.filter(tx => !isTracking(tx)).slice(0, MAX_FINISHED_KEPT);
+  transactions = transactions.filter(tx => active.includes(tx) || finished.includes(tx));
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(transactions));
+  } catch (error) {
+    console.warn('⚠️ Could not save transactions:', error.message);
+  }
+};
+
+const notify = () => {
+  const snapshot = getTransactions();
+  listeners.forEach(listener => {
+    try {
+      listener(snapshot);
+    } catch (error) {
+      console.error('Error in transaction listener:', error);
+    }
+  });
+};
+
+const findRecord = (id) => transactions.find(tx => tx.id === id);
+
+const updateRecord = (id, changes) => {
+  transactions = transactions.map(tx =>
+    tx.id === id ? { ...tx, ...changes, updatedAt: Date.now() } : tx
+  );
+  saveTransactions();
+  notify();
+  return findRecord(id);
+};
+
+// Still worth polling: not yet mined, or mined without enough confirmations
+const isTracking = (tx) =>
+  ACTIVE_STATUSES.includes(tx.status) ||
+  (tx.status === TX_STATUS.CONFIRMED && tx.confirmations < REQUIRED_CONFIRMATIONS);
+
+// Node's own wording sits on the inner error when web3 wraps an RPC failure
+const errorMessage = (error) =>
+  error?.innerError?.message || error?.cause?.message || error?.message || String(error);
+
+/**
+ * Readable reason for a failed send or revert
+ *
+ * @param {Error} error - Error from the wallet, RPC or web3
+ * @returns {string}
+ */
+export const describeTxError = (error) => {
+  const message = errorMessage(error);
+  if (error?.code === 4001 || error?.innerError?.code === 4001 || /user (rejected|denied)/i.test(message)) {
+    return 'Rejected in wallet';
+  }
+  if (/insufficient funds/i.test(message)) {
+    return 'Not enough ETH to pay for gas';
+  }
+  if (/nonce too low/i.test(message)) {
+    return 'Nonce already used (another transaction went first)';
+  }
+  if (/underpriced/i.test(message)) {
+    return 'Gas price too low to replace the pending transaction';
+  }
+  const revert = String(error?.reason || message).match(/revert(?:ed)?:?\s*(.*)$/i);
+  if (revert) return revert[1] ? `Reverted: ${revert[1]}` : 'Transaction reverted';
+  if (error?.reason) return `Reverted: ${error.reason}`;
+  return message;
+};
+
+// Session-key sends are signed locally, so retrying costs the user nothing.
+// "nonce too low" means the nonce is spent and "already known" means the node
+// already has this exact transaction: resending can't help either one.
+const isTransientError = (error) => {
+  const message = errorMessage(error);
+  return !/nonce too low|already known/i.test(message) &&
+    /network|timeout|fetch|ECONN|429|rate limit/i.test(message);
+};
+
+const settle = (id, receipt, error) => {
+  if (receipt) receipts.set(id, receipt);
+  (waiters.get(id) || []).forEach(waiter => (error ? waiter.reject(error) : waiter.resolve(receipt)));
+  waiters.delete(id);
+};
+
+/**
+ * Transactions known to this browser on the active chain, newest first
+ *
+ * @returns {Array<object>}
+ */
+export const getTransactions = () => [...transactions].sort((a, b) => b.createdAt - a.createdAt);
+
+/**
+ * Newest transaction whose `meta[key]` matches `value` (e.g. a message's hash)
+ *
+ * @param {string} key - Meta field
+ * @param {string} value - Value to match (case-insensitive)
+ * @returns {object|null}
+ */
+export const findTransactionByMeta = (key, value) => {
+  if (!value) return null;
+  const wanted = String(value).toLowerCase();
+  return getTransactions().find(tx => String(tx.meta?.[key] ?? '').toLowerCase() === wanted) || null;
+};
+
+/**
+ * Status feed: called right away and after every change
+ *
+ * @param {Function} listener - Receives getTransactions()
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeTransactions = (listener) => {
+  listeners.add(listener);
+  listener(getTransactions());
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+// web3 PromiEvent → hash as soon as the transaction is broadcast. A rejection
+// before that means nothing was sent; anything later is left to the poller.
+const broadcast = (promiEvent) => new Promise((resolve, reject) => {
+  promiEvent.on('transactionHash', hash => resolve(typeof hash === 'string' ? hash : web3.utils.bytesToHex(hash)));
+  promiEvent.catch(reject);
+});
+
+const signWithSessionKey = async (tx, fields) => {
+  const key = getStoredSessionKey(tx.account);
+  if (!key || key.address.toLowerCase() !== tx.from.toLowerCase()) {
+    throw new Error('Session key is no longer stored in this browser');
+  }
+  const signed = await web3.eth.accounts.signTransaction({
+    from: key.address,
+    chainId: ACTIVE_CHAIN.chainId,
+    ...fields
+  }, key.privateKey);
+  try {
+    return await broadcast(web3.eth.sendSignedTransaction(signed.rawTransaction));
+  } catch (error) {
+    // The node already holds this signed transaction (e.g. an earlier send
+    // timed out after reaching it), so it is broadcast under its own hash
+    if (/already known/i.test(errorMessage(error))) return signed.transactionHash;
+    throw error;
+  }
+};
+
+// Whether the wallet is short of ETH for this call, so the relayer should pay.
+// A call that fails to estimate is left to the wallet to report.
+const needsRelay = async (tx) => {
+  if (!relayer || tx.via !== 'wallet' || Number(tx.value) > 0) return false;
+  try {
+    const fields = { from: tx.from, to: tx.to, data: tx.data };
+    const [balance, gas, gasPrice] = await Promise.all([
+      web3.eth.getBalance(tx.from),
+      tx.gas ? Promise.resolve(tx.gas) : web3.eth.estimateGas(fields),
+      web3.eth.getGasPrice()
+    ]);
+    return web3.utils.toBigInt(balance) < web3.utils.toBigInt(gas) * web3.utils.toBigInt(gasPrice);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Send a record's call for the first time
+const sendRecord = async (tx) => {
+  const fields = { to: tx.to, data: tx.data, value: tx.value };
+
+  if (tx.via === 'relayer') {
+    if (!relayer) throw new Error('Gasless relayer is not available');
+    return relayer(tx);
+  }
+
+  if (tx.via === 'session-key') {
+    const gas = tx.gas || Math.ceil(Number(await web3.eth.estimateGas({ from: tx.from, ...fields })) * 1.2);
+    const gasPrice = String(Math.ceil(Number(await web3.eth.getGasPrice()) * 1.1));
+    const nonce = Number(await web3.eth.getTransactionCount(tx.from, 'pending'));
+    return signWithSessionKey(tx, { ...fields, gas, gasPrice, nonce });
+  }
+
+  // Wallet sends let the provider estimate gas and fees
+  return broadcast(web3.eth.sendTransaction({
+    from: tx.from,
+    ...fields,
+    ...(tx.gas && { gas: tx.gas })
+  }));
+};
+
+// Nonce, gas limit and fees of a broadcast transaction (needed to replace it)
+const readSentTransaction = async (hash) => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const sent = await web3.eth.getTransaction(hash).catch(() => null);
+    if (sent) {
+      return {
+        nonce: Number(sent.nonce),
+        gasLimit: String(sent.gas),
+        fees: sent.maxFeePerGas !== undefined && sent.maxFeePerGas !== null
+          ? { maxFeePerGas: String(sent.maxFeePerGas), maxPriorityFeePerGas: String(sent.maxPriorityFeePerGas) }
+          : { gasPrice: String(sent.gasPrice) }
+      };
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+  return { nonce: null, gasLimit: null, fees: null };
+};
+
+const dispatch = async (id) => {
+  let tx = updateRecord(id, { status: TX_STATUS.SUBMITTING });
+  if (await needsRelay(tx)) {
+    console.log(`⛽ ${tx.label}: wallet can't pay for gas, sending through the relayer`);
+    tx = updateRecord(id, { via: 'relayer' });
+  }
+  const attempts = tx.via === 'session-key' ? MAX_SEND_ATTEMPTS : 1;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      const hash = await sendRecord(tx);
+      console.log(`📤 ${tx.label}: ${hash}`);
+      // Relayed transactions use the relayer's nonce, so they can't be replaced from here
+      const sent = tx.via === 'relayer'
+        ? { nonce: null, gasLimit: null, fees: null }
+        : await readSentTransaction(hash);
+      const record = updateRecord(id, { status: TX_STATUS.PENDING, hash, hashes: [hash], ...sent });
+      startPolling();
+      return record;
+    } catch (error) {
+      if (attempt < attempts && isTransientError(error)) {
+        console.warn(`⚠️ ${tx.label} failed to send (attempt ${attempt}/${attempts}), retrying:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        continue;
+      }
+      const reason = describeTxError(error);
+      updateRecord(id, { status: TX_STATUS.FAILED, error: reason });
+      const failure = new Error(reason);
+      settle(id, null, failure);
+      throw failure;
+    }
+  }
+  return findRecord(id);
+};
+
+// Run `task` after every earlier write from the same account has been sent
+const enqueue = (account, task) => {
+  const key = account.toLowerCase();
+  const run = (queues.get(key) || Promise.resolve()).then(task, task);
+  queues.set(key, run.catch(() => {}));
+  return run;
+};
+
+const createRecord = (fields) => {
+  const record = {
+    id: `tx-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    status: TX_STATUS.QUEUED,
+    hash: null,
+    hashes: [],
+    cancelHash: null,
+    nonce: null,
+    confirmations: 0,
+    speedUps: 0,
+    error: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    ...fields
+  };
+  transactions = [record, ...transactions];
+  saveTransactions();
+  notify();
+  return record;
+};
+
+/**
+ * Queue a contract write and resolve once it is broadcast
+ *
+ * @param {object} options
+ * @param {object} options.method - web3 contract method, e.g. contract.methods.addFriend(...)
+ * @param {string} options.from - Wallet address the write is for
+ * @param {object} [options.signer] - Session key { address } to sign with instead of the wallet
+ * @param {string} [options.value] - Wei to send along
+ * @param {number} [options.gas] - Gas limit (default: estimated)
+ * @param {string} options.label - What the user sees, e.g. "Add friend Alice"
+ * @param {string} [options.kind] - Category: message, group-message, friend, group, vote, key, session-key, batch
+ * @param {object} [options.meta] - Extra fields used to find the transaction later (e.g. messageHash)
+ * @returns {Promise<object>} The transaction record (status pending, with hash)
+ */
+export const submitTransaction = async ({ method, from, signer, value = '0', gas, label, kind = 'contract', meta = {} }) => {
+  if (!web3) {
+    throw new Error('Transaction manager not ready. Call initWeb3() first.');
+  }
+
+  const sender = signer?.address || from;
+  const { to, data } = method.populateTransaction({ from: sender });
+  const record = createRecord({
+    label,
+    kind,
+    meta,
+    account: from,
+    from: sender,
+    via: signer ? 'session-key' : 'wallet',
+    to,
+    data,
+    value: String(value),
+    gas: gas || null
+  });
+
+  return enqueue(from, () => dispatch(record.id));
+};
+
+/**
+ * Wait until a submitted transaction is mined
+ *
+ * @param {string} id - Transaction record ID
+ * @returns {Promise<object>} Receipt; rejects if it reverts, is cancelled or dropped
+ */
+export const waitForTransaction = (id) => {
+  const tx = findRecord(id);
+  if (!tx) return Promise.reject(new Error('Unknown transaction'));
+  if (receipts.has(id)) return Promise.resolve(receipts.get(id));
+  if (!ACTIVE_STATUSES.includes(tx.status)) {
+    return tx.status === TX_STATUS.CONFIRMED
+      ? Promise.resolve({ transactionHash: tx.hash, blockNumber: tx.blockNumber, status: 1 })
+      : Promise.reject(new Error(tx.error || `Transaction ${tx.status}`));
+  }
+  return new Promise((resolve, reject) => {
+    waiters.set(id, [...(waiters.get(id) || []), { resolve, reject }]);
+  });
+};
+
+/**
+ * Queue a contract write and wait for it to be mined (drop-in for `method.send()`)
+ *
+ * @param {object} options - Same as submitTransaction
+ * @returns {Promise<object>} Receipt
+ */
+export const sendTransaction = async (options) => {
+  const record = await submitTransaction(options);
+  return waitForTransaction(record.id);
+};
+
+// Why a mined transaction reverted: replay it against its block
+const readRevertReason = async (tx, blockNumber) => {
+  try {
+    await web3.eth.call({ from: tx.from, to: tx.to, data: tx.data, value: tx.value }, blockNumber);
+    return 'Transaction reverted';
+  } catch (error) {
+    return describeTxError(error);
+  }
+};
+
+const checkTransaction = async (tx, latest) => {
+  // Read the nonce first, so a receipt mined in between is still found below
+  const minedNonce = tx.nonce !== null ? Number(await web3.eth.getTransactionCount(tx.from, 'latest')) : null;
+
+  const candidates = [...(tx.cancelHash ? [tx.cancelHash] : []), ...[...tx.hashes].reverse()];
+  for (const hash of candidates) {
+    const receipt = await web3.eth.getTransactionReceipt(hash).catch(() => null);
+    if (!receipt) continue;
+
+    const blockNumber = Number(receipt.blockNumber);
+    const confirmations = Math.max(0, latest - blockNumber + 1);
+    const succeeded = Number(receipt.status) === 1;
+    const cancelled = hash === tx.cancelHash;
+    const firstSighting = tx.status === TX_STATUS.PENDING;
+
+    let status = TX_STATUS.CONFIRMED;
+    let error = null;
+    if (cancelled) {
+      status = TX_STATUS.CANCELLED;
+    } else if (!succeeded) {
+      status = TX_STATUS.FAILED;
+      error = firstSighting ? await readRevertReason(tx, blockNumber) : tx.error;
+    }
+
+    const record = updateRecord(tx.id, {
+      status,
+      error,
+      hash,
+      blockNumber,
+      confirmations,
+      gasUsed: String(receipt.gasUsed),
+      effectiveGasPrice: receipt.effectiveGasPrice !== undefined ? String(receipt.effectiveGasPrice) : null
+    });
+    if (firstSighting) {
+      recordSpend(record);
+      console.log(`${status === TX_STATUS.CONFIRMED ? '✅' : '✖'} ${tx.label}: ${status} in block ${blockNumber}`);
+      settle(tx.id, receipt, status === TX_STATUS.CONFIRMED ? null : new Error(error || `Transaction ${status}`));
+    }
+    return;
+  }
+
+  if (minedNonce !== null && minedNonce > tx.nonce) {
+    const error = 'Replaced or dropped outside the app';
+    updateRecord(tx.id, { status: TX_STATUS.DROPPED, error });
+    settle(tx.id, null, new Error(error));
+  }
+};
+
+const poll = async () => {
+  if (!web3) return;
+  const tracking = transactions.filter(tx =>
+    tx.hash && (tx.status === TX_STATUS.PENDING || (tx.status === TX_STATUS.CONFIRMED && tx.confirmations < REQUIRED_CONFIRMATIONS))
+  );
+  if (tracking.length === 0 && !transactions.some(tx => ACTIVE_STATUSES.includes(tx.status))) {
+    stopPolling();
+    return;
+  }
+
+  try {
+    const latest = Number(await web3.eth.getBlockNumber());
+    for (const tx of tracking) {
+      await checkTransaction(tx, latest);
+    }
+  } catch (error) {
+    console.warn('⚠️ Transaction status check failed:', error.message);
+  }
+};
+
+const startPolling = () => {
+  if (pollHandle) return;
+  pollHandle = setInterval(poll, TX_POLL_MS);
+  poll();
+};
+
+const stopPolling = () => {
+  if (!pollHandle) return;
+  clearInterval(pollHandle);
+  pollHandle = null;
+};
+
+/**
+ * Hand the manager a connected Web3 instance (done by initWeb3). Pending
+ * transactions from earlier visits start being tracked again.
+ *
+ * @param {object} web3Instance - Web3 instance
+ */
+export const attachTransactionManager = (web3Instance) => {
+  web3 = web3Instance;
+  if (transactions.some(isTracking)) startPolling();
+};
+
+/**
+ * Send zero-value writes through a meta-transaction relayer when the wallet
+ * has no ETH for gas
+ *
+ * @param {Function|null} relay - (record) => Promise<tx hash>; null turns it off
+ */
+export const setRelayer = (relay) => {
+  relayer = relay;
+};
+
+const bumpFees = async (tx) => {
+  const current = Number(await web3.eth.getGasPrice());
+  const bump = (value) => Math.ceil(Number(value) * FEE_BUMP);
+  if (tx.fees?.maxFeePerGas) {
+    return {
+      maxFeePerGas: String(Math.max(bump(tx.fees.maxFeePerGas), current * 2)),
+      maxPriorityFeePerGas: String(bump(tx.fees.maxPriorityFeePerGas))
+    };
+  }
+  return { gasPrice: String(Math.max(bump(tx.fees?.gasPrice || current), current)) };
+};
+
+// Send another transaction with the same nonce and higher fees
+const sendReplacement = async (tx, fields) => {
+  if (tx.status !== TX_STATUS.PENDING || tx.nonce === null) {
+    throw new Error('Only pending transactions can be replaced');
+  }
+  const fees = await bumpFees(tx);
+  const replacement = { ...fields, nonce: tx.nonce, ...fees };
+  try {
+    const hash = tx.via === 'session-key'
+      ? await signWithSessionKey(tx, replacement)
+      : await broadcast(web3.eth.sendTransaction({ from: tx.from, ...replacement }));
+    return { hash, fees };
+  } catch (error) {
+    throw new Error(describeTxError(error));
+  }
+};
+
+/**
+ * Resend a pending transaction with higher fees (same nonce, same call)
+ *
+ * @param {string} id - Transaction record ID
+ * @returns {Promise<object>} Updated record
+ */
+export const speedUpTransaction = async (id) => {
+  const tx = findRecord(id);
+  if (!tx) throw new Error('Unknown transaction');
+  const { hash, fees } = await sendReplacement(tx, {
+    to: tx.to,
+    data: tx.data,
+    value: tx.value,
+    gas: tx.gasLimit || tx.gas
+  });
+  console.log(`⏫ Sped up ${tx.label}: ${hash}`);
+  return updateRecord(id, { hash, hashes: [...tx.hashes, hash], fees, speedUps: tx.speedUps + 1 });
+};
+
+/**
+ * Cancel a pending transaction by replacing it with an empty transfer to
+ * ourselves (same nonce, higher fees)
+ *
+ * @param {string} id - Transaction record ID
+ * @returns {Promise<object>} Updated record
+ */
+export const cancelTransaction = async (id) => {
+  const tx = findRecord(id);
+  if (!tx) throw new Error('Unknown transaction');
+  const { hash, fees } = await sendReplacement(tx, {
+    to: tx.from,
+    data: '0x',
+    value: '0',
+    gas: CANCEL_GAS
+  });
+  console.log(`🛑 Cancelling ${tx.label}: ${hash}`);
+  return updateRecord(id, { cancelHash: hash, fees });
+};
+
+/**
+ * Send a failed, dropped or cancelled transaction again as a new one. Falls
+ * back to the wallet if its session key is gone.
+ *
+ * @param {string} id - Transaction record ID
+ * @returns {Promise<object>} The new record (pending, with hash)
+ */
+export const retryTransaction = async (id) => {
+  const tx = findRecord(id);
+  if (!tx) throw new Error('Unknown transaction');
+  if (ACTIVE_STATUSES.includes(tx.status) || tx.status === TX_STATUS.CONFIRMED) {
+    throw new Error('Only failed, dropped or cancelled transactions can be retried');
+  }
+  if (tx.retriedBy) {
+    throw new Error('Already retried');
+  }
+  if (!web3) {
+    throw new Error('Transaction manager not ready. Call initWeb3() first.');
+  }
+
+  const key = tx.via === 'session-key' ? getStoredSessionKey(tx.account) : null;
+  const keepKey = key && key.address.toLowerCase() === tx.from.toLowerCase() && key.expiresAt > Date.now();
+  const record = createRecord({
+    label: tx.label,
+    kind: tx.kind,
+    meta: tx.meta,
+    account: tx.account,
+    from: keepKey ? tx.from : tx.account,
+    via: keepKey ? 'session-key' : 'wallet',
+    to: tx.to,
+    data: tx.data,
+    value: tx.value,
+    gas: tx.gas,
+    retryOf: tx.id
+  });
+  updateRecord(tx.id, { retriedBy: record.id });
+  return enqueue(tx.account, () => dispatch(record.id));
+};
+
+/**
+ * Forget finished transactions (pending ones keep being tracked)
+ */
+export const clearFinishedTransactions = () => {
+  transactions = transactions.filter(isTracking);
+  saveTransactions();
+  notify();
+};
+
+export default {
+  TX_STATUS,
+  REQUIRED_CONFIRMATIONS,
+  describeTxError,
+  getTransactions,
+  findTransactionByMeta,
+  subscribeTransactions,
+  submitTransaction,
+  waitForTransaction,
+  sendTransaction,
+  attachTransactionManager,
+  setRelayer,
+  speedUpTransaction,
+  cancelTransaction,
+  retryTransaction,
+  clearFinishedTransactions
+};